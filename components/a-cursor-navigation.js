@@ -245,8 +245,6 @@ AFRAME.registerComponent("a-cursor-teleport", {
         this.getTeleportPositionVR = this.getTeleportPositionVR.bind(this);
         this.isValidNormalsAngle = this.isValidNormalsAngle.bind(this);
         this.transition = this.transition.bind(this);
-        this.triggerTunnelAnimation = this.triggerTunnelAnimation.bind(this);
-        this.triggerTunnelUpAnimation = this.triggerTunnelUpAnimation.bind(this);
         this.mouseMove = this.mouseMove.bind(this);
         this.mouseDown = this.mouseDown.bind(this);
         this.mouseUp = this.mouseUp.bind(this);
@@ -284,7 +282,6 @@ AFRAME.registerComponent("a-cursor-teleport", {
             this.transitionProgress = 0;
             
             // Immediate initialization without timeouts
-            this.initializeTunnelForVR();
             this.setupVRCursor();
             this.vrTransitionReady = true;
         });
@@ -303,27 +300,6 @@ AFRAME.registerComponent("a-cursor-teleport", {
         });
     },
 
-    initializeTunnelForVR() {
-        // Cache tunnel element for better performance
-        if (!this.tunnelElement) {
-            this.tunnelElement = this.el.sceneEl.querySelector("#tunnel");
-        }
-        
-        if (this.tunnelElement) {
-            // Immediate tunnel state reset
-            this.tunnelElement.removeAttribute("animation__tunnel_down");
-            this.tunnelElement.removeAttribute("animation__tunnel_up");
-            this.tunnelElement.removeAttribute("animation__down");
-            this.tunnelElement.removeAttribute("animation__up");
-            this.tunnelElement.setAttribute("scale", "1 0.1 1");
-            this.tunnelElement.setAttribute("visible", "true");
-            
-            if (this.debugMode) console.log("navigation-05: Tunnel initialized for VR");
-        }
-        
-        this.vrTransitionReady = true;
-    },
-
     setupCursor() {
         // Unified cursor setup - works for both VR and desktop
         this.cursorEl = this.el.sceneEl.querySelector('a-cursor');
@@ -569,39 +545,6 @@ AFRAME.registerComponent("a-cursor-teleport", {
         } else {
             this.transitionRotEnd.copy(this.camRig.quaternion);
         }
-        
-        // Immediate tunnel animation for VR
-        if (this.isVR && this.tunnelElement) {
-            this.triggerTunnelAnimation();
-        }
-    },
-
-    triggerTunnelAnimation() {
-        if (this.tunnelElement) {
-            this.tunnelElement.removeAttribute("animation__tunnel_down");
-            this.tunnelElement.removeAttribute("animation__tunnel_up");
-            
-            this.tunnelElement.setAttribute("animation__tunnel_down", {
-                property: "scale.y",
-                to: -1,
-                dur: 250,
-                easing: "easeInQuad"
-            });
-        }
-    },
-
-    triggerTunnelUpAnimation() {
-        if (this.tunnelElement) {
-            this.tunnelElement.removeAttribute("animation__tunnel_down");
-            this.tunnelElement.removeAttribute("animation__tunnel_up");
-            
-            this.tunnelElement.setAttribute("animation__tunnel_up", {
-                property: "scale.y", 
-                to: -0.1,
-                dur: 500,
-                easing: "easeOutQuad"
-            });
-        }
     },
 
     hideCursor() {
@@ -653,10 +596,6 @@ AFRAME.registerComponent("a-cursor-teleport", {
         // Setup cursor for all modes (VR and desktop)
         this.setupCursor();
         window.addEventListener("keydown", this.hideCursor, false);
-        
-        if (this.isVR) {
-            this.initializeTunnelForVR();
-        }
     },
 
     pause() {
@@ -747,10 +686,6 @@ AFRAME.registerComponent("a-cursor-teleport", {
                 }
                 
                 this.el.emit("navigation-end");
-                
-                if (this.isVR && this.tunnelElement) {
-                    this.triggerTunnelUpAnimation();
-                }
             }
         }
     },
@@ -780,17 +715,22 @@ AFRAME.registerComponent("a-cursor-teleport", {
         }
         
         // Clean up cached references
-        this.tunnelElement = null;
         this.vrCursor = null;
         this.vrRaycaster = null;
     }
 });
 
 // Optimized VR Pinch-to-Teleport Component
+// Aim with the hand, start the teleport action (a pinch, or the right thumbstick
+// pushed forward, see input-actions.js) to show the landing ring and release
+// to go there. A pinch while the hand's laser-pointer is on a button or
+// banner selects it instead. startEvents / endEvents pick other events.
 AFRAME.registerComponent("pinch-teleport-02", {
     schema: {
         cameraRig: { type: "selector", default: "" },
-        collisionEntities: { type: "string", default: ".collision" }
+        collisionEntities: { type: "string", default: ".collision" },
+        startEvents: { type: "array", default: ["teleport-down"] },
+        endEvents: { type: "array", default: ["teleport-up"] }
     },
 
     init() {
@@ -802,6 +742,7 @@ AFRAME.registerComponent("pinch-teleport-02", {
         this.rayCastObjects = [];
         this.handDirection = new THREE.Vector3();
         this.handPosition = new THREE.Vector3();
+        this.handQuaternion = new THREE.Quaternion();
         
         this.lastCollisionCount = 0;
         this.lastRaycastCount = 0;
@@ -813,12 +754,11 @@ AFRAME.registerComponent("pinch-teleport-02", {
         this.onPinchStarted = this.onPinchStarted.bind(this);
         this.onPinchEnded = this.onPinchEnded.bind(this);
 
-        // Add all event listeners
-        const events = ['pinchstarted', 'triggerdown', 'gripdown'];
-        const endEvents = ['pinchended', 'triggerup', 'gripup'];
-        
-        events.forEach(event => this.el.addEventListener(event, this.onPinchStarted));
-        endEvents.forEach(event => this.el.addEventListener(event, this.onPinchEnded));
+        // Add all event listeners (grip is reserved for grabbing, see simple-grab)
+        this.startEvents = this.data.startEvents.slice();
+        this.endEvents = this.data.endEvents.slice();
+        this.startEvents.forEach(event => this.el.addEventListener(event, this.onPinchStarted));
+        this.endEvents.forEach(event => this.el.addEventListener(event, this.onPinchEnded));
     },
 
     createTeleportRing() {
@@ -870,8 +810,9 @@ AFRAME.registerComponent("pinch-teleport-02", {
         const handObject = this.el.object3D;
         handObject.getWorldPosition(this.handPosition);
         
-        // Reuse direction vector
-        this.handDirection.set(0, 0, -1).applyQuaternion(handObject.quaternion);
+        // Reuse direction vector (world space, the hand turns with the rig)
+        handObject.getWorldQuaternion(this.handQuaternion);
+        this.handDirection.set(0, 0, -1).applyQuaternion(this.handQuaternion);
         this.rayCaster.set(this.handPosition, this.handDirection);
         
         const intersects = this.rayCaster.intersectObjects(this.rayCastObjects);
@@ -888,6 +829,8 @@ AFRAME.registerComponent("pinch-teleport-02", {
 
     onPinchStarted(event) {
         if (this.debugMode) console.log("navigation-05: Pinch started:", event.type);
+        const pointer = this.el.components["laser-pointer"];
+        if (pointer && pointer.hovered) return;
         const teleportPos = this.getTeleportPosition();
         if (teleportPos) {
             this.teleportRing.position.copy(teleportPos);
@@ -962,9 +905,8 @@ AFRAME.registerComponent("pinch-teleport-02", {
         }
 
         // Remove all event listeners
-        const events = ['pinchstarted', 'triggerdown', 'gripdown', 'pinchended', 'triggerup', 'gripup'];
-        events.forEach(event => this.el.removeEventListener(event, this.onPinchStarted));
-        events.forEach(event => this.el.removeEventListener(event, this.onPinchEnded));
+        this.startEvents.forEach(event => this.el.removeEventListener(event, this.onPinchStarted));
+        this.endEvents.forEach(event => this.el.removeEventListener(event, this.onPinchEnded));
     }
 });
 
@@ -1006,10 +948,11 @@ AFRAME.registerComponent("go-to", {
         load: { type: "asset", default: "" },
         duration: { type: "number", default: 2000 },
         easing: { type: "string", default: "easeInOutQuad" },
+        cameraRig: { type: "selector", default: "#cameraRig" },
     },
 
     init: function () {
-        this.rigEl = document.getElementById("cameraRig");
+        this.rigEl = this.data.cameraRig;
         this.sceneEl = this.el.sceneEl;
         this.debugMode = window.location.search.includes('debug=true');
 
@@ -1026,31 +969,14 @@ AFRAME.registerComponent("go-to", {
         // Bind methods
         this.onClick = this.onClick.bind(this);
         this.onAnimEnd = this.onAnimEnd.bind(this);
-        this.hideTunnel = this.hideTunnel.bind(this);
 
         this.el.addEventListener("click", this.onClick);
-        window.addEventListener("keydown", this.hideTunnel);
     },
 
     onClick: function (evt) {
         var intersection = evt.detail && evt.detail.intersection;
         if (!intersection) return;
 
-        // Cache tunnel element for performance
-        if (!this.tunnelElement) {
-            this.tunnelElement = this.sceneEl.querySelector("#tunnel");
-        }
-
-        if (this.tunnelElement) {
-            this.tunnelElement.removeAttribute("animation__down");
-            this.tunnelElement.setAttribute("animation__down", {
-                property: "scale.y",
-                to: -1,
-                dur: 500,
-                easing: this.data.easing,
-            });
-        }
-
         this.moveCamera();
     },
 
@@ -1111,14 +1037,12 @@ AFRAME.registerComponent("go-to", {
                 el.removeAttribute("gltf-model");
                 el.setAttribute("gltf-model", this.data.load);
                 el.addEventListener("model-loaded", () => {
-                    this._tunnelUp();
                     this.rigEl.emit("go-to-complete");
                 }, { once: true });
                 return;
             }
         }
         
-        this._tunnelUp();
         this.rigEl.emit("go-to-complete");
     },
 
@@ -1162,27 +1086,8 @@ AFRAME.registerComponent("go-to", {
         }
     },
 
-    _tunnelUp: function () {
-        if (this.tunnelElement) {
-            this.tunnelElement.removeAttribute("animation__up");
-            this.tunnelElement.setAttribute("animation__up", {
-                property: "scale.y",
-                to: 0.1,
-                dur: 500,
-                easing: this.data.easing,
-            });
-        }
-    },
-
-    hideTunnel: function() {
-        if (this.tunnelElement) {
-            this.tunnelElement.setAttribute("visible", false);
-        }
-    },
-
     remove: function () {
         this.el.removeEventListener("click", this.onClick);
-        window.removeEventListener("keydown", this.hideTunnel);
     }
 });
 
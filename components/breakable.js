@@ -0,0 +1,341 @@
+/**
+ * BREAKABLE COMPONENT
+ * ===================
+ * Ceramics break. When a thrown exhibit hits a collider faster than the
+ * threshold (impact speed reported by pottery-physics), the model is
+ * swapped for procedurally fractured shards that fly apart under the same
+ * physics, with a sound cue. A floating "Restore" button then animates the
+ * shards back together and returns the original model to its
+ * data-initial-pos / data-initial-rot.
+ *
+ * Usage:
+ * <a-entity gltf-model="..." grabbable breakable="threshold: 3.5; shards: 8"></a-entity>
+ *
+ * Schema Properties:
+ * - threshold: Impact speed in m/s that breaks the object (default: 3.5)
+ * - shards: Number of shards to fracture into (default: 8)
+ * - sound: Optional audio file; a synthesised crack is used when empty
+ * - restoreDuration: Reassembly animation length in ms (default: 1200)
+ *
+ * Events: "shattered" { speed }, "restored"
+ */
+
+// One shared AudioContext for the synthesised crack
+let breakableAudioContext = null;
+
+AFRAME.registerComponent("breakable", {
+  schema: {
+    threshold: { type: "number", default: 3.5 },
+    shards: { type: "int", default: 8 },
+    sound: { type: "string", default: "" },
+    restoreDuration: { type: "number", default: 1200 }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.shardEls = [];
+    this.pendingImpact = 0;
+    this.restoring = false;
+
+    // Reusable objects
+    this.tempMatrix = new THREE.Matrix4();
+    this.tempVec = new THREE.Vector3();
+    this.cameraPos = new THREE.Vector3();
+
+    this.onCollide = (evt) => {
+      if (evt.detail.speed >= this.data.threshold && !this.el.is("broken")) {
+        this.pendingImpact = evt.detail.speed;
+      }
+    };
+    this.restore = this.restore.bind(this);
+    this.el.addEventListener("physics-collide", this.onCollide);
+  },
+
+  tick(time, timeDelta) {
+    // Shatter outside the physics step so bodies are not added mid-iteration
+    if (this.pendingImpact) {
+      const speed = this.pendingImpact;
+      this.pendingImpact = 0;
+      this.shatter(speed);
+    }
+
+    if (this.restoreButton) {
+      this.el.sceneEl.camera.getWorldPosition(this.cameraPos);
+      this.restoreButton.object3D.lookAt(this.cameraPos);
+    }
+
+    if (this.restoring) this.stepRestore(timeDelta);
+  },
+
+  shatter(speed) {
+    const mesh = this.el.getObject3D("mesh");
+    if (!mesh) return;
+
+    if (this.el.hasAttribute("throw-velocity")) this.el.removeAttribute("throw-velocity");
+    this.el.addState("broken");
+    // Keep the per-object grab setup (radius, attach point) for the restore
+    this.grabData = Object.assign({}, this.el.getAttribute("grabbable"));
+    this.el.removeAttribute("grabbable");
+
+    const object3D = this.el.object3D;
+    object3D.updateMatrixWorld(true);
+    const pieces = this.fracture(object3D, mesh);
+
+    const potPos = new THREE.Vector3();
+    const potQuat = new THREE.Quaternion();
+    const potScale = new THREE.Vector3();
+    object3D.matrixWorld.decompose(potPos, potQuat, potScale);
+    const impactPoint = new THREE.Box3().setFromObject(object3D).getCenter(new THREE.Vector3());
+
+    pieces.forEach((piece) => {
+      const shardEl = document.createElement("a-entity");
+      shardEl.classList.add("shard");
+      this.el.sceneEl.appendChild(shardEl);
+
+      // Assembled pose: pot transform plus the piece's offset inside the pot
+      const shard = shardEl.object3D;
+      shard.position.copy(piece.offset).applyMatrix4(object3D.matrixWorld);
+      shard.quaternion.copy(potQuat);
+      shard.scale.copy(potScale);
+      shardEl.setObject3D("mesh", piece.group);
+      shardEl.shardOffset = piece.offset;
+
+      // Scatter away from the impact centre with a little lift and spin
+      const out = this.tempVec.subVectors(shard.position, impactPoint).setY(0);
+      if (out.lengthSq() < 1e-6) out.set(Math.random() - 0.5, 0, Math.random() - 0.5);
+      out.normalize().multiplyScalar(speed * (0.15 + Math.random() * 0.2));
+      shardEl.setAttribute("throw-velocity", {
+        x: out.x,
+        y: 1 + Math.random() * 1.5,
+        z: out.z,
+        angularX: (Math.random() - 0.5) * 12,
+        angularY: (Math.random() - 0.5) * 12,
+        angularZ: (Math.random() - 0.5) * 12
+      });
+
+      this.shardEls.push(shardEl);
+    });
+
+    object3D.visible = false;
+    this.playShatterSound();
+    this.showRestoreButton(impactPoint);
+    this.el.emit("shattered", { speed });
+  },
+
+  // Splits the model's triangles into pieces around random seed points (pot-local space)
+  fracture(object3D, mesh) {
+    const toLocal = new THREE.Matrix4().copy(object3D.matrixWorld).invert();
+    const sources = [];
+    const bounds = new THREE.Box3();
+
+    mesh.traverse((node) => {
+      if (!node.isMesh || !node.geometry) return;
+      const geometry = node.geometry.index ? node.geometry.toNonIndexed() : node.geometry.clone();
+      geometry.applyMatrix4(this.tempMatrix.multiplyMatrices(toLocal, node.matrixWorld));
+      geometry.computeBoundingBox();
+      bounds.union(geometry.boundingBox);
+
+      const material = (Array.isArray(node.material) ? node.material[0] : node.material).clone();
+      material.side = THREE.DoubleSide;
+      sources.push({ geometry, material });
+    });
+
+    const seeds = [];
+    for (let i = 0; i < Math.max(1, this.data.shards); i++) {
+      seeds.push(new THREE.Vector3(
+        THREE.MathUtils.lerp(bounds.min.x, bounds.max.x, Math.random()),
+        THREE.MathUtils.lerp(bounds.min.y, bounds.max.y, Math.random()),
+        THREE.MathUtils.lerp(bounds.min.z, bounds.max.z, Math.random())
+      ));
+    }
+
+    const pieces = seeds.map(() => ({ group: new THREE.Group(), offset: new THREE.Vector3(), vertexCount: 0 }));
+    const centroid = new THREE.Vector3();
+
+    sources.forEach(({ geometry, material }) => {
+      const attributes = ["position", "normal", "uv"].filter((name) => geometry.attributes[name]);
+      const buckets = seeds.map(() => ({}));
+      const position = geometry.attributes.position;
+
+      for (let tri = 0; tri < position.count; tri += 3) {
+        centroid.set(0, 0, 0);
+        for (let v = 0; v < 3; v++) {
+          centroid.x += position.getX(tri + v) / 3;
+          centroid.y += position.getY(tri + v) / 3;
+          centroid.z += position.getZ(tri + v) / 3;
+        }
+
+        let nearest = 0;
+        let nearestDist = Infinity;
+        seeds.forEach((seed, index) => {
+          const dist = seed.distanceToSquared(centroid);
+          if (dist < nearestDist) {
+            nearestDist = dist;
+            nearest = index;
+          }
+        });
+
+        const bucket = buckets[nearest];
+        attributes.forEach((name) => {
+          const attr = geometry.attributes[name];
+          if (!bucket[name]) bucket[name] = [];
+          for (let v = 0; v < 3; v++) {
+            for (let c = 0; c < attr.itemSize; c++) bucket[name].push(attr.getComponent(tri + v, c));
+          }
+        });
+      }
+
+      buckets.forEach((bucket, index) => {
+        if (!bucket.position) return;
+        const shardGeometry = new THREE.BufferGeometry();
+        attributes.forEach((name) => {
+          const itemSize = geometry.attributes[name].itemSize;
+          shardGeometry.setAttribute(name, new THREE.Float32BufferAttribute(bucket[name], itemSize));
+        });
+        pieces[index].group.add(new THREE.Mesh(shardGeometry, material));
+        pieces[index].vertexCount += bucket.position.length / 3;
+      });
+      geometry.dispose();
+    });
+
+    // Centre every piece on its own bounds so it spins about itself
+    return pieces.filter((piece) => piece.vertexCount > 0).map((piece) => {
+      new THREE.Box3().setFromObject(piece.group).getCenter(piece.offset);
+      piece.group.children.forEach((child) => {
+        child.geometry.translate(-piece.offset.x, -piece.offset.y, -piece.offset.z);
+      });
+      return piece;
+    });
+  },
+
+  playShatterSound() {
+    if (this.data.sound) {
+      new Audio(this.data.sound).play().catch(() => {});
+      return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    if (!breakableAudioContext) breakableAudioContext = new AudioContextClass();
+    const ctx = breakableAudioContext;
+
+    // Short burst of filtered noise with a fast decay - a ceramic crack
+    const duration = 0.5;
+    const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * duration), ctx.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / samples.length, 3);
+    }
+
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    const filter = ctx.createBiquadFilter();
+    filter.type = "bandpass";
+    filter.frequency.value = 3200;
+    filter.Q.value = 0.8;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0.8, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(ctx.destination);
+    source.start();
+  },
+
+  showRestoreButton(position) {
+    const button = document.createElement("a-plane");
+    MuseumUtils.setPointable(button, true);
+    button.setAttribute("width", 0.35);
+    button.setAttribute("height", 0.12);
+    button.setAttribute("material", "color: #4CAF50; transparent: true; opacity: 0.9");
+    button.setAttribute("text", {
+      value: this.i18n.t("ui.restore", "Restore"),
+      align: "center",
+      width: 1.2,
+      color: "#ffffff",
+      font: this.i18n.textFont()
+    });
+    button.setAttribute("position", { x: position.x, y: position.y + 0.35, z: position.z });
+    button.addEventListener("click", this.restore);
+
+    this.el.sceneEl.appendChild(button);
+    this.restoreButton = button;
+  },
+
+  restore() {
+    if (!this.el.is("broken") || this.restoring) return;
+
+    if (this.restoreButton) {
+      this.restoreButton.removeEventListener("click", this.restore);
+      this.restoreButton.parentNode.removeChild(this.restoreButton);
+      this.restoreButton = null;
+    }
+
+    // Put the (hidden) original back home so the shards know where to fly
+    this.el.sceneEl.systems["pottery-physics"].sendHome(this.el);
+    const object3D = this.el.object3D;
+    object3D.updateMatrixWorld(true);
+    const homeQuat = new THREE.Quaternion();
+    object3D.matrixWorld.decompose(new THREE.Vector3(), homeQuat, new THREE.Vector3());
+
+    this.shardEls.forEach((shardEl) => {
+      if (shardEl.hasAttribute("throw-velocity")) shardEl.removeAttribute("throw-velocity");
+      const shard = shardEl.object3D;
+      shardEl.restoreFrom = { position: shard.position.clone(), quaternion: shard.quaternion.clone() };
+      shardEl.restoreTo = {
+        position: shardEl.shardOffset.clone().applyMatrix4(object3D.matrixWorld),
+        quaternion: homeQuat
+      };
+    });
+
+    this.restoreElapsed = 0;
+    this.restoring = true;
+  },
+
+  stepRestore(timeDelta) {
+    this.restoreElapsed += timeDelta || 0;
+    const progress = Math.min(this.restoreElapsed / this.data.restoreDuration, 1);
+    const eased = progress < 0.5 ? 2 * progress * progress : (4 - 2 * progress) * progress - 1;
+
+    this.shardEls.forEach((shardEl) => {
+      const shard = shardEl.object3D;
+      shard.position.lerpVectors(shardEl.restoreFrom.position, shardEl.restoreTo.position, eased);
+      shard.quaternion.slerpQuaternions(shardEl.restoreFrom.quaternion, shardEl.restoreTo.quaternion, eased);
+    });
+
+    if (progress >= 1) {
+      this.restoring = false;
+      this.removeShards();
+      this.el.object3D.visible = true;
+      this.el.setAttribute("grabbable", this.grabData || "");
+      this.el.removeState("broken");
+      this.el.emit("restored");
+    }
+  },
+
+  removeShards() {
+    // Shards of one source mesh share its cloned material
+    const materials = new Set();
+    this.shardEls.forEach((shardEl) => {
+      const group = shardEl.getObject3D("mesh");
+      if (group) {
+        group.children.forEach((child) => {
+          child.geometry.dispose();
+          materials.add(child.material);
+        });
+      }
+      if (shardEl.parentNode) shardEl.parentNode.removeChild(shardEl);
+    });
+    materials.forEach((material) => material.dispose());
+    this.shardEls = [];
+  },
+
+  remove() {
+    this.el.removeEventListener("physics-collide", this.onCollide);
+    if (this.restoreButton && this.restoreButton.parentNode) {
+      this.restoreButton.parentNode.removeChild(this.restoreButton);
+    }
+    this.removeShards();
+  }
+});
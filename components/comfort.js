@@ -0,0 +1,473 @@
+/**
+ * COMFORT SETTINGS
+ * ================
+ * Turning, the tunnelling vignette and the visitor's height in VR, for
+ * visitors who get motion sick or sit down.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. comfort (system)
+ *    The settings, kept in localStorage:
+ *    - turnMode: "snap", "smooth" or "off" - what the snap-turn action
+ *      (thumbstick left / right, see input-actions.js) does
+ *    - snapAngle: Degrees per snap turn (default: 30)
+ *    - smoothTurnSpeed: Degrees per second of smooth turning (default: 90)
+ *    - vignette: Strength of the tunnelling vignette, 0 (off) to 1 (default: 0.6)
+ *    - moveSpeed: movement-controls speed of the rig (default: 0.1)
+ *    - heightMode: "standing" (the headset's own floor) or "seated"
+ *    - heightOffset: Metres added to a seated visitor's head, measured by
+ *      calibrateHeight() from where the head is now
+ *      const comfort = sceneEl.systems.comfort;
+ *      comfort.set("turnMode", "smooth");
+ *      comfort.set("heightMode", "seated"); // calibrates in VR
+ *    A seated visitor is calibrated again each time they enter VR, once the
+ *    headset has placed the camera (calibrateDelay ms later).
+ *    Emits "comfort-changed" { settings } on the scene.
+ *
+ * 2. comfort-rig
+ *    Turns the rig around the visitor's head on the snap-turn action and
+ *    keeps its movement-controls speed at moveSpeed. Attach to the rig.
+ *    The only thing that turns the rig: the right-stick turning of
+ *    movement-controls' gamepad-controls is switched off
+ *    (rotationSensitivity: 0), which keeps the left stick walking.
+ *    <a-entity id="rig" movement-controls comfort-rig></a-entity>
+ *
+ * 3. comfort-height
+ *    Lifts its children by the seated height offset while in VR. Wrap the
+ *    camera and the hands in it, inside the rig.
+ *    <a-entity comfort-height><a-entity camera></a-entity>...</a-entity>
+ *
+ * 4. comfort-vignette
+ *    Darkens the edges of the view while the rig moves or turns (walking,
+ *    teleporting, turning, guided tour travel) and from "navigation-start"
+ *    to "navigation-end". Only shown in VR. Attach to a child of the camera.
+ *    The clear view closes from openAperture (60° off the view axis, past
+ *    a headset's edge) towards aperture (20°) with the vignette strength:
+ *    at full motion "Medium" (0.6) leaves 36°, "High" (0.9) 24°.
+ *    <a-entity camera><a-entity id="tunnel" comfort-vignette="rig: #rig"></a-entity></a-entity>
+ *
+ * 5. vr-comfort-panel
+ *    Buttons for turning, vignette and seated / standing next to the
+ *    language panel while in VR. Attach to the camera.
+ */
+
+const COMFORT_TURN_OPTIONS = [
+  { turnMode: "snap", snapAngle: 30 },
+  { turnMode: "snap", snapAngle: 45 },
+  { turnMode: "smooth" },
+  { turnMode: "off" }
+];
+const COMFORT_VIGNETTE_OPTIONS = [0, 0.3, 0.6, 0.9];
+
+const COMFORT_VIGNETTE_VERTEX = `
+varying vec2 vOffset;
+void main() {
+  vOffset = position.xy;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+// Clear inside the aperture, black outside, with a soft edge between. The
+// aperture and feather are view angles (degrees off the view axis), from the
+// quad's distance in front of the eyes.
+const COMFORT_VIGNETTE_FRAGMENT = `
+uniform float aperture;
+uniform float feather;
+uniform float opacity;
+uniform float distance;
+varying vec2 vOffset;
+void main() {
+  float angle = degrees(atan(length(vOffset), distance));
+  gl_FragColor = vec4(0.0, 0.0, 0.0, opacity * smoothstep(aperture, aperture + feather, angle));
+}
+`;
+
+AFRAME.registerSystem("comfort", {
+  schema: {
+    turnMode: { type: "string", default: "snap", oneOf: ["snap", "smooth", "off"] },
+    snapAngle: { type: "number", default: 30 },
+    smoothTurnSpeed: { type: "number", default: 90 },
+    vignette: { type: "number", default: 0.6 },
+    moveSpeed: { type: "number", default: 0.1 },
+    heightMode: { type: "string", default: "standing", oneOf: ["standing", "seated"] },
+    eyeHeight: { type: "number", default: 1.6 },
+    calibrateDelay: { type: "number", default: 500 },
+    storageKey: { type: "string", default: "comfort" }
+  },
+
+  init() {
+    this.time = 0;
+    // Scene time of the pending seated calibration, -1 for none
+    this.calibrateAt = -1;
+    this.restoreSettings();
+
+    this.onEnterVR = () => {
+      if (this.settings.heightMode === "seated") this.calibrateAt = this.time + this.data.calibrateDelay;
+    };
+    this.onExitVR = () => { this.calibrateAt = -1; };
+    this.el.addEventListener("enter-vr", this.onEnterVR);
+    this.el.addEventListener("exit-vr", this.onExitVR);
+  },
+
+  restoreSettings() {
+    const data = this.data;
+    this.settings = {
+      turnMode: data.turnMode,
+      snapAngle: data.snapAngle,
+      smoothTurnSpeed: data.smoothTurnSpeed,
+      vignette: data.vignette,
+      moveSpeed: data.moveSpeed,
+      heightMode: data.heightMode,
+      heightOffset: 0
+    };
+    const stored = MuseumUtils.loadStored(data.storageKey);
+    if (stored && typeof stored === "object") {
+      Object.keys(this.settings).forEach((name) => {
+        if (typeof stored[name] === typeof this.settings[name]) this.settings[name] = stored[name];
+      });
+    }
+  },
+
+  storeSettings() {
+    MuseumUtils.store(this.data.storageKey, this.settings);
+  },
+
+  set(name, value) {
+    if (!(name in this.settings)) {
+      console.warn(`comfort: unknown setting "${name}"`);
+      return;
+    }
+    this.settings[name] = value;
+    if (name === "vignette") this.settings.vignette = THREE.MathUtils.clamp(value, 0, 1);
+    if (name === "heightMode" && value === "seated" && this.el.is("vr-mode")) {
+      this.calibrateHeight();
+      return;
+    }
+    this.changed();
+  },
+
+  // Seated: lift the head from where it is now to standing eye height
+  calibrateHeight() {
+    const camera = this.el.camera;
+    if (!camera) return;
+    // The headset moves the camera inside its entity
+    const headHeight = camera.position.y + (camera.el ? camera.el.object3D.position.y : 0);
+    this.settings.heightOffset = this.settings.heightMode === "seated"
+      ? Math.max(0, this.data.eyeHeight - headHeight)
+      : 0;
+    this.changed();
+  },
+
+  changed() {
+    this.storeSettings();
+    this.el.emit("comfort-changed", { settings: Object.assign({}, this.settings) });
+  },
+
+  tick(time) {
+    this.time = time;
+    if (this.calibrateAt < 0 || time < this.calibrateAt) return;
+    this.calibrateAt = -1;
+    if (this.settings.heightMode === "seated") this.calibrateHeight();
+  }
+});
+
+AFRAME.registerComponent("comfort-rig", {
+  init() {
+    this.system = this.el.sceneEl.systems.comfort;
+    // Hand -> direction it is smooth-turning in (1 left, -1 right)
+    this.turning = new Map();
+
+    // Reusable objects
+    this.pivot = new THREE.Vector3();
+    this.up = new THREE.Vector3(0, 1, 0);
+    this.rotation = new THREE.Quaternion();
+
+    this.applySettings = this.applySettings.bind(this);
+    this.onTurnDown = this.onTurnDown.bind(this);
+    this.onTurnUp = (evt) => this.turning.delete(evt.detail.hand);
+    // movement-controls adds its gamepad-controls once the scene has loaded
+    this.onComponentInitialized = (evt) => {
+      if (evt.detail === "gamepad-controls") this.stopGamepadTurning();
+    };
+
+    this.el.addEventListener("componentinitialized", this.onComponentInitialized);
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("comfort-changed", this.applySettings);
+    sceneEl.addEventListener("snap-turn-down", this.onTurnDown);
+    sceneEl.addEventListener("snap-turn-up", this.onTurnUp);
+    this.applySettings();
+  },
+
+  applySettings() {
+    const settings = this.system.settings;
+    if (this.el.hasAttribute("movement-controls")) {
+      this.el.setAttribute("movement-controls", "speed", settings.moveSpeed);
+    }
+    if (settings.turnMode !== "smooth") this.turning.clear();
+    this.stopGamepadTurning();
+  },
+
+  stopGamepadTurning() {
+    const gamepadControls = this.el.components["gamepad-controls"];
+    if (gamepadControls && gamepadControls.data.rotationSensitivity !== 0) {
+      this.el.setAttribute("gamepad-controls", "rotationSensitivity", 0);
+    }
+  },
+
+  onTurnDown(evt) {
+    const settings = this.system.settings;
+    const direction = { left: 1, right: -1 }[evt.detail.direction] || 0;
+    if (!direction || this.el.sceneEl.is("inspecting")) return;
+    if (settings.turnMode === "snap") {
+      this.turn(direction * THREE.MathUtils.degToRad(settings.snapAngle));
+    } else if (settings.turnMode === "smooth") {
+      this.turning.set(evt.detail.hand, direction);
+    }
+  },
+
+  // Turns the rig about the vertical through the head, so the visitor stays where they stand
+  turn(angle) {
+    const camera = this.el.sceneEl.camera;
+    const object3D = this.el.object3D;
+    if (camera) {
+      camera.getWorldPosition(this.pivot);
+    } else {
+      object3D.getWorldPosition(this.pivot);
+    }
+    this.rotation.setFromAxisAngle(this.up, angle);
+    object3D.position.sub(this.pivot).applyQuaternion(this.rotation).add(this.pivot);
+    object3D.quaternion.premultiply(this.rotation);
+  },
+
+  tick(time, timeDelta) {
+    if (!this.turning.size || !timeDelta) return;
+    let direction = 0;
+    this.turning.forEach((value) => { direction += value; });
+    if (!direction) return;
+    const speed = THREE.MathUtils.degToRad(this.system.settings.smoothTurnSpeed);
+    this.turn(Math.sign(direction) * speed * timeDelta / 1000);
+  },
+
+  remove() {
+    this.el.removeEventListener("componentinitialized", this.onComponentInitialized);
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("comfort-changed", this.applySettings);
+    sceneEl.removeEventListener("snap-turn-down", this.onTurnDown);
+    sceneEl.removeEventListener("snap-turn-up", this.onTurnUp);
+  }
+});
+
+AFRAME.registerComponent("comfort-height", {
+  init() {
+    this.system = this.el.sceneEl.systems.comfort;
+    this.apply = this.apply.bind(this);
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("comfort-changed", this.apply);
+    sceneEl.addEventListener("enter-vr", this.apply);
+    sceneEl.addEventListener("exit-vr", this.apply);
+    this.apply();
+  },
+
+  // The desktop camera already stands at eye height
+  apply() {
+    const settings = this.system.settings;
+    const seated = settings.heightMode === "seated" && this.el.sceneEl.is("vr-mode");
+    this.el.object3D.position.y = seated ? settings.heightOffset : 0;
+  },
+
+  remove() {
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("comfort-changed", this.apply);
+    sceneEl.removeEventListener("enter-vr", this.apply);
+    sceneEl.removeEventListener("exit-vr", this.apply);
+    this.el.object3D.position.y = 0;
+  }
+});
+
+AFRAME.registerComponent("comfort-vignette", {
+  schema: {
+    rig: { type: "selector", default: "#rig" },
+    speed: { type: "number", default: 1.5 },
+    turnSpeed: { type: "number", default: 60 },
+    // Degrees off the view axis where the darkening starts: at full strength,
+    // and with no vignette (just past the edge of a headset's view)
+    aperture: { type: "number", default: 20 },
+    openAperture: { type: "number", default: 60 },
+    feather: { type: "number", default: 10 },
+    distance: { type: "number", default: 0.5 },
+    fadeIn: { type: "number", default: 8 },
+    fadeOut: { type: "number", default: 2 }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems.comfort;
+    this.strength = 0;
+    this.navigating = false;
+    this.hasLastPose = false;
+
+    // Reusable objects
+    this.position = new THREE.Vector3();
+    this.lastPosition = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+    this.lastQuaternion = new THREE.Quaternion();
+
+    // A quad in front of the eyes, wider than any headset's view. Far enough
+    // that the eyes' offset from the camera barely moves the aperture.
+    const data = this.data;
+    this.material = new THREE.ShaderMaterial({
+      vertexShader: COMFORT_VIGNETTE_VERTEX,
+      fragmentShader: COMFORT_VIGNETTE_FRAGMENT,
+      uniforms: {
+        aperture: { value: data.openAperture },
+        feather: { value: data.feather },
+        opacity: { value: 0 },
+        distance: { value: data.distance }
+      },
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    });
+    const size = 2 * data.distance * Math.tan(THREE.MathUtils.degToRad(85));
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(size, size), this.material);
+    this.mesh.position.z = -data.distance;
+    this.mesh.renderOrder = 1000;
+    this.mesh.frustumCulled = false;
+    this.mesh.visible = false;
+    this.el.setObject3D("mesh", this.mesh);
+
+    this.onNavigationStart = () => { this.navigating = true; };
+    this.onNavigationEnd = () => { this.navigating = false; };
+    this.el.sceneEl.addEventListener("navigation-start", this.onNavigationStart);
+    this.el.sceneEl.addEventListener("navigation-end", this.onNavigationEnd);
+  },
+
+  // 0 at rest, 1 at `speed` m/s or `turnSpeed` degrees/s and above
+  motion(dt) {
+    const rig = this.data.rig;
+    if (!rig) return 0;
+    rig.object3D.getWorldPosition(this.position);
+    rig.object3D.getWorldQuaternion(this.quaternion);
+    let motion = 0;
+    if (this.hasLastPose) {
+      const speed = this.position.distanceTo(this.lastPosition) / dt;
+      const turnSpeed = THREE.MathUtils.radToDeg(this.quaternion.angleTo(this.lastQuaternion)) / dt;
+      motion = Math.max(speed / this.data.speed, turnSpeed / this.data.turnSpeed);
+    }
+    this.lastPosition.copy(this.position);
+    this.lastQuaternion.copy(this.quaternion);
+    this.hasLastPose = true;
+    return Math.min(motion, 1);
+  },
+
+  tick(time, timeDelta) {
+    if (!timeDelta) return;
+    const dt = timeDelta / 1000;
+    const motion = this.navigating ? 1 : this.motion(dt);
+    if (this.navigating) this.hasLastPose = false;
+
+    const active = this.el.sceneEl.is("vr-mode");
+    const target = active ? motion * this.system.settings.vignette : 0;
+    const rate = target > this.strength ? this.data.fadeIn : this.data.fadeOut;
+    this.strength += (target - this.strength) * Math.min(1, rate * dt);
+    if (this.strength < 0.01 && target === 0) this.strength = 0;
+
+    // Full strength closes the view down to the aperture; none leaves it past the edges
+    const uniforms = this.material.uniforms;
+    uniforms.aperture.value = THREE.MathUtils.lerp(this.data.openAperture, this.data.aperture, this.strength);
+    uniforms.feather.value = this.data.feather;
+    uniforms.opacity.value = Math.min(1, this.strength * 2);
+    this.mesh.visible = this.strength > 0;
+  },
+
+  remove() {
+    this.el.sceneEl.removeEventListener("navigation-start", this.onNavigationStart);
+    this.el.sceneEl.removeEventListener("navigation-end", this.onNavigationEnd);
+    this.el.removeObject3D("mesh");
+    this.mesh.geometry.dispose();
+    this.material.dispose();
+  }
+});
+
+AFRAME.registerComponent("vr-comfort-panel", {
+  schema: {
+    distance: { type: "number", default: 2.5 },
+    x: { type: "number", default: -0.66 },
+    y: { type: "number", default: 0.62 },
+    buttonWidth: { type: "number", default: 0.26 },
+    buttonHeight: { type: "number", default: 0.06 }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems.comfort;
+    this.i18n = this.el.sceneEl.systems.i18n;
+
+    const data = this.data;
+    const step = data.buttonWidth + 0.02;
+    const button = (index, onClick) => {
+      const el = document.createElement("a-plane");
+      MuseumUtils.setPointable(el, true);
+      el.setAttribute("width", data.buttonWidth);
+      el.setAttribute("height", data.buttonHeight);
+      el.setAttribute("position", `${data.x + (index - 1) * step} ${data.y} -${data.distance}`);
+      el.setAttribute("material", "color: #000000; transparent: true; opacity: 0.8");
+      el.addEventListener("click", onClick);
+      this.el.appendChild(el);
+      return el;
+    };
+    this.turnButton = button(0, () => this.nextTurnOption());
+    this.vignetteButton = button(1, () => this.nextVignetteOption());
+    this.heightButton = button(2, () => {
+      this.system.set("heightMode", this.system.settings.heightMode === "seated" ? "standing" : "seated");
+    });
+
+    this.refresh = this.refresh.bind(this);
+    this.el.sceneEl.addEventListener("comfort-changed", this.refresh);
+    this.el.sceneEl.addEventListener("locale-changed", this.refresh);
+    this.refresh();
+  },
+
+  nextTurnOption() {
+    const settings = this.system.settings;
+    const current = COMFORT_TURN_OPTIONS.findIndex((option) => option.turnMode === settings.turnMode &&
+      (option.turnMode !== "snap" || option.snapAngle === settings.snapAngle));
+    const next = COMFORT_TURN_OPTIONS[(current + 1) % COMFORT_TURN_OPTIONS.length];
+    if (next.snapAngle) this.system.set("snapAngle", next.snapAngle);
+    this.system.set("turnMode", next.turnMode);
+  },
+
+  nextVignetteOption() {
+    const vignette = this.system.settings.vignette;
+    const next = COMFORT_VIGNETTE_OPTIONS.find((value) => value > vignette + 0.01);
+    this.system.set("vignette", next === undefined ? COMFORT_VIGNETTE_OPTIONS[0] : next);
+  },
+
+  refresh() {
+    const t = (key, fallback) => this.i18n.t(key, fallback);
+    const settings = this.system.settings;
+    const turn = {
+      snap: `${t("comfort.snap", "Snap")} ${settings.snapAngle}°`,
+      smooth: t("comfort.smooth", "Smooth"),
+      off: t("comfort.off", "Off")
+    }[settings.turnMode];
+    const levels = [t("comfort.off", "Off"), t("comfort.low", "Low"), t("comfort.medium", "Medium"), t("comfort.high", "High")];
+    const level = COMFORT_VIGNETTE_OPTIONS.reduce((best, value, index) =>
+      (Math.abs(value - settings.vignette) < Math.abs(COMFORT_VIGNETTE_OPTIONS[best] - settings.vignette) ? index : best), 0);
+    const height = settings.heightMode === "seated" ? t("comfort.seated", "Seated") : t("comfort.standing", "Standing");
+
+    const label = (el, value) => el.setAttribute("text", {
+      value, align: "center", width: 0.6, color: "#ffffff", font: this.i18n.textFont()
+    });
+    label(this.turnButton, `${t("comfort.turn", "Turn")}: ${turn}`);
+    label(this.vignetteButton, `${t("comfort.vignette", "Vignette")}: ${levels[level]}`);
+    label(this.heightButton, height);
+  },
+
+  remove() {
+    this.el.sceneEl.removeEventListener("comfort-changed", this.refresh);
+    this.el.sceneEl.removeEventListener("locale-changed", this.refresh);
+    [this.turnButton, this.vignetteButton, this.heightButton].forEach((el) => {
+      if (el.parentNode) el.parentNode.removeChild(el);
+    });
+  }
+});
@@ -0,0 +1,196 @@
+/**
+ * DISTANCE GRAB COMPONENT
+ * =======================
+ * Force-pull for exhibits that are out of reach. Point the controller at a
+ * [grabbable] (the ray from laser-pointer is reused), the target gets an
+ * outline, then hold grip and flick the hand back towards yourself - the
+ * object flies into the hand and is grabbed through the grab system like a
+ * normal pick-up (including its snap / attach point).
+ *
+ * Needs simple-grab (hand kinematics) and laser-pointer (ray) on the same
+ * controller. The potter's wheel is too heavy to be pulled. Only targets in
+ * VR, while a controller is connected or tracked-hand drives the hand.
+ *
+ * Usage:
+ * <a-entity oculus-touch-controls="hand: right" simple-grab laser-pointer distance-grab></a-entity>
+ *
+ * Schema Properties:
+ * - maxDistance: How far the ray reaches in meters (default: 8)
+ * - flickSpeed: Hand speed towards the user (m/s) that triggers the pull (default: 1.2)
+ * - pullDuration: Flight time into the hand in ms (default: 300)
+ * - interval: How often (ms) the ray looks for a target (default: 100)
+ * - color: Outline color of the targeted object (default: #4CAF50)
+ * - grabEvent / releaseEvent: Hand events, same as simple-grab (default: grab-down / grab-up)
+ *
+ * Events (on the pulled object): "distance-grab-start" { hand }
+ */
+
+AFRAME.registerComponent("distance-grab", {
+  schema: {
+    maxDistance: { type: "number", default: 8 },
+    flickSpeed: { type: "number", default: 1.2 },
+    pullDuration: { type: "number", default: 300 },
+    interval: { type: "number", default: 100 },
+    color: { type: "color", default: "#4CAF50" },
+    grabEvent: { type: "string", default: "grab-down" },
+    releaseEvent: { type: "string", default: "grab-up" }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems.grab;
+    this.target = null;
+    this.armed = false;
+    this.gripHeld = false;
+    this.pull = null;
+    this.connected = false;
+    this.lastSearch = -Infinity;
+
+    // Reusable objects
+    this.targets = [];
+    this.pullDirection = new THREE.Vector3();
+    this.tempPos = new THREE.Vector3();
+    this.box = new THREE.Box3();
+
+    this.highlight = new THREE.Box3Helper(this.box, new THREE.Color(this.data.color));
+    this.highlight.visible = false;
+    this.el.sceneEl.object3D.add(this.highlight);
+
+    this.onGrabDown = this.onGrabDown.bind(this);
+    this.onGrabUp = this.onGrabUp.bind(this);
+    this.onControllerConnected = () => { this.connected = true; };
+    this.onControllerDisconnected = () => { this.connected = false; };
+    this.el.addEventListener(this.data.grabEvent, this.onGrabDown);
+    this.el.addEventListener(this.data.releaseEvent, this.onGrabUp);
+    this.el.addEventListener("controllerconnected", this.onControllerConnected);
+    this.el.addEventListener("controllerdisconnected", this.onControllerDisconnected);
+  },
+
+  isTracked() {
+    return this.el.sceneEl.is("vr-mode") && (this.connected || this.el.is("hand-tracked"));
+  },
+
+  onGrabDown() {
+    // Arm only when nothing is in reach - simple-grab handles close objects
+    this.gripHeld = true;
+    this.armed = !!this.target;
+  },
+
+  onGrabUp() {
+    this.gripHeld = false;
+    this.armed = false;
+  },
+
+  tick(time, timeDelta) {
+    const hand = this.el.components["simple-grab"];
+    if (!hand) return;
+
+    if (this.pull) {
+      this.stepPull(hand, timeDelta);
+      return;
+    }
+
+    // A close object was grabbed on this press, the hand is busy, or there is no hand to point with
+    if (this.system.heldBy(hand) || !this.isTracked()) {
+      this.armed = false;
+      if (this.target) this.setTarget(null);
+      return;
+    }
+
+    if (!this.armed && time - this.lastSearch >= this.data.interval) {
+      this.lastSearch = time;
+      this.setTarget(this.findTarget());
+    }
+    if (!this.armed || !this.target) return;
+
+    // Flick: the hand moves quickly towards the user's head. The pointer
+    // ray turns with the wrist, so it is no good as the reference here.
+    const camera = this.el.sceneEl.camera;
+    if (!camera) return;
+    camera.getWorldPosition(this.pullDirection);
+    this.el.object3D.getWorldPosition(this.tempPos);
+    this.pullDirection.sub(this.tempPos).normalize();
+    if (hand.velocity.dot(this.pullDirection) >= this.data.flickSpeed) {
+      this.startPull(this.target);
+    }
+  },
+
+  findTarget() {
+    const pointer = this.el.components["laser-pointer"];
+    if (!pointer || !pointer.updateRay()) return null;
+
+    this.targets.length = 0;
+    document.querySelectorAll("[grabbable]").forEach((el) => {
+      if (MuseumUtils.isHeavyObject(el) || el.is("broken") || this.system.ownersOf(el).length) return;
+      this.targets.push(el.object3D);
+    });
+
+    const raycaster = pointer.raycaster;
+    raycaster.far = this.data.maxDistance;
+    const intersects = raycaster.intersectObjects(this.targets, true);
+    raycaster.far = Infinity;
+
+    for (let i = 0; i < intersects.length; i++) {
+      const grabbableEl = MuseumUtils.findGrabbableEl(intersects[i].object);
+      if (grabbableEl) return grabbableEl;
+    }
+    return null;
+  },
+
+  setTarget(el) {
+    this.target = el;
+    this.highlight.visible = !!el;
+    if (el) this.box.setFromObject(el.object3D);
+  },
+
+  startPull(el) {
+    const object3D = el.object3D;
+    this.armed = false;
+
+    // Take the object away from pottery-physics for the flight
+    this.system.storeHomePose(el);
+    el.setAttribute("grabbed", true);
+    el.removeAttribute("throw-velocity");
+
+    this.pull = {
+      el,
+      elapsed: 0,
+      from: object3D.getWorldPosition(new THREE.Vector3())
+    };
+    el.emit("distance-grab-start", { hand: this.el });
+  },
+
+  stepPull(hand, timeDelta) {
+    const pull = this.pull;
+    const el = pull.el;
+    pull.elapsed += timeDelta;
+    const progress = Math.min(1, pull.elapsed / this.data.pullDuration);
+    const eased = 1 - Math.pow(1 - progress, 3);
+
+    this.tempPos.lerpVectors(pull.from, hand.position, eased);
+    this.system.setWorldPosition(el, this.tempPos);
+    this.box.setFromObject(el.object3D);
+
+    if (progress < 1) return;
+
+    this.pull = null;
+    this.setTarget(null);
+    el.removeAttribute("grabbed");
+    if (this.gripHeld) {
+      this.system.grab(hand, el);
+    } else {
+      // Grip let go mid-flight - drop it where it arrived
+      el.setAttribute("throw-velocity", "");
+    }
+  },
+
+  remove() {
+    if (this.pull) this.pull.el.removeAttribute("grabbed");
+    this.el.removeEventListener(this.data.grabEvent, this.onGrabDown);
+    this.el.removeEventListener(this.data.releaseEvent, this.onGrabUp);
+    this.el.removeEventListener("controllerconnected", this.onControllerConnected);
+    this.el.removeEventListener("controllerdisconnected", this.onControllerDisconnected);
+    this.el.sceneEl.object3D.remove(this.highlight);
+    this.highlight.geometry.dispose();
+    this.highlight.material.dispose();
+  }
+});
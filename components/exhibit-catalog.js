@@ -0,0 +1,111 @@
+/**
+ * EXHIBIT CATALOG
+ * ===============
+ * Reads the exhibit catalog (data/exhibits.json) and spawns one grabbable
+ * entity per exhibit. The same data feeds the VR banners, so a curator can
+ * add a pot by adding an entry to the JSON file. The catalog title and
+ * description are the fallback for the per-locale tables (see i18n.js),
+ * which use the keys exhibits.<id>.title and exhibits.<id>.description.
+ *
+ * Catalog entry fields:
+ *   id, model, thumbnail, position, rotation, scale,
+ *   title, description, maker, date, inventoryNumber,
+ *   breakable (optional, set to false for exhibits that must not shatter),
+ *   label (optional exhibit-label properties, or false for no label in
+ *          the world, see exhibit-label.js),
+ *   narration (optional: true narrates the description as subtitles when
+ *              the exhibit is picked up, or the URL of a clip to play with
+ *              them, see museum-audio.js; "{locale}" becomes the active locale),
+ *   grab (optional grabbable properties, e.g. the attach point of a handle:
+ *         { "radius": 0.2, "snap": true, "attachPoint": "-0.3 0.5 0" })
+ *
+ * Usage:
+ * <a-entity exhibit-loader="src: data/exhibits.json"></a-entity>
+ *
+ * Other components can wait for the data through the system:
+ *   this.el.sceneEl.systems["exhibit-catalog"].onReady((exhibits) => { ... });
+ */
+
+AFRAME.registerSystem("exhibit-catalog", {
+  init() {
+    this.exhibits = [];
+    this.isLoaded = false;
+    this.request = null;
+  },
+
+  load(src) {
+    if (!this.request) {
+      this.request = fetch(src)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`exhibit-catalog: failed to load ${src} (${response.status})`);
+          }
+          return response.json();
+        })
+        .then((catalog) => {
+          this.exhibits = catalog.exhibits || [];
+          this.isLoaded = true;
+          this.el.emit("exhibits-loaded", { exhibits: this.exhibits });
+          return this.exhibits;
+        });
+    }
+    return this.request;
+  },
+
+  // Calls back immediately if the catalog is already loaded, otherwise once it is
+  onReady(callback) {
+    if (this.isLoaded) {
+      callback(this.exhibits);
+      return;
+    }
+    this.el.addEventListener("exhibits-loaded", (e) => callback(e.detail.exhibits), { once: true });
+  },
+
+  getExhibit(id) {
+    return this.exhibits.find((exhibit) => exhibit.id === id) || null;
+  }
+});
+
+AFRAME.registerComponent("exhibit-loader", {
+  schema: {
+    src: { type: "string", default: "data/exhibits.json" }
+  },
+
+  init() {
+    this.catalog = this.el.sceneEl.systems["exhibit-catalog"];
+    this.catalog.load(this.data.src)
+      .then((exhibits) => exhibits.forEach((exhibit) => this.spawnExhibit(exhibit)))
+      .catch((err) => console.error(err));
+  },
+
+  spawnExhibit(exhibit) {
+    const el = document.createElement("a-entity");
+    el.setAttribute("id", exhibit.id);
+    el.setAttribute("gltf-model", exhibit.model);
+    el.setAttribute("position", exhibit.position || "0 0 0");
+    el.setAttribute("rotation", exhibit.rotation || "0 0 0");
+    el.setAttribute("scale", exhibit.scale || "1 1 1");
+    el.setAttribute("grabbable", exhibit.grab || "");
+    el.setAttribute("data-title", exhibit.title || "");
+    el.setAttribute("data-description", exhibit.description || "");
+    el.setAttribute("data-maker", exhibit.maker || "");
+    el.setAttribute("data-date", exhibit.date || "");
+    el.setAttribute("data-inventory-number", exhibit.inventoryNumber || "");
+    if (exhibit.narration) {
+      el.setAttribute("data-narration", exhibit.narration === true ? "" : exhibit.narration);
+    }
+    if (exhibit.breakable !== false) {
+      el.setAttribute("breakable", "");
+    }
+    el.setAttribute("localized", {
+      title: `exhibits.${exhibit.id}.title`,
+      description: `exhibits.${exhibit.id}.description`
+    });
+    // After localized, so the label starts out in the active locale
+    if (exhibit.label !== false) {
+      el.setAttribute("exhibit-label", exhibit.label || "");
+    }
+    this.el.appendChild(el);
+    return el;
+  }
+});
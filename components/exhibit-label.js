@@ -0,0 +1,223 @@
+/**
+ * EXHIBIT LABEL
+ * =============
+ * A museum label standing above an exhibit in the world: title, maker and
+ * date, turned towards the visitor and fading in as they walk up to it.
+ * Selecting the label (mouse click, or the trigger while pointing at it)
+ * opens it into a card with the full description; selecting it again, or
+ * opening another label, closes it. The label follows the exhibit when it
+ * is put down elsewhere and hides while the exhibit is held.
+ *
+ * Texts come from the exhibit's data-title / data-description (kept in the
+ * active locale by the localized component, see i18n.js), data-maker and
+ * data-date. The label lives at the scene root so it doesn't take on the
+ * exhibit's scale or rotation.
+ *
+ * exhibit-catalog.js adds it to every catalog exhibit. By hand:
+ * <a-entity gltf-model="..." grabbable data-title="Jug" data-maker="..."
+ *   exhibit-label="offset: 0 0.1 0"></a-entity>
+ *
+ * Schema Properties:
+ * - offset: Label position relative to the top of the exhibit (default: 0 0.08 0)
+ * - width: Label width in metres (default: 0.36)
+ * - fadeNear / fadeFar: Horizontal distance from the visitor at which the
+ *   label is fully shown / gone (default: 1.5 / 3)
+ * - color / accentColor: Background and hint text colours
+ *
+ * Emits "exhibit-label-expanded" / "exhibit-label-collapsed" from the exhibit.
+ */
+
+const LABEL_HEIGHT = 0.14;
+const LABEL_CARD_HEIGHT = 0.46;
+
+AFRAME.registerComponent("exhibit-label", {
+  schema: {
+    offset: { type: "vec3", default: { x: 0, y: 0.08, z: 0 } },
+    width: { type: "number", default: 0.36 },
+    fadeNear: { type: "number", default: 1.5 },
+    fadeFar: { type: "number", default: 3 },
+    color: { type: "color", default: "#1a1a1a" },
+    accentColor: { type: "color", default: "#ffcc66" }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.expanded = false;
+    this.held = false;
+    this.opacity = -1;
+    this.top = 0;
+
+    // Reusable objects
+    this.anchor = new THREE.Vector3();
+    this.cameraPos = new THREE.Vector3();
+    this.box = new THREE.Box3();
+
+    this.refresh = this.refresh.bind(this);
+    this.measure = this.measure.bind(this);
+    this.toggle = this.toggle.bind(this);
+    this.onOtherExpanded = (evt) => {
+      if (evt.target !== this.el && this.expanded) this.setExpanded(false);
+    };
+    this.onGrabStart = () => { this.held = true; };
+    this.onGrabEnd = () => { this.held = false; };
+
+    this.createLabel();
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("locale-changed", this.refresh);
+    sceneEl.addEventListener("exhibit-label-expanded", this.onOtherExpanded);
+    this.el.addEventListener("model-loaded", this.measure);
+    this.el.addEventListener("grab-start", this.onGrabStart);
+    this.el.addEventListener("grab-end", this.onGrabEnd);
+
+    this.measure();
+    this.refresh();
+  },
+
+  createLabel() {
+    const width = this.data.width;
+    const label = document.createElement("a-entity");
+    label.classList.add("exhibit-label");
+
+    const background = document.createElement("a-plane");
+    background.setAttribute("width", width);
+    background.addEventListener("click", this.toggle);
+    label.appendChild(background);
+
+    const makeText = (wrapCount, color) => {
+      const el = document.createElement("a-entity");
+      el.dataset.wrapCount = wrapCount;
+      el.dataset.color = color;
+      label.appendChild(el);
+      return el;
+    };
+    this.titleEl = makeText(22, "#ffffff");
+    this.metaEl = makeText(32, "#cccccc");
+    this.descriptionEl = makeText(34, "#dddddd");
+    this.hintEl = makeText(40, this.data.accentColor);
+
+    this.background = background;
+    this.label = label;
+    this.el.sceneEl.appendChild(label);
+    this.layout();
+  },
+
+  // The label's origin is its bottom edge, so the card grows upwards away from the exhibit
+  layout() {
+    const height = this.expanded ? LABEL_CARD_HEIGHT : LABEL_HEIGHT;
+    this.background.setAttribute("height", height);
+    this.background.setAttribute("position", `0 ${height / 2} -0.002`);
+    this.titleEl.setAttribute("position", `0 ${height - 0.035} 0`);
+    this.metaEl.setAttribute("position", `0 ${height - 0.09} 0`);
+    this.descriptionEl.setAttribute("position", `0 ${height - 0.12} 0`);
+    this.hintEl.setAttribute("position", "0 0.02 0");
+    this.descriptionEl.setAttribute("visible", this.expanded);
+    this.hintEl.setAttribute("visible", !this.expanded);
+  },
+
+  // The localized component may not have updated data-title yet when locale-changed arrives
+  text(field) {
+    const localized = this.el.components.localized;
+    if (localized && localized.data[field]) {
+      const fallback = field === "title" ? localized.fallbackTitle : localized.fallbackDescription;
+      return this.i18n.t(localized.data[field], fallback);
+    }
+    return this.el.getAttribute(`data-${field}`) || "";
+  },
+
+  meta() {
+    return [this.el.getAttribute("data-maker"), this.el.getAttribute("data-date")]
+      .filter((value) => value)
+      .join(", ");
+  },
+
+  refresh() {
+    const values = {
+      titleEl: this.text("title"),
+      metaEl: this.meta(),
+      descriptionEl: this.text("description"),
+      hintEl: this.i18n.t("label.more", "Select for details")
+    };
+    const font = this.i18n.textFont();
+    const opacity = Math.max(this.opacity, 0);
+    Object.keys(values).forEach((name) => {
+      const el = this[name];
+      el.setAttribute("text", {
+        value: values[name], align: "center", baseline: name === "descriptionEl" ? "top" : "center",
+        width: this.data.width - 0.03, wrapCount: Number(el.dataset.wrapCount),
+        color: el.dataset.color, opacity, font
+      });
+    });
+    this.setOpacity(opacity, true);
+  },
+
+  // Height of the exhibit's top above its origin, once the model is in
+  measure() {
+    const mesh = this.el.getObject3D("mesh");
+    if (!mesh) return;
+    this.el.object3D.updateWorldMatrix(true, true);
+    this.box.setFromObject(mesh);
+    if (this.box.isEmpty()) return;
+    this.el.object3D.getWorldPosition(this.anchor);
+    this.top = this.box.max.y - this.anchor.y;
+  },
+
+  toggle() {
+    this.setExpanded(!this.expanded);
+  },
+
+  setExpanded(expanded) {
+    if (this.expanded === expanded) return;
+    this.expanded = expanded;
+    this.layout();
+    this.el.emit(expanded ? "exhibit-label-expanded" : "exhibit-label-collapsed");
+  },
+
+  setOpacity(opacity, force) {
+    if (!force && Math.abs(opacity - this.opacity) < 0.02 && (opacity > 0) === (this.opacity > 0)) return;
+    this.opacity = opacity;
+    const shown = opacity > 0;
+    this.label.object3D.visible = shown;
+    MuseumUtils.setPointable(this.background, shown);
+    this.background.setAttribute("material", {
+      color: this.data.color, transparent: true, opacity: 0.85 * opacity
+    });
+    [this.titleEl, this.metaEl, this.descriptionEl, this.hintEl].forEach((el) => {
+      el.setAttribute("text", { opacity });
+    });
+    if (!shown && this.expanded) this.setExpanded(false);
+  },
+
+  tick() {
+    const data = this.data;
+    const camera = this.el.sceneEl.camera;
+    if (!camera) return;
+
+    this.el.object3D.getWorldPosition(this.anchor);
+    this.anchor.y += this.top;
+    this.anchor.add(data.offset);
+    this.label.object3D.position.copy(this.anchor);
+
+    // Turn towards the visitor around the vertical axis only
+    camera.getWorldPosition(this.cameraPos);
+    this.label.object3D.lookAt(this.cameraPos.x, this.anchor.y, this.cameraPos.z);
+
+    let opacity = 0;
+    if (!this.held && this.el.object3D.visible) {
+      const distance = Math.hypot(this.cameraPos.x - this.anchor.x, this.cameraPos.z - this.anchor.z);
+      const range = Math.max(data.fadeFar - data.fadeNear, 1e-3);
+      opacity = THREE.MathUtils.clamp((data.fadeFar - distance) / range, 0, 1);
+    }
+    this.setOpacity(opacity);
+  },
+
+  remove() {
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("locale-changed", this.refresh);
+    sceneEl.removeEventListener("exhibit-label-expanded", this.onOtherExpanded);
+    this.el.removeEventListener("model-loaded", this.measure);
+    this.el.removeEventListener("grab-start", this.onGrabStart);
+    this.el.removeEventListener("grab-end", this.onGrabEnd);
+    if (this.label.parentNode) this.label.parentNode.removeChild(this.label);
+  }
+});
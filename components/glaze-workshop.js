@@ -0,0 +1,576 @@
+/**
+ * GLAZE WORKSHOP COMPONENTS
+ * =========================
+ * Glazing and firing pots with the shader library (shaders/shaders.js).
+ * Glazes are presets in data/glazes.json: a registered shader plus the
+ * uniform values (colours, rim power) that make it look like that glaze.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. glaze (system)
+ *    Loads the glaze presets. getPreset(id), onReady(callback).
+ *
+ * 2. glaze
+ *    Glaze state of one pot, added by the workshop. "glazed" shows the
+ *    matte raw glaze colour; fire() runs the kiln animation - the pot glows,
+ *    the raw coat fades away and the fired shader finish shows through.
+ *    coat() glazes a fired pot again with the same glaze.
+ *    Removed again on "reset-exhibits".
+ *    - preset: Glaze id
+ *    - uniforms: Uniform overrides on top of the preset (e.g. rimPower)
+ *
+ * 3. glaze-workshop
+ *    The station: glaze swatches, a dipping bucket and a kiln.
+ *    - Pick a glaze on the panel.
+ *    - Dip: hold a pot in the bucket (VR).
+ *    - Paint: switch on the brush, then click a pot (desktop) or point at
+ *      it and pull the trigger (VR).
+ *    - Fire: release a glazed pot inside the kiln, or press "Fire" to fire
+ *      every glazed pot.
+ *    - Tune: "Rim -" / "Rim +" change the rim power and "Hue -" / "Hue +"
+ *      shift the colour uniform shown on the colour button (click it to step
+ *      through the glaze's colours). The panel shows the current values;
+ *      they apply to the pots glazed next.
+ *
+ *    Example:
+ *    <a-entity glaze-workshop="src: data/glazes.json" position="1 0 3"></a-entity>
+ *
+ * Events (on the pot): "glaze-applied" { preset }, "glaze-fired" { preset }
+ */
+
+AFRAME.registerSystem("glaze", {
+  init() {
+    this.presets = [];
+    this.request = null;
+  },
+
+  load(src) {
+    if (!this.request) {
+      this.request = fetch(src)
+        .then((response) => {
+          if (!response.ok) throw new Error(`glaze: failed to load ${src} (${response.status})`);
+          return response.json();
+        })
+        .then((json) => {
+          this.presets = (json.glazes || []).filter((preset) => AFRAME.shaders[preset.shader]);
+          this.el.emit("glazes-loaded", { presets: this.presets });
+          return this.presets;
+        });
+    }
+    return this.request;
+  },
+
+  onReady(callback) {
+    if (this.request) this.request.then(callback).catch((err) => console.error(err));
+  },
+
+  getPreset(id) {
+    return this.presets.find((preset) => preset.id === id) || null;
+  }
+});
+
+AFRAME.registerComponent("glaze", {
+  schema: {
+    preset: { type: "string", default: "" },
+    uniforms: {
+      default: {},
+      parse: (value) => (typeof value === "string" ? JSON.parse(value || "{}") : value),
+      stringify: JSON.stringify
+    },
+    firingDuration: { type: "number", default: 6000 }
+  },
+
+  init() {
+    this.originals = new Map(); // mesh -> original material
+    this.overlays = [];
+    this.shader = null;
+    this.coatMaterial = null;
+    this.state = "raw";
+    this.firing = null;
+
+    // Only one component owns the pot's materials - drop a runtime shader preset
+    if (this.el.hasAttribute("shader-preset")) this.el.removeAttribute("shader-preset");
+
+    this.onReset = () => this.el.removeAttribute("glaze");
+    this.onModelLoaded = () => this.apply();
+    this.el.sceneEl.addEventListener("reset-exhibits", this.onReset);
+    this.el.addEventListener("model-loaded", this.onModelLoaded);
+  },
+
+  update(oldData) {
+    if (this.data.preset === oldData.preset &&
+        JSON.stringify(this.data.uniforms) === JSON.stringify(oldData.uniforms)) return;
+    this.preset = this.el.sceneEl.systems.glaze.getPreset(this.data.preset);
+    if (!this.preset) return;
+
+    if (this.shader) this.shader.material.dispose();
+    this.shader = MuseumUtils.createShaderMaterial(this.preset.shader, Object.assign({}, this.preset.uniforms, this.data.uniforms));
+
+    if (!this.coatMaterial) {
+      this.coatMaterial = new THREE.MeshStandardMaterial({ roughness: 0.95, metalness: 0 });
+    }
+    this.coatMaterial.color.set(this.preset.raw || this.preset.swatch || "#ffffff");
+    this.coatMaterial.emissive.set("#ff6a1a");
+    this.coat();
+  },
+
+  // (Re)applies the raw glaze coat
+  coat() {
+    if (this.state === "firing") return;
+    this.state = "glazed";
+    this.apply();
+    this.el.emit("glaze-applied", { preset: this.preset.id });
+  },
+
+  meshes() {
+    const meshes = [];
+    const root = this.el.getObject3D("mesh");
+    if (root) root.traverse((obj) => { if (obj.isMesh && !obj.userData.glazeOverlay) meshes.push(obj); });
+    return meshes;
+  },
+
+  // Materials for the current state: glazed = raw coat, firing = shader under
+  // a fading coat, fired = shader
+  apply() {
+    if (!this.shader) return;
+    this.removeOverlays();
+
+    this.meshes().forEach((mesh) => {
+      if (!this.originals.has(mesh)) this.originals.set(mesh, mesh.material);
+      if (this.state === "glazed") {
+        mesh.material = this.coatMaterial;
+        return;
+      }
+      mesh.material = this.shader.material;
+      if (this.state === "firing") {
+        const overlay = new THREE.Mesh(mesh.geometry, this.coatMaterial);
+        overlay.userData.glazeOverlay = true;
+        overlay.renderOrder = 1;
+        mesh.add(overlay);
+        this.overlays.push(overlay);
+      }
+    });
+    const coat = this.coatMaterial;
+    coat.opacity = 1;
+    coat.transparent = this.state === "firing";
+    coat.depthWrite = !coat.transparent;
+    coat.emissiveIntensity = 0;
+    coat.needsUpdate = true;
+  },
+
+  removeOverlays() {
+    this.overlays.forEach((overlay) => overlay.parent && overlay.parent.remove(overlay));
+    this.overlays.length = 0;
+  },
+
+  fire() {
+    if (this.state !== "glazed") return false;
+    this.state = "firing";
+    this.firing = { elapsed: 0 };
+    this.apply();
+    this.el.addState("firing");
+    return true;
+  },
+
+  tick(time, timeDelta) {
+    if (this.shader) MuseumUtils.updateShaderTime(this.shader, time);
+    if (!this.firing) return;
+
+    this.firing.elapsed += timeDelta;
+    const progress = Math.min(1, this.firing.elapsed / this.data.firingDuration);
+
+    // Glows hot in the middle of the firing while the raw coat melts away
+    this.coatMaterial.emissiveIntensity = Math.sin(progress * Math.PI) * 1.5;
+    this.coatMaterial.opacity = 1 - THREE.MathUtils.smoothstep(progress, 0.35, 0.9);
+
+    if (progress < 1) return;
+    this.firing = null;
+    this.state = "fired";
+    this.apply();
+    this.el.removeState("firing");
+    this.el.emit("glaze-fired", { preset: this.preset.id });
+  },
+
+  remove() {
+    this.el.sceneEl.removeEventListener("reset-exhibits", this.onReset);
+    this.el.removeEventListener("model-loaded", this.onModelLoaded);
+    this.removeOverlays();
+    this.originals.forEach((material, mesh) => { mesh.material = material; });
+    this.el.removeState("firing");
+    if (this.shader) this.shader.material.dispose();
+    if (this.coatMaterial) this.coatMaterial.dispose();
+  }
+});
+
+AFRAME.registerComponent("glaze-workshop", {
+  schema: {
+    src: { type: "string", default: "data/glazes.json" },
+    bucketPosition: { type: "vec3", default: { x: -0.45, y: 0.8, z: 0 } },
+    bucketRadius: { type: "number", default: 0.16 },
+    kilnPosition: { type: "vec3", default: { x: 0.5, y: 0.7, z: 0 } },
+    kilnSize: { type: "number", default: 0.55 },
+    rimStep: { type: "number", default: 0.5 },
+    hueStep: { type: "number", default: 0.08 } // Of the colour wheel
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.system = this.el.sceneEl.systems.glaze;
+    this.selected = null;
+    this.tuned = {}; // glaze id -> tuned uniform values
+    this.colourIndex = 0; // Which colour uniform of the selected glaze the hue buttons change
+    this.swatches = [];
+    this.pendingKiln = [];
+
+    // Reusable objects
+    this.tempColor = new THREE.Color();
+    this.bucketZone = new THREE.Box3();
+    this.kilnZone = new THREE.Box3();
+    this.tempPos = new THREE.Vector3();
+    this.zoneSize = new THREE.Vector3();
+    this.tempBox = new THREE.Box3();
+
+    this.onPaintObject = (evt) => this.glazePot(evt.detail.target);
+    this.onTriggerDown = this.onTriggerDown.bind(this);
+    this.onGrabEnd = this.onGrabEnd.bind(this);
+    this.onRest = this.onRest.bind(this);
+    this.onLocaleChanged = this.updateLabels.bind(this);
+
+    this.createStation();
+    this.system.load(this.data.src).catch((err) => console.error(err));
+    this.system.onReady((presets) => this.createSwatches(presets));
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("paint-object", this.onPaintObject);
+    sceneEl.addEventListener("select-down", this.onTriggerDown);
+    sceneEl.addEventListener("grab-end", this.onGrabEnd);
+    sceneEl.addEventListener("physics-rest", this.onRest);
+    sceneEl.addEventListener("locale-changed", this.onLocaleChanged);
+  },
+
+  createStation() {
+    const data = this.data;
+    const bucket = document.createElement("a-cylinder");
+    bucket.setAttribute("position", data.bucketPosition);
+    bucket.setAttribute("radius", data.bucketRadius);
+    bucket.setAttribute("height", 0.22);
+    bucket.setAttribute("open-ended", true);
+    bucket.setAttribute("material", "color: #6d6d6d; side: double; roughness: 0.6");
+
+    this.bucketSurface = document.createElement("a-circle");
+    this.bucketSurface.setAttribute("radius", data.bucketRadius - 0.01);
+    this.bucketSurface.setAttribute("rotation", "-90 0 0");
+    this.bucketSurface.setAttribute("position", "0 0.07 0");
+    this.bucketSurface.setAttribute("material", "color: #cccccc; roughness: 0.3");
+    bucket.appendChild(this.bucketSurface);
+
+    const kiln = document.createElement("a-box");
+    const size = data.kilnSize;
+    kiln.setAttribute("position", data.kilnPosition);
+    kiln.setAttribute("width", size);
+    kiln.setAttribute("height", size);
+    kiln.setAttribute("depth", size);
+    kiln.setAttribute("material", "color: #3a2f2a; side: back; roughness: 0.9");
+
+    // Raw THREE light, so A-Frame's default lights are left alone
+    this.kilnLight = new THREE.PointLight("#ff6a1a", 0, size * 3);
+    kiln.addEventListener("loaded", () => kiln.object3D.add(this.kilnLight));
+
+    this.panel = document.createElement("a-entity");
+    this.panel.setAttribute("position", "0 1.45 0");
+    const background = document.createElement("a-plane");
+    background.setAttribute("width", 1.3);
+    background.setAttribute("height", 0.7);
+    background.setAttribute("position", "0 0 -0.01");
+    background.setAttribute("material", "color: #1a1a1a; transparent: true; opacity: 0.9");
+    this.panel.appendChild(background);
+
+    this.titleEl = document.createElement("a-entity");
+    this.titleEl.setAttribute("position", "0 0.29 0");
+    this.hintEl = document.createElement("a-entity");
+    this.hintEl.setAttribute("position", "0 -0.29 0");
+    this.rimEl = document.createElement("a-entity");
+    this.rimEl.setAttribute("position", "0 -0.1 0");
+    this.panel.appendChild(this.titleEl);
+    this.panel.appendChild(this.hintEl);
+    this.panel.appendChild(this.rimEl);
+
+    this.buttons = {
+      brush: this.createButton(-0.45, -0.02, () => this.toggleBrush()),
+      rimDown: this.createButton(-0.15, -0.02, () => this.tuneRim(-data.rimStep)),
+      rimUp: this.createButton(0.15, -0.02, () => this.tuneRim(data.rimStep)),
+      fire: this.createButton(0.45, -0.02, () => this.fireAll()),
+      hueDown: this.createButton(-0.3, -0.19, () => this.tuneHue(-data.hueStep)),
+      colour: this.createButton(0, -0.19, () => this.nextColour()),
+      hueUp: this.createButton(0.3, -0.19, () => this.tuneHue(data.hueStep))
+    };
+    Object.keys(this.buttons).forEach((key) => this.panel.appendChild(this.buttons[key]));
+
+    this.el.appendChild(bucket);
+    this.el.appendChild(kiln);
+    this.el.appendChild(this.panel);
+    this.updateLabels();
+  },
+
+  createButton(x, y, onClick) {
+    const button = document.createElement("a-plane");
+    MuseumUtils.setPointable(button, true);
+    button.setAttribute("width", 0.27);
+    button.setAttribute("height", 0.09);
+    button.setAttribute("position", `${x} ${y} 0`);
+    button.setAttribute("material", "color: #555555; transparent: true; opacity: 0.9");
+    button.addEventListener("click", onClick);
+    return button;
+  },
+
+  createSwatches(presets) {
+    const spacing = 0.19;
+    presets.forEach((preset, index) => {
+      const swatch = this.createButton((index - (presets.length - 1) / 2) * spacing, 0.14, () => this.select(preset));
+      swatch.setAttribute("width", 0.16);
+      swatch.setAttribute("height", 0.16);
+      swatch.setAttribute("material", { color: preset.swatch || "#ffffff", transparent: true, opacity: 0.6 });
+      swatch.presetId = preset.id;
+      this.panel.appendChild(swatch);
+      this.swatches.push(swatch);
+    });
+    if (presets.length) this.select(presets[0]);
+  },
+
+  select(preset) {
+    this.selected = preset;
+    this.colourIndex = 0;
+    this.swatches.forEach((swatch) => {
+      const active = swatch.presetId === preset.id;
+      swatch.setAttribute("material", "opacity", active ? 1 : 0.6);
+      swatch.setAttribute("scale", active ? "1.15 1.15 1" : "1 1 1");
+    });
+    this.bucketSurface.setAttribute("material", "color", preset.raw || preset.swatch);
+    this.updateLabels();
+  },
+
+  updateLabels() {
+    const font = this.i18n.textFont();
+    const label = (el, value) => el.setAttribute("text", {
+      value, align: "center", width: 0.9, color: "#ffffff", wrapCount: 18, font
+    });
+    const name = this.selected ? this.i18n.t(`glaze.${this.selected.id}`, this.selected.name) : "";
+
+    this.titleEl.setAttribute("text", {
+      value: `${this.i18n.t("glaze.title", "Glaze workshop")}${name ? ` - ${name}` : ""}`,
+      align: "center", width: 1.2, color: "#4CAF50", font
+    });
+    this.hintEl.setAttribute("text", {
+      value: this.i18n.t("glaze.hint", "Dip a pot in the bucket or use the brush, then fire it in the kiln"),
+      align: "center", width: 1.2, color: "#888888", wrapCount: 60, font
+    });
+    label(this.buttons.brush, this.i18n.t("glaze.brush", "Brush") + (this.el.sceneEl.is("painting") ? " ✓" : ""));
+    label(this.buttons.rimDown, `${this.i18n.t("glaze.rim", "Rim")} -`);
+    label(this.buttons.rimUp, `${this.i18n.t("glaze.rim", "Rim")} +`);
+    label(this.buttons.fire, this.i18n.t("glaze.fire", "Fire"));
+    label(this.buttons.hueDown, `${this.i18n.t("glaze.hue", "Hue")} -`);
+    label(this.buttons.hueUp, `${this.i18n.t("glaze.hue", "Hue")} +`);
+
+    const rimPower = this.uniformValue("rimPower");
+    this.rimEl.setAttribute("text", {
+      value: `${this.i18n.t("glaze.rim", "Rim")}: ${rimPower === undefined ? "-" : rimPower.toFixed(1)}`,
+      align: "center", width: 0.9, color: "#cccccc", wrapCount: 18, font
+    });
+
+    // The colour button wears the colour it tunes
+    const colours = this.colourUniforms();
+    const colour = colours.length ? this.uniformValue(colours[this.colourIndex]) : "#555555";
+    this.tempColor.set(colour);
+    const light = this.tempColor.r * 0.3 + this.tempColor.g * 0.6 + this.tempColor.b * 0.1 > 0.55;
+    this.buttons.colour.setAttribute("material", "color", colour);
+    this.buttons.colour.setAttribute("text", {
+      value: colours.length ? `${this.i18n.t("glaze.colour", "Colour")} ${this.colourIndex + 1}/${colours.length}` : "-",
+      align: "center", width: 0.9, color: light ? "#000000" : "#ffffff", wrapCount: 18, font
+    });
+  },
+
+  toggleBrush() {
+    const sceneEl = this.el.sceneEl;
+    if (sceneEl.is("painting")) {
+      sceneEl.removeState("painting");
+    } else {
+      sceneEl.addState("painting");
+    }
+    this.updateLabels();
+  },
+
+  // Tuned value, else the preset's, else the shader's default
+  uniformValue(name) {
+    const preset = this.selected;
+    if (!preset) return undefined;
+    const tuned = this.tuned[preset.id];
+    if (tuned && tuned[name] !== undefined) return tuned[name];
+    if (preset.uniforms && preset.uniforms[name] !== undefined) return preset.uniforms[name];
+    const shader = AFRAME.shaders[preset.shader];
+    const prop = shader && shader.schema[name];
+    return prop ? prop.default : undefined;
+  },
+
+  colourUniforms() {
+    const shader = this.selected && AFRAME.shaders[this.selected.shader];
+    if (!shader) return [];
+    return Object.keys(shader.schema).filter((name) => shader.schema[name].type === "color");
+  },
+
+  setTuned(name, value) {
+    const id = this.selected.id;
+    this.tuned[id] = Object.assign({}, this.tuned[id], { [name]: value });
+    this.updateLabels();
+  },
+
+  // Only glazes whose shader has a rim uniform can be tuned
+  tuneRim(step) {
+    const current = this.uniformValue("rimPower");
+    if (current === undefined) return;
+    this.setTuned("rimPower", THREE.MathUtils.clamp(current + step, 0.5, 8));
+  },
+
+  nextColour() {
+    const colours = this.colourUniforms();
+    if (!colours.length) return;
+    this.colourIndex = (this.colourIndex + 1) % colours.length;
+    this.updateLabels();
+  },
+
+  tuneHue(step) {
+    const name = this.colourUniforms()[this.colourIndex];
+    if (!name) return;
+    const hsl = this.tempColor.set(this.uniformValue(name)).getHSL({});
+    this.tempColor.setHSL(THREE.MathUtils.euclideanModulo(hsl.h + step, 1), hsl.s, hsl.l);
+    this.setTuned(name, `#${this.tempColor.getHexString()}`);
+  },
+
+  glazePot(el) {
+    if (!this.selected || !el || MuseumUtils.isHeavyObject(el) || el.is("firing") || el.is("broken")) return;
+    const uniforms = Object.assign({}, this.tuned[this.selected.id]);
+
+    // Same glaze again: only a fired pot needs a new coat
+    const glaze = el.components.glaze;
+    if (glaze && glaze.data.preset === this.selected.id &&
+        JSON.stringify(glaze.data.uniforms) === JSON.stringify(uniforms)) {
+      if (glaze.state === "fired") glaze.coat();
+      return;
+    }
+    el.setAttribute("glaze", { preset: this.selected.id, uniforms });
+  },
+
+  // VR brush: point at a pot and pull the trigger
+  onTriggerDown(evt) {
+    if (!this.el.sceneEl.is("painting")) return;
+    const pointer = evt.target.components && evt.target.components["laser-pointer"];
+    if (!pointer || !pointer.updateRay || !pointer.updateRay()) return;
+
+    const targets = [];
+    document.querySelectorAll("[grabbable]").forEach((el) => targets.push(el.object3D));
+    const intersects = pointer.raycaster.intersectObjects(targets, true);
+    for (let i = 0; i < intersects.length; i++) {
+      const grabbableEl = MuseumUtils.findGrabbableEl(intersects[i].object);
+      if (grabbableEl) {
+        this.glazePot(grabbableEl);
+        return;
+      }
+    }
+  },
+
+  updateZones() {
+    const data = this.data;
+    const object3D = this.el.object3D;
+    object3D.updateMatrixWorld(true);
+
+    this.tempPos.copy(data.bucketPosition);
+    object3D.localToWorld(this.tempPos);
+    this.bucketZone.setFromCenterAndSize(this.tempPos, this.zoneSize.set(data.bucketRadius * 2, 0.3, data.bucketRadius * 2));
+
+    this.tempPos.copy(data.kilnPosition);
+    object3D.localToWorld(this.tempPos);
+    this.kilnZone.setFromCenterAndSize(this.tempPos, this.zoneSize.setScalar(data.kilnSize));
+  },
+
+  inZone(el, zone) {
+    this.tempBox.setFromObject(el.object3D);
+    if (this.tempBox.isEmpty()) return false;
+    return zone.containsPoint(this.tempBox.getCenter(this.tempPos));
+  },
+
+  onGrabEnd(evt) {
+    const el = evt.target;
+    const glaze = el.components.glaze;
+    if (!glaze || glaze.state !== "glazed") return;
+    this.updateZones();
+    // The grab system hands the pot to physics right after this event
+    if (this.inZone(el, this.kilnZone)) this.pendingKiln.push(el);
+  },
+
+  onRest(evt) {
+    const glaze = evt.target.components.glaze;
+    if (!glaze || glaze.state !== "glazed") return;
+    this.updateZones();
+    if (this.inZone(evt.target, this.kilnZone)) this.fire([evt.target]);
+  },
+
+  fireAll() {
+    const pots = [];
+    document.querySelectorAll("[glaze]").forEach((el) => pots.push(el));
+    this.fire(pots);
+  },
+
+  fire(pots) {
+    let duration = 0;
+    pots.forEach((el) => {
+      const glaze = el.components.glaze;
+      if (glaze && glaze.fire()) duration = Math.max(duration, glaze.data.firingDuration);
+    });
+    if (duration) this.kilnFiring = { elapsed: 0, duration };
+  },
+
+  tick(time, timeDelta) {
+    // Pots released into the kiln: keep them there and fire
+    if (this.pendingKiln.length) {
+      this.pendingKiln.forEach((el) => {
+        if (el.hasAttribute("throw-velocity")) el.removeAttribute("throw-velocity");
+        this.tempPos.copy(this.data.kilnPosition);
+        this.el.object3D.localToWorld(this.tempPos);
+        this.el.sceneEl.systems.grab.setWorldPosition(el, this.tempPos);
+      });
+      this.fire(this.pendingKiln);
+      this.pendingKiln.length = 0;
+    }
+
+    // Dipping: a held pot in the bucket gets the selected glaze
+    const grab = this.el.sceneEl.systems.grab;
+    if (grab && this.selected && grab.holds.size) {
+      this.updateZones();
+      grab.holds.forEach((hold, el) => {
+        const glaze = el.components.glaze;
+        if (glaze && glaze.state === "glazed" && glaze.data.preset === this.selected.id) return;
+        if (this.inZone(el, this.bucketZone)) this.glazePot(el);
+      });
+    }
+
+    if (this.kilnFiring) {
+      this.kilnFiring.elapsed += timeDelta;
+      const progress = Math.min(1, this.kilnFiring.elapsed / this.kilnFiring.duration);
+      this.kilnLight.intensity = Math.sin(progress * Math.PI) * 3;
+      if (progress >= 1) {
+        this.kilnFiring = null;
+        this.kilnLight.intensity = 0;
+      }
+    }
+  },
+
+  remove() {
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("paint-object", this.onPaintObject);
+    sceneEl.removeEventListener("select-down", this.onTriggerDown);
+    sceneEl.removeEventListener("grab-end", this.onGrabEnd);
+    sceneEl.removeEventListener("physics-rest", this.onRest);
+    sceneEl.removeEventListener("locale-changed", this.onLocaleChanged);
+    sceneEl.removeState("painting");
+  }
+});
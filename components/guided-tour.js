@@ -0,0 +1,412 @@
+/**
+ * GUIDED TOUR
+ * ===========
+ * Walks visitors through the museum one stop at a time. Each stop is a
+ * hidden go-to waypoint (components/a-cursor-navigation.js) that animates
+ * the rig there, outlines the stop's exhibit and shows its narration.
+ *
+ * Tours are JSON files:
+ * { "format": "guided-tour", "version": 1,
+ *   "stops": [{ "id", "position", "rotation", "exhibit", "title", "text",
+ *               "audio", "duration", "unload", "load" }] }
+ * - position/rotation: where the rig stands and which way it faces
+ * - exhibit: id of the entity outlined while at the stop (optional)
+ * - title/text: fallbacks for the tour.<id>.title and tour.<id>.text keys.
+ *   They say no more about a work than data/exhibits.json and
+ *   data/gallery.json do - its history is for the museum to supply.
+ * - audio: narration clip played on arrival through museum-audio, with
+ *   "{locale}" replaced by the active locale (optional)
+ * - duration: seconds before moving on when auto-advancing, counted after
+ *   the narration clip has finished; 0 waits for "next"
+ * - unload/load: handed to go-to to swap a model on arrival (optional)
+ *
+ * <a-scene guided-tour="src: data/tour.json; rig: #rig; key: g"></a-scene>
+ *
+ * Desktop: #tour-button or the key starts and ends the tour, the #tour-panel
+ * buttons (or N and P) step through it. In VR the same panel hangs under
+ * the view; the primary button (A on the right hand) goes to the next stop
+ * and on the left hand (X) to the previous one whenever that hand is empty,
+ * so it still inspects a held exhibit.
+ *
+ * Emits on the scene: "tour-started", "tour-stop" { index, stop } on arrival,
+ * "tour-ended". The scene is in the "touring" state while the tour runs.
+ */
+
+const TOUR_FORMAT = "guided-tour";
+
+AFRAME.registerComponent("guided-tour", {
+  schema: {
+    src: { type: "string", default: "data/tour.json" },
+    rig: { type: "string", default: "#rig" },
+    key: { type: "string", default: "g" },
+    nextKey: { type: "string", default: "n" },
+    previousKey: { type: "string", default: "p" },
+    autoAdvance: { type: "boolean", default: true },
+    moveDuration: { type: "number", default: 2500 },
+    highlightColor: { type: "color", default: "#4CAF50" },
+    leftHand: { type: "selector", default: "#leftHand" },
+    rightHand: { type: "selector", default: "#rightHand" },
+    panel: { type: "selector", default: "#tour-panel" },
+    toggleButton: { type: "selector", default: "#tour-button" },
+    title: { type: "selector", default: "#tour-title" },
+    text: { type: "selector", default: "#tour-text" },
+    progress: { type: "selector", default: "#tour-progress" },
+    progressBar: { type: "selector", default: "#tour-progress-bar" },
+    previousButton: { type: "selector", default: "#tour-previous" },
+    pauseButton: { type: "selector", default: "#tour-pause" },
+    nextButton: { type: "selector", default: "#tour-next" },
+    exitButton: { type: "selector", default: "#tour-exit" }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.stops = [];
+    this.waypoints = [];
+    this.index = -1;
+    this.active = false;
+    this.paused = false;
+    this.moving = false;
+    this.remaining = 0;
+    this.exhibitEl = null;
+    this.narration = null;
+
+    this.box = new THREE.Box3();
+    this.highlight = new THREE.Box3Helper(this.box, new THREE.Color(this.data.highlightColor));
+    this.highlight.visible = false;
+    this.el.sceneEl.object3D.add(this.highlight);
+
+    this.toggle = this.toggle.bind(this);
+    this.next = this.next.bind(this);
+    this.previous = this.previous.bind(this);
+    this.togglePause = this.togglePause.bind(this);
+    this.stop = this.stop.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onArrive = this.onArrive.bind(this);
+    this.onNextButton = (evt) => { if (this.buttonsFree(evt.target)) this.next(); };
+    this.onPreviousButton = (evt) => { if (this.buttonsFree(evt.target)) this.previous(); };
+    this.refresh = this.refresh.bind(this);
+
+    const data = this.data;
+    if (data.toggleButton) data.toggleButton.addEventListener("click", this.toggle);
+    if (data.previousButton) data.previousButton.addEventListener("click", this.previous);
+    if (data.pauseButton) data.pauseButton.addEventListener("click", this.togglePause);
+    if (data.nextButton) data.nextButton.addEventListener("click", this.next);
+    if (data.exitButton) data.exitButton.addEventListener("click", this.stop);
+    window.addEventListener("keydown", this.onKeyDown);
+    if (data.rightHand) data.rightHand.addEventListener("primary-down", this.onNextButton);
+    if (data.leftHand) data.leftHand.addEventListener("primary-down", this.onPreviousButton);
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("locale-changed", this.refresh);
+    sceneEl.addEventListener("enter-vr", this.refresh);
+    sceneEl.addEventListener("exit-vr", this.refresh);
+
+    fetch(data.src)
+      .then((response) => {
+        if (!response.ok) throw new Error(`guided-tour: failed to load ${data.src} (${response.status})`);
+        return response.json();
+      })
+      .then((json) => this.setStops(json))
+      .catch((err) => console.error(err));
+  },
+
+  setStops(json) {
+    if (!json || json.format !== TOUR_FORMAT || !Array.isArray(json.stops)) {
+      throw new Error(`guided-tour: expected a "${TOUR_FORMAT}" file`);
+    }
+    if (this.active) this.stop();
+    this.waypoints.forEach((waypoint) => waypoint.parentNode && waypoint.parentNode.removeChild(waypoint));
+
+    this.stops = json.stops;
+    this.waypoints = this.stops.map((stop) => {
+      const waypoint = document.createElement("a-entity");
+      waypoint.classList.add("tour-waypoint");
+      waypoint.setAttribute("go-to", {
+        position: stop.position,
+        rotation: stop.rotation || "0 0 0",
+        unload: stop.unload || "",
+        load: stop.load || "",
+        duration: this.data.moveDuration,
+        cameraRig: this.data.rig
+      });
+      this.el.appendChild(waypoint);
+      return waypoint;
+    });
+  },
+
+  onKeyDown(event) {
+    if (event.target.tagName === "INPUT" || event.target.tagName === "SELECT") return;
+    if (this.el.sceneEl.is("vr-mode")) return;
+    const key = event.key.toLowerCase();
+    if (key === this.data.key.toLowerCase()) this.toggle();
+    else if (this.active && key === this.data.nextKey.toLowerCase()) this.next();
+    else if (this.active && key === this.data.previousKey.toLowerCase()) this.previous();
+  },
+
+  // A and X belong to the tour unless that hand holds something to inspect
+  buttonsFree(hand) {
+    if (!this.active || this.el.sceneEl.is("inspecting")) return false;
+    const grab = this.el.sceneEl.systems.grab;
+    const handGrab = hand.components["simple-grab"];
+    return !(grab && handGrab && grab.heldBy(handGrab));
+  },
+
+  toggle() {
+    if (this.active) this.stop();
+    else this.start();
+  },
+
+  start(index) {
+    if (!this.stops.length) return;
+    this.active = true;
+    this.paused = false;
+    this.el.sceneEl.addState("touring");
+    this.el.emit("tour-started");
+    this.goTo(index || 0);
+  },
+
+  stop() {
+    if (!this.active) return;
+    this.leaveStop();
+    this.active = false;
+    this.moving = false;
+    this.index = -1;
+    this.el.sceneEl.removeState("touring");
+    this.refresh();
+    this.el.emit("tour-ended");
+  },
+
+  next() {
+    if (!this.active) return;
+    if (this.index < this.stops.length - 1) this.goTo(this.index + 1);
+    else this.stop();
+  },
+
+  previous() {
+    if (this.active && this.index > 0) this.goTo(this.index - 1);
+  },
+
+  togglePause() {
+    if (!this.active) return;
+    this.paused = !this.paused;
+    const audio = this.el.sceneEl.systems["museum-audio"];
+    if (this.narration && audio && audio.narration === this.narration) {
+      if (this.paused) audio.pauseNarration();
+      else audio.resumeNarration();
+    }
+    this.refresh();
+  },
+
+  goTo(index) {
+    const waypoint = this.waypoints[index];
+    if (!waypoint) return;
+    this.cancelMove();
+    this.leaveStop();
+    this.index = index;
+    this.moving = true;
+    this.remaining = (this.stops[index].duration || 0) * 1000;
+    this.refresh();
+    waypoint.components["go-to"].moveCamera();
+    waypoint.components["go-to"].rigEl.addEventListener("go-to-complete", this.onArrive, { once: true });
+  },
+
+  // Stepping on while the rig is still moving: stop the old waypoint turning it
+  cancelMove() {
+    const goTo = this.moving && this.waypoints[this.index] && this.waypoints[this.index].components["go-to"];
+    if (!goTo) return;
+    goTo.animatingRotation = false;
+    goTo.rigEl.removeEventListener("animationcomplete__go", goTo.onAnimEnd);
+    goTo.rigEl.removeEventListener("go-to-complete", this.onArrive);
+    this.moving = false;
+  },
+
+  onArrive() {
+    if (!this.active || !this.moving) return;
+    this.moving = false;
+    const stop = this.stops[this.index];
+
+    this.exhibitEl = stop.exhibit ? document.getElementById(stop.exhibit) : null;
+    this.highlight.visible = !!this.exhibitEl;
+
+    const audio = this.el.sceneEl.systems["museum-audio"];
+    if (stop.audio && audio) {
+      this.narration = audio.playNarration({ id: `tour-${stop.id}`, src: stop.audio });
+      if (this.paused) audio.pauseNarration();
+    }
+    this.el.emit("tour-stop", { index: this.index, stop });
+  },
+
+  leaveStop() {
+    this.exhibitEl = null;
+    this.highlight.visible = false;
+    const audio = this.el.sceneEl.systems["museum-audio"];
+    if (this.narration && audio && audio.narration === this.narration) audio.stopNarration();
+    this.narration = null;
+  },
+
+  tick(time, delta) {
+    if (!this.active) return;
+
+    // Follow the exhibit in case a visitor picks it up
+    if (this.exhibitEl) {
+      this.box.setFromObject(this.exhibitEl.object3D);
+      this.highlight.visible = !this.box.isEmpty();
+    }
+
+    const stop = this.stops[this.index];
+    if (this.paused || this.moving || !this.data.autoAdvance || !stop.duration) return;
+    if (this.narration && !this.narration.ended) return;
+
+    this.remaining -= delta;
+    this.updateProgress();
+    if (this.remaining <= 0) this.next();
+  },
+
+  stopTitle(stop) {
+    return this.i18n.t(`tour.${stop.id}.title`, stop.title || stop.id);
+  },
+
+  stopText(stop) {
+    return this.i18n.t(`tour.${stop.id}.text`, stop.text || "");
+  },
+
+  // Whole stops done plus the share of the current stop's wait already spent
+  fraction() {
+    const stop = this.stops[this.index];
+    if (!stop) return 0;
+    const duration = (stop.duration || 0) * 1000;
+    const spent = duration && !this.moving ? 1 - Math.max(0, this.remaining) / duration : 0;
+    return (this.index + spent) / this.stops.length;
+  },
+
+  refresh() {
+    const data = this.data;
+    const inVR = this.el.sceneEl.is("vr-mode");
+    if (data.panel) data.panel.style.display = this.active && !inVR ? "block" : "none";
+    if (this.vrPanel || (this.active && inVR)) {
+      this.ensureVrPanel().setAttribute("visible", this.active && inVR);
+      this.vrButtons.forEach((button) => MuseumUtils.setPointable(button.el, this.active && inVR));
+    }
+    if (!this.active) return;
+
+    const stop = this.stops[this.index];
+    const progressLabel = `${this.i18n.t("tour.stop", "Stop")} ${this.index + 1} / ${this.stops.length}`;
+    const pauseLabel = this.paused ? this.i18n.t("tour.resume", "Resume") : this.i18n.t("tour.pause", "Pause");
+    if (data.title) data.title.textContent = this.stopTitle(stop);
+    if (data.text) data.text.textContent = this.stopText(stop);
+    if (data.progress) data.progress.textContent = progressLabel;
+    if (data.pauseButton) data.pauseButton.textContent = pauseLabel;
+
+    if (this.vrPanel) {
+      const font = this.i18n.textFont();
+      this.vrTitle.setAttribute("text", { value: this.stopTitle(stop), font });
+      this.vrText.setAttribute("text", { value: this.stopText(stop), font });
+      this.vrProgress.setAttribute("text", { value: progressLabel, font });
+      this.vrButtons.forEach((button) => {
+        const value = button.labelKey === "tour.pause" ? pauseLabel : this.i18n.t(button.labelKey, button.fallback);
+        button.el.setAttribute("text", { value, font });
+      });
+    }
+    this.updateProgress();
+  },
+
+  // Runs every frame while counting down, so only the bars are touched here
+  updateProgress() {
+    const fraction = this.fraction();
+    if (this.data.progressBar) this.data.progressBar.style.width = `${(fraction * 100).toFixed(1)}%`;
+
+    if (this.vrPanel) {
+      const fill = this.vrFill.object3D;
+      fill.scale.x = Math.max(0.001, fraction);
+      fill.position.x = -this.vrBarWidth / 2 + (this.vrBarWidth * fill.scale.x) / 2;
+    }
+  },
+
+  // Panel hung under the view in VR, built on first use
+  ensureVrPanel() {
+    if (this.vrPanel) return this.vrPanel;
+    const camera = this.el.sceneEl.querySelector("[camera]");
+    const width = 1.1;
+    this.vrBarWidth = width - 0.1;
+
+    this.vrPanel = document.createElement("a-entity");
+    this.vrPanel.setAttribute("position", "0 -0.55 -1.4");
+    this.vrPanel.setAttribute("rotation", "-20 0 0");
+    this.vrPanel.setAttribute("visible", "false");
+
+    const background = document.createElement("a-plane");
+    background.setAttribute("width", width);
+    background.setAttribute("height", 0.56);
+    background.setAttribute("position", "0 0 -0.002");
+    background.setAttribute("material", "color: #1a1a1a; transparent: true; opacity: 0.85");
+    this.vrPanel.appendChild(background);
+
+    const text = (y, options) => {
+      const el = document.createElement("a-entity");
+      el.setAttribute("position", `0 ${y} 0`);
+      el.setAttribute("text", Object.assign({ align: "center", color: "#ffffff", width: width - 0.1 }, options));
+      this.vrPanel.appendChild(el);
+      return el;
+    };
+    this.vrTitle = text(0.22, { color: "#4CAF50", wrapCount: 30 });
+    this.vrText = text(0.08, { wrapCount: 46 });
+    this.vrProgress = text(-0.08, { color: "#aaaaaa", wrapCount: 50 });
+
+    const track = document.createElement("a-plane");
+    track.setAttribute("width", this.vrBarWidth);
+    track.setAttribute("height", 0.015);
+    track.setAttribute("position", "0 -0.12 0");
+    track.setAttribute("material", "color: #444444");
+    this.vrFill = document.createElement("a-plane");
+    this.vrFill.setAttribute("width", this.vrBarWidth);
+    this.vrFill.setAttribute("height", 0.015);
+    this.vrFill.setAttribute("position", "0 0 0.001");
+    this.vrFill.setAttribute("material", "color: #4CAF50");
+    track.appendChild(this.vrFill);
+    this.vrPanel.appendChild(track);
+
+    const buttons = [
+      { labelKey: "tour.previous", fallback: "Previous", action: this.previous },
+      { labelKey: "tour.pause", fallback: "Pause", action: this.togglePause },
+      { labelKey: "tour.next", fallback: "Next", action: this.next },
+      { labelKey: "ui.exit", fallback: "Exit", action: this.stop }
+    ];
+    const spacing = width / buttons.length;
+    this.vrButtons = buttons.map((button, i) => {
+      const el = document.createElement("a-plane");
+      el.setAttribute("width", spacing - 0.03);
+      el.setAttribute("height", 0.07);
+      el.setAttribute("position", `${-width / 2 + spacing * (i + 0.5)} -0.21 0`);
+      el.setAttribute("material", "color: #555555");
+      el.setAttribute("text", { value: button.fallback, align: "center", color: "#ffffff", width: 0.9, wrapCount: 12 });
+      el.addEventListener("click", button.action);
+      this.vrPanel.appendChild(el);
+      return Object.assign({ el }, button);
+    });
+
+    (camera || this.el).appendChild(this.vrPanel);
+    return this.vrPanel;
+  },
+
+  remove() {
+    this.stop();
+    const data = this.data;
+    if (data.toggleButton) data.toggleButton.removeEventListener("click", this.toggle);
+    if (data.previousButton) data.previousButton.removeEventListener("click", this.previous);
+    if (data.pauseButton) data.pauseButton.removeEventListener("click", this.togglePause);
+    if (data.nextButton) data.nextButton.removeEventListener("click", this.next);
+    if (data.exitButton) data.exitButton.removeEventListener("click", this.stop);
+    window.removeEventListener("keydown", this.onKeyDown);
+    if (data.rightHand) data.rightHand.removeEventListener("primary-down", this.onNextButton);
+    if (data.leftHand) data.leftHand.removeEventListener("primary-down", this.onPreviousButton);
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("locale-changed", this.refresh);
+    sceneEl.removeEventListener("enter-vr", this.refresh);
+    sceneEl.removeEventListener("exit-vr", this.refresh);
+
+    this.el.sceneEl.object3D.remove(this.highlight);
+    this.waypoints.forEach((waypoint) => waypoint.parentNode && waypoint.parentNode.removeChild(waypoint));
+    if (this.vrPanel && this.vrPanel.parentNode) this.vrPanel.parentNode.removeChild(this.vrPanel);
+  }
+});
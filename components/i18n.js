@@ -0,0 +1,177 @@
+/**
+ * I18N COMPONENTS
+ * ===============
+ * Per-locale string tables (data/i18n/<locale>.json) for exhibit texts and
+ * UI labels, plus the pieces that switch between them.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. i18n (system)
+ *    Loads every locale table at startup and remembers the chosen locale in
+ *    localStorage. Emits "locale-changed" on the scene whenever the active
+ *    table changes (including once after the tables have loaded).
+ *
+ *    const i18n = sceneEl.systems.i18n;
+ *    i18n.t("ui.releaseHint", "(Release grip to close)");
+ *    i18n.setLocale("en");
+ *
+ * 2. localized
+ *    Keeps the data-title / data-description attributes of an entity in sync
+ *    with the active locale. The attribute values present at init are used as
+ *    the fallback when a key is missing from a table.
+ *
+ *    Example:
+ *    <a-entity grabbable data-title="Potter's Wheel"
+ *      localized="title: wheel.title; description: wheel.description"></a-entity>
+ *
+ * 3. vr-language-panel
+ *    A row of selectable locale buttons shown above the VR banners. Attach to
+ *    the camera next to vr-popup-banner.
+ *
+ *    Example:
+ *    <a-entity camera vr-popup-banner vr-language-panel></a-entity>
+ *
+ * Tables may set "meta.textFont" to an MSDF font for in-world text when the
+ * default A-Frame font lacks that locale's glyphs. A-Frame's roboto has
+ * neither Cyrillic nor the Latvian diacritics, so every table uses
+ * fonts/roboto-latin-cyrillic-msdf.json: Roboto Regular (SIL OFL,
+ * fonts/OFL.txt) for ASCII, Latvian and Russian, made with msdf-bmfont-xml
+ * (-f json -s 42 -r 4 -m 512,512) and the atlas colours inverted, as
+ * A-Frame's negate: true expects.
+ */
+
+AFRAME.registerSystem("i18n", {
+  schema: {
+    locales: { type: "array", default: ["lv", "en", "ru"] },
+    defaultLocale: { type: "string", default: "lv" },
+    path: { type: "string", default: "data/i18n" },
+    storageKey: { type: "string", default: "locale" }
+  },
+
+  init() {
+    this.tables = {};
+    this.locale = this.readStoredLocale() || this.data.defaultLocale;
+    this.isLoaded = false;
+
+    Promise.all(this.data.locales.map((locale) =>
+      fetch(`${this.data.path}/${locale}.json`)
+        .then((response) => (response.ok ? response.json() : {}))
+        .catch(() => ({}))
+        .then((table) => { this.tables[locale] = table; })
+    )).then(() => {
+      this.isLoaded = true;
+      this.applyLocale();
+    });
+  },
+
+  readStoredLocale() {
+    const stored = MuseumUtils.loadStored(this.data.storageKey);
+    return this.data.locales.includes(stored) ? stored : null;
+  },
+
+  setLocale(locale) {
+    if (!this.data.locales.includes(locale) || locale === this.locale) return;
+    this.locale = locale;
+    MuseumUtils.store(this.data.storageKey, locale);
+    this.applyLocale();
+  },
+
+  applyLocale() {
+    document.documentElement.lang = this.locale;
+    this.el.emit("locale-changed", { locale: this.locale });
+  },
+
+  t(key, fallback) {
+    const table = this.tables[this.locale];
+    if (table && table[key] !== undefined) return table[key];
+    return fallback !== undefined ? fallback : key;
+  },
+
+  textFont() {
+    return this.t("meta.textFont", "roboto");
+  }
+});
+
+AFRAME.registerComponent("localized", {
+  schema: {
+    title: { type: "string", default: "" },
+    description: { type: "string", default: "" }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.fallbackTitle = this.el.getAttribute("data-title") || "";
+    this.fallbackDescription = this.el.getAttribute("data-description") || "";
+    this.onLocaleChanged = this.update.bind(this);
+    this.el.sceneEl.addEventListener("locale-changed", this.onLocaleChanged);
+  },
+
+  update() {
+    if (this.data.title) {
+      this.el.setAttribute("data-title", this.i18n.t(this.data.title, this.fallbackTitle));
+    }
+    if (this.data.description) {
+      this.el.setAttribute("data-description", this.i18n.t(this.data.description, this.fallbackDescription));
+    }
+  },
+
+  remove() {
+    this.el.sceneEl.removeEventListener("locale-changed", this.onLocaleChanged);
+  }
+});
+
+AFRAME.registerComponent("vr-language-panel", {
+  schema: {
+    distance: { type: "number", default: 2.5 },
+    y: { type: "number", default: 0.62 },
+    buttonWidth: { type: "number", default: 0.1 },
+    buttonHeight: { type: "number", default: 0.06 },
+    activeColor: { type: "color", default: "#4CAF50" },
+    idleColor: { type: "color", default: "#000000" }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.buttons = [];
+
+    const locales = this.i18n.data.locales;
+    const step = this.data.buttonWidth + 0.02;
+
+    locales.forEach((locale, index) => {
+      const button = document.createElement("a-plane");
+      MuseumUtils.setPointable(button, true);
+      button.setAttribute("width", this.data.buttonWidth);
+      button.setAttribute("height", this.data.buttonHeight);
+      button.setAttribute("position",
+        `${(index - (locales.length - 1) / 2) * step} ${this.data.y} -${this.data.distance}`);
+      button.setAttribute("text", {
+        value: locale.toUpperCase(),
+        align: "center",
+        width: 0.6,
+        color: "#ffffff"
+      });
+      button.locale = locale;
+      button.addEventListener("click", () => this.i18n.setLocale(locale));
+
+      this.el.appendChild(button);
+      this.buttons.push(button);
+    });
+
+    this.onLocaleChanged = this.highlightActive.bind(this);
+    this.el.sceneEl.addEventListener("locale-changed", this.onLocaleChanged);
+    this.highlightActive();
+  },
+
+  highlightActive() {
+    this.buttons.forEach((button) => {
+      const color = button.locale === this.i18n.locale ? this.data.activeColor : this.data.idleColor;
+      button.setAttribute("material", `color: ${color}; transparent: true; opacity: 0.8`);
+    });
+  },
+
+  remove() {
+    this.el.sceneEl.removeEventListener("locale-changed", this.onLocaleChanged);
+    this.buttons.forEach((button) => button.parentNode && button.parentNode.removeChild(button));
+  }
+});
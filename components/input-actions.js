@@ -0,0 +1,347 @@
+/**
+ * INPUT ACTIONS
+ * =============
+ * Maps controller buttons to the actions the app uses, so the same
+ * components work with Oculus/Meta Touch, Vive, Valve Index, Pico, any
+ * generic WebXR controller and tracked hands.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. input-actions (system)
+ *    The rebinding table: which controls trigger which action on each
+ *    controller profile. Starts from INPUT_DEFAULT_BINDINGS below; changes
+ *    made with rebind() are kept in localStorage. There is no rebinding UI
+ *    in the scene - bindings are changed from the browser console:
+ *      const input = AFRAME.scenes[0].systems["input-actions"];
+ *      input.rebind("vive", "secondary", ["grip-hold"]);
+ *      input.resetBindings("vive");
+ *    Emits "input-bindings-changed" { profile, action, controls } on the scene.
+ *
+ * 2. input-actions
+ *    Attach to each hand entity. Adds A-Frame's controller components for
+ *    every supported headset (only the one matching the connected controller
+ *    takes effect), works out the profile from "controllerconnected" (or
+ *    "hand" while tracked-hand drives the entity) and emits the actions from
+ *    the hand entity:
+ *    - "<action>-down" / "<action>-up" { action, hand, profile, control, direction }
+ *      for select, grab, teleport, snap-turn, menu, primary, secondary and reset;
+ *      direction is "up" / "down" / "left" / "right" for stick and pad
+ *      directions, e.g. snap-turn on "thumbstick-left", null for buttons;
+ *      control is the one pressed, with "-hold" for a long press.
+ *      The left stick walks and strafes (movement-controls), so its
+ *      directions start no actions: teleport and snap-turn are right-hand.
+ *    - "axis-moved" { x, y, hand, profile, control, claimed } for the
+ *      analogue stick or pad. A listener that uses the stick for something
+ *      else right now (scrolling a carousel, turning a wheel) sets
+ *      evt.detail.claimed = true, and that movement starts no stick actions.
+ *    <a-entity id="rightHand" oculus-touch-controls="hand: right" input-actions="hand: right"></a-entity>
+ *
+ *    Schema Properties:
+ *    - hand: Which hand the entity is (default: right)
+ *    - profile: Profile used until a controller connects (default: oculus-touch)
+ *    - controllers: Controller components to add (default: all supported)
+ *
+ * Controls are the names in A-Frame's controller events: buttons ("trigger",
+ * "grip", "squeeze", "menu", "abutton", "bbutton", "xbutton", "ybutton",
+ * "thumbstick", "trackpad", "touchpad") and stick or pad directions
+ * ("thumbstick-up", "trackpad-left", ...). Sticks trigger a direction when
+ * pushed most of the way; pads are touched all the time, so their
+ * directions count only while the pad is pressed there.
+ * Any control with "-hold" added ("menu-hold", "trackpad-down-hold") is a
+ * long press. Once a control has a long press bound, its own actions wait
+ * for the release and only fire for a short press.
+ */
+
+// A-Frame controller component -> profile in the rebinding table
+const INPUT_PROFILES = {
+  "oculus-touch-controls": "oculus-touch",
+  "vive-controls": "vive",
+  "valve-index-controls": "valve-index",
+  "pico-controls": "pico",
+  "generic-tracked-controller-controls": "generic"
+};
+
+const INPUT_ACTIONS = ["select", "grab", "teleport", "snap-turn", "menu", "primary", "secondary", "reset", "axis"];
+
+// Default rebinding table. "axis" is the analogue control behind "axis-moved".
+// Reset is a long press of the stick (a short one opens the menu); Vive wands
+// have no stick, so it is a long press of the pad there and secondary is left
+// unbound. Tracked hands reset nothing: every pinch and fist is already taken.
+const INPUT_DEFAULT_BINDINGS = {
+  "oculus-touch": {
+    select: ["trigger"], grab: ["grip"], teleport: ["thumbstick-up"], "snap-turn": ["thumbstick-left", "thumbstick-right"],
+    menu: ["thumbstick"], primary: ["abutton", "xbutton"], secondary: ["bbutton", "ybutton"], reset: ["thumbstick-hold"], axis: ["thumbstick"]
+  },
+  vive: {
+    select: ["trigger"], grab: ["grip"], teleport: ["trackpad-up"], "snap-turn": ["trackpad-left", "trackpad-right"],
+    menu: ["menu"], primary: ["trackpad-down"], secondary: [], reset: ["trackpad-down-hold"], axis: ["trackpad"]
+  },
+  "valve-index": {
+    select: ["trigger"], grab: ["grip"], teleport: ["thumbstick-up"], "snap-turn": ["thumbstick-left", "thumbstick-right"],
+    menu: ["thumbstick"], primary: ["abutton"], secondary: ["bbutton"], reset: ["thumbstick-hold"], axis: ["thumbstick"]
+  },
+  pico: {
+    select: ["trigger"], grab: ["grip"], teleport: ["thumbstick-up"], "snap-turn": ["thumbstick-left", "thumbstick-right"],
+    menu: ["thumbstick"], primary: ["abutton", "xbutton"], secondary: ["bbutton", "ybutton"], reset: ["thumbstick-hold"], axis: ["thumbstick"]
+  },
+  generic: {
+    select: ["trigger"], grab: ["squeeze"], teleport: ["thumbstick-up"], "snap-turn": ["thumbstick-left", "thumbstick-right"],
+    menu: ["thumbstick"], primary: ["touchpad"], secondary: [], reset: ["thumbstick-hold"], axis: ["thumbstick", "touchpad"]
+  },
+  // tracked-hand: a pinch is the trigger, a fist the grip
+  hand: {
+    select: ["trigger"], grab: ["grip"], teleport: ["trigger"], "snap-turn": [],
+    menu: [], primary: [], secondary: [], reset: [], axis: []
+  }
+};
+
+const INPUT_BUTTONS = ["trigger", "grip", "squeeze", "menu", "abutton", "bbutton", "xbutton", "ybutton", "thumbstick", "trackpad", "touchpad"];
+const INPUT_AXES = ["thumbstick", "trackpad", "touchpad"];
+const INPUT_PADS = ["trackpad", "touchpad"];
+
+// Unit vector of each direction in the axis values (stick up is negative y)
+const INPUT_DIRECTIONS = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+const INPUT_AXIS_PRESS = 0.7;
+const INPUT_AXIS_RELEASE = 0.3;
+const INPUT_HOLD_SUFFIX = "-hold";
+// movement-controls' gamepad-controls walks with this stick of the left hand
+const INPUT_MOVEMENT_STICK = "thumbstick";
+
+AFRAME.registerSystem("input-actions", {
+  schema: {
+    storageKey: { type: "string", default: "input-bindings" }
+  },
+
+  init() {
+    this.overrides = {};
+    this.restoreBindings();
+  },
+
+  restoreBindings() {
+    const stored = MuseumUtils.loadStored(this.data.storageKey);
+    this.overrides = stored && typeof stored === "object" ? stored : {};
+  },
+
+  storeBindings() {
+    MuseumUtils.store(this.data.storageKey, this.overrides);
+  },
+
+  // Action -> controls for a profile, with the rebound actions applied
+  bindings(profile) {
+    const defaults = INPUT_DEFAULT_BINDINGS[profile] || INPUT_DEFAULT_BINDINGS.generic;
+    const overrides = this.overrides[profile] || {};
+    const bindings = {};
+    INPUT_ACTIONS.forEach((action) => {
+      bindings[action] = (overrides[action] || defaults[action] || []).slice();
+    });
+    return bindings;
+  },
+
+  rebind(profile, action, controls) {
+    if (!INPUT_ACTIONS.includes(action)) {
+      console.warn(`input-actions: unknown action "${action}"`);
+      return;
+    }
+    this.overrides[profile] = Object.assign({}, this.overrides[profile], { [action]: controls.slice() });
+    this.storeBindings();
+    this.el.emit("input-bindings-changed", { profile, action, controls: controls.slice() });
+  },
+
+  // Back to the default table for one profile, or for all of them
+  resetBindings(profile) {
+    if (profile) {
+      delete this.overrides[profile];
+    } else {
+      this.overrides = {};
+    }
+    this.storeBindings();
+    this.el.emit("input-bindings-changed", { profile: profile || null, action: null, controls: null });
+  }
+});
+
+AFRAME.registerComponent("input-actions", {
+  schema: {
+    hand: { type: "string", default: "right", oneOf: ["left", "right"] },
+    profile: { type: "string", default: "oculus-touch" },
+    controllers: { type: "array", default: Object.keys(INPUT_PROFILES) },
+    holdTime: { type: "number", default: 800 }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems["input-actions"];
+    this.controllerProfile = this.data.profile;
+    this.profile = this.data.profile;
+    this.bindings = this.system.bindings(this.profile);
+    // Control -> actions it started, so each "-down" gets its "-up"
+    this.active = new Map();
+    // Control with a long press bound -> time it was pressed, until it counts as held
+    this.holding = new Map();
+    this.axes = {};
+    this.time = 0;
+
+    this.data.controllers.forEach((name) => {
+      if (AFRAME.components[name] && !this.el.hasAttribute(name)) this.el.setAttribute(name, { hand: this.data.hand });
+    });
+
+    this.onButtonDown = (evt) => this.pressButton(evt.type.slice(0, -4));
+    this.onButtonUp = (evt) => this.releaseButton(evt.type.slice(0, -2));
+    this.onAxisMoved = (evt) => this.moveAxis(evt.type.slice(0, -5), evt.detail);
+    this.onControllerConnected = (evt) => {
+      const profile = evt.detail && INPUT_PROFILES[evt.detail.name];
+      if (!profile) return;
+      this.controllerProfile = profile;
+      if (this.profile !== "hand") this.setProfile(profile);
+    };
+    this.onHandTracking = (evt) => this.setProfile(evt.detail.tracked ? "hand" : this.controllerProfile);
+    this.onBindingsChanged = () => { this.bindings = this.system.bindings(this.profile); };
+
+    INPUT_BUTTONS.forEach((button) => {
+      this.el.addEventListener(`${button}down`, this.onButtonDown);
+      this.el.addEventListener(`${button}up`, this.onButtonUp);
+    });
+    INPUT_AXES.forEach((axis) => this.el.addEventListener(`${axis}moved`, this.onAxisMoved));
+    this.el.addEventListener("controllerconnected", this.onControllerConnected);
+    this.el.addEventListener("hand-tracking-changed", this.onHandTracking);
+    this.el.sceneEl.addEventListener("input-bindings-changed", this.onBindingsChanged);
+  },
+
+  setProfile(profile) {
+    if (profile === this.profile) return;
+    this.releaseAll();
+    this.profile = profile;
+    this.bindings = this.system.bindings(profile);
+  },
+
+  // Actions bound to a control in the current profile
+  actionsFor(control) {
+    if (this.data.hand === "left" && this.isMovementDirection(control)) return [];
+    return INPUT_ACTIONS.filter((action) => action !== "axis" && this.bindings[action].includes(control));
+  },
+
+  isMovementDirection(control) {
+    const name = control.endsWith(INPUT_HOLD_SUFFIX) ? control.slice(0, -INPUT_HOLD_SUFFIX.length) : control;
+    return Object.keys(INPUT_DIRECTIONS).some((direction) => name === `${INPUT_MOVEMENT_STICK}-${direction}`);
+  },
+
+  press(control) {
+    if (this.active.has(control) || this.holding.has(control)) return;
+    if (this.actionsFor(control + INPUT_HOLD_SUFFIX).length) {
+      this.holding.set(control, this.time);
+      return;
+    }
+    const actions = this.actionsFor(control);
+    this.active.set(control, actions);
+    actions.forEach((action) => this.emitAction(action, "down", control));
+  },
+
+  release(control) {
+    if (this.holding.has(control)) {
+      // Let go before the long press: a short press
+      this.holding.delete(control);
+      const actions = this.actionsFor(control);
+      actions.forEach((action) => this.emitAction(action, "down", control));
+      actions.forEach((action) => this.emitAction(action, "up", control));
+      return;
+    }
+    if (this.active.has(control + INPUT_HOLD_SUFFIX)) this.release(control + INPUT_HOLD_SUFFIX);
+    const actions = this.active.get(control);
+    if (!actions) return;
+    this.active.delete(control);
+    actions.forEach((action) => this.emitAction(action, "up", control));
+  },
+
+  releaseAll() {
+    this.holding.clear();
+    Array.from(this.active.keys()).forEach((control) => this.release(control));
+  },
+
+  emitAction(action, phase, control) {
+    const name = control.endsWith(INPUT_HOLD_SUFFIX) ? control.slice(0, -INPUT_HOLD_SUFFIX.length) : control;
+    const direction = name.slice(name.lastIndexOf("-") + 1);
+    this.el.emit(`${action}-${phase}`, {
+      action,
+      hand: this.data.hand,
+      profile: this.profile,
+      control,
+      direction: direction in INPUT_DIRECTIONS ? direction : null
+    });
+  },
+
+  tick(time) {
+    this.time = time;
+    this.holding.forEach((start, control) => {
+      if (time - start < this.data.holdTime) return;
+      this.holding.delete(control);
+      // Held: the control counts as pressed, for its long press only
+      this.active.set(control, []);
+      this.press(control + INPUT_HOLD_SUFFIX);
+    });
+  },
+
+  pressButton(button) {
+    this.press(button);
+    // A pad press counts for the direction of the spot pressed
+    const axis = this.axes[button];
+    if (!INPUT_PADS.includes(button) || !axis) return;
+    const direction = this.direction(axis.x, axis.y, INPUT_AXIS_RELEASE);
+    if (direction) this.press(`${button}-${direction}`);
+  },
+
+  releaseButton(button) {
+    this.release(button);
+    if (!INPUT_PADS.includes(button)) return;
+    Object.keys(INPUT_DIRECTIONS).forEach((direction) => this.release(`${button}-${direction}`));
+  },
+
+  // The direction the axis points furthest along, if beyond the threshold
+  direction(x, y, threshold) {
+    let best = null;
+    let bestValue = threshold;
+    Object.keys(INPUT_DIRECTIONS).forEach((direction) => {
+      const [dx, dy] = INPUT_DIRECTIONS[direction];
+      const value = x * dx + y * dy;
+      if (value > bestValue) {
+        best = direction;
+        bestValue = value;
+      }
+    });
+    return best;
+  },
+
+  moveAxis(axis, detail) {
+    const x = detail.x || 0;
+    const y = detail.y || 0;
+    this.axes[axis] = { x, y };
+
+    let claimed = false;
+    if (this.bindings.axis.includes(axis)) {
+      const axisDetail = { x, y, hand: this.data.hand, profile: this.profile, control: axis, claimed: false };
+      this.el.emit("axis-moved", axisDetail);
+      claimed = axisDetail.claimed;
+    }
+
+    if (INPUT_PADS.includes(axis)) return;
+    Object.keys(INPUT_DIRECTIONS).forEach((direction) => {
+      const [dx, dy] = INPUT_DIRECTIONS[direction];
+      if (x * dx + y * dy < INPUT_AXIS_RELEASE) this.release(`${axis}-${direction}`);
+    });
+    // One direction at a time, so a diagonal push doesn't teleport and turn
+    const direction = this.direction(x, y, INPUT_AXIS_PRESS);
+    if (!direction || claimed) return;
+    const others = Object.keys(INPUT_DIRECTIONS).some((other) => other !== direction && this.active.has(`${axis}-${other}`));
+    if (!others) this.press(`${axis}-${direction}`);
+  },
+
+  remove() {
+    this.releaseAll();
+    INPUT_BUTTONS.forEach((button) => {
+      this.el.removeEventListener(`${button}down`, this.onButtonDown);
+      this.el.removeEventListener(`${button}up`, this.onButtonUp);
+    });
+    INPUT_AXES.forEach((axis) => this.el.removeEventListener(`${axis}moved`, this.onAxisMoved));
+    this.el.removeEventListener("controllerconnected", this.onControllerConnected);
+    this.el.removeEventListener("hand-tracking-changed", this.onHandTracking);
+    this.el.sceneEl.removeEventListener("input-bindings-changed", this.onBindingsChanged);
+  }
+});
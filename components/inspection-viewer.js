@@ -0,0 +1,411 @@
+/**
+ * INSPECTION VIEWER COMPONENT
+ * ===========================
+ * Close-up study of a single [grabbable] exhibit. A copy of the model is
+ * isolated in front of the camera against a neutral backdrop with studio
+ * lighting, and a ruler shows its real-world height and diameter (computed
+ * from the model's bounding box and scale, scene units being metres).
+ *
+ * Opening:
+ * - Desktop: the "Inspect" button of the object popup (emits "inspect-object")
+ * - VR: the primary button (A or X) while holding an exhibit
+ *
+ * Controls:
+ * - Mouse: drag to orbit, wheel to zoom, right-drag or shift-drag to pan
+ * - Touch: one finger to orbit, two fingers to zoom and pan
+ * - VR: left thumbstick orbits, right thumbstick zooms (y) and pans (x)
+ * - Escape, the exit button, or the secondary button (B / Y) closes the viewer
+ *
+ * Usage:
+ * <a-scene inspection-viewer="rig: #rig"></a-scene>
+ *
+ * Any component can open it with:
+ *   sceneEl.emit("inspect-object", { target: exhibitEl });
+ */
+
+AFRAME.registerComponent("inspection-viewer", {
+  schema: {
+    rig: { type: "selector", default: "#rig" },
+    leftHand: { type: "selector", default: "#leftHand" },
+    rightHand: { type: "selector", default: "#rightHand" },
+    overlay: { type: "selector", default: "#inspection-overlay" },
+    rulerText: { type: "selector", default: "#inspection-ruler" },
+    exitButton: { type: "selector", default: "#inspection-exit" },
+    backdropColor: { type: "color", default: "#2b2b2b" },
+    rulerColor: { type: "color", default: "#4CAF50" },
+    minDistance: { type: "number", default: 0.15 },
+    maxDistance: { type: "number", default: 2.5 },
+    rotateSpeed: { type: "number", default: 0.006 },
+    zoomSpeed: { type: "number", default: 0.001 },
+    panSpeed: { type: "number", default: 0.001 },
+    thumbstickSpeed: { type: "number", default: 2 }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.target = null;
+    this.heldEl = null;
+    this.stageEl = null;
+
+    // View state
+    this.yaw = 0;
+    this.pitch = 0;
+    this.viewDistance = 0.6;
+    this.pan = new THREE.Vector2();
+    this.leftAxis = new THREE.Vector2();
+    this.rightAxis = new THREE.Vector2();
+
+    // Pointer state
+    this.dragMode = null;
+    this.lastPointer = { x: 0, y: 0 };
+    this.lastPinchDistance = 0;
+
+    this.bindMethods();
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("inspect-object", this.onInspectObject);
+    sceneEl.addEventListener("grab-start", this.onGrabStart);
+    sceneEl.addEventListener("grab-end", this.onGrabEnd);
+    window.addEventListener("keydown", this.onKeyDown);
+    if (this.data.exitButton) this.data.exitButton.addEventListener("click", this.close);
+
+    [this.data.leftHand, this.data.rightHand].forEach((hand) => {
+      if (!hand) return;
+      hand.addEventListener("primary-down", this.onInspectButton);
+      hand.addEventListener("secondary-down", this.close);
+      hand.addEventListener("axis-moved", this.onThumbstick);
+    });
+
+    if (sceneEl.hasLoaded) {
+      this.bindCanvas();
+    } else {
+      sceneEl.addEventListener("loaded", () => this.bindCanvas(), { once: true });
+    }
+  },
+
+  bindMethods() {
+    this.onInspectObject = (evt) => this.open(evt.detail.target);
+    this.onGrabStart = (evt) => { this.heldEl = evt.target; };
+    this.onGrabEnd = (evt) => { if (evt.target === this.heldEl) this.heldEl = null; };
+    this.onInspectButton = () => { if (this.heldEl) this.open(this.heldEl); };
+    this.onKeyDown = (evt) => { if (evt.key === "Escape") this.close(); };
+    this.onThumbstick = this.onThumbstick.bind(this);
+    this.onMouseDown = this.onMouseDown.bind(this);
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+    this.onTouchStart = this.onTouchStart.bind(this);
+    this.onTouchMove = this.onTouchMove.bind(this);
+    this.onContextMenu = (evt) => { if (this.target) evt.preventDefault(); };
+    this.close = this.close.bind(this);
+  },
+
+  bindCanvas() {
+    this.canvas = this.el.sceneEl.canvas;
+    this.canvas.addEventListener("mousedown", this.onMouseDown);
+    window.addEventListener("mousemove", this.onMouseMove);
+    window.addEventListener("mouseup", this.onMouseUp);
+    this.canvas.addEventListener("wheel", this.onWheel, { passive: false });
+    this.canvas.addEventListener("touchstart", this.onTouchStart, { passive: true });
+    this.canvas.addEventListener("touchmove", this.onTouchMove, { passive: false });
+    this.canvas.addEventListener("contextmenu", this.onContextMenu);
+  },
+
+  open(targetEl) {
+    const mesh = targetEl && targetEl.getObject3D("mesh");
+    if (!mesh) return;
+    if (this.target) this.close();
+
+    this.target = targetEl;
+    this.el.sceneEl.addState("inspecting");
+
+    // Upright copy at the exhibit's world scale, measured before it is placed
+    const holder = new THREE.Group();
+    holder.add(mesh.clone(true));
+    targetEl.object3D.getWorldScale(holder.scale);
+
+    // Measure at the original size even if the pot was scaled between two hands
+    const initialScale = targetEl.getAttribute("data-initial-scale");
+    if (initialScale) {
+      const [x, y, z] = initialScale.split(" ").map(parseFloat);
+      const scale = targetEl.object3D.scale;
+      holder.scale.multiply(new THREE.Vector3(x / scale.x, y / scale.y, z / scale.z));
+    }
+    holder.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(holder);
+    const size = box.getSize(new THREE.Vector3());
+    holder.position.sub(box.getCenter(new THREE.Vector3()));
+    this.dimensions = { height: size.y, diameter: Math.max(size.x, size.z) };
+
+    this.pivot = new THREE.Group();
+    this.pivot.add(holder);
+
+    this.yaw = 0;
+    this.pitch = 0;
+    this.pan.set(0, 0);
+    this.viewDistance = THREE.MathUtils.clamp(
+      Math.max(size.x, size.y, size.z) * 2.5, this.data.minDistance, this.data.maxDistance);
+
+    this.buildStage();
+    targetEl.object3D.visible = false;
+    this.setNavigationEnabled(false);
+    this.showOverlay();
+    this.el.emit("inspection-open", { target: targetEl, dimensions: this.dimensions });
+  },
+
+  buildStage() {
+    const camera = this.el.sceneEl.camera.el;
+    this.stageEl = document.createElement("a-entity");
+
+    // Backdrop sphere around the head hides the workshop while inspecting
+    const backdrop = document.createElement("a-sphere");
+    backdrop.setAttribute("radius", 4);
+    backdrop.setAttribute("material", `shader: flat; color: ${this.data.backdropColor}; side: back`);
+    this.stageEl.appendChild(backdrop);
+
+    // Plain three.js lights so A-Frame's default scene lights are left alone
+    const stage = this.stageEl.object3D;
+    stage.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const keyLight = new THREE.DirectionalLight(0xffffff, 1.2);
+    keyLight.position.set(1, 1.5, 1);
+    stage.add(keyLight);
+    const fillLight = new THREE.DirectionalLight(0xffffff, 0.5);
+    fillLight.position.set(-1.5, 0.5, 0.5);
+    stage.add(fillLight);
+    const rimLight = new THREE.DirectionalLight(0xffffff, 0.4);
+    rimLight.position.set(0, 1, -1.5);
+    stage.add(rimLight);
+
+    stage.add(this.pivot);
+    this.rulerEl = this.buildRuler();
+    this.stageEl.appendChild(this.rulerEl);
+
+    camera.appendChild(this.stageEl);
+    this.updateView();
+  },
+
+  buildRuler() {
+    const { height, diameter } = this.dimensions;
+    const rulerEl = document.createElement("a-entity");
+    const material = new THREE.LineBasicMaterial({ color: this.data.rulerColor });
+    const points = [];
+    const x = diameter / 2 + 0.03;
+    const y = -height / 2 - 0.03;
+    const tick = Math.max(diameter, height) * 0.04;
+
+    // Height: vertical line with end caps and a tick every centimetre
+    points.push(new THREE.Vector3(x, -height / 2, 0), new THREE.Vector3(x, height / 2, 0));
+    for (let h = 0; h <= height + 1e-6; h += 0.01) {
+      const len = Math.round(h * 100) % 5 === 0 ? tick : tick / 2;
+      points.push(new THREE.Vector3(x, h - height / 2, 0), new THREE.Vector3(x - len, h - height / 2, 0));
+    }
+    points.push(new THREE.Vector3(x - tick, height / 2, 0), new THREE.Vector3(x + tick, height / 2, 0));
+
+    // Diameter: horizontal line under the model with end caps
+    points.push(new THREE.Vector3(-diameter / 2, y, 0), new THREE.Vector3(diameter / 2, y, 0));
+    points.push(new THREE.Vector3(-diameter / 2, y - tick, 0), new THREE.Vector3(-diameter / 2, y + tick, 0));
+    points.push(new THREE.Vector3(diameter / 2, y - tick, 0), new THREE.Vector3(diameter / 2, y + tick, 0));
+
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    rulerEl.setObject3D("mesh", new THREE.LineSegments(geometry, material));
+
+    const font = this.i18n.textFont();
+    const labelWidth = Math.max(diameter, height) * 1.5;
+    const heightLabel = document.createElement("a-entity");
+    heightLabel.setAttribute("position", `${x + tick * 2} 0 0`);
+    heightLabel.setAttribute("text", {
+      value: this.formatLength(height), anchor: "left", width: labelWidth, color: this.data.rulerColor, font
+    });
+    const diameterLabel = document.createElement("a-entity");
+    diameterLabel.setAttribute("position", `0 ${y - tick * 3} 0`);
+    diameterLabel.setAttribute("text", {
+      value: this.formatLength(diameter), align: "center", width: labelWidth, color: this.data.rulerColor, font
+    });
+    rulerEl.appendChild(heightLabel);
+    rulerEl.appendChild(diameterLabel);
+    return rulerEl;
+  },
+
+  formatLength(metres) {
+    return `${(metres * 100).toFixed(1)} cm`;
+  },
+
+  showOverlay() {
+    if (this.data.rulerText) {
+      this.data.rulerText.textContent =
+        `${this.i18n.t("ui.height", "Height")}: ${this.formatLength(this.dimensions.height)} · ` +
+        `${this.i18n.t("ui.diameter", "Diameter")}: ${this.formatLength(this.dimensions.diameter)}`;
+    }
+    if (this.data.overlay && !this.el.sceneEl.is("vr-mode")) {
+      this.data.overlay.style.display = "block";
+    }
+  },
+
+  setNavigationEnabled(enabled) {
+    const rig = this.data.rig;
+    if (rig && rig.hasAttribute("movement-controls")) {
+      rig.setAttribute("movement-controls", "enabled", enabled);
+    }
+    const camera = this.el.sceneEl.camera.el;
+    if (camera.hasAttribute("look-controls") && !this.el.sceneEl.is("vr-mode")) {
+      camera.setAttribute("look-controls", "enabled", enabled);
+    }
+  },
+
+  close() {
+    if (!this.target) return;
+
+    this.target.object3D.visible = true;
+    if (this.stageEl && this.stageEl.parentNode) {
+      this.stageEl.parentNode.removeChild(this.stageEl);
+    }
+    this.rulerEl.getObject3D("mesh").geometry.dispose();
+    this.stageEl = null;
+    this.pivot = null;
+
+    this.setNavigationEnabled(true);
+    if (this.data.overlay) this.data.overlay.style.display = "none";
+    this.el.sceneEl.removeState("inspecting");
+    this.el.emit("inspection-close", { target: this.target });
+    this.target = null;
+    this.dragMode = null;
+  },
+
+  updateView() {
+    if (!this.pivot) return;
+    this.pitch = THREE.MathUtils.clamp(this.pitch, -Math.PI / 2, Math.PI / 2);
+    this.viewDistance = THREE.MathUtils.clamp(this.viewDistance, this.data.minDistance, this.data.maxDistance);
+
+    this.pivot.rotation.set(this.pitch, this.yaw, 0, "XYZ");
+    this.pivot.position.set(this.pan.x, this.pan.y, -this.viewDistance);
+    this.rulerEl.object3D.position.copy(this.pivot.position);
+  },
+
+  onMouseDown(evt) {
+    if (!this.target) return;
+    this.dragMode = evt.button === 2 || evt.shiftKey ? "pan" : "orbit";
+    this.lastPointer.x = evt.clientX;
+    this.lastPointer.y = evt.clientY;
+  },
+
+  onMouseMove(evt) {
+    if (!this.target || !this.dragMode) return;
+    this.applyDrag(evt.clientX - this.lastPointer.x, evt.clientY - this.lastPointer.y, this.dragMode);
+    this.lastPointer.x = evt.clientX;
+    this.lastPointer.y = evt.clientY;
+  },
+
+  onMouseUp() {
+    this.dragMode = null;
+  },
+
+  onWheel(evt) {
+    if (!this.target) return;
+    evt.preventDefault();
+    this.viewDistance *= 1 + evt.deltaY * this.data.zoomSpeed;
+    this.updateView();
+  },
+
+  onTouchStart(evt) {
+    if (!this.target) return;
+    const touches = evt.touches;
+    if (touches.length === 1) {
+      this.lastPointer.x = touches[0].clientX;
+      this.lastPointer.y = touches[0].clientY;
+    } else if (touches.length === 2) {
+      this.lastPinchDistance = this.touchDistance(touches);
+      this.lastPointer.x = (touches[0].clientX + touches[1].clientX) / 2;
+      this.lastPointer.y = (touches[0].clientY + touches[1].clientY) / 2;
+    }
+  },
+
+  onTouchMove(evt) {
+    if (!this.target) return;
+    evt.preventDefault();
+    const touches = evt.touches;
+
+    if (touches.length === 1) {
+      this.applyDrag(touches[0].clientX - this.lastPointer.x, touches[0].clientY - this.lastPointer.y, "orbit");
+      this.lastPointer.x = touches[0].clientX;
+      this.lastPointer.y = touches[0].clientY;
+    } else if (touches.length === 2) {
+      const distance = this.touchDistance(touches);
+      if (this.lastPinchDistance > 0) {
+        this.viewDistance *= this.lastPinchDistance / distance;
+      }
+      this.lastPinchDistance = distance;
+
+      const midX = (touches[0].clientX + touches[1].clientX) / 2;
+      const midY = (touches[0].clientY + touches[1].clientY) / 2;
+      this.applyDrag(midX - this.lastPointer.x, midY - this.lastPointer.y, "pan");
+      this.lastPointer.x = midX;
+      this.lastPointer.y = midY;
+    }
+  },
+
+  touchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+  },
+
+  applyDrag(dx, dy, mode) {
+    if (mode === "pan") {
+      // Pan faster when zoomed out so the model tracks the pointer
+      const scale = this.data.panSpeed * this.viewDistance;
+      this.pan.x += dx * scale;
+      this.pan.y -= dy * scale;
+    } else {
+      this.yaw += dx * this.data.rotateSpeed;
+      this.pitch += dy * this.data.rotateSpeed;
+    }
+    this.updateView();
+  },
+
+  onThumbstick(evt) {
+    const axis = evt.currentTarget === this.data.leftHand ? this.leftAxis : this.rightAxis;
+    axis.set(evt.detail.x, evt.detail.y);
+    // The sticks move the view, not the visitor, while inspecting
+    if (this.target) evt.detail.claimed = true;
+  },
+
+  tick(time, timeDelta) {
+    if (!this.target || !timeDelta) return;
+    const dt = timeDelta / 1000;
+    const speed = this.data.thumbstickSpeed * dt;
+
+    if (this.leftAxis.lengthSq() > 0.01 || this.rightAxis.lengthSq() > 0.01) {
+      this.yaw += this.leftAxis.x * speed;
+      this.pitch += this.leftAxis.y * speed;
+      this.viewDistance *= 1 + this.rightAxis.y * speed * 0.5;
+      this.pan.x += this.rightAxis.x * speed * 0.1;
+      this.updateView();
+    }
+  },
+
+  remove() {
+    this.close();
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("inspect-object", this.onInspectObject);
+    sceneEl.removeEventListener("grab-start", this.onGrabStart);
+    sceneEl.removeEventListener("grab-end", this.onGrabEnd);
+    window.removeEventListener("keydown", this.onKeyDown);
+    window.removeEventListener("mousemove", this.onMouseMove);
+    window.removeEventListener("mouseup", this.onMouseUp);
+    if (this.data.exitButton) this.data.exitButton.removeEventListener("click", this.close);
+
+    [this.data.leftHand, this.data.rightHand].forEach((hand) => {
+      if (!hand) return;
+      hand.removeEventListener("primary-down", this.onInspectButton);
+      hand.removeEventListener("secondary-down", this.close);
+      hand.removeEventListener("axis-moved", this.onThumbstick);
+    });
+
+    if (this.canvas) {
+      this.canvas.removeEventListener("mousedown", this.onMouseDown);
+      this.canvas.removeEventListener("wheel", this.onWheel);
+      this.canvas.removeEventListener("touchstart", this.onTouchStart);
+      this.canvas.removeEventListener("touchmove", this.onTouchMove);
+      this.canvas.removeEventListener("contextmenu", this.onContextMenu);
+    }
+  }
+});
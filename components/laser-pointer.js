@@ -0,0 +1,229 @@
+/**
+ * LASER POINTER COMPONENT
+ * =======================
+ * A pointer ray along a VR controller's forward axis, drawn as a beam with
+ * a reticle where it hits. Entities matching `objects` get the same events
+ * as from the desktop mouse cursor, so they work the same in VR:
+ * - "mouseenter" / "mouseleave" while the ray is on them (the entity is in
+ *   the "cursor-hovered" state meanwhile)
+ * - "click" on the select action (the trigger, see input-actions.js)
+ * each with { cursorEl, intersection } in the detail. An entity pointed at
+ * by both hands only gets "mouseleave" once neither points at it.
+ *
+ * The beam is only drawn in VR and hides while the hand holds something.
+ *
+ * Other components cast their own rays along the same line:
+ *   const pointer = handEl.components["laser-pointer"];
+ *   if (pointer && pointer.updateRay()) pointer.raycaster.intersectObject(mesh, false);
+ *
+ * Usage:
+ * <a-entity oculus-touch-controls="hand: right" input-actions="hand: right" simple-grab laser-pointer></a-entity>
+ *
+ * Schema Properties:
+ * - objects: Selector of the entities the pointer interacts with
+ *   (default: .clickable, .vr-selectable, .expandable-banner)
+ * - far: Reach of the pointer in metres (default: 10)
+ * - origin / direction: Ray in the controller's local space (default: 0 0 0 / 0 0 -1)
+ * - color / hoverColor: Beam colour, and while it is on an entity
+ * - interval: How often (ms) the list of entities is refreshed (default: 250)
+ * - clickEvent: Hand event that clicks (default: select-down)
+ */
+
+const LASER_BEAM_RADIUS = 0.002;
+
+// Pointers currently on each entity, so two hands don't cut each other's hover short
+const LASER_HOVERS = new WeakMap();
+
+// Raycasts still hit hidden objects, e.g. banners scrolled out of the carousel
+// (see MuseumUtils.setPointable for the desktop cursor)
+function isShownObject(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+}
+
+AFRAME.registerComponent("laser-pointer", {
+  schema: {
+    objects: { type: "string", default: ".clickable, .vr-selectable, .expandable-banner" },
+    far: { type: "number", default: 10 },
+    origin: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    direction: { type: "vec3", default: { x: 0, y: 0, z: -1 } },
+    color: { type: "color", default: "#ffffff" },
+    hoverColor: { type: "color", default: "#4CAF50" },
+    interval: { type: "number", default: 250 },
+    clickEvent: { type: "string", default: "select-down" }
+  },
+
+  init() {
+    this.raycaster = new THREE.Raycaster();
+    this.objects = [];
+    this.lastRefresh = -Infinity;
+    this.hovered = null;
+    this.intersection = null;
+
+    // Reusable objects
+    this.rayOrigin = new THREE.Vector3();
+    this.rayDirection = new THREE.Vector3();
+    this.normal = new THREE.Vector3();
+    this.lookTarget = new THREE.Vector3();
+    this.beamDirection = new THREE.Vector3();
+
+    // Beam: a thin cylinder from the origin, scaled along z to the hit
+    const beamGeometry = new THREE.CylinderGeometry(LASER_BEAM_RADIUS, LASER_BEAM_RADIUS, 1, 6, 1, true);
+    beamGeometry.rotateX(Math.PI / 2);
+    beamGeometry.translate(0, 0, -0.5);
+    this.beam = new THREE.Mesh(beamGeometry, new THREE.MeshBasicMaterial({
+      color: this.data.color, transparent: true, opacity: 0.6, depthWrite: false
+    }));
+    this.beam.visible = false;
+    this.el.setObject3D("laser-beam", this.beam);
+
+    // Reticle: a ring lying on the surface that was hit, in world space
+    this.reticle = new THREE.Mesh(
+      new THREE.RingGeometry(0.008, 0.014, 24),
+      new THREE.MeshBasicMaterial({ color: this.data.hoverColor, side: THREE.DoubleSide, depthTest: false })
+    );
+    this.reticle.visible = false;
+    this.el.sceneEl.object3D.add(this.reticle);
+
+    this.onClick = this.onClick.bind(this);
+    this.el.addEventListener(this.data.clickEvent, this.onClick);
+  },
+
+  update(oldData) {
+    const data = this.data;
+    this.beamDirection.copy(data.direction).normalize();
+    this.beam.position.copy(data.origin);
+    this.beam.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, -1), this.beamDirection);
+    this.beam.material.color.set(this.hovered ? data.hoverColor : data.color);
+    this.reticle.material.color.set(data.hoverColor);
+    if (oldData.clickEvent && oldData.clickEvent !== data.clickEvent) {
+      this.el.removeEventListener(oldData.clickEvent, this.onClick);
+      this.el.addEventListener(data.clickEvent, this.onClick);
+    }
+    this.lastRefresh = -Infinity;
+  },
+
+  // Points the raycaster along the controller's current pose
+  updateRay() {
+    const object3D = this.el.object3D;
+    object3D.updateWorldMatrix(true, false);
+    this.rayOrigin.copy(this.data.origin).applyMatrix4(object3D.matrixWorld);
+    this.rayDirection.copy(this.data.direction).transformDirection(object3D.matrixWorld);
+    this.raycaster.set(this.rayOrigin, this.rayDirection);
+    return true;
+  },
+
+  refreshObjects() {
+    this.objects.length = 0;
+    this.el.sceneEl.querySelectorAll(this.data.objects).forEach((el) => {
+      if (el.object3D) this.objects.push(el.object3D);
+    });
+  },
+
+  // First shown entity matching `objects` along the ray: { el, intersection }
+  intersect() {
+    const raycaster = this.raycaster;
+    raycaster.far = this.data.far;
+    const intersects = raycaster.intersectObjects(this.objects, true);
+    raycaster.far = Infinity;
+
+    for (let i = 0; i < intersects.length; i++) {
+      const intersection = intersects[i];
+      if (!isShownObject(intersection.object)) continue;
+      for (let object = intersection.object; object; object = object.parent) {
+        if (object.el && object.el.matches && object.el.matches(this.data.objects)) {
+          return { el: object.el, intersection };
+        }
+      }
+    }
+    return null;
+  },
+
+  isHolding() {
+    const grab = this.el.sceneEl.systems.grab;
+    const hand = this.el.components["simple-grab"];
+    return !!(grab && hand && grab.heldBy(hand));
+  },
+
+  tick(time) {
+    const active = this.el.sceneEl.is("vr-mode") && !this.isHolding();
+    this.beam.visible = active;
+    if (!active) {
+      this.reticle.visible = false;
+      this.setHovered(null, null);
+      return;
+    }
+
+    if (time - this.lastRefresh >= this.data.interval) {
+      this.lastRefresh = time;
+      this.refreshObjects();
+    }
+
+    this.updateRay();
+    const hit = this.intersect();
+    this.beam.scale.z = hit ? hit.intersection.distance : this.data.far;
+    this.setHovered(hit && hit.el, hit && hit.intersection);
+
+    this.reticle.visible = !!hit;
+    if (!hit) return;
+    const intersection = hit.intersection;
+    this.reticle.position.copy(intersection.point);
+    if (intersection.face) {
+      this.normal.copy(intersection.face.normal).transformDirection(intersection.object.matrixWorld);
+    } else {
+      this.normal.copy(this.rayDirection).negate();
+    }
+    this.reticle.lookAt(this.lookTarget.copy(intersection.point).add(this.normal));
+  },
+
+  setHovered(el, intersection) {
+    this.intersection = intersection;
+    if (el === this.hovered) return;
+
+    const previous = this.hovered;
+    this.hovered = el;
+    this.beam.material.color.set(el ? this.data.hoverColor : this.data.color);
+
+    if (previous) {
+      const pointers = LASER_HOVERS.get(previous);
+      if (pointers) pointers.delete(this);
+      if (!pointers || !pointers.size) {
+        LASER_HOVERS.delete(previous);
+        previous.removeState("cursor-hovered");
+        previous.emit("mouseleave", { cursorEl: this.el, intersection: null });
+      }
+    }
+
+    if (el) {
+      const pointers = LASER_HOVERS.get(el) || new Set();
+      const entering = !pointers.size;
+      pointers.add(this);
+      LASER_HOVERS.set(el, pointers);
+      if (entering) {
+        el.addState("cursor-hovered");
+        el.emit("mouseenter", { cursorEl: this.el, intersection });
+      }
+    }
+  },
+
+  // Casts afresh, so a click lands where the controller points right now
+  onClick() {
+    this.refreshObjects();
+    this.updateRay();
+    const hit = this.intersect();
+    if (hit) hit.el.emit("click", { cursorEl: this.el, intersection: hit.intersection });
+  },
+
+  remove() {
+    this.el.removeEventListener(this.data.clickEvent, this.onClick);
+    this.setHovered(null, null);
+    this.el.removeObject3D("laser-beam");
+    this.beam.geometry.dispose();
+    this.beam.material.dispose();
+    if (this.reticle.parent) this.reticle.parent.remove(this.reticle);
+    this.reticle.geometry.dispose();
+    this.reticle.material.dispose();
+  }
+});
@@ -0,0 +1,634 @@
+/**
+ * MATERIAL PRESET COMPONENTS
+ * ==========================
+ * Browse the shader library (shaders/shaders.js) and apply any shader to an
+ * entity at runtime, with its uniforms exposed as sliders.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. material-presets (system)
+ *    The preset registry. Every registered shader gets a default preset
+ *    (its schema defaults); curated presets come from JSON files:
+ *    { "format": "material-preset", "version": 1,
+ *      "presets": [{ "id", "name", "shader", "uniforms": { ... } }] }
+ *    Keeps the current target shared by all pickers and emits
+ *    "material-preset-changed" { target } on the scene when it changes.
+ *
+ * 2. shader-preset
+ *    Puts a shader material on every mesh of an entity (glTF models too)
+ *    and restores the original materials when removed.
+ *    <a-entity gltf-model="..." shader-preset="shader: matcap-shader; uniforms: {&quot;rimPower&quot;: 3}"></a-entity>
+ *
+ * 3. material-picker
+ *    Desktop panel (#material-panel) with target and preset lists, a slider
+ *    per uniform and JSON save/load. Opened with #material-button or the
+ *    key. Attach to the scene.
+ *    <a-scene material-picker="key: m"></a-scene>
+ *
+ * 4. vr-material-menu
+ *    Wrist menu on a controller, shown and hidden with the menu action (a
+ *    thumbstick press).
+ *    Arrows pick the target and preset; point at a slider with the other
+ *    hand and pull the trigger to set it.
+ *    <a-entity oculus-touch-controls="hand: left" vr-material-menu></a-entity>
+ */
+
+const MATERIAL_PRESET_FORMAT = "material-preset";
+
+// Uniform types the pickers can edit (textures and vec3/4 are left alone)
+const TUNABLE_TYPES = ["number", "int", "color", "vec2"];
+
+AFRAME.registerSystem("material-presets", {
+  schema: {
+    src: { type: "string", default: "data/material-presets.json" },
+    targets: { type: "string", default: "[grabbable], [clay-lump]" }
+  },
+
+  init() {
+    this.presets = [{ id: "original", name: "Original", shader: "", uniforms: {} }];
+    this.target = null;
+
+    Object.keys(AFRAME.shaders).forEach((name) => {
+      if (MuseumUtils.BUILTIN_SHADERS.includes(name)) return;
+      this.register({ id: name, name, shader: name, uniforms: {} });
+    });
+
+    fetch(this.data.src)
+      .then((response) => {
+        if (!response.ok) throw new Error(`material-presets: failed to load ${this.data.src} (${response.status})`);
+        return response.json();
+      })
+      .then((json) => this.registerAll(json))
+      .catch((err) => console.error(err));
+  },
+
+  register(preset) {
+    if (preset.shader && !AFRAME.shaders[preset.shader]) return null;
+    const existing = this.get(preset.id);
+    if (existing) {
+      Object.assign(existing, preset);
+      return existing;
+    }
+    this.presets.push(preset);
+    return preset;
+  },
+
+  registerAll(json) {
+    if (!json || json.format !== MATERIAL_PRESET_FORMAT || !Array.isArray(json.presets)) {
+      throw new Error("material-presets: not a material preset file");
+    }
+    const added = json.presets.map((preset) => this.register(preset)).filter(Boolean);
+    this.el.emit("material-presets-loaded", { presets: added });
+    return added;
+  },
+
+  get(id) {
+    return this.presets.find((preset) => preset.id === id) || null;
+  },
+
+  getTargets() {
+    return Array.from(document.querySelectorAll(this.data.targets));
+  },
+
+  setTarget(el) {
+    this.target = el;
+    this.el.emit("material-preset-changed", { target: el });
+  },
+
+  // Tunable uniforms of a shader, with slider ranges guessed from the defaults
+  uniformFields(shaderName) {
+    const definition = AFRAME.shaders[shaderName];
+    if (!definition) return [];
+    const schema = definition.schema;
+    return Object.keys(schema)
+      .filter((key) => schema[key].is === "uniform" && TUNABLE_TYPES.includes(schema[key].type))
+      .map((key) => {
+        const prop = schema[key];
+        const field = { key, type: prop.type, default: prop.default };
+        if (prop.type === "vec2") {
+          field.max = Math.max(1, Math.abs(prop.default.x) * 4, Math.abs(prop.default.y) * 4);
+        } else if (prop.type !== "color") {
+          field.max = Math.max(1, Math.abs(prop.default) * 4);
+          field.min = prop.default < 0 ? -field.max : 0;
+        }
+        return field;
+      });
+  },
+
+  applyPreset(el, presetId) {
+    const preset = this.get(presetId);
+    if (!el || !preset) return;
+    if (el.hasAttribute("glaze")) el.removeAttribute("glaze");
+
+    if (!preset.shader) {
+      el.removeAttribute("shader-preset");
+    } else {
+      el.setAttribute("shader-preset", { shader: preset.shader, preset: preset.id, uniforms: Object.assign({}, preset.uniforms) });
+    }
+    this.el.emit("material-preset-changed", { target: el });
+  },
+
+  setUniform(el, key, value) {
+    const component = el && el.components["shader-preset"];
+    if (!component) return;
+    const uniforms = Object.assign({}, component.data.uniforms, { [key]: value });
+    el.setAttribute("shader-preset", "uniforms", uniforms);
+    this.el.emit("material-preset-changed", { target: el });
+  },
+
+  // Current values of a target, defaults filled in
+  currentValues(el) {
+    const component = el && el.components["shader-preset"];
+    if (!component) return {};
+    const values = {};
+    this.uniformFields(component.data.shader).forEach((field) => {
+      const value = component.data.uniforms[field.key];
+      values[field.key] = value !== undefined ? value : field.default;
+    });
+    return values;
+  },
+
+  // The target's current material as a single-preset file
+  exportPreset(el) {
+    const component = el && el.components["shader-preset"];
+    if (!component) return null;
+    return {
+      format: MATERIAL_PRESET_FORMAT,
+      version: 1,
+      presets: [{
+        id: `custom-${Date.now()}`,
+        name: `${component.data.shader} (custom)`,
+        shader: component.data.shader,
+        uniforms: this.currentValues(el)
+      }]
+    };
+  }
+});
+
+AFRAME.registerComponent("shader-preset", {
+  schema: {
+    shader: { type: "string", default: "" },
+    preset: { type: "string", default: "" },
+    uniforms: {
+      default: {},
+      parse: (value) => (typeof value === "string" ? JSON.parse(value || "{}") : value),
+      stringify: JSON.stringify
+    }
+  },
+
+  init() {
+    this.originals = new Map(); // mesh -> original material
+    this.shader = null;
+    this.onModelLoaded = () => this.apply();
+    this.el.addEventListener("model-loaded", this.onModelLoaded);
+  },
+
+  update(oldData) {
+    if (!AFRAME.shaders[this.data.shader]) return;
+
+    // Same shader: only push the new uniform values
+    if (this.shader && this.data.shader === oldData.shader) {
+      const data = {};
+      Object.keys(this.data.uniforms).forEach((key) => {
+        const prop = this.shader.schema[key];
+        if (prop) data[key] = prop.parse(this.data.uniforms[key]);
+      });
+      this.shader.update(data);
+      return;
+    }
+
+    if (this.shader) this.shader.material.dispose();
+    this.shader = MuseumUtils.createShaderMaterial(this.data.shader, this.data.uniforms);
+    this.apply();
+  },
+
+  apply() {
+    const root = this.el.getObject3D("mesh");
+    if (!root || !this.shader) return;
+    root.traverse((obj) => {
+      if (!obj.isMesh) return;
+      if (!this.originals.has(obj)) this.originals.set(obj, obj.material);
+      obj.material = this.shader.material;
+    });
+  },
+
+  tick(time) {
+    if (this.shader) MuseumUtils.updateShaderTime(this.shader, time);
+  },
+
+  remove() {
+    this.el.removeEventListener("model-loaded", this.onModelLoaded);
+    this.originals.forEach((material, mesh) => { mesh.material = material; });
+    if (this.shader) this.shader.material.dispose();
+  }
+});
+
+// Display name of a target entity
+function materialTargetName(el, i18n) {
+  if (el.hasAttribute("clay-lump")) return i18n.t("material.clay", "Clay");
+  return el.getAttribute("data-title") || el.id || el.tagName.toLowerCase();
+}
+
+// Preset display name, localized when the table has materials.<id>
+function materialPresetName(preset, i18n) {
+  return i18n.t(`material.${preset.id}`, preset.name);
+}
+
+AFRAME.registerComponent("material-picker", {
+  schema: {
+    key: { type: "string", default: "m" },
+    panel: { type: "selector", default: "#material-panel" },
+    toggleButton: { type: "selector", default: "#material-button" },
+    target: { type: "selector", default: "#material-target" },
+    preset: { type: "selector", default: "#material-preset" },
+    uniforms: { type: "selector", default: "#material-uniforms" },
+    saveButton: { type: "selector", default: "#material-save" },
+    loadButton: { type: "selector", default: "#material-load" },
+    closeButton: { type: "selector", default: "#material-close" }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems["material-presets"];
+    this.i18n = this.el.sceneEl.systems.i18n;
+
+    this.toggle = this.toggle.bind(this);
+    this.close = this.close.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onTargetChange = () => this.system.setTarget(this.targets[this.data.target.selectedIndex] || null);
+    this.onPresetChange = () => this.system.applyPreset(this.system.target, this.data.preset.value);
+    this.onSave = this.onSave.bind(this);
+    this.onLoad = () => this.fileInput.click();
+    this.onFileChosen = this.onFileChosen.bind(this);
+    this.refresh = this.refresh.bind(this);
+
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = ".json,application/json";
+    this.fileInput.style.display = "none";
+    document.body.appendChild(this.fileInput);
+
+    const data = this.data;
+    if (data.toggleButton) data.toggleButton.addEventListener("click", this.toggle);
+    if (data.closeButton) data.closeButton.addEventListener("click", this.close);
+    if (data.target) data.target.addEventListener("change", this.onTargetChange);
+    if (data.preset) data.preset.addEventListener("change", this.onPresetChange);
+    if (data.saveButton) data.saveButton.addEventListener("click", this.onSave);
+    if (data.loadButton) data.loadButton.addEventListener("click", this.onLoad);
+    this.fileInput.addEventListener("change", this.onFileChosen);
+    window.addEventListener("keydown", this.onKeyDown);
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("material-preset-changed", this.refresh);
+    sceneEl.addEventListener("material-presets-loaded", this.refresh);
+    sceneEl.addEventListener("locale-changed", this.refresh);
+    sceneEl.addEventListener("enter-vr", this.close);
+  },
+
+  onKeyDown(event) {
+    if (event.target.tagName === "INPUT" || event.target.tagName === "SELECT") return;
+    if (event.key.toLowerCase() === this.data.key.toLowerCase() && !this.el.sceneEl.is("vr-mode")) this.toggle();
+  },
+
+  toggle() {
+    if (!this.data.panel) return;
+    if (this.data.panel.style.display === "block") {
+      this.close();
+      return;
+    }
+    if (!this.system.target) this.system.setTarget(this.system.getTargets()[0] || null);
+    this.data.panel.style.display = "block";
+    this.refresh();
+  },
+
+  close() {
+    if (this.data.panel) this.data.panel.style.display = "none";
+  },
+
+  refresh() {
+    const data = this.data;
+    if (!data.panel || data.panel.style.display !== "block") return;
+    const target = this.system.target;
+
+    this.targets = this.system.getTargets();
+    data.target.innerHTML = "";
+    this.targets.forEach((el) => {
+      const option = document.createElement("option");
+      option.textContent = materialTargetName(el, this.i18n);
+      option.selected = el === target;
+      data.target.appendChild(option);
+    });
+
+    const current = target && target.components["shader-preset"];
+    const currentId = current ? current.data.preset : "original";
+    data.preset.innerHTML = "";
+    this.system.presets.forEach((preset) => {
+      const option = document.createElement("option");
+      option.value = preset.id;
+      option.textContent = materialPresetName(preset, this.i18n);
+      option.selected = preset.id === currentId;
+      data.preset.appendChild(option);
+    });
+
+    this.buildSliders(target, current);
+  },
+
+  buildSliders(target, current) {
+    const container = this.data.uniforms;
+    container.innerHTML = "";
+    if (!current) return;
+
+    const values = this.system.currentValues(target);
+    this.system.uniformFields(current.data.shader).forEach((field) => {
+      const set = (value) => this.system.setUniform(target, field.key, value);
+      if (field.type === "color") {
+        const input = this.addRow(container, field.key, "color");
+        input.value = `#${new THREE.Color(values[field.key]).getHexString()}`;
+        input.addEventListener("input", () => set(input.value));
+      } else if (field.type === "vec2") {
+        const value = values[field.key];
+        ["x", "y"].forEach((axis) => {
+          const input = this.addRow(container, `${field.key}.${axis}`, "range", 0, field.max, value[axis]);
+          input.addEventListener("input", () => {
+            const current2 = Object.assign({}, this.system.currentValues(target)[field.key]);
+            current2[axis] = parseFloat(input.value);
+            set(current2);
+          });
+        });
+      } else {
+        const input = this.addRow(container, field.key, "range", field.min, field.max, values[field.key]);
+        if (field.type === "int") input.step = 1;
+        input.addEventListener("input", () => set(parseFloat(input.value)));
+      }
+    });
+  },
+
+  addRow(container, label, type, min, max, value) {
+    const row = document.createElement("label");
+    row.style.cssText = "display: flex; justify-content: space-between; align-items: center; gap: 10px; margin: 6px 0; font-size: 14px;";
+    row.textContent = label;
+    const input = document.createElement("input");
+    input.type = type;
+    if (type === "range") {
+      input.min = min;
+      input.max = max;
+      input.step = (max - min) / 100;
+      input.value = value;
+    }
+    row.appendChild(input);
+    container.appendChild(row);
+    return input;
+  },
+
+  onSave() {
+    const json = this.system.exportPreset(this.system.target);
+    if (!json) return;
+    MuseumUtils.downloadBlob(new Blob([JSON.stringify(json, null, 2)], { type: "application/json" }), "material-preset.json");
+  },
+
+  onFileChosen() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = "";
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const added = this.system.registerAll(JSON.parse(text));
+        if (added.length) this.system.applyPreset(this.system.target, added[0].id);
+      })
+      .catch((err) => console.error(err));
+  },
+
+  remove() {
+    const data = this.data;
+    if (data.toggleButton) data.toggleButton.removeEventListener("click", this.toggle);
+    if (data.closeButton) data.closeButton.removeEventListener("click", this.close);
+    if (data.target) data.target.removeEventListener("change", this.onTargetChange);
+    if (data.preset) data.preset.removeEventListener("change", this.onPresetChange);
+    if (data.saveButton) data.saveButton.removeEventListener("click", this.onSave);
+    if (data.loadButton) data.loadButton.removeEventListener("click", this.onLoad);
+    this.fileInput.removeEventListener("change", this.onFileChosen);
+    if (this.fileInput.parentNode) this.fileInput.parentNode.removeChild(this.fileInput);
+    window.removeEventListener("keydown", this.onKeyDown);
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("material-preset-changed", this.refresh);
+    sceneEl.removeEventListener("material-presets-loaded", this.refresh);
+    sceneEl.removeEventListener("locale-changed", this.refresh);
+    sceneEl.removeEventListener("enter-vr", this.close);
+  }
+});
+
+AFRAME.registerComponent("vr-material-menu", {
+  schema: {
+    toggleEvent: { type: "string", default: "menu-down" },
+    position: { type: "vec3", default: { x: 0, y: 0.1, z: -0.08 } },
+    rotation: { type: "vec3", default: { x: -50, y: 0, z: 0 } },
+    width: { type: "number", default: 0.3 },
+    maxSliders: { type: "int", default: 5 }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems["material-presets"];
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.sliders = [];
+    this.arrows = [];
+    this.open = false;
+
+    this.toggle = this.toggle.bind(this);
+    this.refresh = this.refresh.bind(this);
+    this.onTriggerDown = this.onTriggerDown.bind(this);
+
+    this.createMenu();
+    this.el.addEventListener(this.data.toggleEvent, this.toggle);
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("select-down", this.onTriggerDown);
+    sceneEl.addEventListener("material-preset-changed", this.refresh);
+    sceneEl.addEventListener("material-presets-loaded", this.refresh);
+    sceneEl.addEventListener("locale-changed", this.refresh);
+  },
+
+  createMenu() {
+    const data = this.data;
+    this.menu = document.createElement("a-entity");
+    this.menu.setAttribute("position", data.position);
+    this.menu.setAttribute("rotation", data.rotation);
+    this.menu.setAttribute("visible", "false");
+
+    const rows = 2 + data.maxSliders;
+    this.rowHeight = 0.045;
+    const background = document.createElement("a-plane");
+    background.setAttribute("width", data.width);
+    background.setAttribute("height", rows * this.rowHeight + 0.02);
+    background.setAttribute("position", `0 ${-((rows - 1) * this.rowHeight) / 2} -0.002`);
+    background.setAttribute("material", "color: #1a1a1a; transparent: true; opacity: 0.9");
+    this.menu.appendChild(background);
+
+    this.targetLabel = this.createArrowRow(0, (step) => this.stepTarget(step));
+    this.presetLabel = this.createArrowRow(-this.rowHeight, (step) => this.stepPreset(step));
+
+    for (let i = 0; i < data.maxSliders; i++) {
+      const y = -(i + 2) * this.rowHeight;
+      const label = document.createElement("a-entity");
+      label.setAttribute("position", `${-data.width / 4} ${y} 0`);
+
+      const track = document.createElement("a-plane");
+      track.setAttribute("width", data.width / 2 - 0.02);
+      track.setAttribute("height", 0.02);
+      track.setAttribute("position", `${data.width / 4} ${y} 0`);
+      track.setAttribute("material", "color: #444444");
+
+      const fill = document.createElement("a-plane");
+      fill.setAttribute("height", 0.02);
+      fill.setAttribute("material", "color: #4CAF50");
+
+      track.appendChild(fill);
+      this.menu.appendChild(label);
+      this.menu.appendChild(track);
+      this.sliders.push({ label, track, fill, field: null });
+    }
+    this.el.appendChild(this.menu);
+  },
+
+  createArrowRow(y, onStep) {
+    const width = this.data.width;
+    const label = document.createElement("a-entity");
+    label.setAttribute("position", `0 ${y} 0`);
+    [-1, 1].forEach((step) => {
+      const arrow = document.createElement("a-plane");
+      MuseumUtils.setPointable(arrow, this.open);
+      arrow.setAttribute("width", 0.04);
+      arrow.setAttribute("height", 0.035);
+      arrow.setAttribute("position", `${step * (width / 2 - 0.03)} ${y} 0`);
+      arrow.setAttribute("material", "color: #555555");
+      arrow.setAttribute("text", { value: step < 0 ? "<" : ">", align: "center", width: 0.4, color: "#ffffff" });
+      arrow.addEventListener("click", () => onStep(step));
+      this.menu.appendChild(arrow);
+      this.arrows.push(arrow);
+    });
+    this.menu.appendChild(label);
+    return label;
+  },
+
+  toggle() {
+    this.open = !this.open;
+    if (this.open && !this.system.target) this.system.setTarget(this.system.getTargets()[0] || null);
+    this.menu.setAttribute("visible", this.open);
+    this.arrows.forEach((arrow) => MuseumUtils.setPointable(arrow, this.open));
+    this.refresh();
+  },
+
+  stepTarget(step) {
+    const targets = this.system.getTargets();
+    if (!targets.length) return;
+    const index = targets.indexOf(this.system.target);
+    this.system.setTarget(targets[(index + step + targets.length) % targets.length]);
+  },
+
+  stepPreset(step) {
+    const target = this.system.target;
+    if (!target) return;
+    const presets = this.system.presets;
+    const current = target.components["shader-preset"];
+    const index = Math.max(0, presets.findIndex((preset) => preset.id === (current ? current.data.preset : "original")));
+    this.system.applyPreset(target, presets[(index + step + presets.length) % presets.length].id);
+  },
+
+  refresh() {
+    if (!this.open) return;
+    const font = this.i18n.textFont();
+    const text = (el, value, width) => el.setAttribute("text", {
+      value, align: "center", width: width || 0.5, color: "#ffffff", wrapCount: 24, font
+    });
+    const target = this.system.target;
+    const current = target && target.components["shader-preset"];
+    const preset = this.system.get(current ? current.data.preset : "original");
+
+    text(this.targetLabel, target ? materialTargetName(target, this.i18n) : "-");
+    text(this.presetLabel, preset ? materialPresetName(preset, this.i18n) : current.data.shader);
+
+    // One slider per scalar; colors become a hue slider, vec2 one per axis
+    const fields = [];
+    if (current) {
+      this.system.uniformFields(current.data.shader).forEach((field) => {
+        if (field.type === "vec2") {
+          fields.push(Object.assign({}, field, { axis: "x", min: 0 }), Object.assign({}, field, { axis: "y", min: 0 }));
+        } else {
+          fields.push(field);
+        }
+      });
+    }
+    const values = this.system.currentValues(target);
+
+    this.sliders.forEach((slider, i) => {
+      const field = fields[i] || null;
+      slider.field = field;
+      slider.label.setAttribute("visible", !!field);
+      slider.track.setAttribute("visible", !!field);
+      if (!field) return;
+
+      text(slider.label, field.axis ? `${field.key}.${field.axis}` : field.key, 0.35);
+      this.setFill(slider, this.fieldFraction(field, values[field.key]));
+    });
+  },
+
+  fieldFraction(field, value) {
+    if (field.type === "color") {
+      const hsl = new THREE.Color(value).getHSL({});
+      return hsl.h;
+    }
+    const number = field.axis ? value[field.axis] : value;
+    return THREE.MathUtils.clamp((number - field.min) / (field.max - field.min), 0, 1);
+  },
+
+  setFill(slider, fraction) {
+    const width = this.data.width / 2 - 0.02;
+    slider.fill.setAttribute("width", Math.max(0.001, width * fraction));
+    slider.fill.setAttribute("position", `${-width / 2 + (width * fraction) / 2} 0 0.001`);
+  },
+
+  // The other hand points at a slider track along its laser-pointer ray
+  onTriggerDown(evt) {
+    if (!this.open || evt.target === this.el) return;
+    const pointer = evt.target.components && evt.target.components["laser-pointer"];
+    if (!pointer || !pointer.updateRay || !pointer.updateRay()) return;
+
+    for (let i = 0; i < this.sliders.length; i++) {
+      const slider = this.sliders[i];
+      const mesh = slider.track.getObject3D("mesh");
+      if (!slider.field || !mesh) continue;
+      const hit = pointer.raycaster.intersectObject(mesh, false)[0];
+      if (hit && hit.uv) {
+        this.setSlider(slider.field, hit.uv.x);
+        return;
+      }
+    }
+  },
+
+  setSlider(field, fraction) {
+    const target = this.system.target;
+    if (field.type === "color") {
+      const hsl = new THREE.Color(this.system.currentValues(target)[field.key]).getHSL({});
+      const color = new THREE.Color().setHSL(fraction, Math.max(hsl.s, 0.5), THREE.MathUtils.clamp(hsl.l, 0.2, 0.8));
+      this.system.setUniform(target, field.key, `#${color.getHexString()}`);
+      return;
+    }
+    const value = field.min + fraction * (field.max - field.min);
+    if (field.axis) {
+      const vector = Object.assign({}, this.system.currentValues(target)[field.key]);
+      vector[field.axis] = value;
+      this.system.setUniform(target, field.key, vector);
+    } else {
+      this.system.setUniform(target, field.key, value);
+    }
+  },
+
+  remove() {
+    this.el.removeEventListener(this.data.toggleEvent, this.toggle);
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("select-down", this.onTriggerDown);
+    sceneEl.removeEventListener("material-preset-changed", this.refresh);
+    sceneEl.removeEventListener("material-presets-loaded", this.refresh);
+    sceneEl.removeEventListener("locale-changed", this.refresh);
+    if (this.menu.parentNode) this.menu.parentNode.removeChild(this.menu);
+  }
+});
@@ -0,0 +1,483 @@
+/**
+ * MUSEUM AUDIO
+ * ============
+ * Narration, positional ambient loops and subtitles.
+ *
+ * The repository ships no audio files: narration is subtitle-only and the
+ * ambient loops are synthesised. Clips named by data-narration or an
+ * ambient-sound src are played when such files are added, from local URLs.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. museum-audio (system)
+ *    Owns the THREE.AudioListener on the camera, the global volume and mute
+ *    (kept in localStorage) and the single narration channel. Grabbing an
+ *    exhibit with a data-narration attribute, or expanding its banner,
+ *    narrates it: its data-description is shown as subtitles for a reading
+ *    time. A non-empty data-narration names a clip to play with them
+ *    instead ("{locale}" becomes the active locale); when the clip is
+ *    missing, or the browser has no Web Audio, the reading time applies.
+ *    Emits on the scene: "audio-settings-changed" { volume, muted },
+ *    "narration-start" { id, subtitle } and "narration-end" { id }.
+ *
+ * 2. ambient-sound
+ *    Positional loop on an entity, synthesised ("crackle" or "hum"), or
+ *    from a src file when one is given and loads. With wheel: true the loop
+ *    follows the entity's potters-wheel speed and is silent while it stands
+ *    still.
+ *    <a-entity ambient-sound="synth: crackle; offset: 0.5 0.7 0"></a-entity>
+ *
+ * 3. audio-controls
+ *    Desktop mute button and volume slider (#audio-mute, #audio-volume) and
+ *    the subtitle line (#subtitles). Attach to the scene.
+ *
+ * 4. vr-audio-panel
+ *    Volume buttons next to the language panel and a subtitle panel under
+ *    the view while in VR. Attach to the camera.
+ *    <a-entity camera vr-audio-panel></a-entity>
+ */
+
+// Characters per second when subtitles are shown without a clip
+const SUBTITLE_READING_SPEED = 15;
+
+// Stand-in loops for ambient files that are missing or fail to decode
+function createAmbientBuffer(context, type) {
+  const rate = context.sampleRate;
+  const seconds = type === "hum" ? 2 : 4;
+  const buffer = context.createBuffer(1, Math.floor(rate * seconds), rate);
+  const samples = buffer.getChannelData(0);
+
+  if (type === "hum") {
+    // Whole cycles of every partial in two seconds, so the loop is seamless
+    for (let i = 0; i < samples.length; i++) {
+      const t = i / rate;
+      samples[i] = 0.5 * Math.sin(2 * Math.PI * 55 * t) +
+        0.25 * Math.sin(2 * Math.PI * 110 * t) +
+        0.1 * Math.sin(2 * Math.PI * 165 * t) +
+        0.02 * (Math.random() * 2 - 1);
+    }
+    return buffer;
+  }
+
+  // Low rumble of the fire, faded at both ends, with random wood pops
+  const fade = Math.floor(rate * 0.05);
+  let rumble = 0;
+  for (let i = 0; i < samples.length; i++) {
+    rumble = (rumble + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+    const edge = Math.min(1, i / fade, (samples.length - 1 - i) / fade);
+    samples[i] = rumble * 3 * edge;
+  }
+  const popCount = seconds * 6;
+  for (let p = 0; p < popCount; p++) {
+    const length = Math.floor(rate * (0.005 + Math.random() * 0.03));
+    const start = Math.floor(Math.random() * (samples.length - length));
+    const amplitude = 0.2 + Math.random() * 0.6;
+    for (let j = 0; j < length; j++) {
+      samples[start + j] += amplitude * (Math.random() * 2 - 1) * Math.pow(1 - j / length, 4);
+    }
+  }
+  return buffer;
+}
+
+AFRAME.registerSystem("museum-audio", {
+  schema: {
+    volume: { type: "number", default: 0.8 },
+    narrationVolume: { type: "number", default: 1 },
+    minSubtitleTime: { type: "number", default: 3 },
+    storageKey: { type: "string", default: "audio" }
+  },
+
+  init() {
+    this.narration = null;
+    this.buffers = new Map();
+    this.listener = null;
+
+    if (window.AudioContext || window.webkitAudioContext) {
+      this.listener = new THREE.AudioListener();
+      this.loader = new THREE.AudioLoader();
+    }
+    this.restoreSettings();
+
+    this.onGrabStart = (evt) => this.narrateEntity(evt.target);
+    this.onBannerExpanded = (evt) => this.narrateEntity(document.getElementById(evt.detail.exhibitId));
+    this.attachListener = this.attachListener.bind(this);
+    this.resume = this.resume.bind(this);
+
+    const sceneEl = this.el;
+    sceneEl.addEventListener("grab-start", this.onGrabStart);
+    sceneEl.addEventListener("banner-expanded", this.onBannerExpanded);
+    sceneEl.addEventListener("camera-set-active", this.attachListener);
+    sceneEl.addEventListener("enter-vr", this.resume);
+    // Browsers keep audio suspended until the first user gesture
+    window.addEventListener("pointerdown", this.resume);
+    window.addEventListener("keydown", this.resume);
+    this.attachListener();
+  },
+
+  restoreSettings() {
+    const stored = MuseumUtils.loadStored(this.data.storageKey);
+    this.volume = stored && typeof stored.volume === "number" ? stored.volume : this.data.volume;
+    this.muted = !!(stored && stored.muted);
+    this.applyVolume();
+  },
+
+  storeSettings() {
+    MuseumUtils.store(this.data.storageKey, { volume: this.volume, muted: this.muted });
+  },
+
+  attachListener() {
+    const camera = this.el.camera;
+    if (this.listener && camera && this.listener.parent !== camera) camera.add(this.listener);
+  },
+
+  resume() {
+    if (this.listener && this.listener.context.state === "suspended") this.listener.context.resume();
+  },
+
+  setVolume(volume) {
+    this.volume = THREE.MathUtils.clamp(volume, 0, 1);
+    this.muted = false;
+    this.settingsChanged();
+  },
+
+  setMuted(muted) {
+    this.muted = !!muted;
+    this.settingsChanged();
+  },
+
+  toggleMute() {
+    this.setMuted(!this.muted);
+  },
+
+  settingsChanged() {
+    this.applyVolume();
+    this.storeSettings();
+    this.el.emit("audio-settings-changed", { volume: this.volume, muted: this.muted });
+  },
+
+  applyVolume() {
+    if (this.listener) this.listener.setMasterVolume(this.muted ? 0 : this.volume);
+  },
+
+  // Decoded clips by URL; resolves to null when the file can't be played
+  loadBuffer(url) {
+    if (!this.loader || !url) return Promise.resolve(null);
+    if (!this.buffers.has(url)) {
+      this.buffers.set(url, new Promise((resolve) => this.loader.load(url, resolve, undefined, () => resolve(null))));
+    }
+    return this.buffers.get(url);
+  },
+
+  narrateEntity(el) {
+    if (!el || !el.hasAttribute("data-narration")) return;
+    const src = el.getAttribute("data-narration");
+    if (this.narration && this.narration.id === el.id) return;
+    this.playNarration({ id: el.id, src, subtitle: el.getAttribute("data-description") || "" });
+  },
+
+  // Returns a handle whose "ended" flag turns true when the narration is over
+  playNarration({ id, src, subtitle }) {
+    this.stopNarration();
+    subtitle = subtitle || "";
+    const narration = {
+      id,
+      subtitle,
+      ended: false,
+      paused: false,
+      loading: false,
+      sound: null,
+      remaining: Math.max(this.data.minSubtitleTime, subtitle.length / SUBTITLE_READING_SPEED) * 1000
+    };
+    this.narration = narration;
+    this.el.emit("narration-start", { id, subtitle });
+
+    const i18n = this.el.systems.i18n;
+    const url = src ? src.replace("{locale}", i18n ? i18n.locale : "") : "";
+    if (url && this.listener) {
+      narration.loading = true;
+      this.loadBuffer(url).then((buffer) => {
+        narration.loading = false;
+        if (narration.ended || !buffer) return;
+        const sound = new THREE.Audio(this.listener);
+        sound.setBuffer(buffer);
+        sound.setVolume(this.data.narrationVolume);
+        const onEnded = sound.onEnded.bind(sound);
+        sound.onEnded = () => {
+          onEnded();
+          this.finishNarration(narration);
+        };
+        narration.sound = sound;
+        if (!narration.paused) sound.play();
+      });
+    }
+    return narration;
+  },
+
+  pauseNarration() {
+    const narration = this.narration;
+    if (!narration) return;
+    narration.paused = true;
+    if (narration.sound && narration.sound.isPlaying) narration.sound.pause();
+  },
+
+  resumeNarration() {
+    const narration = this.narration;
+    if (!narration) return;
+    narration.paused = false;
+    if (narration.sound && !narration.sound.isPlaying) narration.sound.play();
+  },
+
+  stopNarration() {
+    const narration = this.narration;
+    if (!narration) return;
+    if (narration.sound && narration.sound.isPlaying) narration.sound.stop();
+    this.finishNarration(narration);
+  },
+
+  finishNarration(narration) {
+    if (narration.ended) return;
+    narration.ended = true;
+    if (this.narration === narration) this.narration = null;
+    this.el.emit("narration-end", { id: narration.id });
+  },
+
+  // Subtitle-only narration ends after its reading time
+  tick(time, delta) {
+    const narration = this.narration;
+    if (!narration || narration.paused || narration.loading || narration.sound) return;
+    narration.remaining -= delta;
+    if (narration.remaining <= 0) this.finishNarration(narration);
+  },
+
+  remove() {
+    this.stopNarration();
+    const sceneEl = this.el;
+    sceneEl.removeEventListener("grab-start", this.onGrabStart);
+    sceneEl.removeEventListener("banner-expanded", this.onBannerExpanded);
+    sceneEl.removeEventListener("camera-set-active", this.attachListener);
+    sceneEl.removeEventListener("enter-vr", this.resume);
+    window.removeEventListener("pointerdown", this.resume);
+    window.removeEventListener("keydown", this.resume);
+    if (this.listener && this.listener.parent) this.listener.parent.remove(this.listener);
+  }
+});
+
+AFRAME.registerComponent("ambient-sound", {
+  schema: {
+    src: { type: "string", default: "" },
+    synth: { type: "string", default: "", oneOf: ["", "crackle", "hum"] },
+    volume: { type: "number", default: 0.5 },
+    refDistance: { type: "number", default: 1 },
+    rolloffFactor: { type: "number", default: 1 },
+    offset: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    wheel: { type: "boolean", default: false }
+  },
+
+  init() {
+    const system = this.el.sceneEl.systems["museum-audio"];
+    this.sound = null;
+    this.speed = 0;
+    if (!system.listener) return;
+
+    const data = this.data;
+    const sound = new THREE.PositionalAudio(system.listener);
+    sound.setRefDistance(data.refDistance);
+    sound.setRolloffFactor(data.rolloffFactor);
+    sound.setLoop(true);
+    sound.setVolume(data.wheel ? 0 : data.volume);
+    sound.position.set(data.offset.x, data.offset.y, data.offset.z);
+    this.el.object3D.add(sound);
+    this.sound = sound;
+
+    system.loadBuffer(data.src).then((buffer) => {
+      if (this.sound !== sound) return;
+      const loop = buffer || (data.synth ? createAmbientBuffer(system.listener.context, data.synth) : null);
+      if (!loop) return;
+      sound.setBuffer(loop);
+      sound.play();
+    });
+  },
+
+  tick() {
+    if (!this.sound || !this.data.wheel) return;
+    const wheel = this.el.components["potters-wheel"];
+    const speed = wheel ? Math.min(1, Math.abs(wheel.angularVelocity) / wheel.data.maxSpeed) : 0;
+    if (Math.abs(speed - this.speed) < 0.01) return;
+    this.speed = speed;
+    this.sound.setVolume(this.data.volume * speed);
+    if (this.sound.isPlaying) this.sound.setPlaybackRate(0.7 + 0.6 * speed);
+  },
+
+  remove() {
+    if (!this.sound) return;
+    if (this.sound.isPlaying) this.sound.stop();
+    this.el.object3D.remove(this.sound);
+    this.sound = null;
+  }
+});
+
+AFRAME.registerComponent("audio-controls", {
+  schema: {
+    muteButton: { type: "selector", default: "#audio-mute" },
+    volumeSlider: { type: "selector", default: "#audio-volume" },
+    subtitles: { type: "selector", default: "#subtitles" }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems["museum-audio"];
+    this.i18n = this.el.sceneEl.systems.i18n;
+
+    this.onMute = () => this.system.toggleMute();
+    this.onVolume = () => this.system.setVolume(this.data.volumeSlider.value / 100);
+    this.refresh = this.refresh.bind(this);
+    this.showSubtitle = (evt) => this.setSubtitle(evt.detail.subtitle);
+    this.hideSubtitle = () => this.setSubtitle("");
+
+    const data = this.data;
+    if (data.muteButton) data.muteButton.addEventListener("click", this.onMute);
+    if (data.volumeSlider) data.volumeSlider.addEventListener("input", this.onVolume);
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("audio-settings-changed", this.refresh);
+    sceneEl.addEventListener("locale-changed", this.refresh);
+    sceneEl.addEventListener("narration-start", this.showSubtitle);
+    sceneEl.addEventListener("narration-end", this.hideSubtitle);
+    sceneEl.addEventListener("enter-vr", this.hideSubtitle);
+    this.refresh();
+  },
+
+  refresh() {
+    const data = this.data;
+    if (data.muteButton) {
+      data.muteButton.textContent = this.system.muted ? this.i18n.t("audio.unmute", "Unmute") : this.i18n.t("audio.mute", "Mute");
+    }
+    if (data.volumeSlider) data.volumeSlider.value = Math.round(this.system.volume * 100);
+  },
+
+  setSubtitle(text) {
+    const subtitles = this.data.subtitles;
+    if (!subtitles) return;
+    const show = !!text && !this.el.sceneEl.is("vr-mode");
+    subtitles.textContent = show ? text : "";
+    subtitles.style.display = show ? "block" : "none";
+  },
+
+  remove() {
+    const data = this.data;
+    if (data.muteButton) data.muteButton.removeEventListener("click", this.onMute);
+    if (data.volumeSlider) data.volumeSlider.removeEventListener("input", this.onVolume);
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("audio-settings-changed", this.refresh);
+    sceneEl.removeEventListener("locale-changed", this.refresh);
+    sceneEl.removeEventListener("narration-start", this.showSubtitle);
+    sceneEl.removeEventListener("narration-end", this.hideSubtitle);
+    sceneEl.removeEventListener("enter-vr", this.hideSubtitle);
+  }
+});
+
+AFRAME.registerComponent("vr-audio-panel", {
+  schema: {
+    distance: { type: "number", default: 2.5 },
+    x: { type: "number", default: 0.45 },
+    y: { type: "number", default: 0.62 },
+    step: { type: "number", default: 0.1 },
+    subtitleDistance: { type: "number", default: 1.5 },
+    subtitleY: { type: "number", default: -0.45 },
+    subtitleWidth: { type: "number", default: 1.2 },
+    wrapCount: { type: "int", default: 40 }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems["museum-audio"];
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.subtitle = "";
+
+    const data = this.data;
+    const button = (x, width, onClick) => {
+      const el = document.createElement("a-plane");
+      MuseumUtils.setPointable(el, true);
+      el.setAttribute("width", width);
+      el.setAttribute("height", 0.06);
+      el.setAttribute("position", `${data.x + x} ${data.y} -${data.distance}`);
+      el.setAttribute("material", "color: #000000; transparent: true; opacity: 0.8");
+      el.addEventListener("click", onClick);
+      this.el.appendChild(el);
+      return el;
+    };
+    this.quieter = button(-0.15, 0.06, () => this.system.setVolume(this.system.volume - data.step));
+    this.muteButton = button(0, 0.2, () => this.system.toggleMute());
+    this.louder = button(0.15, 0.06, () => this.system.setVolume(this.system.volume + data.step));
+    this.quieter.setAttribute("text", { value: "-", align: "center", width: 0.6, color: "#ffffff" });
+    this.louder.setAttribute("text", { value: "+", align: "center", width: 0.6, color: "#ffffff" });
+
+    this.subtitlePanel = document.createElement("a-entity");
+    this.subtitlePanel.setAttribute("position", `0 ${data.subtitleY} -${data.subtitleDistance}`);
+    this.subtitlePanel.setAttribute("visible", "false");
+    this.subtitleBackground = document.createElement("a-plane");
+    this.subtitleBackground.setAttribute("width", data.subtitleWidth);
+    this.subtitleBackground.setAttribute("position", "0 0 -0.002");
+    this.subtitleBackground.setAttribute("material", "color: #000000; transparent: true; opacity: 0.75");
+    this.subtitleText = document.createElement("a-entity");
+    this.subtitlePanel.appendChild(this.subtitleBackground);
+    this.subtitlePanel.appendChild(this.subtitleText);
+    this.el.appendChild(this.subtitlePanel);
+
+    this.refresh = this.refresh.bind(this);
+    this.showSubtitle = (evt) => this.setSubtitle(evt.detail.subtitle);
+    this.hideSubtitle = () => this.setSubtitle("");
+    this.onModeChange = () => this.setSubtitle(this.subtitle);
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("audio-settings-changed", this.refresh);
+    sceneEl.addEventListener("locale-changed", this.refresh);
+    sceneEl.addEventListener("narration-start", this.showSubtitle);
+    sceneEl.addEventListener("narration-end", this.hideSubtitle);
+    sceneEl.addEventListener("enter-vr", this.onModeChange);
+    sceneEl.addEventListener("exit-vr", this.onModeChange);
+    this.refresh();
+  },
+
+  refresh() {
+    const label = this.system.muted
+      ? this.i18n.t("audio.unmute", "Unmute")
+      : `${this.i18n.t("audio.volume", "Volume")} ${Math.round(this.system.volume * 100)}%`;
+    this.muteButton.setAttribute("text", {
+      value: label, align: "center", width: 0.6, color: "#ffffff", font: this.i18n.textFont()
+    });
+    if (this.subtitle) this.setSubtitle(this.subtitle);
+  },
+
+  setSubtitle(text) {
+    const data = this.data;
+    this.subtitle = text || "";
+    const show = !!this.subtitle && this.el.sceneEl.is("vr-mode");
+    this.subtitlePanel.setAttribute("visible", show);
+    if (!show) return;
+
+    const lines = Math.ceil(this.subtitle.length / data.wrapCount);
+    this.subtitleBackground.setAttribute("height", 0.05 * lines + 0.06);
+    this.subtitleText.setAttribute("text", {
+      value: this.subtitle,
+      align: "center",
+      color: "#ffffff",
+      width: data.subtitleWidth - 0.1,
+      wrapCount: data.wrapCount,
+      font: this.i18n.textFont()
+    });
+  },
+
+  remove() {
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("audio-settings-changed", this.refresh);
+    sceneEl.removeEventListener("locale-changed", this.refresh);
+    sceneEl.removeEventListener("narration-start", this.showSubtitle);
+    sceneEl.removeEventListener("narration-end", this.hideSubtitle);
+    sceneEl.removeEventListener("enter-vr", this.onModeChange);
+    sceneEl.removeEventListener("exit-vr", this.onModeChange);
+    [this.quieter, this.muteButton, this.louder, this.subtitlePanel].forEach((el) => {
+      if (el.parentNode) el.parentNode.removeChild(el);
+    });
+  }
+});
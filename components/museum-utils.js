@@ -0,0 +1,113 @@
+/**
+ * MUSEUM UTILS
+ * ============
+ * Helpers shared by several component scripts. Loaded before every other
+ * component script, which reach them through the MuseumUtils namespace
+ * instead of each other's top-level functions:
+ *
+ *   if (MuseumUtils.isHeavyObject(el)) return;
+ *
+ * Grabbing:
+ * - isHeavyObject(el): The potter's wheel is too heavy to lift - it is slid
+ *   along the floor instead
+ * - findGrabbableEl(object): Walks up from an intersected mesh to the
+ *   [grabbable] entity that owns it
+ *
+ * Pointing:
+ * - setPointable(el, pointable): Adds or takes off the "clickable" and
+ *   "vr-selectable" classes. The desktop mouse cursor's raycaster (objects:
+ *   .clickable on the scene) still hits entities that are hidden - only
+ *   laser-pointer skips those by itself - so hidden entities must drop
+ *   their classes with it.
+ *
+ * Shaders (shaders/shaders.js):
+ * - BUILTIN_SHADERS: A-Frame's own shaders - not part of the library
+ * - createShaderMaterial(name, values): Builds a material from a shader
+ *   registered with AFRAME.registerShader. Returns the shader instance; its
+ *   .material is a THREE.ShaderMaterial.
+ * - updateShaderTime(shader, time): Advances the "time" uniforms of a shader
+ *   created with createShaderMaterial
+ *
+ * Files:
+ * - downloadBlob(blob, filename): Saves a Blob through a temporary download link
+ *
+ * Storage:
+ * - loadStored(key): The JSON value kept in localStorage under key, or null
+ *   when there is none or storage is unreadable or unavailable
+ * - store(key, value): Keeps value in localStorage as JSON. In private mode
+ *   or with storage disabled the value just won't persist.
+ */
+
+const MuseumUtils = {
+  isHeavyObject(el) {
+    return el.id === "potters-wheel";
+  },
+
+  findGrabbableEl(object) {
+    let current = object;
+    while (current) {
+      if (current.el && current.el.hasAttribute("grabbable")) return current.el;
+      current = current.parent;
+    }
+    return null;
+  },
+
+  setPointable(el, pointable) {
+    el.classList.toggle("clickable", pointable);
+    el.classList.toggle("vr-selectable", pointable);
+  },
+
+  BUILTIN_SHADERS: ["flat", "standard", "phong", "msdf", "sdf", "portal", "shadow"],
+
+  createShaderMaterial(name, values) {
+    const definition = AFRAME.shaders[name];
+    if (!definition) throw new Error(`Unknown shader: ${name}`);
+
+    const shader = new definition.Shader();
+    // A-Frame's own shaders (standard is the fallback for heavy ones) reach the scene through el
+    shader.el = AFRAME.scenes[0];
+    const data = {};
+    Object.keys(shader.schema).forEach((key) => {
+      const prop = shader.schema[key];
+      data[key] = values && values[key] !== undefined ? prop.parse(values[key]) : prop.default;
+    });
+    shader.init(data);
+    shader.update(data);
+    return shader;
+  },
+
+  updateShaderTime(shader, time) {
+    Object.keys(shader.schema).forEach((key) => {
+      if (shader.schema[key].type === "time" && shader.uniforms[key]) {
+        shader.uniforms[key].value = time;
+      }
+    });
+  },
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  loadStored(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+      return null;
+    }
+  },
+
+  store(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      // Private mode or storage disabled
+    }
+  }
+};
@@ -0,0 +1,237 @@
+/**
+ * OBJECT POPUP COMPONENTS
+ * =======================
+ * Shows an exhibit's data-title / data-description when it is inspected.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. object-popup
+ *    Desktop inspection. Clicking a [grabbable] entity, or pressing the
+ *    inspect key while looking at one, fills and opens the #object-popup
+ *    DOM dialog. Escape or a click on the overlay closes it, and the inspect
+ *    button hands the exhibit over to inspection-viewer. While the scene is
+ *    in the "painting" state (glaze-workshop brush) a click emits
+ *    "paint-object" { target } instead. Attach to the scene.
+ *
+ *    Example:
+ *    <a-scene object-popup="key: e"></a-scene>
+ *
+ * 2. vr-object-panel
+ *    The in-world equivalent for VR. Opens a panel in front of the camera
+ *    while an exhibit is held (simple-grab emits "grab-start") and closes it
+ *    when the grip is released ("grab-end"). Attach to the camera.
+ *
+ *    Example:
+ *    <a-entity camera vr-object-panel></a-entity>
+ */
+
+AFRAME.registerComponent("object-popup", {
+  schema: {
+    key: { type: "string", default: "e" },
+    popup: { type: "selector", default: "#object-popup" },
+    overlay: { type: "selector", default: "#object-popup-overlay" },
+    title: { type: "selector", default: "#object-title" },
+    description: { type: "selector", default: "#object-description" },
+    inspectButton: { type: "selector", default: "#object-inspect-button" },
+    maxDistance: { type: "number", default: 10 }
+  },
+
+  init() {
+    this.raycaster = new THREE.Raycaster();
+    this.raycaster.far = this.data.maxDistance;
+    this.ndcPointer = new THREE.Vector2();
+    this.pointerDown = { x: 0, y: 0 };
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.close = this.close.bind(this);
+    this.onInspect = this.onInspect.bind(this);
+    this.currentTarget = null;
+
+    const sceneEl = this.el.sceneEl;
+    if (sceneEl.hasLoaded) {
+      this.bindCanvas();
+    } else {
+      sceneEl.addEventListener("loaded", () => this.bindCanvas(), { once: true });
+    }
+
+    window.addEventListener("keydown", this.onKeyDown);
+    if (this.data.overlay) this.data.overlay.addEventListener("click", this.close);
+    if (this.data.inspectButton) this.data.inspectButton.addEventListener("click", this.onInspect);
+    sceneEl.addEventListener("enter-vr", this.close);
+  },
+
+  bindCanvas() {
+    this.canvas = this.el.sceneEl.canvas;
+    this.canvas.addEventListener("mousedown", this.onPointerDown);
+    this.canvas.addEventListener("mouseup", this.onPointerUp);
+  },
+
+  onPointerDown(event) {
+    this.pointerDown.x = event.clientX;
+    this.pointerDown.y = event.clientY;
+  },
+
+  onPointerUp(event) {
+    // Ignore drags - look-controls uses them to turn the camera
+    if (Math.abs(event.clientX - this.pointerDown.x) > 3 ||
+        Math.abs(event.clientY - this.pointerDown.y) > 3) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    this.ndcPointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.ndcPointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.inspectAt(this.ndcPointer);
+  },
+
+  onKeyDown(event) {
+    if (event.key === "Escape") {
+      this.close();
+      return;
+    }
+    if (event.key.toLowerCase() !== this.data.key.toLowerCase() || this.el.sceneEl.is("vr-mode")) return;
+
+    // Key inspection uses the centre of the view (what the user is looking at)
+    this.ndcPointer.set(0, 0);
+    this.inspectAt(this.ndcPointer);
+  },
+
+  inspectAt(ndc) {
+    const camera = this.el.sceneEl.camera;
+    if (!camera || this.el.sceneEl.is("inspecting")) return;
+
+    const targets = [];
+    document.querySelectorAll("[grabbable]").forEach((el) => targets.push(el.object3D));
+
+    this.raycaster.setFromCamera(ndc, camera);
+    const intersects = this.raycaster.intersectObjects(targets, true);
+
+    for (let i = 0; i < intersects.length; i++) {
+      const grabbableEl = MuseumUtils.findGrabbableEl(intersects[i].object);
+      if (grabbableEl) {
+        if (this.el.sceneEl.is("painting")) {
+          this.el.emit("paint-object", { target: grabbableEl });
+        } else {
+          this.open(grabbableEl);
+        }
+        return;
+      }
+    }
+  },
+
+  open(targetEl) {
+    if (!this.data.popup) return;
+    this.data.title.textContent = targetEl.getAttribute("data-title") || "";
+    this.data.description.textContent = targetEl.getAttribute("data-description") || "";
+    this.data.popup.style.display = "block";
+    if (this.data.overlay) this.data.overlay.style.display = "block";
+    this.currentTarget = targetEl;
+    this.el.emit("object-popup-open", { target: targetEl });
+  },
+
+  onInspect() {
+    const targetEl = this.currentTarget;
+    this.close();
+    if (targetEl) this.el.emit("inspect-object", { target: targetEl });
+  },
+
+  close() {
+    if (!this.data.popup || this.data.popup.style.display === "none") return;
+    this.data.popup.style.display = "none";
+    if (this.data.overlay) this.data.overlay.style.display = "none";
+    this.currentTarget = null;
+    this.el.emit("object-popup-close");
+  },
+
+  remove() {
+    window.removeEventListener("keydown", this.onKeyDown);
+    if (this.data.overlay) this.data.overlay.removeEventListener("click", this.close);
+    if (this.data.inspectButton) this.data.inspectButton.removeEventListener("click", this.onInspect);
+    this.el.sceneEl.removeEventListener("enter-vr", this.close);
+    if (this.canvas) {
+      this.canvas.removeEventListener("mousedown", this.onPointerDown);
+      this.canvas.removeEventListener("mouseup", this.onPointerUp);
+    }
+  }
+});
+
+AFRAME.registerComponent("vr-object-panel", {
+  schema: {
+    distance: { type: "number", default: 1.2 },
+    y: { type: "number", default: -0.15 },
+    width: { type: "number", default: 0.9 },
+    height: { type: "number", default: 0.5 }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.createPanel();
+
+    this.onGrabStart = this.onGrabStart.bind(this);
+    this.onGrabEnd = this.onGrabEnd.bind(this);
+    this.el.sceneEl.addEventListener("grab-start", this.onGrabStart);
+    this.el.sceneEl.addEventListener("grab-end", this.onGrabEnd);
+  },
+
+  createPanel() {
+    this.panel = document.createElement("a-entity");
+    this.panel.setAttribute("position", `0 ${this.data.y} -${this.data.distance}`);
+    this.panel.setAttribute("visible", "false");
+
+    const backgroundEl = document.createElement("a-plane");
+    backgroundEl.setAttribute("width", this.data.width);
+    backgroundEl.setAttribute("height", this.data.height);
+    backgroundEl.setAttribute("material", "color: #1a1a1a; transparent: true; opacity: 0.9");
+
+    this.titleEl = document.createElement("a-entity");
+    this.titleEl.setAttribute("position", `0 ${this.data.height / 2 - 0.08} 0.01`);
+
+    this.descEl = document.createElement("a-entity");
+    this.descEl.setAttribute("position", "0 0 0.01");
+
+    this.hintEl = document.createElement("a-entity");
+    this.hintEl.setAttribute("position", `0 ${-this.data.height / 2 + 0.05} 0.01`);
+
+    this.panel.appendChild(backgroundEl);
+    this.panel.appendChild(this.titleEl);
+    this.panel.appendChild(this.descEl);
+    this.panel.appendChild(this.hintEl);
+    this.el.appendChild(this.panel);
+  },
+
+  onGrabStart(evt) {
+    const targetEl = evt.target;
+    if (!this.el.sceneEl.is("vr-mode") || !targetEl.hasAttribute("data-title")) return;
+
+    const font = this.i18n.textFont();
+    const width = this.data.width - 0.1;
+    this.titleEl.setAttribute("text", {
+      value: targetEl.getAttribute("data-title"),
+      align: "center", width, color: "#4CAF50", wrapCount: 24, font
+    });
+    this.descEl.setAttribute("text", {
+      value: targetEl.getAttribute("data-description") || "",
+      align: "center", width, color: "#e0e0e0", wrapCount: 40, font
+    });
+    this.hintEl.setAttribute("text", {
+      value: this.i18n.t("ui.releaseHint", "(Release grip to close)"),
+      align: "center", width, color: "#888888", wrapCount: 50, font
+    });
+
+    this.currentTarget = targetEl;
+    this.panel.setAttribute("visible", "true");
+  },
+
+  onGrabEnd(evt) {
+    if (evt.target !== this.currentTarget) return;
+    this.currentTarget = null;
+    this.panel.setAttribute("visible", "false");
+  },
+
+  remove() {
+    this.el.sceneEl.removeEventListener("grab-start", this.onGrabStart);
+    this.el.sceneEl.removeEventListener("grab-end", this.onGrabEnd);
+    if (this.panel.parentNode) this.panel.parentNode.removeChild(this.panel);
+  }
+});
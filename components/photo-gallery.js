@@ -0,0 +1,327 @@
+/**
+ * PHOTO GALLERY
+ * =============
+ * Hangs the archive photos from documents/ on a wall as framed pictures
+ * with a caption and a source credit under each. Clicking a picture (mouse,
+ * or the trigger while pointing at it) opens it large in front of the
+ * visitor; clicking the enlarged photo zooms in around that point
+ * (1x, 2x, 4x, then back). The close button, Escape or B/Y puts it back.
+ *
+ * Galleries are JSON files:
+ * { "format": "photo-gallery", "version": 1,
+ *   "photos": [{ "id", "src", "width", "height", "caption", "credit" }] }
+ * - width/height: pixel size of the image, used for the frame's aspect
+ * - caption/credit: fallbacks for the gallery.<id>.caption and
+ *   gallery.<id>.credit keys. Leave credit empty when the source of a
+ *   photo is not known - no credit line is shown for it.
+ *
+ * Usage (the entity's position is the centre of the top row):
+ * <a-entity photo-gallery="src: data/gallery.json; height: 0.5; columns: 3"></a-entity>
+ *
+ * Schema Properties:
+ * - height: Picture height in metres, frames excluded (default: 0.5)
+ * - columns: Pictures per row, 0 for a single row (default: 0)
+ * - spacing / rowSpacing: Gaps between pictures and rows (default: 0.25 / 0.35)
+ * - zoomDistance / zoomHeight: Where and how large the enlarged photo
+ *   appears (default: 1.2 / 0.9)
+ *
+ * Events on the scene: "photo-zoom-open" { id }, "photo-zoom-close" { id }
+ */
+
+const GALLERY_FORMAT = "photo-gallery";
+const GALLERY_ZOOM_LEVELS = [1, 2, 4];
+
+AFRAME.registerComponent("photo-gallery", {
+  schema: {
+    src: { type: "string", default: "data/gallery.json" },
+    height: { type: "number", default: 0.5 },
+    columns: { type: "int", default: 0 },
+    spacing: { type: "number", default: 0.25 },
+    rowSpacing: { type: "number", default: 0.35 },
+    frameColor: { type: "color", default: "#3b2a1e" },
+    frameWidth: { type: "number", default: 0.04 },
+    zoomDistance: { type: "number", default: 1.2 },
+    zoomHeight: { type: "number", default: 0.9 }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.photos = [];
+    this.frames = [];
+    this.zoomed = null;
+    this.zoomLevel = 0;
+    this.view = null;
+
+    // Reusable objects
+    this.cameraPos = new THREE.Vector3();
+    this.direction = new THREE.Vector3();
+    this.center = new THREE.Vector2(0.5, 0.5);
+
+    this.refresh = this.refresh.bind(this);
+    this.closeZoom = this.closeZoom.bind(this);
+    this.onKeyDown = (evt) => { if (evt.key === "Escape") this.closeZoom(); };
+    this.onViewClick = this.onViewClick.bind(this);
+
+    const sceneEl = this.el.sceneEl;
+    sceneEl.addEventListener("locale-changed", this.refresh);
+    sceneEl.addEventListener("secondary-down", this.closeZoom);
+    window.addEventListener("keydown", this.onKeyDown);
+
+    fetch(this.data.src)
+      .then((response) => {
+        if (!response.ok) throw new Error(`photo-gallery: failed to load ${this.data.src} (${response.status})`);
+        return response.json();
+      })
+      .then((json) => this.setPhotos(json))
+      .catch((err) => console.error(err));
+  },
+
+  setPhotos(json) {
+    if (!json || json.format !== GALLERY_FORMAT || !Array.isArray(json.photos)) {
+      throw new Error(`photo-gallery: expected a "${GALLERY_FORMAT}" file`);
+    }
+    this.closeZoom();
+    this.frames.forEach((frame) => frame.el.parentNode && frame.el.parentNode.removeChild(frame.el));
+    this.photos = json.photos;
+    this.layout();
+    this.refresh();
+  },
+
+  photoWidth(photo) {
+    return photo.width && photo.height ? (this.data.height * photo.width) / photo.height : this.data.height;
+  },
+
+  // Rows centred on the entity, each row as wide as its pictures need
+  layout() {
+    const data = this.data;
+    const columns = data.columns > 0 ? data.columns : this.photos.length;
+    this.frames = [];
+
+    for (let start = 0; start < this.photos.length; start += columns) {
+      const row = this.photos.slice(start, start + columns);
+      const widths = row.map((photo) => this.photoWidth(photo));
+      const total = widths.reduce((sum, width) => sum + width, 0) + data.spacing * (row.length - 1);
+      const y = -(start / columns) * (data.height + data.rowSpacing);
+      let x = -total / 2;
+
+      row.forEach((photo, i) => {
+        this.frames.push(this.createFrame(photo, x + widths[i] / 2, y, widths[i]));
+        x += widths[i] + data.spacing;
+      });
+    }
+  },
+
+  createFrame(photo, x, y, width) {
+    const data = this.data;
+    const el = document.createElement("a-entity");
+    el.setAttribute("position", `${x} ${y} 0`);
+
+    const frame = document.createElement("a-plane");
+    frame.setAttribute("width", width + data.frameWidth * 2);
+    frame.setAttribute("height", data.height + data.frameWidth * 2);
+    frame.setAttribute("position", "0 0 -0.005");
+    frame.setAttribute("material", { color: data.frameColor, roughness: 0.8 });
+    el.appendChild(frame);
+
+    const picture = document.createElement("a-plane");
+    MuseumUtils.setPointable(picture, true);
+    picture.setAttribute("width", width);
+    picture.setAttribute("height", data.height);
+    picture.setAttribute("material", { shader: "flat", src: photo.src });
+    picture.addEventListener("click", () => this.openZoom(photo, picture));
+    el.appendChild(picture);
+
+    const caption = document.createElement("a-entity");
+    caption.setAttribute("position", `0 ${-data.height / 2 - data.frameWidth - 0.03} 0`);
+    el.appendChild(caption);
+
+    this.el.appendChild(el);
+    return { photo, el, picture, caption, width };
+  },
+
+  caption(photo) {
+    return this.i18n.t(`gallery.${photo.id}.caption`, photo.caption || "");
+  },
+
+  credit(photo) {
+    return this.i18n.t(`gallery.${photo.id}.credit`, photo.credit || "");
+  },
+
+  // Caption with the credit on its own line
+  label(photo) {
+    const credit = this.credit(photo);
+    return credit ? `${this.caption(photo)}\n(${credit})` : this.caption(photo);
+  },
+
+  refresh() {
+    const font = this.i18n.textFont();
+    this.frames.forEach((frame) => {
+      frame.caption.setAttribute("text", {
+        value: this.label(frame.photo), align: "center", baseline: "top",
+        width: Math.max(frame.width + 0.1, 0.5), wrapCount: 28, color: "#ffffff", font
+      });
+    });
+    if (this.zoomed) this.labelView();
+  },
+
+  // The enlarged photo, built on first use at the scene root
+  ensureView() {
+    if (this.view) return this.view;
+    const view = document.createElement("a-entity");
+    view.classList.add("photo-zoom");
+
+    const mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({ color: "#ffffff" })
+    );
+    this.viewMesh = mesh;
+    view.setObject3D("mesh", mesh);
+    view.addEventListener("click", this.onViewClick);
+
+    this.viewBackground = document.createElement("a-plane");
+    this.viewBackground.setAttribute("material", "color: #1a1a1a; transparent: true; opacity: 0.9");
+    view.appendChild(this.viewBackground);
+
+    this.viewCaption = document.createElement("a-entity");
+    view.appendChild(this.viewCaption);
+
+    this.viewClose = document.createElement("a-plane");
+    this.viewClose.setAttribute("width", 0.2);
+    this.viewClose.setAttribute("height", 0.07);
+    this.viewClose.setAttribute("material", "color: #555555");
+    this.viewClose.addEventListener("click", (evt) => {
+      evt.stopPropagation();
+      this.closeZoom();
+    });
+    view.appendChild(this.viewClose);
+
+    this.el.sceneEl.appendChild(view);
+    this.view = view;
+    return view;
+  },
+
+  openZoom(photo, picture) {
+    const data = this.data;
+    const view = this.ensureView();
+    const width = (data.zoomHeight * this.photoWidth(photo)) / data.height;
+    this.zoomed = photo;
+    this.viewMesh.scale.set(width, data.zoomHeight, 1);
+
+    this.viewBackground.setAttribute("width", Math.max(width, 0.6) + 0.1);
+    this.viewBackground.setAttribute("height", data.zoomHeight + 0.32);
+    this.viewBackground.setAttribute("position", "0 -0.11 -0.005");
+    this.viewCaption.setAttribute("position", `0 ${-data.zoomHeight / 2 - 0.04} 0.001`);
+    this.viewClose.setAttribute("position", `0 ${-data.zoomHeight / 2 - 0.2} 0.001`);
+    this.labelView();
+
+    // A copy of the wall picture's texture, so zooming doesn't crop the wall
+    this.setViewTexture(null);
+    const wallMesh = picture && picture.getObject3D("mesh");
+    const wallMap = wallMesh && wallMesh.material && wallMesh.material.map;
+    if (wallMap) {
+      this.setViewTexture(wallMap);
+    } else if (picture) {
+      picture.addEventListener("materialtextureloaded", (evt) => {
+        if (this.zoomed === photo) this.setViewTexture(evt.detail.texture);
+      }, { once: true });
+    }
+    this.setZoom(0, this.center.set(0.5, 0.5));
+
+    // In front of the visitor at eye height, facing them
+    const camera = this.el.sceneEl.camera;
+    camera.getWorldPosition(this.cameraPos);
+    camera.getWorldDirection(this.direction);
+    this.direction.y = 0;
+    if (this.direction.lengthSq() < 1e-6) this.direction.set(0, 0, -1);
+    this.direction.normalize();
+    view.object3D.position.copy(this.cameraPos).addScaledVector(this.direction, data.zoomDistance);
+    view.object3D.lookAt(this.cameraPos.x, view.object3D.position.y, this.cameraPos.z);
+    this.showView(true);
+
+    this.el.sceneEl.emit("photo-zoom-open", { id: photo.id });
+  },
+
+  showView(visible) {
+    this.view.object3D.visible = visible;
+    MuseumUtils.setPointable(this.view, visible);
+    MuseumUtils.setPointable(this.viewClose, visible);
+  },
+
+  setViewTexture(texture) {
+    const material = this.viewMesh.material;
+    if (material.map) material.map.dispose();
+    material.map = texture ? texture.clone() : null;
+    material.needsUpdate = true;
+    if (material.map) {
+      material.map.needsUpdate = true;
+      this.setZoom(this.zoomLevel, this.center);
+    }
+  },
+
+  labelView() {
+    const font = this.i18n.textFont();
+    const width = Math.max(this.viewMesh.scale.x, 0.6);
+    this.viewCaption.setAttribute("text", {
+      value: this.label(this.zoomed),
+      align: "center", baseline: "top", width, wrapCount: 40, color: "#ffffff", font
+    });
+    this.viewClose.setAttribute("text", {
+      value: this.i18n.t("ui.exit", "Exit"), align: "center", width: 0.8, color: "#ffffff", font
+    });
+  },
+
+  // Zoom level index and the centre in texture coordinates
+  setZoom(level, center) {
+    this.zoomLevel = level;
+    const map = this.viewMesh.material.map;
+    const repeat = 1 / GALLERY_ZOOM_LEVELS[level];
+    this.center.set(
+      THREE.MathUtils.clamp(center.x, repeat / 2, 1 - repeat / 2),
+      THREE.MathUtils.clamp(center.y, repeat / 2, 1 - repeat / 2)
+    );
+    if (!map) return;
+    map.repeat.setScalar(repeat);
+    map.offset.set(this.center.x - repeat / 2, this.center.y - repeat / 2);
+  },
+
+  // uv is where the enlarged plane was hit; the next level centres on it
+  stepZoom(uv) {
+    const repeat = 1 / GALLERY_ZOOM_LEVELS[this.zoomLevel];
+    const next = (this.zoomLevel + 1) % GALLERY_ZOOM_LEVELS.length;
+    const center = next === 0
+      ? new THREE.Vector2(0.5, 0.5)
+      : new THREE.Vector2(this.center.x + (uv.x - 0.5) * repeat, this.center.y + (uv.y - 0.5) * repeat);
+    this.setZoom(next, center);
+  },
+
+  // Mouse cursor and laser-pointer clicks both carry the intersection
+  onViewClick(evt) {
+    if (!this.zoomed || evt.target !== this.view) return;
+    const intersection = evt.detail && evt.detail.intersection;
+    // Not the backdrop around the photo
+    if (intersection && intersection.object === this.viewMesh && intersection.uv) this.stepZoom(intersection.uv);
+  },
+
+  closeZoom() {
+    if (!this.zoomed) return;
+    const photo = this.zoomed;
+    this.zoomed = null;
+    this.showView(false);
+    this.setViewTexture(null);
+    this.el.sceneEl.emit("photo-zoom-close", { id: photo.id });
+  },
+
+  remove() {
+    this.closeZoom();
+    const sceneEl = this.el.sceneEl;
+    sceneEl.removeEventListener("locale-changed", this.refresh);
+    sceneEl.removeEventListener("secondary-down", this.closeZoom);
+    window.removeEventListener("keydown", this.onKeyDown);
+    this.frames.forEach((frame) => frame.el.parentNode && frame.el.parentNode.removeChild(frame.el));
+    if (this.view) {
+      this.viewMesh.geometry.dispose();
+      this.viewMesh.material.dispose();
+      if (this.view.parentNode) this.view.parentNode.removeChild(this.view);
+    }
+  }
+});
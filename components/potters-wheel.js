@@ -0,0 +1,437 @@
+/**
+ * POTTER'S WHEEL COMPONENTS
+ * =========================
+ * A working potter's wheel: spin the wheel head up with a hand sweep or the
+ * thumbstick, let it coast down under friction, and shape a lump of clay on
+ * it with your hands.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. potters-wheel
+ *    Spins the wheel head. Angular momentum is kept between frames and lost
+ *    to friction (and to hands touching the clay).
+ *    - A hand resting on the rim of the head drags it along: sweep it
+ *      around to spin up, hold it still to brake.
+ *    - Thumbstick up/down on the chosen hand speeds up / slows down while
+ *      the user stands within reach.
+ *    Nothing spins while the wheel itself is being moved (grabbed).
+ *
+ *    Schema Properties:
+ *    - head: Local position of the wheel head centre (top surface). The
+ *      wheel's up axis is taken from the world, so flipped models work.
+ *    - headRadius: Wheel head radius in local units (default: 0.22)
+ *    - headNode: Name of the model node to spin with the head. Without one
+ *      (or when the model has no such node) a spinning head disc is drawn
+ *      over the model's head instead.
+ *    - friction: Angular deceleration in rad/s² (default: 0.4)
+ *    - maxSpeed: Top speed in rad/s (default: 15)
+ *    - coupling: How strongly a touching hand drags the head (default: 6)
+ *    - thumbstickHand: Controller whose thumbstick drives the wheel (default: right)
+ *    - thumbstickAccel: Thumbstick acceleration in rad/s² (default: 6)
+ *    - reach: Max distance (m) from the head for thumbstick control (default: 1.5)
+ *
+ * 2. clay-lump
+ *    Lathe-style clay on the wheel head. The profile is a list of radii over
+ *    the height of the lump. While the wheel spins, a hand inside the clay
+ *    pushes the wall in at that height; holding the trigger pulls the wall
+ *    out towards the hand. Volume is kept, so squeezing the clay makes it
+ *    taller. The lump turns with the wheel and resets on "reset-exhibits".
+ *    getProfile() / setProfile(points) expose the shape as [{ x: radius, y }].
+ *
+ *    Schema Properties:
+ *    - radius: Starting radius (default: 0.08)
+ *    - height: Starting height (default: 0.12)
+ *    - rings: Profile resolution (default: 32)
+ *    - segments: Lathe segments around the axis (default: 48)
+ *    - color: Clay color (default: #9c6b4e)
+ *    - minSpeed: Wheel speed (rad/s) needed to shape the clay (default: 1)
+ *    - toolWidth: Height band affected by a hand (default: 0.025)
+ *    - rate: Shaping speed (default: 8)
+ *    - minRadius / maxRadius: Wall radius limits (default: 0.01 / 0.2)
+ *    - maxHeight: Tallest the clay can be squeezed up (default: 0.35)
+ *
+ * Usage:
+ * <a-entity id="potters-wheel" gltf-model="..." potters-wheel="head: 0 0.6 0">
+ *   <a-entity position="0 0.6 0" clay-lump></a-entity>
+ * </a-entity>
+ *
+ * Events: "wheel-spin" { speed } when the wheel starts or stops turning
+ */
+
+AFRAME.registerComponent("potters-wheel", {
+  schema: {
+    head: { type: "vec3", default: { x: 0, y: 0.6, z: 0 } },
+    headRadius: { type: "number", default: 0.22 },
+    headNode: { type: "string", default: "" },
+    friction: { type: "number", default: 0.4 },
+    maxSpeed: { type: "number", default: 15 },
+    coupling: { type: "number", default: 6 },
+    thumbstickHand: { type: "string", default: "right", oneOf: ["left", "right"] },
+    thumbstickAccel: { type: "number", default: 6 },
+    reach: { type: "number", default: 1.5 }
+  },
+
+  init() {
+    this.angularVelocity = 0; // rad/s around the wheel's up axis
+    this.thumbstick = 0;
+    this.extraDrag = 0;
+    this.headObject = null;
+    this.headDisc = null;
+
+    // Reusable objects
+    this.headWorld = new THREE.Vector3();
+    this.offset = new THREE.Vector3();
+    this.yAxis = new THREE.Vector3(0, 1, 0);
+    this.tempQuat = new THREE.Quaternion();
+
+    this.onModelLoaded = this.onModelLoaded.bind(this);
+    this.onThumbstick = this.onThumbstick.bind(this);
+    this.el.addEventListener("model-loaded", this.onModelLoaded);
+    this.el.sceneEl.addEventListener("axis-moved", this.onThumbstick);
+  },
+
+  update(oldData) {
+    if (this.data.headNode === oldData.headNode) return;
+    this.onModelLoaded();
+  },
+
+  onModelLoaded() {
+    const mesh = this.el.getObject3D("mesh");
+    const node = mesh && this.data.headNode ? mesh.getObjectByName(this.data.headNode) : null;
+    if (node) {
+      this.removeHeadDisc();
+      this.headObject = node;
+      return;
+    }
+    if (this.data.headNode) {
+      if (!mesh) return; // Wait for the model
+      console.warn(`potters-wheel: no "${this.data.headNode}" node in the model`);
+    }
+    if (!this.headDisc) this.createHeadDisc();
+    this.headObject = this.headDisc.children[0];
+  },
+
+  // A metal disc with spokes, so the spin shows without a head node to turn
+  createHeadDisc() {
+    const radius = this.data.headRadius;
+    const thickness = 0.03;
+    const metal = new THREE.MeshStandardMaterial({ color: "#8a8a8a", metalness: 0.6, roughness: 0.4 });
+    const spokeMaterial = new THREE.MeshStandardMaterial({ color: "#4a4a4a", roughness: 0.8 });
+    const spinner = new THREE.Group();
+
+    const disc = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, thickness, 48), metal);
+    disc.position.y = -thickness / 2;
+    spinner.add(disc);
+    for (let i = 0; i < 3; i++) {
+      const spoke = new THREE.Mesh(new THREE.BoxGeometry(radius * 1.9, 0.002, 0.012), spokeMaterial);
+      spoke.position.y = 0.001;
+      spoke.rotation.y = (i * Math.PI) / 3;
+      spinner.add(spoke);
+    }
+
+    // The mount keeps the disc level with the world; the spinner turns inside it
+    this.headDisc = new THREE.Group();
+    this.headDisc.position.copy(this.data.head);
+    this.headDisc.add(spinner);
+    this.el.object3D.add(this.headDisc);
+  },
+
+  removeHeadDisc() {
+    if (!this.headDisc) return;
+    const materials = new Set();
+    this.headDisc.traverse((node) => {
+      if (!node.isMesh) return;
+      node.geometry.dispose();
+      materials.add(node.material);
+    });
+    materials.forEach((material) => material.dispose());
+    this.el.object3D.remove(this.headDisc);
+    if (this.headObject && this.headObject.parent === this.headDisc) this.headObject = null;
+    this.headDisc = null;
+  },
+
+  onThumbstick(evt) {
+    if (evt.detail.hand !== this.data.thumbstickHand) return;
+    this.thumbstick = -evt.detail.y; // stick up is negative y
+    // Up and down spin the wheel rather than move the visitor next to it
+    if (this.inReach()) evt.detail.claimed = true;
+  },
+
+  inReach() {
+    const camera = this.el.sceneEl.camera;
+    if (!camera || this.el.sceneEl.is("inspecting")) return false;
+    camera.getWorldPosition(this.offset);
+    return this.offset.distanceTo(this.headWorld) <= this.data.reach;
+  },
+
+  // Extra friction for this frame, e.g. from hands in the clay
+  addDrag(amount) {
+    this.extraDrag += amount;
+  },
+
+  tick(time, timeDelta) {
+    const dt = Math.min(timeDelta / 1000, 0.05);
+    const data = this.data;
+    if (!dt) return;
+
+    if (this.el.hasAttribute("grabbed")) {
+      this.angularVelocity = 0;
+      this.extraDrag = 0;
+      return;
+    }
+
+    this.el.object3D.updateMatrixWorld(true);
+    this.headWorld.copy(data.head).applyMatrix4(this.el.object3D.matrixWorld);
+    if (this.headDisc) {
+      this.headDisc.position.copy(data.head);
+      // The wheel's up axis is the world's, also in flipped models
+      this.el.object3D.getWorldQuaternion(this.tempQuat).invert();
+      this.offset.copy(this.yAxis).applyQuaternion(this.tempQuat);
+      this.headDisc.quaternion.setFromUnitVectors(this.yAxis, this.offset);
+    }
+    const wasSpinning = this.angularVelocity !== 0;
+
+    this.applyHands(dt);
+    this.applyThumbstick(dt);
+
+    // Friction always opposes the spin and never reverses it
+    const drag = (data.friction + this.extraDrag) * dt;
+    this.extraDrag = 0;
+    if (Math.abs(this.angularVelocity) <= drag) {
+      this.angularVelocity = 0;
+    } else {
+      this.angularVelocity -= Math.sign(this.angularVelocity) * drag;
+    }
+    this.angularVelocity = THREE.MathUtils.clamp(this.angularVelocity, -data.maxSpeed, data.maxSpeed);
+
+    if (this.headObject) this.headObject.rotation.y += this.angularVelocity * dt;
+    if (wasSpinning !== (this.angularVelocity !== 0)) {
+      this.el.emit("wheel-spin", { speed: this.angularVelocity });
+    }
+  },
+
+  // A free hand on the wheel head drags it towards the hand's own angular speed
+  applyHands(dt) {
+    const grab = this.el.sceneEl.systems.grab;
+    if (!grab) return;
+    const scale = this.el.object3D.getWorldScale(this.offset).x;
+    const headRadius = this.data.headRadius * scale;
+
+    grab.hands.forEach((hand) => {
+      if (grab.heldBy(hand)) return;
+      this.offset.subVectors(hand.position, this.headWorld);
+      const dy = this.offset.y;
+      this.offset.y = 0;
+      const r = this.offset.length();
+      // Only the rim of the head, outside the clay, and close to its surface
+      if (r < headRadius * 0.5 || r > headRadius * 1.2 || dy < -0.03 || dy > 0.06) return;
+
+      // Angular speed of the hand around the axis: (r x v).y / r²
+      const handSpeed = (this.offset.z * hand.velocity.x - this.offset.x * hand.velocity.z) / (r * r);
+      this.angularVelocity += (handSpeed - this.angularVelocity) * Math.min(1, this.data.coupling * dt);
+    });
+  },
+
+  applyThumbstick(dt) {
+    if (Math.abs(this.thumbstick) < 0.2 || !this.inReach()) return;
+
+    // Up spins the wheel up (counter-clockwise seen from above), down brakes
+    if (this.thumbstick > 0) {
+      this.angularVelocity += this.thumbstick * this.data.thumbstickAccel * dt;
+    } else {
+      this.addDrag(-this.thumbstick * this.data.thumbstickAccel);
+    }
+  },
+
+  remove() {
+    this.el.removeEventListener("model-loaded", this.onModelLoaded);
+    this.el.sceneEl.removeEventListener("axis-moved", this.onThumbstick);
+    this.removeHeadDisc();
+  }
+});
+
+AFRAME.registerComponent("clay-lump", {
+  schema: {
+    radius: { type: "number", default: 0.08 },
+    height: { type: "number", default: 0.12 },
+    rings: { type: "int", default: 32 },
+    segments: { type: "int", default: 48 },
+    color: { type: "color", default: "#9c6b4e" },
+    minSpeed: { type: "number", default: 1 },
+    toolWidth: { type: "number", default: 0.025 },
+    rate: { type: "number", default: 8 },
+    minRadius: { type: "number", default: 0.01 },
+    maxRadius: { type: "number", default: 0.2 },
+    maxHeight: { type: "number", default: 0.35 }
+  },
+
+  init() {
+    this.pulling = new Set(); // hand entities with the trigger held
+    this.version = 0; // bumped on every shape change, for editors that mirror the profile
+    this.handLocal = new THREE.Vector3();
+
+    this.onTriggerDown = (evt) => this.pulling.add(evt.target);
+    this.onTriggerUp = (evt) => this.pulling.delete(evt.target);
+    this.reset = this.reset.bind(this);
+    this.el.sceneEl.addEventListener("select-down", this.onTriggerDown);
+    this.el.sceneEl.addEventListener("select-up", this.onTriggerUp);
+    this.el.sceneEl.addEventListener("reset-exhibits", this.reset);
+
+    this.reset();
+  },
+
+  // Starting lump: a slightly domed cylinder
+  reset() {
+    const data = this.data;
+    this.radii = [];
+    for (let j = 0; j < data.rings; j++) {
+      const t = j / (data.rings - 1);
+      this.radii.push(data.radius * (1 - 0.3 * Math.pow(t, 4)));
+    }
+    this.height = data.height;
+    this.volume = this.computeVolume();
+    this.buildMesh();
+  },
+
+  buildMesh() {
+    const points = this.profilePoints();
+    const geometry = new THREE.LatheGeometry(points, this.data.segments);
+    this.version++;
+
+    if (this.mesh) {
+      this.mesh.geometry.dispose();
+      this.mesh.geometry = geometry;
+      return;
+    }
+    const material = new THREE.MeshStandardMaterial({ color: this.data.color, roughness: 0.85, metalness: 0 });
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.el.setObject3D("mesh", this.mesh);
+  },
+
+  // Closed profile: axis at the bottom, the wall rings, axis at the top
+  profilePoints() {
+    const rings = this.radii.length;
+    const points = [new THREE.Vector2(0, 0)];
+    for (let j = 0; j < rings; j++) {
+      points.push(new THREE.Vector2(this.radii[j], (j / (rings - 1)) * this.height));
+    }
+    points.push(new THREE.Vector2(0, this.height));
+    return points;
+  },
+
+  getProfile() {
+    return this.profilePoints().map((point) => ({ x: point.x, y: point.y }));
+  },
+
+  // Accepts [{ x: radius, y }] from bottom to top (axis points are optional),
+  // resampled onto evenly spaced rings
+  setProfile(points) {
+    const wall = points.filter((point) => point.x > 0);
+    if (wall.length < 2) return;
+    const data = this.data;
+    const bottom = wall[0].y;
+    this.height = THREE.MathUtils.clamp(wall[wall.length - 1].y - bottom, 0.02, data.maxHeight);
+
+    this.radii = [];
+    let k = 0;
+    for (let j = 0; j < data.rings; j++) {
+      const y = bottom + (j / (data.rings - 1)) * this.height;
+      while (k < wall.length - 2 && wall[k + 1].y < y) k++;
+      const a = wall[k];
+      const b = wall[k + 1];
+      const t = b.y > a.y ? THREE.MathUtils.clamp((y - a.y) / (b.y - a.y), 0, 1) : 0;
+      this.radii.push(THREE.MathUtils.clamp(a.x + (b.x - a.x) * t, data.minRadius, data.maxRadius));
+    }
+    this.volume = this.computeVolume();
+    this.buildMesh();
+  },
+
+  computeVolume() {
+    const step = this.height / (this.radii.length - 1);
+    let volume = 0;
+    for (let j = 0; j < this.radii.length; j++) {
+      volume += Math.PI * this.radii[j] * this.radii[j] * step;
+    }
+    return volume;
+  },
+
+  tick(time, timeDelta) {
+    const wheelEl = this.el.parentEl;
+    const wheel = wheelEl && wheelEl.components["potters-wheel"];
+    const grab = this.el.sceneEl.systems.grab;
+    if (!wheel || !grab || !this.mesh) return;
+
+    const dt = Math.min(timeDelta / 1000, 0.05);
+    this.el.object3D.rotation.y += wheel.angularVelocity * dt;
+    if (Math.abs(wheel.angularVelocity) < this.data.minSpeed) return;
+
+    let shaped = false;
+    grab.hands.forEach((hand) => {
+      if (grab.heldBy(hand)) return;
+      // Radius and height do not depend on the spin, only on the distance to the axis
+      this.handLocal.copy(hand.position);
+      this.el.object3D.worldToLocal(this.handLocal);
+      const contact = this.shape(
+        Math.hypot(this.handLocal.x, this.handLocal.z),
+        this.handLocal.y,
+        this.pulling.has(hand.el),
+        dt
+      );
+      if (contact) {
+        wheel.addDrag(contact);
+        shaped = true;
+      }
+    });
+
+    if (shaped) this.keepVolume();
+  },
+
+  // Moves the wall towards the hand around its height. Returns the contact amount.
+  shape(handRadius, handHeight, pulling, dt) {
+    const data = this.data;
+    if (handHeight < -data.toolWidth || handHeight > this.height + data.toolWidth) return 0;
+
+    const rings = this.radii.length;
+    const step = this.height / (rings - 1);
+    const amount = Math.min(1, data.rate * dt);
+    let contact = 0;
+
+    for (let j = 0; j < rings; j++) {
+      const dy = (j * step - handHeight) / data.toolWidth;
+      const weight = Math.exp(-dy * dy);
+      if (weight < 0.05) continue;
+
+      const radius = this.radii[j];
+      // Pressing: the hand is inside the wall. Pulling: the hand is just outside it.
+      const inside = handRadius < radius;
+      const nearOutside = pulling && handRadius > radius && handRadius < radius + data.toolWidth;
+      if (!inside && !nearOutside) continue;
+
+      const target = THREE.MathUtils.clamp(handRadius, data.minRadius, data.maxRadius);
+      this.radii[j] += (target - radius) * weight * amount;
+      contact += weight;
+    }
+    return contact;
+  },
+
+  // Squeezed clay goes up, widened clay sinks
+  keepVolume() {
+    const volume = this.computeVolume();
+    if (volume > 0) {
+      this.height = THREE.MathUtils.clamp(this.height * this.volume / volume, 0.02, this.data.maxHeight);
+    }
+    this.buildMesh();
+  },
+
+  remove() {
+    this.el.sceneEl.removeEventListener("select-down", this.onTriggerDown);
+    this.el.sceneEl.removeEventListener("select-up", this.onTriggerUp);
+    this.el.sceneEl.removeEventListener("reset-exhibits", this.reset);
+    if (this.mesh) {
+      this.el.removeObject3D("mesh");
+      this.mesh.geometry.dispose();
+      this.mesh.material.dispose();
+    }
+  }
+});
@@ -0,0 +1,373 @@
+/**
+ * POTTERY PHYSICS
+ * ===============
+ * Lightweight rigid-body simulation for thrown exhibits. Bodies are
+ * integrated with a fixed timestep and collide against every entity marked
+ * with physics-collider (the Pottery_collider.glb world mesh and the
+ * potter's wheel), with bounce, friction, spin and resting on shelves.
+ * A thrown object only returns home when it leaves the play area or when a
+ * reset is requested.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. pottery-physics (system)
+ *    Steps all bodies. Configure on the scene:
+ *    <a-scene pottery-physics="restitution: 0.3; friction: 0.4"></a-scene>
+ *
+ *    Reset every exhibit to its data-initial-pos / -rot / -scale with the
+ *    reset key (R), the reset action (holding the thumbstick in, or the
+ *    bottom of the Vive pad, see input-actions.js), or:
+ *      sceneEl.emit("reset-exhibits");
+ *
+ * 2. physics-collider
+ *    Marks an entity's meshes as static collision geometry.
+ *    <a-entity gltf-model="#navmesh-glb" visible="false" physics-collider></a-entity>
+ *
+ * 3. throw-velocity
+ *    Turns an entity into a moving body with an initial linear (m/s) and
+ *    angular (rad/s, world axes) velocity. Removed again once the body
+ *    comes to rest. simple-grab sets it on release.
+ *    el.setAttribute("throw-velocity", { x: 0, y: 2, z: -1, angularY: 3 });
+ *
+ * EVENTS (emitted on the body entity):
+ *   physics-collide  { speed, normal }  - impact with a collider
+ *   physics-rest                        - body came to rest
+ *   physics-reset                       - body was sent home
+ */
+
+// Reads "x y z" from a data attribute, falling back to the given vector
+function readVec3Attribute(el, name, fallback) {
+  const value = el.getAttribute(name);
+  if (!value) return { x: fallback.x, y: fallback.y, z: fallback.z };
+  const parts = value.split(" ").map(parseFloat);
+  return { x: parts[0], y: parts[1], z: parts[2] };
+}
+
+AFRAME.registerSystem("pottery-physics", {
+  schema: {
+    gravity: { type: "number", default: -9.8 },
+    restitution: { type: "number", default: 0.3 },
+    friction: { type: "number", default: 0.4 },
+    angularDamping: { type: "number", default: 0.5 },
+    fixedStep: { type: "number", default: 1 / 120 },
+    maxSubSteps: { type: "int", default: 6 },
+    sleepSpeed: { type: "number", default: 0.05 },
+    sleepTime: { type: "number", default: 0.3 },
+    playAreaMin: { type: "vec3", default: { x: -8, y: -2, z: -8 } },
+    playAreaMax: { type: "vec3", default: { x: 8, y: 8, z: 8 } },
+    resetKey: { type: "string", default: "r" }
+  },
+
+  init() {
+    this.bodies = [];
+    this.colliderMeshes = [];
+    this.accumulator = 0;
+
+    // Reusable objects
+    this.raycaster = new THREE.Raycaster();
+    this.normalMatrix = new THREE.Matrix3();
+    this.tempNormal = new THREE.Vector3();
+    this.tempDir = new THREE.Vector3();
+    this.tempVec = new THREE.Vector3();
+    this.tempQuat = new THREE.Quaternion();
+    this.down = new THREE.Vector3(0, -1, 0);
+    this.playArea = new THREE.Box3(
+      new THREE.Vector3().copy(this.data.playAreaMin),
+      new THREE.Vector3().copy(this.data.playAreaMax)
+    );
+
+    // Key and action go through "reset-exhibits", so everything else that resets hears them too
+    this.requestReset = () => this.el.emit("reset-exhibits");
+    this.resetAll = this.resetAll.bind(this);
+    this.onKeyDown = (evt) => {
+      if (evt.key.toLowerCase() === this.data.resetKey) this.requestReset();
+    };
+    this.el.addEventListener("reset-exhibits", this.resetAll);
+    this.el.addEventListener("reset-down", this.requestReset);
+    window.addEventListener("keydown", this.onKeyDown);
+  },
+
+  addCollider(el) {
+    el.object3D.traverse((obj) => {
+      if (obj.isMesh && !this.colliderMeshes.includes(obj)) this.colliderMeshes.push(obj);
+    });
+  },
+
+  removeCollider(el) {
+    el.object3D.traverse((obj) => {
+      const index = this.colliderMeshes.indexOf(obj);
+      if (index !== -1) this.colliderMeshes.splice(index, 1);
+    });
+  },
+
+  addBody(body) {
+    this.bodies.push(body);
+  },
+
+  removeBody(body) {
+    const index = this.bodies.indexOf(body);
+    if (index !== -1) this.bodies.splice(index, 1);
+  },
+
+  tick(time, timeDelta) {
+    if (!this.bodies.length || !timeDelta) return;
+
+    // Fixed timestep; drop time we cannot catch up on (e.g. after a tab switch)
+    this.accumulator = Math.min(this.accumulator + timeDelta / 1000, this.data.fixedStep * this.data.maxSubSteps);
+    while (this.accumulator >= this.data.fixedStep) {
+      for (let i = this.bodies.length - 1; i >= 0; i--) {
+        this.stepBody(this.bodies[i], this.data.fixedStep);
+      }
+      this.accumulator -= this.data.fixedStep;
+    }
+
+    for (let i = this.bodies.length - 1; i >= 0; i--) {
+      this.bodies[i].syncToEntity();
+    }
+  },
+
+  stepBody(body, dt) {
+    if (body.asleep) return;
+    const data = this.data;
+
+    body.velocity.y += data.gravity * dt;
+
+    // Sweep along the motion to catch walls, the wheel and shelf edges
+    const moveDist = body.velocity.length() * dt;
+    if (moveDist > 1e-6) {
+      this.tempDir.copy(body.velocity).normalize();
+      const hit = this.cast(body.center, this.tempDir, moveDist + body.radius);
+      if (hit && this.worldNormal(hit).y < 0.7) {
+        body.center.addScaledVector(this.tempDir, Math.max(0, hit.distance - body.radius));
+        this.bounce(body, this.tempNormal, true);
+      } else {
+        body.center.addScaledVector(body.velocity, dt);
+      }
+    }
+
+    // Support from below keeps the pot standing on its base
+    body.supported = false;
+    const support = this.cast(body.center, this.down, body.halfHeight + Math.max(0, -body.velocity.y * dt) + 0.01);
+    if (support && this.worldNormal(support).y >= 0.7) {
+      if (support.distance <= body.halfHeight + 0.005) {
+        body.center.y = support.point.y + body.halfHeight;
+        if (body.velocity.y < 0) this.bounce(body, this.tempNormal, false);
+        body.supported = true;
+
+        // Coulomb friction while sliding along the surface
+        const tangentSpeed = Math.hypot(body.velocity.x, body.velocity.z);
+        if (tangentSpeed > 0) {
+          const scale = Math.max(0, tangentSpeed + data.friction * data.gravity * dt) / tangentSpeed;
+          body.velocity.x *= scale;
+          body.velocity.z *= scale;
+        }
+      }
+    }
+
+    // Spin, damped by air and much more by contact
+    const damping = body.supported ? data.friction * 10 : data.angularDamping;
+    body.angularVelocity.multiplyScalar(Math.max(0, 1 - damping * dt));
+    const angle = body.angularVelocity.length() * dt;
+    if (angle > 1e-6) {
+      this.tempVec.copy(body.angularVelocity).normalize();
+      this.tempQuat.setFromAxisAngle(this.tempVec, angle);
+      body.quaternion.premultiply(this.tempQuat);
+    }
+
+    // Approximates the pot settling onto its base while in contact
+    if (body.supported) {
+      body.settle(Math.min(1, dt * 6));
+    }
+
+    if (!this.playArea.containsPoint(body.center)) {
+      this.sendHome(body.el);
+      return;
+    }
+
+    const speed = body.velocity.length();
+    if (body.supported && speed < data.sleepSpeed && body.angularVelocity.length() < 0.1) {
+      body.restTime += dt;
+      if (body.restTime >= data.sleepTime) {
+        body.asleep = true;
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+        body.el.emit("physics-rest");
+      }
+    } else {
+      body.restTime = 0;
+    }
+  },
+
+  bounce(body, normal, impactFriction) {
+    const vn = body.velocity.dot(normal);
+    if (vn >= 0) return;
+
+    const impactSpeed = -vn;
+    this.tempVec.copy(normal).multiplyScalar(vn);
+    const tangent = body.velocity.sub(this.tempVec);
+    if (impactFriction) tangent.multiplyScalar(1 - this.data.friction);
+
+    // Slow impacts do not bounce, so bodies can settle
+    const restitution = impactSpeed > 0.5 ? this.data.restitution : 0;
+    body.velocity.copy(tangent).addScaledVector(normal, impactSpeed * restitution);
+    body.angularVelocity.multiplyScalar(1 - this.data.friction);
+
+    if (impactSpeed > 0.5) {
+      body.el.emit("physics-collide", { speed: impactSpeed, normal: normal.clone() });
+    }
+  },
+
+  cast(origin, direction, far) {
+    if (!this.colliderMeshes.length) return null;
+    this.raycaster.set(origin, direction);
+    this.raycaster.far = far;
+    const hits = this.raycaster.intersectObjects(this.colliderMeshes, false);
+    return hits.length ? hits[0] : null;
+  },
+
+  // World-space face normal of a hit, flipped to face the ray origin
+  worldNormal(hit) {
+    this.normalMatrix.getNormalMatrix(hit.object.matrixWorld);
+    this.tempNormal.copy(hit.face.normal).applyMatrix3(this.normalMatrix).normalize();
+    if (this.tempNormal.dot(this.raycaster.ray.direction) > 0) this.tempNormal.negate();
+    return this.tempNormal;
+  },
+
+  sendHome(el) {
+    if (el.hasAttribute("throw-velocity")) el.removeAttribute("throw-velocity");
+    const pos = el.getAttribute("position");
+    const rot = el.getAttribute("rotation");
+    el.setAttribute("position", readVec3Attribute(el, "data-initial-pos", pos));
+    el.setAttribute("rotation", readVec3Attribute(el, "data-initial-rot", rot));
+    el.setAttribute("scale", readVec3Attribute(el, "data-initial-scale", el.getAttribute("scale")));
+    el.emit("physics-reset");
+  },
+
+  resetAll() {
+    document.querySelectorAll("[grabbable]").forEach((el) => {
+      if (el.hasAttribute("grabbed")) return;
+      if (el.hasAttribute("data-initial-pos") || el.hasAttribute("throw-velocity")) this.sendHome(el);
+    });
+  },
+
+  remove() {
+    this.el.removeEventListener("reset-exhibits", this.resetAll);
+    this.el.removeEventListener("reset-down", this.requestReset);
+    window.removeEventListener("keydown", this.onKeyDown);
+  }
+});
+
+AFRAME.registerComponent("physics-collider", {
+  init() {
+    this.system = this.el.sceneEl.systems["pottery-physics"];
+    this.onModelLoaded = () => this.system.addCollider(this.el);
+    this.el.addEventListener("model-loaded", this.onModelLoaded);
+    this.system.addCollider(this.el);
+  },
+
+  remove() {
+    this.el.removeEventListener("model-loaded", this.onModelLoaded);
+    this.system.removeCollider(this.el);
+  }
+});
+
+AFRAME.registerComponent("throw-velocity", {
+  schema: {
+    x: { type: "number", default: 0 },
+    y: { type: "number", default: 0 },
+    z: { type: "number", default: 0 },
+    angularX: { type: "number", default: 0 },
+    angularY: { type: "number", default: 0 },
+    angularZ: { type: "number", default: 0 }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems["pottery-physics"];
+    const object3D = this.el.object3D;
+    object3D.updateMatrixWorld(true);
+
+    // Body shape from the bounding box: a sphere for sweeps, half height for support
+    const box = new THREE.Box3().setFromObject(object3D);
+    const size = box.getSize(new THREE.Vector3());
+    const origin = object3D.getWorldPosition(new THREE.Vector3());
+
+    this.velocity = new THREE.Vector3(this.data.x, this.data.y, this.data.z);
+    this.angularVelocity = new THREE.Vector3(this.data.angularX, this.data.angularY, this.data.angularZ);
+    this.center = box.isEmpty() ? origin.clone() : box.getCenter(new THREE.Vector3());
+    this.centerOffset = new THREE.Vector3().subVectors(origin, this.center);
+    this.radius = Math.max(0.02, Math.max(size.x, size.z) / 2);
+    this.halfHeight = Math.max(0.02, size.y / 2);
+    this.quaternion = object3D.getWorldQuaternion(new THREE.Quaternion());
+    this.initialQuaternionInverse = this.quaternion.clone().invert();
+    this.supported = false;
+    this.asleep = false;
+    this.restTime = 0;
+
+    // Upright orientation for settling: initial tilt, current heading
+    const initialRot = readVec3Attribute(this.el, "data-initial-rot", this.el.getAttribute("rotation"));
+    this.uprightEuler = new THREE.Euler(
+      THREE.MathUtils.degToRad(initialRot.x), 0, THREE.MathUtils.degToRad(initialRot.z), "YXZ");
+    this.uprightQuat = new THREE.Quaternion();
+    this.tempEuler = new THREE.Euler(0, 0, 0, "YXZ");
+    this.tempPos = new THREE.Vector3();
+    this.tempQuat = new THREE.Quaternion();
+    this.parentQuat = new THREE.Quaternion();
+
+    this.system.addBody(this);
+  },
+
+  update(oldData) {
+    // Re-throwing an existing body (e.g. caught and released again)
+    if (!oldData || Object.keys(oldData).length === 0) return;
+    this.velocity.set(this.data.x, this.data.y, this.data.z);
+    this.angularVelocity.set(this.data.angularX, this.data.angularY, this.data.angularZ);
+    this.asleep = false;
+    this.restTime = 0;
+  },
+
+  settle(alpha) {
+    this.tempEuler.setFromQuaternion(this.quaternion, "YXZ");
+    this.uprightEuler.y = this.tempEuler.y;
+    this.uprightQuat.setFromEuler(this.uprightEuler);
+    this.quaternion.slerp(this.uprightQuat, alpha);
+  },
+
+  syncToEntity() {
+    const el = this.el;
+
+    // Picked up again - the hand owns the object now
+    if (el.hasAttribute("grabbed")) {
+      el.removeAttribute("throw-velocity");
+      return;
+    }
+
+    // Rotate the origin offset with the body, then convert to parent space
+    this.tempPos.copy(this.centerOffset).applyQuaternion(
+      this.tempQuat.copy(this.quaternion).multiply(this.initialQuaternionInverse)
+    ).add(this.center);
+    this.tempQuat.copy(this.quaternion);
+
+    const parent = el.object3D.parent;
+    if (parent) {
+      parent.worldToLocal(this.tempPos);
+      parent.getWorldQuaternion(this.parentQuat);
+      this.tempQuat.premultiply(this.parentQuat.invert());
+    }
+
+    // A-Frame rotations use YXZ order
+    this.tempEuler.setFromQuaternion(this.tempQuat, "YXZ");
+    el.setAttribute("position", { x: this.tempPos.x, y: this.tempPos.y, z: this.tempPos.z });
+    el.setAttribute("rotation", {
+      x: THREE.MathUtils.radToDeg(this.tempEuler.x),
+      y: THREE.MathUtils.radToDeg(this.tempEuler.y),
+      z: THREE.MathUtils.radToDeg(this.tempEuler.z)
+    });
+
+    if (this.asleep) el.removeAttribute("throw-velocity");
+  },
+
+  remove() {
+    this.system.removeBody(this);
+  }
+});
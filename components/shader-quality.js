@@ -0,0 +1,158 @@
+/**
+ * SHADER QUALITY SYSTEM
+ * =====================
+ * Compiles every shader of the library (shaders/shaders.js) once at startup,
+ * catches GLSL errors, measures how expensive each fragment program is and
+ * swaps shaders that fail - or that are too heavy for a low-end device such
+ * as a standalone headset - for a cheaper one.
+ *
+ * A shader can name its cheaper variant in its definition:
+ *   AFRAME.registerShader("snake-shader", { fallback: "standard", ... })
+ * Without one (or when the variant itself fails) "standard" is used.
+ *
+ * The swap happens in the AFRAME.shaders registry, so everything that looks
+ * shaders up by name - the material component, MuseumUtils.createShaderMaterial(),
+ * glazes, material presets - gets the fallback without knowing about it.
+ *
+ * Usage (on the scene):
+ * <a-scene shader-quality="tier: auto; budget: 2"></a-scene>
+ *
+ * Schema Properties:
+ * - tier: auto | high | low. "auto" picks low on mobile and standalone headsets.
+ *   On high only shaders that fail to compile are replaced. (default: auto)
+ * - budget: Estimated milliseconds per frame a shader may cost on the low tier (default: 2)
+ * - megapixels: Screen area a shaded object is assumed to cover on the low tier (default: 2)
+ * - sampleSize: Size of the offscreen target used for timing (default: 256)
+ * - samples: Draws per shader when timing (default: 8)
+ *
+ * Events (on the scene): "shader-quality-ready" { tier, report }
+ * report[name] = { status: "ok" | "failed" | "too-heavy", error, cost, precision, fallback }
+ */
+
+const LOW_END_AGENTS = /OculusBrowser|Quest|Pico|Android|iPhone|iPad|Mobile/i;
+
+AFRAME.registerSystem("shader-quality", {
+  schema: {
+    tier: { type: "string", default: "auto", oneOf: ["auto", "high", "low"] },
+    budget: { type: "number", default: 2 },
+    megapixels: { type: "number", default: 2 },
+    sampleSize: { type: "int", default: 256 },
+    samples: { type: "int", default: 8 }
+  },
+
+  init() {
+    this.tier = this.data.tier === "auto"
+      ? (LOW_END_AGENTS.test(navigator.userAgent) ? "low" : "high")
+      : this.data.tier;
+    this.report = {};
+    this.originals = {}; // shader name -> registry entry before the swap
+
+    if (this.el.renderer) {
+      this.validateAll();
+    } else {
+      this.el.addEventListener("renderstart", () => this.validateAll(), { once: true });
+    }
+  },
+
+  validateAll() {
+    const renderer = this.el.renderer;
+    const size = this.data.sampleSize;
+    const target = new THREE.WebGLRenderTarget(size, size);
+    const scene = new THREE.Scene();
+    const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 2);
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), new THREE.MeshBasicMaterial());
+    quad.position.z = -1;
+    scene.add(quad);
+
+    const xrEnabled = renderer.xr.enabled;
+    const previousTarget = renderer.getRenderTarget();
+    const previousDebug = Object.assign({}, renderer.debug);
+    let shaderError = null;
+    renderer.xr.enabled = false;
+    renderer.setRenderTarget(target);
+    renderer.debug.checkShaderErrors = true;
+    renderer.debug.onShaderError = (gl, program, vertexShader, fragmentShader) => {
+      shaderError = gl.getShaderInfoLog(fragmentShader) || gl.getShaderInfoLog(vertexShader) ||
+        gl.getProgramInfoLog(program) || "link failed";
+    };
+
+    const pixel = new Uint8Array(4);
+    const time = () => {
+      const start = performance.now();
+      for (let i = 0; i < this.data.samples; i++) renderer.render(scene, camera);
+      // Reading a pixel waits for the GPU to finish the draws
+      renderer.readRenderTargetPixels(target, 0, 0, 1, 1, pixel);
+      return (performance.now() - start) / this.data.samples;
+    };
+    time(); // warm-up
+    const baseline = time();
+    const megapixels = (size * size) / 1e6;
+
+    this.shaderNames().forEach((name) => {
+      const entry = { status: "ok", error: null, cost: 0, precision: this.precisionOf(name), fallback: null };
+      this.report[name] = entry;
+
+      let shader;
+      try {
+        shader = MuseumUtils.createShaderMaterial(name);
+      } catch (err) {
+        entry.status = "failed";
+        entry.error = err.message;
+        return;
+      }
+
+      shaderError = null;
+      // three.js checks the program on its first use, so draw once
+      quad.material = shader.material;
+      renderer.render(scene, camera);
+      if (shaderError) {
+        entry.status = "failed";
+        entry.error = shaderError;
+      } else {
+        // Milliseconds per megapixel over the cost of a plain material
+        entry.cost = Math.max(0, time() - baseline) / megapixels;
+        if (this.tier === "low" && entry.cost * this.data.megapixels > this.data.budget) {
+          entry.status = "too-heavy";
+        }
+      }
+      shader.material.dispose();
+    });
+
+    Object.assign(renderer.debug, previousDebug);
+    renderer.setRenderTarget(previousTarget);
+    renderer.xr.enabled = xrEnabled;
+    quad.geometry.dispose();
+    quad.material.dispose();
+    target.dispose();
+
+    Object.keys(this.report).forEach((name) => {
+      const entry = this.report[name];
+      if (entry.status === "ok") return;
+      entry.fallback = this.fallbackFor(name);
+      this.originals[name] = AFRAME.shaders[name];
+      AFRAME.shaders[name] = AFRAME.shaders[entry.fallback];
+      console.warn(`shader-quality: ${name} ${entry.status}, using ${entry.fallback}`, entry.error || "");
+    });
+
+    this.el.emit("shader-quality-ready", { tier: this.tier, report: this.report });
+  },
+
+  shaderNames() {
+    return Object.keys(AFRAME.shaders).filter((name) => !MuseumUtils.BUILTIN_SHADERS.includes(name));
+  },
+
+  // "mediump" / "highp" / "lowp", or "default" when the GLSL declares none
+  precisionOf(name) {
+    const prototype = AFRAME.shaders[name].Shader.prototype;
+    const match = /precision\s+(lowp|mediump|highp)\s+float/.exec(prototype.fragmentShader || "");
+    return match ? match[1] : "default";
+  },
+
+  // The declared variant when it passed validation itself, else "standard"
+  fallbackFor(name) {
+    const fallback = AFRAME.shaders[name].Shader.prototype.fallback;
+    const entry = this.report[fallback];
+    if (fallback === "standard" || !AFRAME.shaders[fallback]) return "standard";
+    return entry && entry.status !== "ok" ? "standard" : fallback;
+  }
+});
@@ -0,0 +1,457 @@
+/**
+ * SIMPLE GRAB COMPONENTS
+ * ======================
+ * Grabbing [grabbable] entities with the grab action of VR controllers (the
+ * grip button, or a closed fist, see input-actions.js).
+ * A shared grab system tracks which hands own which object, so both hands
+ * can never fight over the same pot. The trigger stays free for pointing
+ * (laser-pointer) and teleporting.
+ *
+ * COMPONENTS INCLUDED:
+ * --------------------
+ *
+ * 1. grab (system)
+ *    Tracks ownership and moves held objects every frame.
+ *    - One hand: the object keeps the pose it had relative to the hand when
+ *      grabbed, or snaps its attach point into the hand (see grabbable).
+ *      The heavy #potters-wheel keeps its height and distance from the user
+ *      and only turns around Y.
+ *    - Second hand grabs the same object: two-handed manipulation. Small
+ *      objects rotate with the line between the hands and scale with their
+ *      distance; the wheel is pushed by both hands and turned by them.
+ *    - Releasing one of two hands hands the object over to the other one.
+ *    - Releasing the last hand throws small objects (see pottery-physics).
+ *
+ * 2. grabbable
+ *    Marks an entity as grabbable and describes how it is held.
+ *    - radius: How close (m) the hand must be to the object's bounds, or to
+ *      its attach point when snapping (default: 0.3)
+ *    - snap: Snap the attach point into the hand (default: false)
+ *    - attachPoint: Model-local point held by the hand, e.g. a jug handle
+ *    - attachRotation: Object rotation (deg) relative to the hand when snapped
+ *    - snapOffset: Hand-local position of the attach point (default: palm)
+ *
+ *    <a-entity grabbable="snap: true; attachPoint: -0.3 0.5 0; attachRotation: 0 90 0"></a-entity>
+ *
+ * 3. simple-grab
+ *    Attach to each controller.
+ *    <a-entity id="rightHand" oculus-touch-controls="hand: right" simple-grab></a-entity>
+ *
+ * EVENTS (emitted on the held object):
+ *   grab-start          { hand }   - first hand took the object
+ *   grab-end            { hand }   - last hand let go
+ *   grab-handoff        { from, to } - object passed to the other hand
+ *   grab-two-handed     { hands }  - second hand joined
+ */
+
+AFRAME.registerSystem("grab", {
+  schema: {
+    minScale: { type: "number", default: 0.5 },
+    maxScale: { type: "number", default: 2 },
+    wheelDistance: { type: "number", default: 1.5 }
+  },
+
+  init() {
+    this.hands = [];
+    this.holds = new Map(); // object el -> hold state
+
+    // Reusable objects
+    this.tempPos = new THREE.Vector3();
+    this.tempQuat = new THREE.Quaternion();
+    this.parentQuat = new THREE.Quaternion();
+    this.axis = new THREE.Vector3();
+    this.midpoint = new THREE.Vector3();
+    this.tempEuler = new THREE.Euler(0, 0, 0, "YXZ");
+    this.tempMatrix = new THREE.Matrix4();
+    this.handMatrix = new THREE.Matrix4();
+    this.worldPos = new THREE.Vector3();
+    this.worldScale = new THREE.Vector3();
+  },
+
+  registerHand(hand) {
+    this.hands.push(hand);
+  },
+
+  unregisterHand(hand) {
+    this.release(hand);
+    const index = this.hands.indexOf(hand);
+    if (index !== -1) this.hands.splice(index, 1);
+  },
+
+  ownersOf(el) {
+    const hold = this.holds.get(el);
+    return hold ? hold.hands.slice() : [];
+  },
+
+  heldBy(hand) {
+    for (const [el, hold] of this.holds) {
+      if (hold.hands.includes(hand)) return el;
+    }
+    return null;
+  },
+
+  // Nearest grabbable whose own grab radius reaches the hand
+  findNearest(hand) {
+    let closest = null;
+    let closestDist = Infinity;
+    document.querySelectorAll("[grabbable]").forEach((el) => {
+      const grabbable = el.components.grabbable;
+      if (!grabbable) return;
+      const dist = grabbable.distanceTo(hand.position);
+      if (dist <= grabbable.data.radius && dist < closestDist) {
+        closest = el;
+        closestDist = dist;
+      }
+    });
+    return closest;
+  },
+
+  grab(hand, el) {
+    if (this.heldBy(hand)) return;
+    let hold = this.holds.get(el);
+
+    if (!hold) {
+      this.storeHomePose(el);
+      const rot = el.getAttribute("rotation");
+      hold = { hands: [hand], originalRot: { x: rot.x, y: rot.y, z: rot.z }, grip: new THREE.Matrix4() };
+      this.holds.set(el, hold);
+      this.captureGrip(el, hold, hand);
+      el.setAttribute("grabbed", true);
+      el.emit("grab-start", { hand: hand.el });
+      return;
+    }
+
+    if (hold.hands.length >= 2) return;
+    hold.hands.push(hand);
+    this.beginTwoHanded(el, hold);
+    el.emit("grab-two-handed", { hands: hold.hands.map((h) => h.el) });
+  },
+
+  // Store the home pose the first time an object is picked up
+  storeHomePose(el) {
+    if (!el.hasAttribute("data-initial-pos")) {
+      const pos = el.getAttribute("position");
+      el.setAttribute("data-initial-pos", `${pos.x} ${pos.y} ${pos.z}`);
+    }
+    if (!el.hasAttribute("data-initial-rot")) {
+      const rot = el.getAttribute("rotation");
+      el.setAttribute("data-initial-rot", `${rot.x} ${rot.y} ${rot.z}`);
+    }
+    if (!el.hasAttribute("data-initial-scale")) {
+      const scale = el.getAttribute("scale");
+      el.setAttribute("data-initial-scale", `${scale.x} ${scale.y} ${scale.z}`);
+    }
+  },
+
+  release(hand) {
+    const el = this.heldBy(hand);
+    if (!el) return;
+    const hold = this.holds.get(el);
+    hold.hands.splice(hold.hands.indexOf(hand), 1);
+
+    if (hold.hands.length === 1) {
+      hold.twoHanded = null;
+      this.captureGrip(el, hold, hold.hands[0]);
+      el.emit("grab-handoff", { from: hand.el, to: hold.hands[0].el });
+      return;
+    }
+
+    this.holds.delete(el);
+    el.removeAttribute("grabbed");
+    el.emit("grab-end", { hand: hand.el });
+
+    // Only apply throw velocity to small objects (not the wheel)
+    if (!MuseumUtils.isHeavyObject(el)) {
+      // Throw velocity and spin from the releasing hand (pottery-physics takes over)
+      el.setAttribute("throw-velocity", {
+        x: hand.velocity.x,
+        y: hand.velocity.y,
+        z: hand.velocity.z,
+        angularX: hand.angularVelocity.x,
+        angularY: hand.angularVelocity.y,
+        angularZ: hand.angularVelocity.z
+      });
+    } else {
+      // For wheel, ensure it stays stable - clear any throw attributes
+      el.removeAttribute("throw-velocity");
+    }
+  },
+
+  // Object pose in hand space - either the snap pose or wherever it was grabbed
+  captureGrip(el, hold, hand) {
+    this.handMatrix.compose(hand.position, hand.quaternion, this.tempPos.set(1, 1, 1));
+    const grabbable = el.components.grabbable;
+
+    if (grabbable && grabbable.data.snap) {
+      const data = grabbable.data;
+      const snapQuat = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+        THREE.MathUtils.degToRad(data.attachRotation.x),
+        THREE.MathUtils.degToRad(data.attachRotation.y),
+        THREE.MathUtils.degToRad(data.attachRotation.z),
+        "YXZ"
+      ));
+      const scale = el.object3D.getWorldScale(new THREE.Vector3());
+
+      // Place the object so its attach point lands on the snap offset
+      const attach = new THREE.Vector3().copy(data.attachPoint).multiply(scale).applyQuaternion(snapQuat);
+      const position = new THREE.Vector3().copy(data.snapOffset).sub(attach);
+      hold.grip.compose(position, snapQuat, scale);
+      return;
+    }
+
+    el.object3D.updateMatrixWorld(true);
+    hold.grip.copy(this.handMatrix).invert().multiply(el.object3D.matrixWorld);
+  },
+
+  beginTwoHanded(el, hold) {
+    const [a, b] = hold.hands;
+    const object3D = el.object3D;
+    this.midpoint.addVectors(a.position, b.position).multiplyScalar(0.5);
+
+    hold.twoHanded = {
+      startAxis: new THREE.Vector3().subVectors(b.position, a.position).normalize(),
+      startDistance: Math.max(0.01, a.position.distanceTo(b.position)),
+      startScale: object3D.scale.clone(),
+      startQuat: object3D.getWorldQuaternion(new THREE.Quaternion()),
+      offset: object3D.getWorldPosition(new THREE.Vector3()).sub(this.midpoint),
+      lastMidpoint: this.midpoint.clone(),
+      lastAngle: Math.atan2(b.position.x - a.position.x, b.position.z - a.position.z)
+    };
+  },
+
+  tick(time, timeDelta) {
+    const dt = (timeDelta || 0) / 1000;
+    this.hands.forEach((hand) => hand.updateKinematics(dt));
+    this.holds.forEach((hold, el) => {
+      if (hold.hands.length === 2) {
+        if (MuseumUtils.isHeavyObject(el)) {
+          this.updateWheelTwoHanded(el, hold);
+        } else {
+          this.updateTwoHanded(el, hold);
+        }
+      } else if (MuseumUtils.isHeavyObject(el)) {
+        this.updateWheel(el, hold, hold.hands[0]);
+      } else {
+        this.updateOneHanded(el, hold, hold.hands[0]);
+      }
+    });
+  },
+
+  updateOneHanded(el, hold, hand) {
+    // For small objects: keep the grip pose relative to the hand
+    this.handMatrix.compose(hand.position, hand.quaternion, this.tempPos.set(1, 1, 1));
+    this.tempMatrix.multiplyMatrices(this.handMatrix, hold.grip);
+
+    this.tempMatrix.decompose(this.worldPos, this.tempQuat, this.worldScale);
+    this.setWorldPosition(el, this.worldPos);
+    this.setWorldQuaternion(el, this.tempQuat);
+  },
+
+  updateWheel(el, hold, hand) {
+    // For heavy objects like the wheel: maintain distance from user
+    const camera = this.el.camera.el;
+    const cameraWorldPos = new THREE.Vector3();
+    camera.object3D.getWorldPosition(cameraWorldPos);
+
+    // Place wheel at distance from camera in the direction of the hand
+    const directionToHand = new THREE.Vector3().subVectors(hand.position, cameraWorldPos).normalize();
+    const wheelWorldPos = cameraWorldPos.addScaledVector(directionToHand, this.data.wheelDistance);
+    this.setWorldPosition(el, wheelWorldPos, true);
+
+    // Only allow Y rotation (revolving around vertical axis)
+    el.object3D.getWorldQuaternion(this.tempQuat);
+    this.tempQuat.premultiply(hand.deltaQuat);
+    this.tempEuler.setFromQuaternion(this.tempQuat, "YXZ");
+    el.setAttribute("rotation", {
+      x: hold.originalRot.x,
+      y: THREE.MathUtils.radToDeg(this.tempEuler.y),
+      z: hold.originalRot.z
+    });
+  },
+
+  updateTwoHanded(el, hold) {
+    const [a, b] = hold.hands;
+    const state = hold.twoHanded;
+
+    // Rotation follows the line between the hands
+    this.axis.subVectors(b.position, a.position);
+    const distance = Math.max(0.01, this.axis.length());
+    this.axis.divideScalar(distance);
+    const rotation = new THREE.Quaternion().setFromUnitVectors(state.startAxis, this.axis);
+    this.tempQuat.copy(state.startQuat).premultiply(rotation);
+    this.setWorldQuaternion(el, this.tempQuat);
+
+    // Scale with hand distance, within limits relative to the original size
+    const factor = THREE.MathUtils.clamp(distance / state.startDistance, this.data.minScale, this.data.maxScale);
+    el.object3D.scale.copy(state.startScale).multiplyScalar(factor);
+
+    // Keep the grab point between the hands
+    this.midpoint.addVectors(a.position, b.position).multiplyScalar(0.5);
+    this.tempPos.copy(state.offset).applyQuaternion(rotation).multiplyScalar(factor).add(this.midpoint);
+    this.setWorldPosition(el, this.tempPos);
+  },
+
+  updateWheelTwoHanded(el, hold) {
+    const [a, b] = hold.hands;
+    const state = hold.twoHanded;
+
+    // Push: move with the average hand movement along the floor
+    this.midpoint.addVectors(a.position, b.position).multiplyScalar(0.5);
+    el.object3D.getWorldPosition(this.tempPos);
+    this.tempPos.x += this.midpoint.x - state.lastMidpoint.x;
+    this.tempPos.z += this.midpoint.z - state.lastMidpoint.z;
+    this.setWorldPosition(el, this.tempPos, true);
+    state.lastMidpoint.copy(this.midpoint);
+
+    // Turn: follow the change in heading of the line between the hands
+    const angle = Math.atan2(b.position.x - a.position.x, b.position.z - a.position.z);
+    let delta = angle - state.lastAngle;
+    if (delta > Math.PI) delta -= Math.PI * 2;
+    if (delta < -Math.PI) delta += Math.PI * 2;
+    state.lastAngle = angle;
+
+    const rot = el.getAttribute("rotation");
+    el.setAttribute("rotation", {
+      x: hold.originalRot.x,
+      y: rot.y + THREE.MathUtils.radToDeg(delta),
+      z: hold.originalRot.z
+    });
+  },
+
+  // Convert a world position to the object's parent space; optionally keep the height
+  setWorldPosition(el, worldPos, keepHeight) {
+    const local = this.tempPos.copy(worldPos);
+    const parent = el.object3D.parent;
+    if (parent) parent.worldToLocal(local);
+
+    const currentPos = el.getAttribute("position");
+    el.setAttribute("position", {
+      x: local.x,
+      y: keepHeight ? currentPos.y : local.y,
+      z: local.z
+    });
+  },
+
+  setWorldQuaternion(el, worldQuat) {
+    const parent = el.object3D.parent;
+    const local = this.parentQuat.identity();
+    if (parent) parent.getWorldQuaternion(local).invert();
+    local.multiply(worldQuat);
+
+    this.tempEuler.setFromQuaternion(local, "YXZ");
+    el.setAttribute("rotation", {
+      x: THREE.MathUtils.radToDeg(this.tempEuler.x),
+      y: THREE.MathUtils.radToDeg(this.tempEuler.y),
+      z: THREE.MathUtils.radToDeg(this.tempEuler.z)
+    });
+  }
+});
+
+AFRAME.registerComponent("grabbable", {
+  schema: {
+    radius: { type: "number", default: 0.3 },
+    snap: { type: "boolean", default: false },
+    attachPoint: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    attachRotation: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    snapOffset: { type: "vec3", default: { x: 0, y: -0.03, z: -0.06 } }
+  },
+
+  init() {
+    this.box = new THREE.Box3();
+    this.attachWorld = new THREE.Vector3();
+  },
+
+  // Distance from a world point to the attach point (snap) or to the object's bounds
+  distanceTo(point) {
+    const object3D = this.el.object3D;
+    if (this.data.snap) {
+      object3D.updateMatrixWorld(true);
+      this.attachWorld.copy(this.data.attachPoint).applyMatrix4(object3D.matrixWorld);
+      return this.attachWorld.distanceTo(point);
+    }
+
+    this.box.setFromObject(object3D);
+    if (this.box.isEmpty()) {
+      return object3D.getWorldPosition(this.attachWorld).distanceTo(point);
+    }
+    return this.box.distanceToPoint(point);
+  }
+});
+
+AFRAME.registerComponent("simple-grab", {
+  schema: {
+    grabEvent: { type: "string", default: "grab-down" },
+    releaseEvent: { type: "string", default: "grab-up" }
+  },
+
+  init() {
+    this.system = this.el.sceneEl.systems.grab;
+
+    // Hand kinematics, refreshed by the grab system every frame
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+    this.lastPosition = new THREE.Vector3();
+    this.lastQuaternion = new THREE.Quaternion();
+    this.deltaQuat = new THREE.Quaternion();
+    this.velocity = new THREE.Vector3();
+    this.angularVelocity = new THREE.Vector3();
+
+    this.onGrabDown = this.onGrabDown.bind(this);
+    this.onGrabUp = this.onGrabUp.bind(this);
+    this.el.addEventListener(this.data.grabEvent, this.onGrabDown);
+    this.el.addEventListener(this.data.releaseEvent, this.onGrabUp);
+    this.system.registerHand(this);
+  },
+
+  onGrabDown() {
+    this.readPose();
+    this.lastPosition.copy(this.position);
+    this.lastQuaternion.copy(this.quaternion);
+    this.velocity.set(0, 0, 0);
+    this.angularVelocity.set(0, 0, 0);
+
+    const target = this.system.findNearest(this);
+    if (target) this.system.grab(this, target);
+  },
+
+  onGrabUp() {
+    this.system.release(this);
+  },
+
+  readPose() {
+    this.el.object3D.getWorldPosition(this.position);
+    this.el.object3D.getWorldQuaternion(this.quaternion);
+  },
+
+  // dt: seconds since the last frame, whatever the headset's refresh rate
+  updateKinematics(dt) {
+    this.readPose();
+    if (!(dt > 0)) {
+      this.lastPosition.copy(this.position);
+      this.lastQuaternion.copy(this.quaternion);
+      return;
+    }
+
+    // Calculate hand velocity
+    this.velocity.subVectors(this.position, this.lastPosition).divideScalar(dt);
+    this.lastPosition.copy(this.position);
+
+    // Rotation delta since last frame, and the angular velocity it implies
+    this.deltaQuat.copy(this.lastQuaternion).invert().premultiply(this.quaternion);
+    const sinHalfAngle = Math.sqrt(Math.max(0, 1 - this.deltaQuat.w * this.deltaQuat.w));
+    if (sinHalfAngle > 1e-6) {
+      const angle = 2 * Math.acos(Math.min(1, Math.abs(this.deltaQuat.w)));
+      this.angularVelocity.set(this.deltaQuat.x, this.deltaQuat.y, this.deltaQuat.z)
+        .multiplyScalar((Math.sign(this.deltaQuat.w) || 1) * angle / (dt * sinHalfAngle));
+    } else {
+      this.angularVelocity.set(0, 0, 0);
+    }
+    this.lastQuaternion.copy(this.quaternion);
+  },
+
+  remove() {
+    this.el.removeEventListener(this.data.grabEvent, this.onGrabDown);
+    this.el.removeEventListener(this.data.releaseEvent, this.onGrabUp);
+    this.system.unregisterHand(this);
+  }
+});
@@ -0,0 +1,166 @@
+/**
+ * TRACKED HAND COMPONENT
+ * ======================
+ * WebXR hand tracking for the controller entities. While the headset tracks
+ * a bare hand instead of a controller, this component poses the entity
+ * along the hand's pointing ray and turns gestures into the events the rest
+ * of the app already listens for:
+ * - pinch (thumb and index tips together): "pinchstarted" / "pinchended"
+ *   { position } (between the tips, in rig space) and "triggerdown" /
+ *   "triggerup", which input-actions turns into select (laser-pointer
+ *   clicks banners and buttons) and teleport (pinch-teleport-02 teleports
+ *   on release)
+ * - closed fist: "gripdown" / "gripup", the grab action, so simple-grab and
+ *   distance-grab pick up [grabbable] pots
+ * When the hand is lost or a controller is picked up again, gestures in
+ * progress are ended (a held pot is dropped) and the controller takes over.
+ *
+ * The entity is in the "hand-tracked" state while a hand drives it, and
+ * emits "hand-tracking-changed" { hand, tracked } when that changes. The
+ * controller model is hidden meanwhile; the hand itself is drawn by
+ * A-Frame's hand-tracking-controls on a sibling entity.
+ *
+ * Usage (inside the rig, next to the controller entity):
+ * <a-entity id="leftHand" oculus-touch-controls="hand: left" input-actions="hand: left"
+ *   tracked-hand="hand: left" simple-grab laser-pointer></a-entity>
+ * <a-entity hand-tracking-controls="hand: left; modelStyle: mesh"></a-entity>
+ *
+ * Schema Properties:
+ * - hand: Which hand drives the entity (default: right)
+ * - pinchStart / pinchEnd: Thumb to index tip distance (m) that starts and
+ *   ends a pinch (default: 0.02 / 0.035)
+ * - fistClose / fistOpen: Average fingertip to wrist distance (m) that
+ *   closes and opens a fist (default: 0.1 / 0.12)
+ */
+
+const HAND_FINGER_TIPS = ["index-finger-tip", "middle-finger-tip", "ring-finger-tip", "pinky-finger-tip"];
+
+AFRAME.registerComponent("tracked-hand", {
+  schema: {
+    hand: { type: "string", default: "right", oneOf: ["left", "right"] },
+    pinchStart: { type: "number", default: 0.02 },
+    pinchEnd: { type: "number", default: 0.035 },
+    fistClose: { type: "number", default: 0.1 },
+    fistOpen: { type: "number", default: 0.12 }
+  },
+
+  init() {
+    this.tracked = false;
+    this.pinching = false;
+    this.fist = false;
+
+    // Reusable objects
+    this.wrist = new THREE.Vector3();
+    this.thumbTip = new THREE.Vector3();
+    this.tip = new THREE.Vector3();
+    this.pinchPosition = new THREE.Vector3();
+
+    // The session only reports hands when the feature was asked for
+    const webxr = this.el.sceneEl.getAttribute("webxr");
+    if (webxr && Array.isArray(webxr.optionalFeatures) && !webxr.optionalFeatures.includes("hand-tracking")) {
+      this.el.sceneEl.setAttribute("webxr", { optionalFeatures: webxr.optionalFeatures.concat("hand-tracking") });
+    }
+  },
+
+  // The XR input source of a bare hand on this side, if one is tracked
+  inputSource() {
+    const session = this.el.sceneEl.xrSession;
+    if (!session || !session.inputSources) return null;
+    for (const source of session.inputSources) {
+      if (source.hand && source.handedness === this.data.hand) return source;
+    }
+    return null;
+  },
+
+  referenceSpace() {
+    const renderer = this.el.sceneEl.renderer;
+    return renderer && renderer.xr ? renderer.xr.getReferenceSpace() : null;
+  },
+
+  // Joint position in rig space, false when the joint isn't tracked this frame
+  jointPosition(frame, source, name, space, target) {
+    const joint = source.hand.get(name);
+    const pose = joint && frame.getJointPose(joint, space);
+    if (!pose) return false;
+    target.copy(pose.transform.position);
+    return true;
+  },
+
+  tick() {
+    const source = this.inputSource();
+    if (!!source !== this.tracked) this.setTracked(!!source);
+    if (!source) return;
+
+    const frame = this.el.sceneEl.frame;
+    const space = this.referenceSpace();
+    if (!frame || !space) return;
+
+    const rayPose = frame.getPose(source.targetRaySpace, space);
+    if (rayPose) {
+      this.el.object3D.position.copy(rayPose.transform.position);
+      this.el.object3D.quaternion.copy(rayPose.transform.orientation);
+    }
+
+    if (!this.jointPosition(frame, source, "wrist", space, this.wrist) ||
+        !this.jointPosition(frame, source, "thumb-tip", space, this.thumbTip)) return;
+
+    let fistDistance = 0;
+    for (const name of HAND_FINGER_TIPS) {
+      if (!this.jointPosition(frame, source, name, space, this.tip)) return;
+      fistDistance += this.tip.distanceTo(this.wrist) / HAND_FINGER_TIPS.length;
+      if (name === "index-finger-tip") this.pinchPosition.copy(this.tip);
+    }
+    const pinchDistance = this.pinchPosition.distanceTo(this.thumbTip);
+    this.pinchPosition.lerp(this.thumbTip, 0.5);
+
+    if (!this.fist && fistDistance < this.data.fistClose) {
+      this.setPinching(false);
+      this.setFist(true);
+    } else if (this.fist && fistDistance > this.data.fistOpen) {
+      this.setFist(false);
+    }
+
+    // A closing fist brings thumb and index together too, so pinches only
+    // start from an otherwise open hand
+    if (this.fist) return;
+    if (!this.pinching && pinchDistance < this.data.pinchStart && fistDistance > this.data.fistOpen) {
+      this.setPinching(true);
+    } else if (this.pinching && pinchDistance > this.data.pinchEnd) {
+      this.setPinching(false);
+    }
+  },
+
+  setPinching(pinching) {
+    if (this.pinching === pinching) return;
+    this.pinching = pinching;
+    const detail = { position: this.pinchPosition };
+    this.el.emit(pinching ? "pinchstarted" : "pinchended", detail);
+    this.el.emit(pinching ? "triggerdown" : "triggerup", detail);
+  },
+
+  setFist(fist) {
+    if (this.fist === fist) return;
+    this.fist = fist;
+    this.el.emit(fist ? "gripdown" : "gripup", {});
+  },
+
+  setTracked(tracked) {
+    if (!tracked) {
+      this.setPinching(false);
+      this.setFist(false);
+    }
+    this.tracked = tracked;
+    if (tracked) {
+      this.el.addState("hand-tracked");
+    } else {
+      this.el.removeState("hand-tracked");
+    }
+    const controllerModel = this.el.getObject3D("mesh");
+    if (controllerModel) controllerModel.visible = !tracked;
+    this.el.emit("hand-tracking-changed", { hand: this.data.hand, tracked });
+  },
+
+  remove() {
+    if (this.tracked) this.setTracked(false);
+  }
+});
@@ -0,0 +1,535 @@
+/**
+ * VESSEL BUILDER COMPONENT
+ * ========================
+ * Lets visitors design a vessel and take it home. A profile editor panel
+ * is anchored on the potter's wheel and edits the silhouette of the
+ * clay-lump on the wheel head: drag a handle with the mouse, or point at it
+ * and hold the trigger in VR. Shaping the clay with the hands updates the
+ * handles too, so both ways of working edit the same profile.
+ *
+ * Panel buttons:
+ * - Material: cycles through the materials list (shaders.js shaders and
+ *   "standard" plain clay) and previews it on the clay
+ * - Save / Load: the profile as JSON (see format below)
+ * - Export: the vessel as a hollow .glb download. glTF cannot store custom
+ *   shaders, so the chosen shader is baked into a texture first by rendering
+ *   it on the vessel's own geometry, unwrapped into its UV layout. View
+ *   dependent looks (rims, matcaps) are baked as seen head-on.
+ *
+ * Profile JSON:
+ * {
+ *   "format": "vessel-profile",
+ *   "version": 1,
+ *   "material": "matcap-shader",
+ *   "points": [{ "x": 0.08, "y": 0 }, ...]   // wall radius (m) by height, bottom to top
+ * }
+ *
+ * The panel turns to face the user around the vertical axis.
+ *
+ * Usage (on the wheel, next to its clay-lump child):
+ * <a-entity id="potters-wheel" potters-wheel vessel-builder="panelPosition: 0.7 1.1 0">
+ *   <a-entity clay-lump></a-entity>
+ * </a-entity>
+ *
+ * Schema Properties:
+ * - panelPosition: Panel placement relative to the wheel
+ * - width / height: Editor area size in meters (default: 0.4 / 0.5)
+ * - handles: Number of editable profile points (default: 7)
+ * - maxRadius / maxHeight: Profile size covered by the editor (default: 0.2 / 0.35)
+ * - wallThickness: Wall and floor thickness of the exported vessel (default: 0.006)
+ * - materials: Selectable materials
+ * - textureSize: Baked texture resolution (default: 512)
+ * - filename: Download name without extension (default: vessel)
+ *
+ * Events: "vessel-exported" { filename }, "vessel-profile-loaded" { profile }
+ */
+
+const VESSEL_PROFILE_FORMAT = "vessel-profile";
+
+AFRAME.registerComponent("vessel-builder", {
+  schema: {
+    clay: { type: "selector", default: "" },
+    panelPosition: { type: "vec3", default: { x: 0.7, y: 1.1, z: 0 } },
+    width: { type: "number", default: 0.4 },
+    height: { type: "number", default: 0.5 },
+    handles: { type: "int", default: 7 },
+    maxRadius: { type: "number", default: 0.2 },
+    maxHeight: { type: "number", default: 0.35 },
+    wallThickness: { type: "number", default: 0.006 },
+    materials: {
+      type: "array",
+      default: ["standard", "matcap-shader", "katona-shader", "peters-shader", "snake-shader", "kranidiotis-shader", "diamantides-shader", "water"]
+    },
+    textureSize: { type: "int", default: 512 },
+    filename: { type: "string", default: "vessel" }
+  },
+
+  init() {
+    this.i18n = this.el.sceneEl.systems.i18n;
+    this.materials = this.data.materials.filter((name) => name === "standard" || AFRAME.shaders[name]);
+    this.materialIndex = 0;
+    this.handleRadii = [];
+    this.clayVersion = -1;
+    this.drag = null; // { source: "mouse" | hand el, index }
+
+    // Reusable objects
+    this.localPoint = new THREE.Vector3();
+    this.cameraPos = new THREE.Vector3();
+
+    this.onEditorMouseDown = this.onEditorMouseDown.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+    this.onTriggerDown = this.onTriggerDown.bind(this);
+    this.onTriggerUp = this.onTriggerUp.bind(this);
+    this.onLocaleChanged = this.updateLabels.bind(this);
+    this.onFileChosen = this.onFileChosen.bind(this);
+
+    this.createPanel();
+    this.createFileInput();
+    this.updateLabels();
+
+    window.addEventListener("mouseup", this.onMouseUp);
+    this.el.sceneEl.addEventListener("select-down", this.onTriggerDown);
+    this.el.sceneEl.addEventListener("select-up", this.onTriggerUp);
+    this.el.sceneEl.addEventListener("locale-changed", this.onLocaleChanged);
+  },
+
+  getClay() {
+    const clayEl = this.data.clay || this.el.querySelector("[clay-lump]");
+    return clayEl ? clayEl.components["clay-lump"] : null;
+  },
+
+  createPanel() {
+    const data = this.data;
+    // Lives at the scene root (so clicks on it are not clicks on the grabbable
+    // wheel) and follows the wheel in tick
+    this.panel = document.createElement("a-entity");
+
+    this.titleEl = document.createElement("a-entity");
+    this.titleEl.setAttribute("position", `0 ${data.height / 2 + 0.05} 0`);
+
+    // Editor area: the axis runs up the middle, the wall is mirrored on both sides
+    this.editorEl = document.createElement("a-plane");
+    this.editorEl.classList.add("clickable");
+    this.editorEl.setAttribute("width", data.width);
+    this.editorEl.setAttribute("height", data.height);
+    this.editorEl.setAttribute("material", "color: #1a1a1a; transparent: true; opacity: 0.9");
+    this.editorEl.addEventListener("mousedown", this.onEditorMouseDown);
+
+    this.outline = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: "#4CAF50" }));
+    this.outline.position.z = 0.002;
+
+    const axis = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(0, -data.height / 2, 0.001),
+        new THREE.Vector3(0, data.height / 2, 0.001)
+      ]),
+      new THREE.LineBasicMaterial({ color: "#555555" })
+    );
+
+    this.handleMeshes = [];
+    const handleGeometry = new THREE.CircleGeometry(0.012, 16);
+    for (let i = 0; i < data.handles; i++) {
+      const handle = new THREE.Mesh(handleGeometry, new THREE.MeshBasicMaterial({ color: "#ffffff" }));
+      handle.position.z = 0.003;
+      this.handleMeshes.push(handle);
+    }
+
+    this.editorEl.addEventListener("loaded", () => {
+      const object3D = this.editorEl.object3D;
+      object3D.add(this.outline);
+      object3D.add(axis);
+      this.handleMeshes.forEach((handle) => object3D.add(handle));
+    });
+
+    this.buttons = {
+      material: this.createButton(-data.width / 4, -data.height / 2 - 0.08, () => this.cycleMaterial()),
+      reset: this.createButton(data.width / 4, -data.height / 2 - 0.08, () => this.reset()),
+      save: this.createButton(-data.width / 4, -data.height / 2 - 0.2, () => this.saveProfile()),
+      load: this.createButton(data.width / 4, -data.height / 2 - 0.2, () => this.fileInput.click()),
+      export: this.createButton(0, -data.height / 2 - 0.32, () => this.exportGLB())
+    };
+
+    this.panel.appendChild(this.titleEl);
+    this.panel.appendChild(this.editorEl);
+    Object.keys(this.buttons).forEach((key) => this.panel.appendChild(this.buttons[key]));
+    this.el.sceneEl.appendChild(this.panel);
+  },
+
+  createButton(x, y, onClick) {
+    const button = document.createElement("a-plane");
+    MuseumUtils.setPointable(button, true);
+    button.setAttribute("width", this.data.width / 2 - 0.02);
+    button.setAttribute("height", 0.1);
+    button.setAttribute("position", `${x} ${y} 0`);
+    button.setAttribute("material", "color: #555555; transparent: true; opacity: 0.9");
+    button.addEventListener("click", onClick);
+    return button;
+  },
+
+  createFileInput() {
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = ".json,application/json";
+    this.fileInput.style.display = "none";
+    this.fileInput.addEventListener("change", this.onFileChosen);
+    document.body.appendChild(this.fileInput);
+  },
+
+  updateLabels() {
+    const font = this.i18n.textFont();
+    const label = (el, value) => el.setAttribute("text", {
+      value, align: "center", width: 0.8, color: "#ffffff", wrapCount: 20, font
+    });
+    const materialName = this.materials[this.materialIndex] || "standard";
+
+    this.titleEl.setAttribute("text", {
+      value: this.i18n.t("builder.title", "Vessel builder"),
+      align: "center", width: 1, color: "#4CAF50", font
+    });
+    label(this.buttons.material, `${this.i18n.t("builder.material", "Material")}: ${materialName}`);
+    label(this.buttons.reset, this.i18n.t("builder.reset", "Reset"));
+    label(this.buttons.save, this.i18n.t("builder.save", "Save profile"));
+    label(this.buttons.load, this.i18n.t("builder.load", "Load profile"));
+    label(this.buttons.export, this.i18n.t("builder.export", "Export .glb"));
+  },
+
+  // --- Editing -------------------------------------------------------------
+
+  onEditorMouseDown() {
+    const intersection = this.el.sceneEl.components.raycaster.getIntersection(this.editorEl);
+    if (!intersection) return;
+    this.startDrag("mouse", intersection.uv);
+
+    // look-controls would turn the camera with the same drag
+    const camera = this.el.sceneEl.camera.el;
+    if (camera.hasAttribute("look-controls")) camera.setAttribute("look-controls", "enabled", false);
+  },
+
+  onMouseUp() {
+    if (!this.drag || this.drag.source !== "mouse") return;
+    this.drag = null;
+    const camera = this.el.sceneEl.camera.el;
+    if (camera.hasAttribute("look-controls")) camera.setAttribute("look-controls", "enabled", true);
+  },
+
+  onTriggerDown(evt) {
+    const intersection = this.intersectHand(evt.target);
+    if (intersection) this.startDrag(evt.target, intersection.uv);
+  },
+
+  onTriggerUp(evt) {
+    if (this.drag && this.drag.source === evt.target) this.drag = null;
+  },
+
+  // The editor hit along the hand's laser-pointer ray
+  intersectHand(handEl) {
+    const pointer = handEl.components && handEl.components["laser-pointer"];
+    const mesh = this.editorEl.getObject3D("mesh");
+    if (!pointer || !pointer.updateRay || !mesh || !pointer.updateRay()) return null;
+    const intersects = pointer.raycaster.intersectObject(mesh, false);
+    return intersects.length ? intersects[0] : null;
+  },
+
+  // Picks the handle closest to the pointer
+  startDrag(source, uv) {
+    if (!uv || !this.handleRadii.length) return;
+    const point = this.uvToProfile(uv);
+    const step = this.profileHeight / (this.data.handles - 1);
+    let closest = 0;
+    let closestDist = Infinity;
+    this.handleRadii.forEach((radius, i) => {
+      const dist = Math.hypot(radius - point.x, i * step - point.y);
+      if (dist < closestDist) {
+        closest = i;
+        closestDist = dist;
+      }
+    });
+    this.drag = { source, index: closest };
+    this.dragTo(uv);
+  },
+
+  uvToProfile(uv) {
+    return {
+      x: Math.abs(uv.x - 0.5) * 2 * this.data.maxRadius,
+      y: uv.y * this.data.maxHeight
+    };
+  },
+
+  dragTo(uv) {
+    const point = this.uvToProfile(uv);
+    const index = this.drag.index;
+    this.handleRadii[index] = Math.max(0.01, point.x);
+    // The top handle also sets the height of the vessel
+    if (index === this.data.handles - 1) this.profileHeight = Math.max(0.03, point.y);
+    this.applyHandles();
+  },
+
+  // Smooth curve through the handles, pushed to the clay
+  applyHandles() {
+    const clay = this.getClay();
+    if (!clay) return;
+    const step = this.profileHeight / (this.data.handles - 1);
+    const curve = new THREE.SplineCurve(this.handleRadii.map((radius, i) => new THREE.Vector2(radius, i * step)));
+    clay.setProfile(curve.getPoints(clay.data.rings * 2).map((point) => ({ x: Math.max(0.005, point.x), y: point.y })));
+  },
+
+  // Panel offset in wheel space, turned towards the camera around Y
+  followWheel() {
+    const object3D = this.el.object3D;
+    const panel = this.panel.object3D;
+    object3D.updateMatrixWorld(true);
+    panel.position.copy(this.data.panelPosition);
+    object3D.localToWorld(panel.position);
+
+    this.el.sceneEl.camera.getWorldPosition(this.cameraPos);
+    panel.rotation.set(0, Math.atan2(this.cameraPos.x - panel.position.x, this.cameraPos.z - panel.position.z), 0);
+  },
+
+  tick() {
+    if (this.panel.hasLoaded) this.followWheel();
+
+    const clay = this.getClay();
+    if (!clay || !clay.radii) return;
+
+    if (this.drag) {
+      const intersection = this.drag.source === "mouse"
+        ? this.el.sceneEl.components.raycaster.getIntersection(this.editorEl)
+        : this.intersectHand(this.drag.source);
+      if (intersection && intersection.uv) this.dragTo(intersection.uv);
+    }
+
+    // Clay changed (hands, reset, load, or our own edit) - mirror it
+    if (clay.version !== this.clayVersion) {
+      this.clayVersion = clay.version;
+      this.syncFromClay(clay);
+    }
+  },
+
+  syncFromClay(clay) {
+    const data = this.data;
+    const rings = clay.radii.length;
+    this.profileHeight = clay.height;
+
+    // Handles sample the clay (except the one being dragged)
+    for (let i = 0; i < data.handles; i++) {
+      if (this.drag && this.drag.index === i) continue;
+      const ring = Math.round((i / (data.handles - 1)) * (rings - 1));
+      this.handleRadii[i] = clay.radii[ring];
+    }
+
+    // Mirrored outline: down the left wall, then up the right wall
+    const toX = (radius) => (radius / data.maxRadius) * (data.width / 2);
+    const toY = (y) => (y / data.maxHeight) * data.height - data.height / 2;
+    const points = clay.profilePoints();
+    let positions = this.outline.geometry.attributes.position;
+    if (!positions || positions.count < points.length * 2) {
+      positions = new THREE.BufferAttribute(new Float32Array(points.length * 2 * 3), 3);
+      this.outline.geometry.setAttribute("position", positions);
+    }
+    let index = 0;
+    for (let j = points.length - 1; j >= 0; j--) positions.setXYZ(index++, -toX(points[j].x), toY(points[j].y), 0);
+    for (let j = 0; j < points.length; j++) positions.setXYZ(index++, toX(points[j].x), toY(points[j].y), 0);
+    positions.needsUpdate = true;
+    this.outline.geometry.setDrawRange(0, index);
+    this.outline.geometry.computeBoundingSphere();
+
+    const step = clay.height / (data.handles - 1);
+    this.handleMeshes.forEach((handle, i) => handle.position.set(toX(this.handleRadii[i]), toY(i * step), 0.003));
+  },
+
+  reset() {
+    const clay = this.getClay();
+    if (clay) clay.reset();
+  },
+
+  // --- Material ------------------------------------------------------------
+
+  cycleMaterial() {
+    this.setMaterial(this.materials[(this.materialIndex + 1) % this.materials.length]);
+  },
+
+  setMaterial(name) {
+    const index = this.materials.indexOf(name);
+    const clay = this.getClay();
+    if (index === -1 || !clay) return;
+    this.materialIndex = index;
+
+    if (name === "standard") {
+      clay.el.setAttribute("material", { shader: "standard", color: clay.data.color, roughness: 0.85, metalness: 0 });
+    } else {
+      clay.el.setAttribute("material", { shader: name });
+    }
+    this.updateLabels();
+  },
+
+  // --- Profile JSON --------------------------------------------------------
+
+  getProfileData() {
+    const clay = this.getClay();
+    return {
+      format: VESSEL_PROFILE_FORMAT,
+      version: 1,
+      material: this.materials[this.materialIndex],
+      points: clay ? clay.getProfile().filter((point) => point.x > 0) : []
+    };
+  },
+
+  loadProfileData(profile) {
+    if (!profile || profile.format !== VESSEL_PROFILE_FORMAT || !Array.isArray(profile.points)) {
+      throw new Error("vessel-builder: not a vessel profile");
+    }
+    const clay = this.getClay();
+    if (!clay) return;
+    clay.setProfile(profile.points);
+    if (profile.material) this.setMaterial(profile.material);
+    this.el.emit("vessel-profile-loaded", { profile });
+  },
+
+  saveProfile() {
+    const json = JSON.stringify(this.getProfileData(), null, 2);
+    MuseumUtils.downloadBlob(new Blob([json], { type: "application/json" }), `${this.data.filename}.json`);
+  },
+
+  onFileChosen() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = "";
+    if (!file) return;
+    file.text()
+      .then((text) => this.loadProfileData(JSON.parse(text)))
+      .catch((err) => console.error(err));
+  },
+
+  // --- Export --------------------------------------------------------------
+
+  // Hollow vessel: outer wall up to the rim, inner wall back down to the floor
+  buildVesselGeometry(clay, scale) {
+    const data = this.data;
+    const wall = clay.profilePoints().filter((point) => point.x > 0);
+    const thickness = data.wallThickness / scale;
+    const points = [new THREE.Vector2(0, 0)];
+
+    wall.forEach((point) => points.push(point.clone()));
+    for (let j = wall.length - 1; j >= 0; j--) {
+      const y = Math.max(wall[j].y, thickness);
+      points.push(new THREE.Vector2(Math.max(0.002, wall[j].x - thickness), y));
+    }
+    points.push(new THREE.Vector2(0, thickness));
+
+    const geometry = new THREE.LatheGeometry(points, clay.data.segments);
+    geometry.scale(scale, scale, scale);
+    return geometry;
+  },
+
+  // Renders the clay's shader in UV space on the vessel itself: the vertex
+  // shader runs as usual (normals, view direction) and then writes the
+  // vertex's uv as its screen position. Matcap and rim shaders depend on the
+  // view, so the lathe is baked a column at a time, each column turned
+  // towards the camera - every part of the wall as it looks seen head-on.
+  bakeShaderTexture(material, geometry, segments) {
+    const renderer = this.el.sceneEl.renderer;
+    const size = this.data.textureSize;
+    const target = new THREE.WebGLRenderTarget(size, size);
+    const scene = new THREE.Scene();
+
+    const bakeMaterial = material.clone();
+    const source = bakeMaterial.vertexShader;
+    const mainEnd = source.lastIndexOf("}");
+    bakeMaterial.vertexShader = `${source.slice(0, mainEnd)}  gl_Position = vec4(uv * 2.0 - 1.0, 0.0, 1.0);\n${source.slice(mainEnd)}`;
+    bakeMaterial.side = THREE.DoubleSide; // UV-space winding says nothing about facing
+    const mesh = new THREE.Mesh(geometry, bakeMaterial);
+    mesh.frustumCulled = false;
+    scene.add(mesh);
+
+    geometry.computeBoundingBox();
+    const bounds = geometry.boundingBox;
+    const centerY = (bounds.min.y + bounds.max.y) / 2;
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.01, 10);
+    camera.position.set(0, centerY, Math.max(0.5, (bounds.max.y - bounds.min.y) * 2));
+    camera.lookAt(0, centerY, 0);
+    camera.updateMatrixWorld();
+
+    const xrEnabled = renderer.xr.enabled;
+    const autoClear = renderer.autoClear;
+    const previousTarget = renderer.getRenderTarget();
+    renderer.xr.enabled = false;
+    renderer.setRenderTarget(target);
+    renderer.clear();
+    renderer.autoClear = false;
+    target.scissorTest = true;
+    for (let i = 0; i < segments; i++) {
+      // LatheGeometry puts column i at angle 2πi/segments, facing (sin, 0, cos)
+      mesh.rotation.y = -((i + 0.5) / segments) * Math.PI * 2;
+      const x0 = Math.floor((i / segments) * size);
+      const x1 = Math.ceil(((i + 1) / segments) * size);
+      target.scissor.set(x0, 0, x1 - x0, size);
+      renderer.setRenderTarget(target); // Applies the scissor
+      renderer.render(scene, camera);
+    }
+    renderer.autoClear = autoClear;
+    const pixels = new Uint8Array(size * size * 4);
+    renderer.readRenderTargetPixels(target, 0, 0, size, size, pixels);
+    renderer.setRenderTarget(previousTarget);
+    renderer.xr.enabled = xrEnabled;
+
+    // GL rows run bottom-up; canvas rows top-down
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext("2d");
+    const image = context.createImageData(size, size);
+    const rowBytes = size * 4;
+    for (let row = 0; row < size; row++) {
+      image.data.set(pixels.subarray(row * rowBytes, (row + 1) * rowBytes), (size - row - 1) * rowBytes);
+    }
+    context.putImageData(image, 0, 0);
+
+    bakeMaterial.dispose();
+    target.dispose();
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  },
+
+  exportGLB() {
+    const clay = this.getClay();
+    if (!clay || !clay.mesh) return;
+
+    const scale = clay.el.object3D.getWorldScale(this.localPoint).x;
+    const materialName = this.materials[this.materialIndex];
+    const geometry = this.buildVesselGeometry(clay, scale);
+    const material = new THREE.MeshStandardMaterial({ color: clay.data.color, roughness: 0.85, metalness: 0 });
+    if (materialName !== "standard" && clay.mesh.material.isShaderMaterial) {
+      material.color.set("#ffffff");
+      material.map = this.bakeShaderTexture(clay.mesh.material, geometry, clay.data.segments);
+    }
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = this.data.filename;
+    mesh.userData.profile = this.getProfileData();
+    const filename = `${this.data.filename}.glb`;
+
+    import("three/addons/exporters/GLTFExporter.js")
+      .then(({ GLTFExporter }) => new GLTFExporter().parseAsync(mesh, { binary: true }))
+      .then((glb) => {
+        MuseumUtils.downloadBlob(new Blob([glb], { type: "model/gltf-binary" }), filename);
+        this.el.emit("vessel-exported", { filename });
+      })
+      .catch((err) => console.error("vessel-builder: export failed", err))
+      .finally(() => {
+        mesh.geometry.dispose();
+        if (material.map) material.map.dispose();
+        material.dispose();
+      });
+  },
+
+  remove() {
+    window.removeEventListener("mouseup", this.onMouseUp);
+    this.el.sceneEl.removeEventListener("select-down", this.onTriggerDown);
+    this.el.sceneEl.removeEventListener("select-up", this.onTriggerUp);
+    this.el.sceneEl.removeEventListener("locale-changed", this.onLocaleChanged);
+    this.editorEl.removeEventListener("mousedown", this.onEditorMouseDown);
+    this.fileInput.removeEventListener("change", this.onFileChosen);
+    if (this.fileInput.parentNode) this.fileInput.parentNode.removeChild(this.fileInput);
+    if (this.panel.parentNode) this.panel.parentNode.removeChild(this.panel);
+  }
+});
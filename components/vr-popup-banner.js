@@ -1,141 +1,335 @@
 /**
  * VR POPUP BANNER COMPONENT
  * ========================
- * Shows three floating banners in the upper left corner of the camera
- * in VR mode, displaying pottery object images.
+ * Shows floating banners in the upper area of the camera view in VR mode
+ * as a carousel: a window of `visibleCount` banners at a time, with arrows
+ * and a counter when there are more. The current banner is highlighted.
  * Banners are expandable - trigger to show more details.
- * 
+ * Emits "banner-expanded" / "banner-collapsed" { exhibitId, id } from the banner.
+ *
+ * Items come from the exhibit catalog (see exhibit-catalog.js), or from a
+ * JSON file when `src` is set:
+ * { "format": "banner-carousel", "version": 1,
+ *   "items": [{ "id", "exhibitId", "image", "title", "description" }] }
+ * - exhibitId: exhibit the banner belongs to, whose exhibits.<id>.title and
+ *   exhibits.<id>.description keys label it (optional, otherwise the
+ *   banners.<id>.title and banners.<id>.description keys are used)
+ * - title/description: fallbacks for those keys
+ *
+ * Pointing at a banner with a controller (see laser-pointer.js) makes it
+ * the current one; pushing that controller's thumbstick left or right moves
+ * along the carousel, scrolling the window when needed. If a banner is
+ * expanded the new current one expands instead.
+ * The arrows page a whole window at a time.
+ *
  * Usage:
- * <a-entity vr-popup-banner></a-entity>
+ * <a-entity vr-popup-banner="visibleCount: 3"></a-entity>
+ * <a-entity vr-popup-banner="src: data/banners.json"></a-entity>
  */
 
+const BANNER_FORMAT = "banner-carousel";
+
 AFRAME.registerComponent("vr-popup-banner", {
   schema: {
+    src: { type: "string", default: "" },
     distance: { type: "number", default: 2.5 },
     width: { type: "number", default: 0.25 },
     height: { type: "number", default: 0.2 },
-    spacing: { type: "number", default: 0.6 }
+    spacing: { type: "number", default: 0.6 },
+    visibleCount: { type: "int", default: 3 },
+    highlightColor: { type: "color", default: "#ffcc66" }
   },
 
   init() {
     this.camera = document.querySelector("[camera]");
     this.banners = [];
     this.expandedBanner = null;
-    this.setupBanners();
-  },
-
-  setupBanners() {
-    // Banner data with image paths - arranged horizontally
-    const bannerData = [
-      {
-        id: "banner-1",
-        image: "objects/ozolins_2_fake.png",
-        xOffset: -0.35,  // Left banner
-        title: "Ceramic Vase",
-        description: "A beautiful handcrafted ceramic vase"
-      },
-      {
-        id: "banner-2",
-        image: "objects/ceramic_vase_3d_Krievs.png",
-        xOffset: 0,      // Center banner
-        title: "Vase by Krievs",
-        description: "An elegant pottery piece by master craftsman"
-      },
-      {
-        id: "banner-3",
-        image: "objects/ceramic_jug_Dranda_2.png",
-        xOffset: 0.35,   // Right banner
-        title: "Ceramic Jug",
-        description: "A traditional ceramic jug from the collection"
+    this.current = 0;
+    this.first = 0;
+    this.hoverHand = null;
+    this.stickArmed = true;
+    this.controls = null;
+    this.i18n = this.el.sceneEl.systems.i18n;
+
+    this.onLocaleChanged = this.applyLocale.bind(this);
+    this.onThumbstick = this.onThumbstick.bind(this);
+    this.el.sceneEl.addEventListener("locale-changed", this.onLocaleChanged);
+    this.el.sceneEl.addEventListener("axis-moved", this.onThumbstick);
+
+    if (this.data.src) {
+      fetch(this.data.src)
+        .then((response) => {
+          if (!response.ok) throw new Error(`vr-popup-banner: failed to load ${this.data.src} (${response.status})`);
+          return response.json();
+        })
+        .then((json) => {
+          if (!json || json.format !== BANNER_FORMAT || !Array.isArray(json.items)) {
+            throw new Error(`vr-popup-banner: expected a "${BANNER_FORMAT}" file`);
+          }
+          this.setItems(json.items);
+        })
+        .catch((err) => console.error(err));
+    } else {
+      this.el.sceneEl.systems["exhibit-catalog"].onReady((exhibits) => this.setItems(exhibits.map((exhibit) => ({
+        id: exhibit.id,
+        exhibitId: exhibit.id,
+        image: exhibit.thumbnail,
+        title: exhibit.title,
+        description: exhibit.description
+      }))));
+    }
+  },
+
+  // Title and description keys of an item
+  keyPrefix(data) {
+    return data.exhibitId ? `exhibits.${data.exhibitId}` : `banners.${data.itemId}`;
+  },
+
+  applyLocale() {
+    const font = this.i18n.textFont();
+    this.banners.forEach((banner) => {
+      const data = banner.bannerData;
+      const prefix = this.keyPrefix(data);
+      const titleEl = banner.querySelector(".banner-title");
+      const descEl = banner.querySelector(".banner-description");
+      if (titleEl) {
+        titleEl.setAttribute("text", { value: this.i18n.t(`${prefix}.title`, data.title), font });
       }
-    ];
-
-    bannerData.forEach((data, index) => {
-      // Create banner container
-      const bannerContainer = document.createElement("a-entity");
-      bannerContainer.setAttribute("id", data.id);
-      bannerContainer.setAttribute("class", "expandable-banner");
-      // Positioned horizontally in upper center area
-      bannerContainer.setAttribute("position", `${data.xOffset} 0.4 -${this.data.distance}`);
-      bannerContainer.setAttribute("rotation", "0 0 0");
-      bannerContainer.setAttribute("scale", "1 1 1");
-      
-      // Store banner state
-      bannerContainer.bannerData = data;
-      bannerContainer.isExpanded = false;
-
-      // Create background plane (black and slightly transparent)
-      const backgroundEl = document.createElement("a-plane");
-      backgroundEl.setAttribute("width", this.data.width + 0.05);
-      backgroundEl.setAttribute("height", this.data.height + 0.05);
-      backgroundEl.setAttribute("position", "0 0 -0.01");
-      backgroundEl.setAttribute("material", "color: #000000; transparent: true; opacity: 0.7");
-
-      // Create the banner image plane
-      const imageEl = document.createElement("a-plane");
-      imageEl.setAttribute("width", this.data.width);
-      imageEl.setAttribute("height", this.data.height);
-      imageEl.setAttribute("position", "0 0 0");
-      imageEl.setAttribute("material", `src: ${data.image}; transparent: true; alphaTest: 0.5`);
-      imageEl.classList.add("banner-image");
-
-      // Create title text (hidden initially)
-      const titleEl = document.createElement("a-entity");
-      titleEl.setAttribute("text", {
-        value: data.title,
-        align: "center",
-        anchor: "center",
-        width: 1.5,
-        color: "#ffffff",
-        fontSize: 32,
-        wrapCount: 20
-      });
-      titleEl.setAttribute("position", "0 0.2 0.01");
-      titleEl.setAttribute("visible", "false");
-      titleEl.classList.add("banner-title");
-
-      // Create description text (hidden initially)
-      const descEl = document.createElement("a-entity");
-      descEl.setAttribute("text", {
-        value: data.description,
-        align: "center",
-        anchor: "center",
-        width: 1.5,
-        color: "#cccccc",
-        fontSize: 24,
-        wrapCount: 20
-      });
-      descEl.setAttribute("position", "0 -0.1 0.01");
-      descEl.setAttribute("visible", "false");
-      descEl.classList.add("banner-description");
-
-      bannerContainer.appendChild(backgroundEl);
-      bannerContainer.appendChild(imageEl);
-      bannerContainer.appendChild(titleEl);
-      bannerContainer.appendChild(descEl);
-      
-      // Make background clickable for raycaster
-      backgroundEl.setAttribute("class", "banner-clickable");
-      
-      // Add click listener to expand/collapse
-      const clickHandler = () => {
-        this.toggleBannerExpand(bannerContainer);
-      };
-      
-      bannerContainer.addEventListener("click", clickHandler);
-      backgroundEl.addEventListener("click", clickHandler);
-      imageEl.addEventListener("click", clickHandler);
-      
-      if (this.camera) {
-        this.camera.appendChild(bannerContainer);
-      } else {
-        document.querySelector("a-scene").appendChild(bannerContainer);
+      if (descEl) {
+        descEl.setAttribute("text", { value: this.i18n.t(`${prefix}.description`, data.description), font });
       }
+    });
+  },
+
+  setItems(items) {
+    if (this.expandedBanner) this.collapseBanner(this.expandedBanner);
+    this.banners.forEach((banner) => banner.parentNode && banner.parentNode.removeChild(banner));
+    this.banners = items.map((item, index) => this.createBanner(item, index));
+    this.ensureControls();
+    this.current = 0;
+    this.first = 0;
+    this.layout();
+    this.applyLocale();
+  },
+
+  createBanner(item, index) {
+    const data = {
+      id: `banner-${item.id}`,
+      itemId: item.id,
+      exhibitId: item.exhibitId || null,
+      image: item.image,
+      title: item.title || "",
+      description: item.description || ""
+    };
+
+    // Create banner container, placed by layout()
+    const bannerContainer = document.createElement("a-entity");
+    bannerContainer.setAttribute("id", data.id);
+    bannerContainer.setAttribute("class", "expandable-banner");
+    bannerContainer.setAttribute("rotation", "0 0 0");
+    bannerContainer.setAttribute("scale", "1 1 1");
+
+    // Store banner state
+    bannerContainer.bannerData = data;
+    bannerContainer.bannerIndex = index;
+    bannerContainer.isExpanded = false;
+
+    // Create background plane (black and slightly transparent, the highlight colour when current)
+    const backgroundEl = document.createElement("a-plane");
+    backgroundEl.setAttribute("width", this.data.width + 0.05);
+    backgroundEl.setAttribute("height", this.data.height + 0.05);
+    backgroundEl.setAttribute("position", "0 0 -0.01");
+    backgroundEl.setAttribute("material", "color: #000000; transparent: true; opacity: 0.7");
+    backgroundEl.classList.add("banner-background");
+
+    // Create the banner image plane
+    const imageEl = document.createElement("a-plane");
+    imageEl.setAttribute("width", this.data.width);
+    imageEl.setAttribute("height", this.data.height);
+    imageEl.setAttribute("position", "0 0 0");
+    imageEl.setAttribute("material", `src: ${data.image}; transparent: true; alphaTest: 0.5`);
+    imageEl.classList.add("banner-image");
+
+    // Create title text (hidden initially)
+    const titleEl = document.createElement("a-entity");
+    titleEl.setAttribute("text", {
+      value: data.title,
+      align: "center",
+      anchor: "center",
+      width: 1.5,
+      color: "#ffffff",
+      fontSize: 32,
+      wrapCount: 20
+    });
+    titleEl.setAttribute("position", "0 0.2 0.01");
+    titleEl.setAttribute("visible", "false");
+    titleEl.classList.add("banner-title");
+
+    // Create description text (hidden initially)
+    const descEl = document.createElement("a-entity");
+    descEl.setAttribute("text", {
+      value: data.description,
+      align: "center",
+      anchor: "center",
+      width: 1.5,
+      color: "#cccccc",
+      fontSize: 24,
+      wrapCount: 20
+    });
+    descEl.setAttribute("position", "0 -0.1 0.01");
+    descEl.setAttribute("visible", "false");
+    descEl.classList.add("banner-description");
+
+    bannerContainer.appendChild(backgroundEl);
+    bannerContainer.appendChild(imageEl);
+    bannerContainer.appendChild(titleEl);
+    bannerContainer.appendChild(descEl);
+
+    // Make background clickable for raycaster
+    backgroundEl.classList.add("banner-clickable");
+
+    // Add click listener to expand/collapse
+    const clickHandler = () => {
+      this.toggleBannerExpand(bannerContainer);
+    };
+
+    bannerContainer.addEventListener("click", clickHandler);
+    bannerContainer.addEventListener("mouseenter", (evt) => {
+      if (evt.target === bannerContainer && evt.detail && evt.detail.cursorEl) this.setHovered(bannerContainer, evt.detail.cursorEl);
+    });
+    bannerContainer.addEventListener("mouseleave", (evt) => {
+      if (evt.detail && this.hoverHand === evt.detail.cursorEl) this.hoverHand = null;
+    });
+    backgroundEl.addEventListener("click", clickHandler);
+    imageEl.addEventListener("click", clickHandler);
+
+    this.parentEl().appendChild(bannerContainer);
+    return bannerContainer;
+  },
+
+  parentEl() {
+    return this.camera || document.querySelector("a-scene");
+  },
+
+  // Previous/next arrows either side of the row and a counter under it
+  ensureControls() {
+    if (this.controls) return;
+    const makeArrow = (label, direction) => {
+      const arrow = document.createElement("a-plane");
+      arrow.classList.add("banner-arrow");
+      MuseumUtils.setPointable(arrow, true);
+      arrow.setAttribute("width", 0.08);
+      arrow.setAttribute("height", 0.12);
+      arrow.setAttribute("material", "color: #000000; transparent: true; opacity: 0.7");
+      arrow.setAttribute("text", { value: label, align: "center", width: 1, color: "#ffffff" });
+      arrow.addEventListener("click", () => this.page(direction));
+      this.parentEl().appendChild(arrow);
+      return arrow;
+    };
+
+    const counter = document.createElement("a-entity");
+    counter.classList.add("banner-counter");
+    this.parentEl().appendChild(counter);
+
+    this.controls = { previous: makeArrow("<", -1), next: makeArrow(">", 1), counter };
+  },
+
+  visibleCount() {
+    return Math.min(Math.max(this.data.visibleCount, 1), this.banners.length);
+  },
+
+  // Places the window of banners starting at `first`, centred under the view
+  layout() {
+    const count = this.visibleCount();
+    const step = this.data.width + 0.1;
+    const y = 0.4;
+    const z = -this.data.distance;
+
+    this.banners.forEach((banner, index) => {
+      const slot = index - this.first;
+      const shown = slot >= 0 && slot < count;
+      banner.setAttribute("visible", shown);
+      if (shown) banner.setAttribute("position", `${(slot - (count - 1) / 2) * step} ${y} ${z}`);
+    });
+
+    const paged = this.banners.length > count;
+    const edge = ((count - 1) / 2) * step + step * 0.7;
+    const { previous, next, counter } = this.controls;
+    previous.setAttribute("position", `${-edge} ${y} ${z}`);
+    next.setAttribute("position", `${edge} ${y} ${z}`);
+    this.showArrow(previous, paged, this.first > 0);
+    this.showArrow(next, paged, this.first + count < this.banners.length);
+
+    counter.setAttribute("visible", paged);
+    counter.setAttribute("position", `0 ${y - this.data.height / 2 - 0.08} ${z}`);
+    counter.setAttribute("text", {
+      value: `${this.current + 1} / ${this.banners.length}`, align: "center", width: 1, color: "#ffffff"
+    });
 
-      this.banners.push(bannerContainer);
+    this.highlight();
+  },
+
+  showArrow(arrow, visible, enabled) {
+    arrow.setAttribute("visible", visible);
+    MuseumUtils.setPointable(arrow, visible);
+    arrow.setAttribute("material", `color: #000000; transparent: true; opacity: ${enabled ? 0.7 : 0.25}`);
+  },
+
+  highlight() {
+    this.banners.forEach((banner, index) => {
+      const background = banner.querySelector(".banner-background");
+      if (!background) return;
+      const color = index === this.current ? this.data.highlightColor : "#000000";
+      const opacity = index === this.current ? 0.9 : 0.7;
+      background.setAttribute("material", `color: ${color}; transparent: true; opacity: ${opacity}`);
     });
   },
 
+  // Makes banner `index` current, scrolling the window to show it
+  select(index) {
+    if (!this.banners.length) return;
+    const count = this.visibleCount();
+    this.current = THREE.MathUtils.clamp(index, 0, this.banners.length - 1);
+    if (this.current < this.first) this.first = this.current;
+    if (this.current >= this.first + count) this.first = this.current - count + 1;
+
+    const banner = this.banners[this.current];
+    if (this.expandedBanner && this.expandedBanner !== banner) this.toggleBannerExpand(banner);
+    this.layout();
+  },
+
+  scroll(direction) {
+    this.select(this.current + direction);
+  },
+
+  // Moves the window a whole page; the current banner is the first one shown
+  page(direction) {
+    if (!this.banners.length) return;
+    const count = this.visibleCount();
+    if (this.expandedBanner) this.collapseBanner(this.expandedBanner);
+    this.first = THREE.MathUtils.clamp(this.first + direction * count, 0, this.banners.length - count);
+    this.current = this.first;
+    this.layout();
+  },
+
+  onThumbstick(evt) {
+    if (!this.hoverHand || evt.target !== this.hoverHand || this.el.sceneEl.is("inspecting")) return;
+    evt.detail.claimed = true;
+    const x = evt.detail.x;
+    if (Math.abs(x) < 0.3) {
+      this.stickArmed = true;
+    } else if (this.stickArmed && Math.abs(x) > 0.7) {
+      this.stickArmed = false;
+      this.scroll(Math.sign(x));
+    }
+  },
+
+  // An expanded banner covers its neighbours, so it stays current until moved off with the thumbstick
+  setHovered(banner, hand) {
+    this.hoverHand = hand;
+    if (!this.expandedBanner && banner.bannerIndex !== this.current) this.select(banner.bannerIndex);
+  },
+
   toggleBannerExpand(banner) {
     // Close previously expanded banner
     if (this.expandedBanner && this.expandedBanner !== banner) {
@@ -147,12 +341,18 @@ AFRAME.registerComponent("vr-popup-banner", {
     } else {
       this.expandBanner(banner);
     }
+
+    if (banner.bannerIndex !== this.current) this.select(banner.bannerIndex);
+  },
+
+  eventDetail(banner) {
+    return { exhibitId: banner.bannerData.exhibitId, id: banner.bannerData.itemId };
   },
 
   expandBanner(banner) {
     banner.isExpanded = true;
     this.expandedBanner = banner;
-    
+
     // Scale up animation - 4x bigger for clear visual feedback
     banner.setAttribute("animation", {
       property: "scale",
@@ -166,6 +366,8 @@ AFRAME.registerComponent("vr-popup-banner", {
     const descEl = banner.querySelector(".banner-description");
     if (titleEl) titleEl.setAttribute("visible", "true");
     if (descEl) descEl.setAttribute("visible", "true");
+
+    banner.emit("banner-expanded", this.eventDetail(banner));
   },
 
   collapseBanner(banner) {
@@ -173,7 +375,7 @@ AFRAME.registerComponent("vr-popup-banner", {
     if (this.expandedBanner === banner) {
       this.expandedBanner = null;
     }
-    
+
     // Scale down animation
     banner.setAttribute("animation", {
       property: "scale",
@@ -187,5 +389,17 @@ AFRAME.registerComponent("vr-popup-banner", {
     const descEl = banner.querySelector(".banner-description");
     if (titleEl) titleEl.setAttribute("visible", "false");
     if (descEl) descEl.setAttribute("visible", "false");
+
+    banner.emit("banner-collapsed", this.eventDetail(banner));
+  },
+
+  remove() {
+    this.el.sceneEl.removeEventListener("locale-changed", this.onLocaleChanged);
+    this.el.sceneEl.removeEventListener("axis-moved", this.onThumbstick);
+    const els = this.banners.slice();
+    if (this.controls) els.push(this.controls.previous, this.controls.next, this.controls.counter);
+    els.forEach((el) => el.parentNode && el.parentNode.removeChild(el));
+    this.banners = [];
+    this.controls = null;
   }
 });
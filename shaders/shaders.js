@@ -379,8 +379,7 @@ AFRAME.registerShader('star-shader', {
 
 AFRAME.registerShader('fusion-sun-shader', {
     schema: {
-        time: { type: 'time', is: 'uniform' },
-        resolution: { type: 'vec2', is: 'uniform', default: { x: 256, y: 256 } }
+        time: { type: 'time', is: 'uniform' }
     },
     vertexShader: `
         precision mediump float;
@@ -495,6 +494,8 @@ AFRAME.registerShader('fusion-sun-shader', {
 
 
 AFRAME.registerShader('sunray-cloud-shader', {
+    // Heavy fragment program (4-octave noise) - see components/shader-quality.js
+    fallback: 'standard',
     schema: {
         time: { type: 'time', is: 'uniform' },
         resolution: { type: 'vec2', is: 'uniform', default: { x: 256, y: 256 } }
@@ -640,6 +641,8 @@ AFRAME.registerShader('sunray-cloud-shader', {
 
 
 AFRAME.registerShader('snake-shader', {
+    // Heavy fragment program - see components/shader-quality.js
+    fallback: 'standard',
     schema: {
         time: { type: 'time', is: 'uniform' },
         resolution: { type: 'vec2', is: 'uniform', default: { x: 256, y: 256 } }
@@ -946,7 +949,7 @@ AFRAME.registerShader('kranidiotis-shader', {
 AFRAME.registerShader('dejus-shader', {
     schema: {
         time: { type: 'time', is: 'uniform' },
-
+        resolution: { type: 'vec2', is: 'uniform', default: { x: 256, y: 256 } }
     },
     vertexShader: `
        varying vec2 vUv;
@@ -1040,6 +1043,7 @@ AFRAME.registerShader('matcap-shader', {
         uniform vec3 matcapColor1;
         uniform vec3 matcapColor2; 
         uniform vec3 matcapColor3;
+        uniform float rimPower;
         varying vec2 vUv;
         varying vec3 vNormal;
         varying vec3 vViewPosition;
@@ -1067,9 +1071,9 @@ AFRAME.registerShader('matcap-shader', {
             // Single pattern calculation
             float pattern = sin(centerDist * 6.0 - t) * 0.5 + 0.5;
             
-            // Fast rim lighting - no pow() function
-            float rimLight = 1.0 - dot(normal, viewDir);
-            rimLight = rimLight * rimLight; // x^2 instead of pow()
+            // Rim lighting, sharpened by rimPower
+            float rimLight = max(1.0 - dot(normal, viewDir), 0.0);
+            rimLight = pow(rimLight, rimPower);
             
             // Efficient lighting zones
             float highlight = smoothstep(0.3, 0.5, centerDist);
@@ -1090,6 +1094,8 @@ AFRAME.registerShader('matcap-shader', {
 
 
 AFRAME.registerShader('diamantides-shader', {
+    // Cheaper ceramic look on low-end devices - see components/shader-quality.js
+    fallback: 'matcap-shader',
     schema: {
         time: { type: 'time', is: 'uniform' },
         pointSize: { type: 'float', is: 'uniform', default: 0.25 },
@@ -0,0 +1,132 @@
+/**
+ * a-cursor-teleport: the landing indicator follows the cursor ray over
+ * [navmesh] surfaces, clicking moves the rig there, and occluders or steep
+ * surfaces block teleporting.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip, approx } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/a-cursor-navigation.js"];
+
+function addMesh(scene, geometry, attributes, transform) {
+  const { THREE } = scene;
+  const el = scene.entity({});
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial());
+  if (transform) transform(mesh);
+  el.setObject3D("mesh", mesh);
+  Object.keys(attributes).forEach((name) => el.setAttribute(name, attributes[name]));
+  return el;
+}
+
+async function setup(build) {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const { THREE, document } = scene;
+
+  // Stand-in for A-Frame's raycaster component on the a-cursor
+  scene.AFRAME.registerComponent("raycaster", {
+    init() {
+      this.raycaster = new THREE.Raycaster();
+    }
+  });
+  const cursor = scene.entity({ raycaster: "" }, scene.sceneEl, "a-cursor");
+
+  // 20 x 20 m floor
+  addMesh(scene, new THREE.PlaneGeometry(20, 20), { navmesh: "" }, (mesh) => { mesh.rotation.x = -Math.PI / 2; });
+  if (build) build(scene);
+
+  const rig = document.createElement("a-entity");
+  rig.setAttribute("id", "rig");
+  const head = document.createElement("a-entity");
+  head.setAttribute("id", "head");
+  head.setAttribute("camera", "");
+  rig.appendChild(head);
+  rig.setAttribute("a-cursor-teleport", "cameraRig: #rig; cameraHead: #head");
+  scene.sceneEl.appendChild(rig);
+
+  const teleport = rig.components["a-cursor-teleport"];
+  const aim = (x, z) => {
+    cursor.components.raycaster.raycaster.set(new THREE.Vector3(x, 5, z), new THREE.Vector3(0, -1, 0));
+  };
+  return { scene, cursor, rig, teleport, aim };
+}
+
+test("the indicator shows where the cursor meets the navmesh", { skip }, async () => {
+  const { scene, teleport, aim } = await setup();
+
+  aim(1, -2);
+  scene.tick(2);
+
+  assert.equal(teleport.teleportIndicator.visible, true);
+  approx(teleport.teleportIndicator.position.x, 1, "x", 1e-3);
+  approx(teleport.teleportIndicator.position.y, 0.01, "lifted off the surface", 1e-3);
+  approx(teleport.teleportIndicator.position.z, -2, "z", 1e-3);
+  scene.close();
+});
+
+test("clicking the cursor moves the rig to the indicator", { skip }, async () => {
+  const { scene, cursor, rig, aim } = await setup();
+  const events = scene.record(rig, "navigation-start", "navigation-end");
+
+  aim(1, -2);
+  scene.tick(2);
+  cursor.emit("click");
+  assert.deepEqual(events.map((event) => event.type), ["navigation-start"]);
+
+  scene.tick(60);
+  assert.ok(rig.object3D.position.x > 0 && rig.object3D.position.x < 1, "moves smoothly");
+
+  scene.tick(90);
+  assert.deepEqual(events.map((event) => event.type), ["navigation-start", "navigation-end"]);
+  approx(rig.object3D.position.x, 1, "x", 1e-3);
+  approx(rig.object3D.position.y, 0, "y", 1e-3);
+  approx(rig.object3D.position.z, -2, "z", 1e-3);
+  scene.close();
+});
+
+test("objects in front of the navmesh block teleporting", { skip }, async () => {
+  const { scene, cursor, rig, teleport, aim } = await setup((scene) => {
+    addMesh(scene, new scene.THREE.BoxGeometry(1, 1, 1), {}, (mesh) => mesh.position.set(1, 0.5, -2));
+  });
+  const events = scene.record(rig, "navigation-start");
+
+  aim(1, -2);
+  scene.tick(2);
+  cursor.emit("click");
+
+  assert.equal(teleport.teleportIndicator.visible, false);
+  assert.equal(events.length, 0);
+  scene.close();
+});
+
+test("raycast-exclude objects do not block teleporting", { skip }, async () => {
+  const { scene, teleport, aim } = await setup((scene) => {
+    addMesh(scene, new scene.THREE.BoxGeometry(1, 1, 1), { "raycast-exclude": "" }, (mesh) => mesh.position.set(1, 0.5, -2));
+  });
+
+  aim(1, -2);
+  scene.tick(2);
+
+  assert.equal(teleport.teleportIndicator.visible, true);
+  scene.close();
+});
+
+test("surfaces steeper than landingMaxAngle are rejected", { skip }, async () => {
+  const { scene, teleport } = await setup((scene) => {
+    // A navmesh ramp tilted 60 degrees
+    addMesh(scene, new scene.THREE.PlaneGeometry(2, 2), { navmesh: "" }, (mesh) => {
+      mesh.rotation.x = -Math.PI / 2 + Math.PI / 3;
+      mesh.position.set(4, 1, 0);
+    });
+  });
+  const cursor = scene.document.querySelector("a-cursor");
+
+  cursor.components.raycaster.raycaster.set(new scene.THREE.Vector3(4, 5, 0), new scene.THREE.Vector3(0, -1, 0));
+  scene.tick(2);
+
+  assert.equal(teleport.teleportIndicator.visible, false);
+  scene.close();
+});
@@ -0,0 +1,91 @@
+/**
+ * animation-on-hover: switching animation-mixer clips on hover, click and
+ * proximity.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/animation-switcher.js"];
+
+const clipOf = (el) => el.getAttribute("animation-mixer").clip;
+
+test("starts on the default clip and marks itself clickable", { skip }, async () => {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const figure = scene.document.createElement("a-entity");
+  figure.appendChild(scene.document.createElement("a-entity"));
+  figure.setAttribute("animation-on-hover", "defaultClip: Idle; hoverClip: Wave");
+  scene.sceneEl.appendChild(figure);
+
+  assert.equal(clipOf(figure), "Idle");
+  assert.equal(figure.getAttribute("animation-mixer").loop, "repeat");
+  assert.ok(figure.classList.contains("clickable"));
+  assert.ok(figure.firstElementChild.classList.contains("clickable"));
+  scene.close();
+});
+
+test("hover switches to the hover clip and back", { skip }, async () => {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const figure = scene.entity({ "animation-on-hover": "defaultClip: Idle; hoverClip: Wave" });
+
+  figure.emit("mouseenter");
+  assert.equal(clipOf(figure), "Wave");
+
+  figure.emit("mouseleave");
+  assert.equal(clipOf(figure), "Idle");
+  scene.close();
+});
+
+test("click plays the click clip", { skip }, async () => {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const figure = scene.entity({ "animation-on-hover": "defaultClip: Idle; clickClip: Jump; clickOnce: false" });
+
+  figure.emit("click");
+
+  assert.equal(clipOf(figure), "Jump");
+  scene.close();
+});
+
+test("click once plays the clip once", { skip }, async () => {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const figure = scene.entity({ "animation-on-hover": "defaultClip: Idle; clickClip: Jump" });
+
+  figure.emit("click");
+
+  assert.equal(clipOf(figure), "Jump");
+  assert.equal(figure.getAttribute("animation-mixer").loop, "once");
+  scene.close();
+});
+
+test("proximity switches clips as the target comes and goes", { skip }, async () => {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const player = scene.entity({ id: "player", position: "0 0 10" });
+  const figure = scene.entity({
+    "animation-on-hover": "defaultClip: Idle; proximityClip: Alert; proximityDistance: 3; proximityTarget: #player"
+  });
+
+  scene.tick();
+  assert.equal(clipOf(figure), "Idle");
+
+  player.setAttribute("position", "0 0 2");
+  scene.tick();
+  assert.equal(clipOf(figure), "Alert");
+
+  player.setAttribute("position", "0 0 5");
+  scene.tick();
+  assert.equal(clipOf(figure), "Idle");
+  scene.close();
+});
+
+test("without a hover clip, hover does nothing", { skip }, async () => {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const figure = scene.entity({ "animation-on-hover": "defaultClip: Idle" });
+
+  figure.emit("mouseenter");
+
+  assert.equal(clipOf(figure), "Idle");
+  scene.close();
+});
@@ -0,0 +1,227 @@
+/**
+ * comfort: snap and smooth turning around the head, the tunnelling
+ * vignette, seated height calibration, the VR panel and the persisted
+ * settings.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip, approx } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/i18n.js", "components/comfort.js"];
+
+async function setup(stored) {
+  const scene = await createScene({ scripts: SCRIPTS, attributes: { i18n: "defaultLocale: en" } });
+  scene.window.localStorage.clear();
+  const comfort = scene.sceneEl.systems.comfort;
+  if (stored) scene.window.localStorage.setItem("comfort", JSON.stringify(stored));
+  comfort.restoreSettings();
+  await scene.settle();
+
+  const rig = scene.entity({ id: "rig", position: "1 0 2", "movement-controls": "speed: 0.1", "comfort-rig": "" });
+  const height = scene.entity({ "comfort-height": "" }, rig);
+  const camera = scene.entity({ camera: "", position: "0.5 1.6 0", "vr-comfort-panel": "" }, height);
+  const tunnel = scene.entity({ id: "tunnel", "comfort-vignette": "rig: #rig" }, camera);
+  const hand = scene.entity({ id: "rightHand" }, height);
+  scene.tick();
+  const turn = (phase, direction) => hand.emit(`snap-turn-${phase}`, { action: "snap-turn", hand: "right", direction });
+  const head = () => camera.object3D.getWorldPosition(new scene.THREE.Vector3());
+  return { scene, comfort, rig, height, camera, tunnel, vignette: tunnel.components["comfort-vignette"], turn, head };
+}
+
+test("a snap turn turns the rig around the head, not the rig's origin", { skip }, async () => {
+  const { scene, rig, turn, head } = await setup();
+  const before = head();
+
+  turn("down", "left");
+  turn("up", "left");
+
+  approx(rig.object3D.rotation.y, Math.PI / 6, "30 degrees to the left");
+  const after = head();
+  approx(after.x, before.x, "head stays put (x)");
+  approx(after.z, before.z, "head stays put (z)");
+  scene.close();
+});
+
+test("smooth turning goes on while the stick is held", { skip }, async () => {
+  const { scene, comfort, rig, turn } = await setup();
+  comfort.set("turnMode", "smooth");
+
+  turn("down", "right");
+  scene.tick(60);
+  approx(rig.object3D.rotation.y, -Math.PI / 2, "90 degrees a second", 0.02);
+
+  turn("up", "right");
+  scene.tick(30);
+  approx(rig.object3D.rotation.y, -Math.PI / 2, "stops on release", 0.02);
+
+  comfort.set("turnMode", "off");
+  turn("down", "left");
+  scene.tick(30);
+  approx(rig.object3D.rotation.y, -Math.PI / 2, "off ignores the stick", 0.02);
+  scene.close();
+});
+
+// aframe-extras 7.6.1 gamepad-controls turning, reduced to the right-hand
+// xr-standard gamepad: yaw by the right stick (axes[2]) every tick
+function registerGamepadControls(scene, controllers) {
+  scene.AFRAME.registerComponent("gamepad-controls", {
+    schema: {
+      enabled: { default: true },
+      rotationSensitivity: { default: 2.0 }
+    },
+    tick(time, timeDelta) {
+      const controller = controllers.find((c) => c.handedness === "right" && c.gamepad.mapping === "xr-standard");
+      const x = controller ? controller.gamepad.axes[2] : 0;
+      if (!this.data.enabled || Math.abs(x) <= 0.2) return;
+      this.el.object3D.rotation.y -= x * this.data.rotationSensitivity * timeDelta / 1000;
+    }
+  });
+}
+
+test("movement-controls' gamepad turning is switched off, so off does not turn", { skip }, async () => {
+  const { scene, comfort, rig } = await setup();
+  const gamepad = { mapping: "xr-standard", axes: [0, 0, 0, 0], buttons: [] };
+  registerGamepadControls(scene, [{ handedness: "right", gamepad }]);
+  comfort.set("turnMode", "off");
+  // movement-controls adds it after the rig has loaded
+  rig.setAttribute("gamepad-controls", "");
+  assert.equal(rig.getAttribute("gamepad-controls").rotationSensitivity, 0);
+
+  gamepad.axes[2] = 1;
+  scene.tick(60);
+  assert.equal(rig.object3D.rotation.y, 0, "right stick held for a second");
+
+  comfort.set("turnMode", "smooth");
+  assert.equal(rig.getAttribute("gamepad-controls").rotationSensitivity, 0);
+  scene.close();
+});
+
+test("settings are stored, restored and applied to the rig", { skip }, async () => {
+  const { scene, comfort, rig } = await setup({ moveSpeed: 0.05, snapAngle: 45, turnMode: "spin?" });
+  assert.equal(comfort.settings.snapAngle, 45);
+  assert.equal(rig.getAttribute("movement-controls").speed, 0.05);
+
+  const events = scene.record(scene.sceneEl, "comfort-changed");
+  comfort.set("vignette", 2);
+  assert.equal(events[0].detail.settings.vignette, 1, "clamped");
+  const stored = JSON.parse(scene.window.localStorage.getItem("comfort"));
+  assert.equal(stored.vignette, 1);
+  assert.equal(stored.snapAngle, 45);
+  scene.close();
+});
+
+test("seated in VR lifts the view to standing eye height", { skip }, async () => {
+  const { scene, comfort, height, camera } = await setup();
+  scene.sceneEl.addState("vr-mode");
+  camera.object3D.position.y = 1.1;
+
+  comfort.set("heightMode", "seated");
+  approx(comfort.settings.heightOffset, 0.5, "1.6 m eyes from a 1.1 m seated head");
+  approx(height.object3D.position.y, 0.5, "camera and hands lifted");
+
+  comfort.set("heightMode", "standing");
+  assert.equal(height.object3D.position.y, 0);
+  scene.close();
+});
+
+test("seated picked outside VR calibrates on entering VR", { skip }, async () => {
+  const { scene, comfort, height, camera } = await setup({ heightMode: "standing", heightOffset: 0.9 });
+  comfort.set("heightMode", "seated");
+  assert.equal(height.object3D.position.y, 0, "the desktop view is not lifted");
+
+  scene.sceneEl.addState("vr-mode");
+  scene.sceneEl.emit("enter-vr");
+  camera.object3D.position.y = 1.2;
+  scene.tick(Math.ceil(comfort.data.calibrateDelay / 16) + 2);
+  approx(comfort.settings.heightOffset, 0.4, "1.6 m eyes from a 1.2 m seated head");
+  approx(height.object3D.position.y, 0.4, "camera and hands lifted");
+  assert.equal(JSON.parse(scene.window.localStorage.getItem("comfort")).heightOffset, comfort.settings.heightOffset);
+  scene.close();
+});
+
+test("the vignette closes in while the rig moves and opens again at rest", { skip }, async () => {
+  const { scene, comfort, rig, vignette } = await setup();
+  scene.sceneEl.addState("vr-mode");
+
+  for (let i = 0; i < 20; i++) {
+    rig.object3D.position.x += 0.05;
+    scene.tick();
+  }
+  assert.ok(vignette.strength > 0.5, `strength ${vignette.strength} while walking at 3 m/s`);
+  assert.equal(vignette.mesh.visible, true);
+
+  scene.tick(180);
+  assert.equal(vignette.strength, 0);
+  assert.equal(vignette.mesh.visible, false);
+
+  comfort.set("vignette", 0);
+  scene.sceneEl.emit("navigation-start");
+  scene.tick(20);
+  assert.equal(vignette.strength, 0, "turned off in the settings");
+  scene.close();
+});
+
+test("the vignette holds through a teleport and only shows in VR", { skip }, async () => {
+  const { scene, vignette } = await setup();
+
+  scene.sceneEl.emit("navigation-start");
+  scene.tick(30);
+  assert.equal(vignette.strength, 0, "not on the desktop");
+
+  scene.sceneEl.addState("vr-mode");
+  scene.tick(30);
+  approx(vignette.strength, 0.6, "full motion at the default strength", 0.01);
+
+  scene.sceneEl.emit("navigation-end");
+  scene.tick(180);
+  assert.equal(vignette.strength, 0);
+  scene.close();
+});
+
+test("the vignette aperture is a view angle, narrowed to about 36° at Medium", { skip }, async () => {
+  const { scene, comfort, vignette } = await setup();
+  const { uniforms } = vignette.material;
+  const { distance, openAperture } = vignette.data;
+  // Angle off the view axis of a point on the quad, as the fragment shader works it out
+  const angle = (offset) => scene.THREE.MathUtils.radToDeg(Math.atan2(offset, distance));
+
+  vignette.mesh.geometry.computeBoundingBox();
+  const halfWidth = vignette.mesh.geometry.boundingBox.max.x;
+  assert.ok(angle(halfWidth) > openAperture + vignette.data.feather, "the quad reaches past the open aperture");
+  approx(-vignette.mesh.position.z, distance, "quad at its distance");
+
+  scene.sceneEl.addState("vr-mode");
+  scene.sceneEl.emit("navigation-start");
+  scene.tick(30);
+  approx(uniforms.aperture.value, 36, "Medium at full motion", 0.5);
+
+  comfort.set("vignette", 1);
+  scene.tick(30);
+  approx(uniforms.aperture.value, 20, "full strength", 0.5);
+  scene.close();
+});
+
+test("the VR panel steps through turning and vignette options", { skip }, async () => {
+  const { scene, comfort, camera } = await setup();
+  const panel = camera.components["vr-comfort-panel"];
+  assert.equal(panel.turnButton.getAttribute("text").value, "Turn: Snap 30°");
+
+  panel.turnButton.emit("click");
+  assert.equal(comfort.settings.snapAngle, 45);
+  panel.turnButton.emit("click");
+  assert.equal(comfort.settings.turnMode, "smooth");
+  assert.equal(panel.turnButton.getAttribute("text").value, "Turn: Smooth");
+
+  panel.vignetteButton.emit("click");
+  assert.equal(comfort.settings.vignette, 0.9);
+  assert.equal(panel.vignetteButton.getAttribute("text").value, "Vignette: High");
+  panel.vignetteButton.emit("click");
+  assert.equal(comfort.settings.vignette, 0);
+
+  panel.heightButton.emit("click");
+  assert.equal(panel.heightButton.getAttribute("text").value, "Seated");
+  scene.close();
+});
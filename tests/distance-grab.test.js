@@ -0,0 +1,65 @@
+/**
+ * distance-grab: targeting a far grabbable along the laser-pointer ray in VR
+ * only, and the flick that pulls it into the hand.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/pottery-physics.js", "components/simple-grab.js", "components/laser-pointer.js", "components/distance-grab.js"];
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const { THREE } = scene;
+  scene.entity({ camera: "", position: "0 1.6 0" });
+  // A pot 3 m in front of the hand, well out of reach
+  const pot = scene.entity({ position: "0 1 -3.5", grabbable: "" });
+  pot.setObject3D("mesh", new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.3, 0.2), new THREE.MeshBasicMaterial()));
+  const hand = scene.entity({ id: "rightHand", position: "0 1 -0.5", "simple-grab": "", "laser-pointer": "", "distance-grab": "" });
+  scene.tick();
+  return { scene, pot, hand, pull: hand.components["distance-grab"] };
+}
+
+test("only a tracked hand in VR targets, and not every frame", { skip }, async () => {
+  const { scene, hand, pull } = await setup();
+  let searches = 0;
+  const findTarget = pull.findTarget.bind(pull);
+  pull.findTarget = () => { searches++; return findTarget(); };
+
+  scene.tick(10);
+  assert.equal(pull.highlight.visible, false, "no outline on the desktop");
+  scene.sceneEl.addState("vr-mode");
+  scene.tick(10);
+  assert.equal(searches, 0, "no raycasts without a controller");
+
+  hand.emit("controllerconnected", { name: "oculus-touch-controls" });
+  scene.tick(12);
+  assert.equal(pull.highlight.visible, true);
+  assert.ok(searches >= 1 && searches <= 3, `searched ${searches} times in 12 frames`);
+
+  scene.sceneEl.removeState("vr-mode");
+  scene.tick();
+  assert.equal(pull.highlight.visible, false, "outline gone on leaving VR");
+  scene.close();
+});
+
+test("a flick towards the head pulls the target into the hand", { skip }, async () => {
+  const { scene, pot, hand } = await setup();
+  scene.sceneEl.addState("vr-mode");
+  hand.emit("controllerconnected", { name: "oculus-touch-controls" });
+  scene.tick(12);
+  const events = scene.record(pot, "distance-grab-start");
+
+  hand.emit("grab-down");
+  hand.object3D.position.z += 0.05;
+  scene.tick(3);
+  assert.equal(events.length, 1);
+
+  scene.tick(30);
+  const grab = scene.sceneEl.systems.grab;
+  assert.equal(grab.heldBy(hand.components["simple-grab"]), pot);
+  scene.close();
+});
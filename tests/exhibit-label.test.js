@@ -0,0 +1,120 @@
+/**
+ * exhibit-label: world labels above exhibits that face the visitor, fade
+ * with distance, open into a description card and follow the locale.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/i18n.js", "components/exhibit-label.js"];
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS, attributes: { i18n: "defaultLocale: lv" } });
+  scene.window.localStorage.clear();
+  await scene.settle();
+  const camera = scene.entity({ camera: "" });
+  const exhibit = (id, position) => {
+    const el = scene.entity({
+      id,
+      position,
+      grabbable: "",
+      "data-title": `Title ${id}`,
+      "data-description": `Description ${id}`,
+      "data-maker": "Jānis Krievs",
+      "data-date": "1930s"
+    });
+    el.setObject3D("mesh", new scene.THREE.Mesh(new scene.THREE.BoxGeometry(0.2, 0.3, 0.2), new scene.THREE.MeshBasicMaterial()));
+    el.setAttribute("exhibit-label", "");
+    return el;
+  };
+  const vase = exhibit("vase", "0 0.8 -1");
+  scene.tick();
+  return { scene, camera, exhibit, vase, label: vase.components["exhibit-label"] };
+}
+
+const text = (el) => el.getAttribute("text");
+
+test("the label stands above the exhibit at the scene root, facing the visitor", { skip }, async () => {
+  const { scene, label } = await setup();
+
+  assert.equal(label.label.parentNode, scene.sceneEl);
+  const position = label.label.object3D.position;
+  assert.ok(Math.abs(position.y - (0.8 + 0.15 + 0.08)) < 1e-6, "offset above the top of the model");
+  assert.ok(Math.abs(position.z + 1) < 1e-6);
+  const facing = new scene.THREE.Vector3(0, 0, 1).applyQuaternion(label.label.object3D.quaternion);
+  assert.ok(facing.z > 0.99, "turned towards the camera");
+  scene.close();
+});
+
+test("title, maker and date, with the description only on the card", { skip }, async () => {
+  const { scene, label } = await setup();
+
+  assert.equal(text(label.titleEl).value, "Title vase");
+  assert.equal(text(label.metaEl).value, "Jānis Krievs, 1930s");
+  assert.equal(label.descriptionEl.getAttribute("visible"), false);
+  scene.close();
+});
+
+test("the label fades in as the visitor walks up to it", { skip }, async () => {
+  const { scene, vase, label } = await setup();
+  assert.equal(label.opacity, 1);
+
+  vase.setAttribute("position", "0 0.8 -2.25");
+  scene.tick();
+  assert.ok(Math.abs(label.opacity - 0.5) < 1e-6);
+  assert.ok(Math.abs(text(label.titleEl).opacity - 0.5) < 1e-6);
+
+  vase.setAttribute("position", "0 0.8 -4");
+  scene.tick();
+  assert.equal(label.label.object3D.visible, false);
+  assert.ok(!label.background.classList.contains("vr-selectable"), "out of reach of the pointer");
+  scene.close();
+});
+
+test("selecting the label opens the card and closes the other open one", { skip }, async () => {
+  const { scene, exhibit, vase, label } = await setup();
+  const jug = exhibit("jug", "0.5 0.8 -1");
+  scene.tick();
+  const other = jug.components["exhibit-label"];
+  const events = scene.record(vase, "exhibit-label-expanded", "exhibit-label-collapsed");
+
+  label.background.emit("click");
+  assert.equal(label.expanded, true);
+  assert.equal(label.descriptionEl.getAttribute("visible"), true);
+  assert.equal(text(label.descriptionEl).value, "Description vase");
+
+  other.background.emit("click");
+  assert.equal(label.expanded, false);
+  assert.equal(other.expanded, true);
+  assert.deepEqual(events.map((evt) => evt.type), ["exhibit-label-expanded", "exhibit-label-collapsed"]);
+  scene.close();
+});
+
+test("the label hides while the exhibit is held and follows it when put down", { skip }, async () => {
+  const { scene, vase, label } = await setup();
+
+  vase.emit("grab-start");
+  scene.tick();
+  assert.equal(label.label.object3D.visible, false);
+
+  vase.setAttribute("position", "0.4 0.8 -1");
+  vase.emit("grab-end");
+  scene.tick();
+  assert.equal(label.label.object3D.visible, true);
+  assert.ok(Math.abs(label.label.object3D.position.x - 0.4) < 1e-6);
+  scene.close();
+});
+
+test("localized exhibits are labelled in the active locale", { skip }, async () => {
+  const { scene, vase, label } = await setup();
+  const i18n = scene.sceneEl.systems.i18n;
+  vase.setAttribute("localized", { title: "exhibits.obj1.title", description: "exhibits.obj1.description" });
+
+  i18n.setLocale("en");
+  assert.equal(text(label.titleEl).value, i18n.t("exhibits.obj1.title"));
+  assert.equal(text(label.hintEl).value, i18n.t("label.more"));
+  scene.close();
+});
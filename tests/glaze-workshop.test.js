@@ -0,0 +1,119 @@
+/**
+ * glaze-workshop and glaze: picking a glaze, brushing and dipping pots,
+ * firing them in the kiln and tuning rim power and hue.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip, approx } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["shaders/shaders.js", "components/i18n.js", "components/simple-grab.js", "components/glaze-workshop.js"];
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS, attributes: { i18n: "defaultLocale: en" } });
+  const { THREE } = scene;
+  scene.entity({ camera: "", position: "0 1.6 2" });
+  const workshopEl = scene.entity({ "glaze-workshop": "src: data/glazes.json" });
+  const pot = scene.entity({ position: "0 1 1", grabbable: "" });
+  const clayMaterial = new THREE.MeshStandardMaterial();
+  pot.setObject3D("mesh", new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.15, 0.1), clayMaterial));
+  await scene.settle();
+  scene.tick();
+  const workshop = workshopEl.components["glaze-workshop"];
+  const mesh = () => pot.getObject3D("mesh");
+  // Colour uniforms are vec3s, as A-Frame sets them
+  const hex = (uniform) => `#${new THREE.Color(uniform.value.x, uniform.value.y, uniform.value.z).getHexString()}`;
+  return { scene, workshop, pot, mesh, clayMaterial, hex };
+}
+
+test("the glazes load as swatches and the first one is picked", { skip }, async () => {
+  const { scene, workshop } = await setup();
+  const presets = scene.sceneEl.systems.glaze.presets;
+  assert.ok(presets.length > 1);
+  assert.equal(workshop.swatches.length, presets.length);
+  assert.equal(workshop.selected.id, "celadon");
+  assert.equal(workshop.titleEl.getAttribute("text").value, "Glaze workshop - Celadon");
+  assert.equal(workshop.rimEl.getAttribute("text").value, "Rim: 2.5");
+
+  workshop.swatches[2].emit("click");
+  assert.equal(workshop.selected.id, presets[2].id);
+  approx(workshop.swatches[2].object3D.scale.x, 1.15, "the picked swatch stands out");
+  assert.equal(workshop.swatches[0].object3D.scale.x, 1);
+  scene.close();
+});
+
+test("a brushed pot gets the raw coat, and firing shows the glaze shader", { skip }, async () => {
+  const { scene, workshop, pot, mesh, clayMaterial, hex } = await setup();
+  const events = scene.record(pot, "glaze-applied", "glaze-fired");
+
+  workshop.buttons.brush.emit("click");
+  assert.ok(scene.sceneEl.is("painting"));
+  scene.sceneEl.emit("paint-object", { target: pot });
+  const glaze = pot.components.glaze;
+  assert.equal(glaze.state, "glazed");
+  assert.equal(mesh().material, glaze.coatMaterial);
+  assert.equal(`#${glaze.coatMaterial.color.getHexString()}`, "#cfd8cf", "celadon's raw colour");
+
+  workshop.buttons.fire.emit("click");
+  assert.equal(glaze.state, "firing");
+  assert.ok(pot.is("firing"));
+  assert.equal(mesh().children.length, 1, "the raw coat over the shader");
+
+  scene.tick(Math.ceil(glaze.data.firingDuration / (1000 / 60)) + 1);
+  assert.equal(glaze.state, "fired");
+  assert.equal(mesh().children.length, 0);
+  assert.equal(mesh().material, glaze.shader.material);
+  assert.equal(hex(glaze.shader.uniforms.matcapColor1), "#5f8f7c");
+  assert.deepEqual(events.map((event) => event.type), ["glaze-applied", "glaze-fired"]);
+
+  scene.sceneEl.emit("reset-exhibits");
+  assert.equal(pot.hasAttribute("glaze"), false);
+  assert.equal(mesh().material, clayMaterial, "the clay material is back");
+  scene.close();
+});
+
+test("rim and hue tuning show on the panel and apply to the next pot", { skip }, async () => {
+  const { scene, workshop, pot, hex } = await setup();
+
+  workshop.buttons.rimUp.emit("click");
+  assert.equal(workshop.rimEl.getAttribute("text").value, "Rim: 3.0");
+  workshop.buttons.colour.emit("click");
+  assert.equal(workshop.buttons.colour.getAttribute("text").value, "Colour 2/3");
+  workshop.buttons.hueUp.emit("click");
+  const tuned = workshop.tuned.celadon.matcapColor2;
+  assert.notEqual(tuned, "#3b5c4f");
+  assert.equal(workshop.buttons.colour.getAttribute("material").color, tuned, "the button wears the tuned colour");
+
+  workshop.glazePot(pot);
+  const { uniforms } = pot.components.glaze.shader;
+  assert.equal(uniforms.rimPower.value, 3);
+  assert.equal(hex(uniforms.matcapColor2), tuned);
+  assert.equal(hex(uniforms.matcapColor1), "#5f8f7c", "untouched colours keep the preset's");
+  scene.close();
+});
+
+test("a pot held in the bucket is dipped, and fires when let go in the kiln", { skip }, async () => {
+  const { scene, pot } = await setup();
+  const hand = scene.entity({ position: "0 1 1", "simple-grab": "" });
+  scene.tick();
+  hand.emit("grab-down");
+
+  // Bucket at -0.45 0.8 0, kiln at 0.5 0.7 0
+  hand.object3D.position.set(-0.45, 0.8, 0);
+  scene.tick(2);
+  const glaze = pot.components.glaze;
+  assert.equal(glaze.state, "glazed");
+
+  hand.object3D.position.set(0.5, 0.7, 0);
+  scene.tick(2);
+  hand.emit("grab-up");
+  scene.tick();
+  assert.equal(glaze.state, "firing");
+  const position = pot.object3D.getWorldPosition(new scene.THREE.Vector3());
+  approx(position.x, 0.5, "kept in the kiln (x)");
+  approx(position.z, 0, "kept in the kiln (z)");
+  assert.equal(pot.hasAttribute("throw-velocity"), false, "not thrown out again");
+  scene.close();
+});
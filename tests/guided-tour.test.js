@@ -0,0 +1,161 @@
+/**
+ * guided-tour: stepping through data/tour.json with go-to waypoints,
+ * outlining exhibits, auto-advancing and the controller buttons.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createScene, skip, ROOT } = require("./harness/aframe-harness");
+
+const SCRIPTS = [
+  "components/i18n.js",
+  "components/pottery-physics.js",
+  "components/simple-grab.js",
+  "components/a-cursor-navigation.js",
+  "components/guided-tour.js"
+];
+
+const STOPS = JSON.parse(fs.readFileSync(path.join(ROOT, "data/tour.json"), "utf8")).stops;
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const { THREE } = scene;
+  const rig = scene.entity({ id: "rig" });
+  scene.entity({ camera: "" }, rig);
+  const rightHand = scene.entity({ id: "rightHand", "simple-grab": "" }, rig);
+  const leftHand = scene.entity({ id: "leftHand", "simple-grab": "" }, rig);
+
+  const vase = scene.entity({ id: STOPS[1].exhibit, position: "-2.7 0.8 0.7", grabbable: "" });
+  vase.setObject3D("mesh", new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.3, 0.2), new THREE.MeshBasicMaterial()));
+
+  scene.sceneEl.setAttribute("guided-tour", "rig: #rig");
+  await scene.settle();
+  const tour = scene.sceneEl.components["guided-tour"];
+
+  // The harness has no animation component, so finish the move by hand
+  const arrive = () => rig.emit("animationcomplete__go", undefined, false);
+  return { scene, rig, rightHand, leftHand, vase, tour, arrive };
+}
+
+test("one go-to waypoint per stop, aimed at the rig", { skip }, async () => {
+  const { scene, rig, tour } = await setup();
+
+  assert.equal(tour.waypoints.length, STOPS.length);
+  const goTo = tour.waypoints[1].components["go-to"];
+  assert.equal(goTo.rigEl, rig);
+  assert.equal(goTo.data.position.x, parseFloat(STOPS[1].position.split(" ")[0]));
+  scene.close();
+});
+
+test("starting the tour moves the rig to the first stop", { skip }, async () => {
+  const { scene, rig, tour, arrive } = await setup();
+  const events = scene.record(scene.sceneEl, "tour-started", "tour-stop");
+
+  tour.start();
+  assert.ok(scene.sceneEl.is("touring"));
+  assert.equal(rig.getAttribute("animation__go").to, STOPS[0].position);
+
+  arrive();
+  assert.deepEqual(events.map((event) => event.type), ["tour-started", "tour-stop"]);
+  assert.equal(events[1].detail.index, 0);
+  const yaw = scene.THREE.MathUtils.radToDeg(new scene.THREE.Euler().setFromQuaternion(rig.object3D.quaternion, "YXZ").y);
+  assert.ok(Math.abs(yaw - parseFloat(STOPS[0].rotation.split(" ")[1])) < 1e-3, "faces the stop's direction");
+  scene.close();
+});
+
+test("arriving at a stop outlines its exhibit", { skip }, async () => {
+  const { scene, tour, arrive } = await setup();
+  tour.start(1);
+  assert.equal(tour.highlight.visible, false, "not while moving");
+
+  arrive();
+  scene.tick();
+
+  assert.equal(tour.highlight.visible, true);
+  assert.ok(tour.box.containsPoint(new scene.THREE.Vector3(-2.7, 0.8, 0.7)));
+
+  tour.next();
+  assert.equal(tour.highlight.visible, false);
+  scene.close();
+});
+
+test("auto-advance moves on once the stop's time is up", { skip }, async () => {
+  const { scene, tour, arrive } = await setup();
+  tour.start();
+  arrive();
+
+  scene.tick(Math.round(STOPS[0].duration * 60) - 10);
+  assert.equal(tour.index, 0);
+  assert.ok(tour.fraction() > 0.5 / STOPS.length, "progress fills during the stop");
+
+  scene.tick(20);
+  assert.equal(tour.index, 1);
+  scene.close();
+});
+
+test("pausing holds the tour at its stop", { skip }, async () => {
+  const { scene, tour, arrive } = await setup();
+  tour.start();
+  arrive();
+
+  tour.togglePause();
+  scene.tick(Math.round(STOPS[0].duration * 60) + 30);
+  assert.equal(tour.index, 0);
+
+  tour.togglePause();
+  scene.tick(Math.round(STOPS[0].duration * 60) + 30);
+  assert.equal(tour.index, 1);
+  scene.close();
+});
+
+test("the primary buttons step through the tour unless the hand holds something", { skip }, async () => {
+  const { scene, rig, rightHand, leftHand, vase, tour, arrive } = await setup();
+  tour.start();
+  arrive();
+
+  rightHand.emit("primary-down");
+  assert.equal(tour.index, 1);
+  leftHand.emit("primary-down");
+  assert.equal(tour.index, 0);
+
+  // The primary button now belongs to inspecting the held vase
+  rightHand.object3D.position.copy(rig.object3D.worldToLocal(new scene.THREE.Vector3(-2.7, 0.8, 0.7)));
+  scene.tick();
+  rightHand.emit("grab-down");
+  assert.ok(vase.hasAttribute("grabbed"));
+  rightHand.emit("primary-down");
+  assert.equal(tour.index, 0);
+  scene.close();
+});
+
+test("next on the last stop ends the tour", { skip }, async () => {
+  const { scene, tour, arrive } = await setup();
+  const events = scene.record(scene.sceneEl, "tour-ended");
+  tour.start(STOPS.length - 1);
+  arrive();
+
+  tour.next();
+
+  assert.equal(events.length, 1);
+  assert.equal(tour.active, false);
+  assert.equal(scene.sceneEl.is("touring"), false);
+  scene.close();
+});
+
+test("the VR panel buttons are pointable only while the panel shows", { skip }, async () => {
+  const { scene, tour, arrive } = await setup();
+  scene.sceneEl.addState("vr-mode");
+  tour.start(0);
+  arrive();
+  const pointable = () => tour.vrButtons.every((button) => button.el.classList.contains("clickable"));
+  assert.equal(pointable(), true);
+
+  tour.stop();
+  assert.equal(tour.vrButtons.some((button) => button.el.classList.contains("clickable")), false,
+    "hidden buttons would catch the desktop cursor");
+  scene.close();
+});
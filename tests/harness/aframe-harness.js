@@ -0,0 +1,698 @@
+/**
+ * A-FRAME COMPONENT TEST HARNESS
+ * ==============================
+ * Runs component scripts from components/ inside a jsdom window against a
+ * small stand-in for A-Frame, so components can be tested without a browser
+ * or WebGL:
+ *
+ * - AFRAME.registerComponent / registerSystem record the definitions
+ *   exactly as the scripts declare them. registerShader builds a Shader
+ *   class like A-Frame does (init() makes a THREE.ShaderMaterial with the
+ *   schema's uniforms, update() sets them), and "standard" is registered as
+ *   a plain MeshStandardMaterial.
+ * - <a-*> elements are real DOM elements (selectors, events and bubbling
+ *   work) with an object3D from three.js, parentEl, components, states and
+ *   emit().
+ * - Components get init / update(oldData) / play / tick / remove like in
+ *   A-Frame, and a new one emits "componentinitialized" (its name) on its
+ *   entity; schemas are parsed from strings or objects.
+ * - position / rotation / scale / visible drive object3D like A-Frame's
+ *   built-ins. Attributes of components the harness does not know (e.g.
+ *   animation, text, material) keep the last value that was set.
+ * - tick() advances time by a fixed step: components first, then systems.
+ * - fetch() serves files from the repository, so systems can load data/.
+ * - components/museum-utils.js is run before the given scripts, as the page
+ *   loads it first.
+ *
+ * Needs jsdom and three (the version A-Frame bundles), the devDependencies
+ * in package.json:
+ *   npm install && npm test
+ * Tests are skipped when they are missing, except on CI (CI set), where a
+ * missing dependency fails the run instead of skipping most of it.
+ *
+ * approx(actual, expected, message, epsilon) compares numbers to within
+ * epsilon (default 1e-4).
+ *
+ * Usage:
+ *   const { createScene, skip, approx } = require("./harness/aframe-harness");
+ *   test("...", { skip }, async () => {
+ *     const scene = await createScene({ scripts: ["components/simple-grab.js"] });
+ *     const hand = scene.entity({ "simple-grab": "" });
+ *     hand.emit("gripdown");
+ *     scene.tick(10);
+ *   });
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const assert = require("node:assert/strict");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+let JSDOM = null;
+let THREE = null;
+try {
+  ({ JSDOM } = require("jsdom"));
+  THREE = require("three");
+} catch (err) {
+  JSDOM = null;
+}
+
+const missing = "jsdom and three are not installed (npm install)";
+if (!(JSDOM && THREE) && process.env.CI) throw new Error(missing);
+const skip = JSDOM && THREE ? false : missing;
+
+const FRAME = 1000 / 60;
+
+// Loaded by the page before every other component script
+const SHARED_SCRIPTS = ["components/museum-utils.js"];
+
+// --- Schema parsing (the subset of A-Frame's property types the repo uses) ---
+
+function isSingleProperty(schema) {
+  if ("type" in schema) return typeof schema.type === "string";
+  return "default" in schema;
+}
+
+function inferType(prop) {
+  if (prop.type) return prop.type;
+  const value = prop.default;
+  if (typeof value === "number") return "number";
+  if (typeof value === "boolean") return "boolean";
+  if (Array.isArray(value)) return "array";
+  if (value && typeof value === "object" && "x" in value) return "z" in value ? "vec3" : "vec2";
+  return "string";
+}
+
+function parseVector(value, keys, fallback) {
+  const result = {};
+  if (typeof value === "string") {
+    const parts = value.trim().split(/\s+/).map(parseFloat);
+    keys.forEach((key, i) => { result[key] = isNaN(parts[i]) ? fallback[key] || 0 : parts[i]; });
+  } else {
+    keys.forEach((key) => { result[key] = value && value[key] !== undefined ? Number(value[key]) : fallback[key] || 0; });
+  }
+  return result;
+}
+
+function parseProperty(prop, value, document) {
+  if (value === undefined) value = prop.default;
+  if (prop.parse) return prop.parse(value);
+
+  switch (inferType(prop)) {
+    case "number":
+    case "time":
+      return typeof value === "number" ? value : parseFloat(value);
+    case "int":
+      return typeof value === "number" ? Math.round(value) : parseInt(value, 10);
+    case "boolean":
+      return value !== "false" && value !== false;
+    case "vec2":
+      return parseVector(value, ["x", "y"], prop.default || {});
+    case "vec3":
+      return parseVector(value, ["x", "y", "z"], prop.default || {});
+    case "vec4":
+      return parseVector(value, ["x", "y", "z", "w"], prop.default || {});
+    case "array":
+      if (Array.isArray(value)) return value.slice();
+      return value ? String(value).split(",").map((item) => item.trim()) : [];
+    case "selector":
+      if (!value) return null;
+      return typeof value === "string" ? document.querySelector(value) : value;
+    case "selectorAll":
+      if (!value) return null;
+      return typeof value === "string" ? Array.from(document.querySelectorAll(value)) : value;
+    default:
+      return value;
+  }
+}
+
+// "a: 1; b: two" -> { a: "1", b: "two" }
+function parseStyle(value) {
+  const result = {};
+  String(value).split(";").forEach((pair) => {
+    const index = pair.indexOf(":");
+    if (index === -1) return;
+    const key = pair.slice(0, index).trim();
+    if (key) result[key] = pair.slice(index + 1).trim();
+  });
+  return result;
+}
+
+function stringifyStyle(value) {
+  return Object.keys(value).map((key) => {
+    const item = value[key];
+    if (item && typeof item === "object" && "x" in item) {
+      return `${key}: ${["x", "y", "z", "w"].filter((axis) => axis in item).map((axis) => item[axis]).join(" ")}`;
+    }
+    return `${key}: ${item}`;
+  }).join("; ");
+}
+
+function buildData(schema, attrValue, document) {
+  if (isSingleProperty(schema)) return parseProperty(schema, attrValue, document);
+  const data = {};
+  Object.keys(schema).forEach((key) => {
+    data[key] = parseProperty(schema[key], attrValue[key], document);
+  });
+  return data;
+}
+
+function isSame(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (a.nodeType || b.nodeType) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => {
+    if (a[key] && typeof a[key] === "object" && !a[key].nodeType) return JSON.stringify(a[key]) === JSON.stringify(b[key]);
+    return a[key] === b[key];
+  });
+}
+
+function copyData(data) {
+  if (!data || typeof data !== "object") return data;
+  const copy = {};
+  Object.keys(data).forEach((key) => {
+    const value = data[key];
+    copy[key] = value && typeof value === "object" && !value.nodeType && !Array.isArray(value) ? Object.assign({}, value) : value;
+  });
+  return copy;
+}
+
+// --- Shaders ---
+
+const TYPE_DEFAULTS = {
+  number: 0, int: 0, time: 0, boolean: false, color: "#FFF", string: "", map: "",
+  vec2: { x: 0, y: 0 }, vec3: { x: 0, y: 0, z: 0 }, vec4: { x: 0, y: 0, z: 0, w: 0 }
+};
+
+// A shader schema property with its type, default and parse() filled in.
+// Like A-Frame, "float" and "bool" are read as number and boolean.
+function processProperty(prop) {
+  const type = { float: "number", bool: "boolean" }[prop.type] || inferType(prop);
+  const processed = Object.assign({}, prop, { type });
+  if (!("default" in processed)) processed.default = TYPE_DEFAULTS[type];
+  processed.parse = prop.parse || ((value) => parseProperty({ type, default: processed.default }, value, null));
+  return processed;
+}
+
+// Uniform values as A-Frame hands them to three.js (colours are vec3)
+function uniformValue(type, value) {
+  switch (type) {
+    case "vec2":
+      return new THREE.Vector2(value.x, value.y);
+    case "vec3":
+      return new THREE.Vector3(value.x, value.y, value.z);
+    case "vec4":
+      return new THREE.Vector4(value.x, value.y, value.z, value.w);
+    case "color": {
+      const color = new THREE.Color(value);
+      return new THREE.Vector3(color.r, color.g, color.b);
+    }
+    default:
+      return value;
+  }
+}
+
+// What every registered shader inherits, as A-Frame's Shader prototype
+const SHADER_BASE = {
+  vertexShader: "void main() {\n  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);\n}",
+  fragmentShader: "void main() {\n  gl_FragColor = vec4(1.0, 0.0, 1.0, 1.0);\n}",
+
+  init() {
+    this.uniforms = {};
+    Object.keys(this.schema).forEach((key) => {
+      if (this.schema[key].is === "uniform") this.uniforms[key] = { value: undefined };
+    });
+    this.material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: this.vertexShader,
+      fragmentShader: this.fragmentShader
+    });
+    return this.material;
+  },
+
+  // Textures are left unset, there is nothing to load them
+  update(data) {
+    Object.keys(data).forEach((key) => {
+      const prop = this.schema[key];
+      if (!prop || prop.is !== "uniform" || prop.type === "map") return;
+      this.uniforms[key].value = uniformValue(prop.type, data[key]);
+    });
+  }
+};
+
+// --- The stand-in AFRAME global ---
+
+function createAFrame() {
+  const AFRAME = {
+    components: {},
+    systems: {},
+    shaders: {},
+    scenes: [],
+    utils: {
+      device: {
+        isMobile: () => false,
+        isMobileDeviceRequestingDesktopSite: () => false
+      },
+      styleParser: { parse: parseStyle, stringify: stringifyStyle }
+    },
+
+    registerComponent(name, definition) {
+      if (AFRAME.components[name]) throw new Error(`The component \`${name}\` has been already registered.`);
+      AFRAME.components[name] = { definition, schema: definition.schema || {} };
+    },
+
+    registerSystem(name, definition) {
+      if (AFRAME.systems[name]) throw new Error(`The system \`${name}\` has been already registered.`);
+      AFRAME.systems[name] = { definition, schema: definition.schema || {} };
+    },
+
+    registerShader(name, definition) {
+      if (AFRAME.shaders[name]) throw new Error(`The shader ${name} has already been registered.`);
+      const Shader = function () {};
+      Shader.prototype = Object.assign(Object.create(SHADER_BASE), definition, { name });
+      Shader.prototype.constructor = Shader;
+      // A-Frame processes the schema in place, so instances share it
+      const schema = Shader.prototype.schema = definition.schema || {};
+      Object.keys(schema).forEach((key) => { schema[key] = processProperty(schema[key]); });
+      AFRAME.shaders[name] = { Shader, schema };
+    }
+  };
+
+  // A-Frame's camera component, reduced to what components read from it
+  AFRAME.registerComponent("camera", {
+    init() {
+      const camera = new THREE.PerspectiveCamera(80, 1, 0.01, 1000);
+      camera.el = this.el;
+      this.el.setObject3D("camera", camera);
+      this.el.sceneEl.camera = camera;
+    },
+    remove() {
+      this.el.removeObject3D("camera");
+    }
+  });
+
+  // A-Frame's standard shader, reduced to the properties the repo sets
+  AFRAME.registerShader("standard", {
+    schema: {
+      color: { type: "color", default: "#FFF" },
+      roughness: { default: 0.5 },
+      metalness: { default: 0 }
+    },
+    init(data) {
+      this.uniforms = {};
+      this.material = new THREE.MeshStandardMaterial();
+      this.update(data);
+      return this.material;
+    },
+    update(data) {
+      if (data.color !== undefined) this.material.color.set(data.color);
+      if (data.roughness !== undefined) this.material.roughness = data.roughness;
+      if (data.metalness !== undefined) this.material.metalness = data.metalness;
+    }
+  });
+
+  return AFRAME;
+}
+
+// --- Entities ---
+
+function decorate(el, harness) {
+  const { window, AFRAME } = harness;
+  const native = {
+    setAttribute: window.Element.prototype.setAttribute,
+    getAttribute: window.Element.prototype.getAttribute,
+    removeAttribute: window.Element.prototype.removeAttribute,
+    appendChild: window.Node.prototype.appendChild,
+    removeChild: window.Node.prototype.removeChild
+  };
+
+  el.isEntity = true;
+  el.object3D = el.object3D || new THREE.Group();
+  el.object3D.el = el;
+  el.object3D.rotation.order = "YXZ";
+  el.object3DMap = {};
+  el.components = {};
+  el.states = [];
+  el.looseAttributes = {};
+  el.pending = [];
+  el.hasLoaded = false;
+  el.isPlaying = false;
+
+  Object.defineProperty(el, "sceneEl", {
+    get() {
+      return el.isScene ? el : el.closest("a-scene");
+    }
+  });
+  Object.defineProperty(el, "parentEl", {
+    get() {
+      return el.parentNode;
+    }
+  });
+
+  const builtins = {
+    position: {
+      set: (value) => el.object3D.position.copy(parseVector(value, ["x", "y", "z"], {})),
+      get: () => el.object3D.position
+    },
+    scale: {
+      set: (value) => el.object3D.scale.copy(parseVector(value, ["x", "y", "z"], { x: 1, y: 1, z: 1 })),
+      get: () => el.object3D.scale
+    },
+    rotation: {
+      set: (value) => {
+        const degrees = parseVector(value, ["x", "y", "z"], {});
+        el.object3D.rotation.set(
+          THREE.MathUtils.degToRad(degrees.x),
+          THREE.MathUtils.degToRad(degrees.y),
+          THREE.MathUtils.degToRad(degrees.z)
+        );
+      },
+      get: () => ({
+        x: THREE.MathUtils.radToDeg(el.object3D.rotation.x),
+        y: THREE.MathUtils.radToDeg(el.object3D.rotation.y),
+        z: THREE.MathUtils.radToDeg(el.object3D.rotation.z)
+      })
+    },
+    visible: {
+      set: (value) => { el.object3D.visible = value !== false && value !== "false"; },
+      get: () => el.object3D.visible
+    }
+  };
+
+  el.setAttribute = function (name, value, propValue) {
+    if (builtins[name]) {
+      builtins[name].set(value);
+      native.setAttribute.call(el, name, typeof value === "object" ? stringifyStyle(value) : String(value));
+      return;
+    }
+
+    const registered = AFRAME.components[name.split("__")[0]];
+    if (propValue !== undefined && typeof value === "string") value = { [value]: propValue };
+
+    if (!registered) {
+      if (value !== null && typeof value === "object") {
+        el.looseAttributes[name] = Object.assign({}, el.looseAttributes[name], value);
+        native.setAttribute.call(el, name, stringifyStyle(el.looseAttributes[name]));
+      } else {
+        delete el.looseAttributes[name];
+        native.setAttribute.call(el, name, value === undefined || value === null ? "" : String(value));
+      }
+      return;
+    }
+
+    native.setAttribute.call(el, name, value !== null && typeof value === "object" ? stringifyStyle(value) : String(value === undefined ? "" : value));
+    if (el.hasLoaded) {
+      harness.updateComponent(el, name, value);
+    } else {
+      el.pending.push([name, value]);
+    }
+  };
+
+  el.getAttribute = function (name) {
+    if (builtins[name]) return builtins[name].get();
+    if (el.components[name]) return el.components[name].data;
+    if (el.looseAttributes[name]) return el.looseAttributes[name];
+    return native.getAttribute.call(el, name);
+  };
+
+  el.removeAttribute = function (name) {
+    const component = el.components[name];
+    if (component) {
+      delete el.components[name];
+      if (component.remove) component.remove();
+    }
+    el.pending = el.pending.filter(([pendingName]) => pendingName !== name);
+    delete el.looseAttributes[name];
+    native.removeAttribute.call(el, name);
+  };
+
+  el.appendChild = function (child) {
+    native.appendChild.call(el, child);
+    if (child.isEntity) {
+      el.object3D.add(child.object3D);
+      if (el.hasLoaded) harness.load(child);
+    }
+    return child;
+  };
+
+  el.removeChild = function (child) {
+    if (child.isEntity) {
+      harness.unload(child);
+      el.object3D.remove(child.object3D);
+    }
+    return native.removeChild.call(el, child);
+  };
+
+  el.remove = function () {
+    if (el.parentNode) el.parentNode.removeChild(el);
+  };
+
+  el.emit = function (name, detail, bubbles = true) {
+    el.dispatchEvent(new window.CustomEvent(name, { detail, bubbles }));
+  };
+
+  el.is = (state) => el.states.includes(state);
+  el.addState = (state) => {
+    if (el.is(state)) return;
+    el.states.push(state);
+    el.emit("stateadded", state);
+  };
+  el.removeState = (state) => {
+    if (!el.is(state)) return;
+    el.states.splice(el.states.indexOf(state), 1);
+    el.emit("stateremoved", state);
+  };
+
+  el.getObject3D = (type) => el.object3DMap[type] || null;
+  el.setObject3D = (type, object) => {
+    if (el.object3DMap[type]) el.object3D.remove(el.object3DMap[type]);
+    object.el = el;
+    el.object3DMap[type] = object;
+    el.object3D.add(object);
+    el.emit("object3dset", { object, type });
+  };
+  el.removeObject3D = (type) => {
+    const object = el.object3DMap[type];
+    if (!object) return;
+    el.object3D.remove(object);
+    delete el.object3DMap[type];
+    el.emit("object3dremove", { type });
+  };
+
+  return el;
+}
+
+class Harness {
+  constructor({ scripts = [], attributes = {}, url = "http://localhost/" }) {
+    this.dom = new JSDOM("<!DOCTYPE html><html><head></head><body></body></html>", {
+      url,
+      runScripts: "outside-only",
+      pretendToBeVisual: false
+    });
+    this.window = this.dom.window;
+    this.document = this.window.document;
+    this.AFRAME = createAFrame();
+    this.THREE = THREE;
+    this.time = 0;
+
+    const window = this.window;
+    window.AFRAME = this.AFRAME;
+    window.THREE = THREE;
+    window.fetch = (url) => this.fetch(url);
+
+    // <a-*> elements become entities as soon as they are created
+    const createElement = this.document.createElement.bind(this.document);
+    this.document.createElement = (tag, options) => {
+      const el = createElement(tag, options);
+      if (/^a-/i.test(tag)) decorate(el, this);
+      return el;
+    };
+
+    const context = this.dom.getInternalVMContext();
+    SHARED_SCRIPTS.concat(scripts).forEach((script) => {
+      const file = path.join(ROOT, script);
+      vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+    });
+
+    this.createScene(attributes);
+  }
+
+  createScene(attributes) {
+    const sceneEl = this.document.createElement("a-scene");
+    sceneEl.isScene = true;
+    sceneEl.object3D = new THREE.Scene();
+    sceneEl.object3D.el = sceneEl;
+    sceneEl.systems = {};
+    sceneEl.camera = null;
+    // Without WebGL the renderer draws nothing, but takes the calls
+    sceneEl.renderer = {
+      domElement: this.document.createElement("canvas"),
+      xr: { enabled: false, isPresenting: false },
+      debug: { checkShaderErrors: true, onShaderError: null },
+      autoClear: true,
+      renderTarget: null,
+      getRenderTarget() { return this.renderTarget; },
+      setRenderTarget(target) { this.renderTarget = target; },
+      render() {},
+      clear() {},
+      readRenderTargetPixels() {}
+    };
+    sceneEl.hasLoaded = true;
+    sceneEl.isPlaying = true;
+    this.document.body.appendChild(sceneEl);
+    this.sceneEl = sceneEl;
+    this.AFRAME.scenes[0] = sceneEl;
+
+    Object.keys(this.AFRAME.systems).forEach((name) => {
+      const { definition, schema } = this.AFRAME.systems[name];
+      const system = Object.create(definition);
+      const value = attributes[name] || {};
+      system.el = sceneEl;
+      system.sceneEl = sceneEl;
+      system.name = name;
+      system.schema = schema;
+      system.data = buildData(schema, typeof value === "string" ? parseStyle(value) : value, this.document);
+      sceneEl.systems[name] = system;
+      if (system.init) system.init();
+    });
+
+    Object.keys(attributes).forEach((name) => {
+      if (this.AFRAME.components[name]) sceneEl.setAttribute(name, attributes[name]);
+    });
+  }
+
+  // Initializes the components of an entity that was just attached to the
+  // scene - children first, as A-Frame waits for children to load
+  load(el) {
+    if (!el.isEntity || el.hasLoaded) return;
+    Array.from(el.children).forEach((child) => this.load(child));
+    el.hasLoaded = true;
+    el.isPlaying = true;
+    const pending = el.pending;
+    el.pending = [];
+    pending.forEach(([name, value]) => this.updateComponent(el, name, value));
+    el.emit("loaded", undefined, false);
+  }
+
+  unload(el) {
+    if (!el.isEntity) return;
+    Array.from(el.children).forEach((child) => this.unload(child));
+    Object.keys(el.components).forEach((name) => {
+      const component = el.components[name];
+      delete el.components[name];
+      if (component.remove) component.remove();
+    });
+    el.hasLoaded = false;
+    el.isPlaying = false;
+  }
+
+  updateComponent(el, name, value) {
+    const [baseName, id] = name.split("__");
+    const { definition, schema } = this.AFRAME.components[baseName];
+    const single = isSingleProperty(schema);
+    let component = el.components[name];
+    const isNew = !component;
+
+    if (isNew) {
+      component = Object.create(definition);
+      component.el = el;
+      component.name = baseName;
+      component.id = id;
+      component.attrName = name;
+      component.schema = schema;
+      component.system = this.sceneEl.systems[baseName];
+      component.attrValue = single ? undefined : {};
+      el.components[name] = component;
+    }
+
+    if (single) {
+      component.attrValue = value === "" ? undefined : value;
+    } else if (typeof value === "string") {
+      Object.assign(component.attrValue, parseStyle(value));
+    } else if (value && typeof value === "object") {
+      Object.assign(component.attrValue, value);
+    }
+
+    const oldData = isNew ? {} : copyData(component.data);
+    component.data = buildData(schema, component.attrValue, this.document);
+
+    if (isNew) {
+      if (component.init) component.init();
+      if (component.update) component.update(oldData);
+      if (component.play) component.play();
+      el.emit("componentinitialized", baseName, false);
+    } else if (component.update && !isSame(oldData, component.data)) {
+      component.update(oldData);
+    }
+  }
+
+  // Creates an entity with the given attributes (in order) and attaches it
+  entity(attributes = {}, parent = this.sceneEl, tag = "a-entity") {
+    const el = this.document.createElement(tag);
+    Object.keys(attributes).forEach((name) => el.setAttribute(name, attributes[name]));
+    parent.appendChild(el);
+    return el;
+  }
+
+  // Advances the scene by frames of a fixed length
+  tick(frames = 1, delta = FRAME) {
+    for (let frame = 0; frame < frames; frame++) {
+      this.time += delta;
+      this.sceneEl.object3D.updateMatrixWorld(true);
+
+      const entities = [this.sceneEl].concat(Array.from(this.sceneEl.querySelectorAll("*")).filter((el) => el.isEntity));
+      entities.forEach((el) => {
+        Object.values(el.components).forEach((component) => {
+          if (component.tick && el.components[component.attrName] === component) component.tick(this.time, delta);
+        });
+      });
+      Object.values(this.sceneEl.systems).forEach((system) => {
+        if (system.tick) system.tick(this.time, delta);
+      });
+    }
+  }
+
+  // Collects events of the given types that reach an element
+  record(el, ...types) {
+    const events = [];
+    types.forEach((type) => {
+      el.addEventListener(type, (event) => events.push({ type, detail: event.detail, target: event.target }));
+    });
+    return events;
+  }
+
+  // Files from the repository, resolved like the page resolves relative URLs
+  fetch(url) {
+    const file = path.join(ROOT, decodeURIComponent(new URL(url, "http://localhost/").pathname));
+    if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+      return Promise.resolve(new Response("", { status: 404 }));
+    }
+    return Promise.resolve(new Response(fs.readFileSync(file), { status: 200 }));
+  }
+
+  // Lets pending fetches and promise callbacks run
+  async settle(turns = 5) {
+    for (let i = 0; i < turns; i++) await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  close() {
+    this.window.close();
+  }
+}
+
+async function createScene(options = {}) {
+  const harness = new Harness(options);
+  await harness.settle();
+  return harness;
+}
+
+// Asserts that two numbers agree to within epsilon
+function approx(actual, expected, message, epsilon = 1e-4) {
+  assert.ok(Math.abs(actual - expected) < epsilon, `${message}: expected ${expected}, got ${actual}`);
+}
+
+module.exports = { createScene, skip, approx, parseStyle, ROOT, FRAME };
@@ -0,0 +1,42 @@
+/**
+ * i18n fonts: every locale table names an MSDF font (meta.textFont) in the
+ * repository that has a glyph for each character of the table's strings,
+ * so no in-world text comes out blank in that locale.
+ *
+ * Run from the repository root (Node 18+, no dependencies):
+ *   node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const LOCALES = ["lv", "en", "ru"];
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+}
+
+LOCALES.forEach((locale) => {
+  test(`the ${locale} text font covers the ${locale} strings`, () => {
+    const table = readJSON(`data/i18n/${locale}.json`);
+    const fontFile = table["meta.textFont"];
+    assert.ok(fontFile, "meta.textFont is set - A-Frame's roboto lacks Latvian and Cyrillic glyphs");
+
+    const font = readJSON(fontFile);
+    assert.equal(font.pages.length, 1, "A-Frame only loads single-page fonts");
+    assert.ok(fs.existsSync(path.join(ROOT, path.dirname(fontFile), font.pages[0])), "atlas image is shipped");
+
+    const glyphs = new Set(font.chars.map((glyph) => glyph.char));
+    const missing = new Set();
+    Object.keys(table).forEach((key) => {
+      if (key.startsWith("meta.")) return;
+      Array.from(table[key]).forEach((char) => {
+        if (char !== "\n" && !glyphs.has(char)) missing.add(`${char} (${key})`);
+      });
+    });
+    assert.deepEqual(Array.from(missing), []);
+  });
+});
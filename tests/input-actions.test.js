@@ -0,0 +1,213 @@
+/**
+ * input-actions: controller buttons of each profile mapped to the app's
+ * actions, stick and pad directions, claimed sticks and the persisted
+ * rebinding table.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/input-actions.js"];
+
+const ACTION_EVENTS = ["select-down", "select-up", "grab-down", "grab-up", "teleport-down", "teleport-up",
+  "snap-turn-down", "snap-turn-up", "menu-down", "primary-down", "primary-up", "secondary-down", "reset-down", "reset-up"];
+
+async function setup(stored, side = "left") {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const input = scene.sceneEl.systems["input-actions"];
+  scene.window.localStorage.clear();
+  if (stored) scene.window.localStorage.setItem("input-bindings", JSON.stringify(stored));
+  input.restoreBindings();
+
+  const hand = scene.entity({ id: `${side}Hand`, "input-actions": `hand: ${side}` });
+  const events = scene.record(hand, ...ACTION_EVENTS);
+  const connect = (name) => hand.emit("controllerconnected", { name, component: {} });
+  const types = () => events.map((evt) => evt.type);
+  return { scene, input, hand, events, connect, types };
+}
+
+test("Touch buttons emit their actions, each down with its up", { skip }, async () => {
+  const { scene, hand, events, types } = await setup();
+
+  hand.emit("triggerdown");
+  hand.emit("triggerup");
+  hand.emit("gripdown");
+  hand.emit("xbuttondown");
+  hand.emit("ybuttondown");
+  hand.emit("thumbstickdown");
+  hand.emit("thumbstickup");
+  assert.deepEqual(types(), ["select-down", "select-up", "grab-down", "primary-down", "secondary-down", "menu-down"]);
+  assert.equal(events[0].detail.hand, "left");
+  assert.equal(events[0].detail.profile, "oculus-touch");
+  assert.equal(events[0].detail.control, "trigger");
+  assert.equal(events[0].detail.direction, null);
+  scene.close();
+});
+
+test("the connected controller picks the profile", { skip }, async () => {
+  const { scene, hand, connect, types } = await setup();
+
+  connect("generic-tracked-controller-controls");
+  hand.emit("gripdown");
+  hand.emit("squeezedown");
+  assert.deepEqual(types(), ["grab-down"], "generic controllers squeeze");
+
+  connect("vive-controls");
+  hand.emit("menudown");
+  assert.deepEqual(types().slice(1), ["grab-up", "menu-down"], "the grip ends with its controller");
+  scene.close();
+});
+
+test("pushing the stick teleports forward and snap-turns to the sides", { skip }, async () => {
+  const { scene, hand, events, types } = await setup(null, "right");
+
+  hand.emit("thumbstickmoved", { x: 0, y: -0.9 });
+  hand.emit("thumbstickmoved", { x: 0, y: -0.5 });
+  assert.deepEqual(types(), ["teleport-down"], "held until the stick is let go");
+  hand.emit("thumbstickmoved", { x: 0, y: 0 });
+  assert.deepEqual(types(), ["teleport-down", "teleport-up"]);
+
+  hand.emit("thumbstickmoved", { x: -0.8, y: -0.2 });
+  assert.equal(events[2].type, "snap-turn-down");
+  assert.equal(events[2].detail.direction, "left");
+
+  hand.emit("thumbstickmoved", { x: 0, y: 0 });
+  hand.emit("thumbstickmoved", { x: 0, y: -0.9 });
+  hand.emit("thumbstickmoved", { x: 0.75, y: -0.66 });
+  assert.deepEqual(types().slice(3), ["snap-turn-up", "teleport-down"], "no second direction while one is held");
+  scene.close();
+});
+
+test("a claimed stick starts nothing, but still reports the axis", { skip }, async () => {
+  const { scene, hand, types } = await setup(null, "right");
+  const moves = [];
+  hand.addEventListener("axis-moved", (evt) => {
+    moves.push(evt.detail);
+    evt.detail.claimed = true;
+  });
+
+  hand.emit("thumbstickmoved", { x: 1, y: 0 });
+  assert.deepEqual(types(), []);
+  assert.equal(moves.length, 1);
+  assert.equal(moves[0].x, 1);
+  assert.equal(moves[0].hand, "right");
+  scene.close();
+});
+
+test("the left stick is left to walking: its directions start nothing", { skip }, async () => {
+  const { scene, hand, types } = await setup();
+  const moves = [];
+  hand.addEventListener("axis-moved", (evt) => moves.push(evt.detail));
+
+  hand.emit("thumbstickmoved", { x: 0, y: -0.9 });
+  hand.emit("thumbstickmoved", { x: 0.9, y: 0 });
+  hand.emit("thumbstickmoved", { x: 0, y: 0 });
+  assert.deepEqual(types(), [], "no teleport or snap turn while walking");
+  assert.equal(moves.length, 3, "the axis is still reported");
+  scene.close();
+});
+
+test("Vive pad directions count where the pad is pressed", { skip }, async () => {
+  const { scene, hand, events, connect, types } = await setup();
+  connect("vive-controls");
+
+  hand.emit("trackpadmoved", { x: 0.1, y: -0.8 });
+  assert.deepEqual(types(), [], "touching the pad does nothing");
+  hand.emit("trackpaddown");
+  hand.emit("trackpadup");
+  assert.deepEqual(types(), ["teleport-down", "teleport-up"]);
+
+  hand.emit("trackpadmoved", { x: 0.9, y: 0 });
+  hand.emit("trackpaddown");
+  assert.equal(events[2].type, "snap-turn-down");
+  assert.equal(events[2].detail.direction, "right");
+  scene.close();
+});
+
+test("a long press of the Vive pad resets, a short one is the primary button", { skip }, async () => {
+  const { scene, hand, events, connect, types } = await setup();
+  connect("vive-controls");
+
+  hand.emit("trackpadmoved", { x: 0, y: 0.9 });
+  hand.emit("trackpaddown");
+  scene.tick(10);
+  assert.deepEqual(types(), [], "nothing until the pad is let go or held");
+  hand.emit("trackpadup");
+  assert.deepEqual(types(), ["primary-down", "primary-up"]);
+
+  hand.emit("trackpaddown");
+  scene.tick(60);
+  assert.deepEqual(types().slice(2), ["reset-down"]);
+  assert.equal(events[2].detail.control, "trackpad-down-hold");
+  assert.equal(events[2].detail.direction, "down");
+  hand.emit("trackpadup");
+  assert.deepEqual(types().slice(2), ["reset-down", "reset-up"], "no primary after the long press");
+  scene.close();
+});
+
+test("hand tracking switches to pinch and fist, and back to the controller", { skip }, async () => {
+  const { scene, hand, connect, types } = await setup();
+  connect("valve-index-controls");
+
+  hand.emit("hand-tracking-changed", { hand: "left", tracked: true });
+  hand.emit("triggerdown");
+  assert.deepEqual(types(), ["select-down", "teleport-down"]);
+
+  hand.emit("hand-tracking-changed", { hand: "left", tracked: false });
+  assert.deepEqual(types().slice(2), ["select-up", "teleport-up"], "the pinch ends with the hand");
+  hand.emit("abuttondown");
+  assert.equal(types()[4], "primary-down");
+  scene.close();
+});
+
+test("every controller resets on a long press", { skip }, async () => {
+  const { scene, input } = await setup();
+  ["oculus-touch", "vive", "valve-index", "pico", "generic"].forEach((profile) => {
+    assert.equal(input.bindings(profile).reset.length, 1, profile);
+  });
+  assert.equal(input.bindings("hand").reset.join(), "", "every hand gesture is taken");
+  scene.close();
+});
+
+test("holding the Touch thumbstick in resets, a click opens the menu", { skip }, async () => {
+  const { scene, hand, events, types } = await setup();
+
+  hand.emit("thumbstickdown");
+  hand.emit("thumbstickup");
+  assert.deepEqual(types(), ["menu-down"]);
+
+  hand.emit("thumbstickdown");
+  scene.tick(60);
+  hand.emit("thumbstickup");
+  assert.deepEqual(types(), ["menu-down", "reset-down", "reset-up"], "on the left hand as well");
+  assert.equal(events[1].detail.control, "thumbstick-hold");
+  scene.close();
+});
+
+test("rebinding an action applies at once and is remembered", { skip }, async () => {
+  const { scene, input, hand, types } = await setup();
+
+  input.rebind("oculus-touch", "reset", ["ybutton"]);
+  hand.emit("ybuttondown");
+  assert.deepEqual(types(), ["secondary-down", "reset-down"]);
+  assert.deepEqual(JSON.parse(scene.window.localStorage.getItem("input-bindings")), { "oculus-touch": { reset: ["ybutton"] } });
+
+  input.resetBindings();
+  assert.equal(input.bindings("oculus-touch").reset.join(), "thumbstick-hold");
+  scene.close();
+});
+
+test("stored bindings replace the defaults for their profile only", { skip }, async () => {
+  const { scene, input, hand, types } = await setup({ pico: { select: ["grip"] } });
+
+  const list = (profile, action) => input.bindings(profile)[action].join();
+  assert.equal(list("pico", "select"), "grip");
+  assert.equal(list("pico", "grab"), "grip");
+  assert.equal(list("oculus-touch", "select"), "trigger");
+  hand.emit("gripdown");
+  assert.deepEqual(types(), ["grab-down"], "Touch keeps its trigger");
+  scene.close();
+});
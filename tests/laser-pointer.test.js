@@ -0,0 +1,135 @@
+/**
+ * laser-pointer: the controller ray, beam and reticle, hover events on
+ * pointable entities and trigger clicks with the intersection.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/laser-pointer.js", "components/animation-switcher.js"];
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const { THREE } = scene;
+  scene.sceneEl.addState("vr-mode");
+
+  // A 1 m button 2 m in front of the controllers
+  const target = (attrs, parent) => {
+    const el = scene.entity(attrs, parent);
+    el.setObject3D("mesh", new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial()));
+    return el;
+  };
+  const button = target({ class: "clickable", position: "0 0 -2" });
+  const hand = scene.entity({ id: "rightHand", "laser-pointer": "" });
+  scene.tick();
+  return { scene, THREE, target, button, hand, pointer: hand.components["laser-pointer"] };
+}
+
+test("the ray runs along the controller's forward axis", { skip }, async () => {
+  const { scene, hand, pointer } = await setup();
+
+  hand.setAttribute("position", "0.2 1 0");
+  hand.setAttribute("rotation", "0 90 0");
+  pointer.updateRay();
+
+  const { origin, direction } = pointer.raycaster.ray;
+  assert.deepEqual([origin.x, origin.y, origin.z], [0.2, 1, 0]);
+  assert.ok(direction.x < -0.999, "turned left with the controller");
+  scene.close();
+});
+
+test("the beam ends at the hit and the reticle sits on it", { skip }, async () => {
+  const { scene, pointer } = await setup();
+
+  assert.equal(pointer.beam.visible, true);
+  assert.ok(Math.abs(pointer.beam.scale.z - 2) < 1e-6);
+  assert.equal(pointer.reticle.visible, true);
+  assert.ok(Math.abs(pointer.reticle.position.z + 2) < 1e-6);
+
+  scene.sceneEl.removeState("vr-mode");
+  scene.tick();
+  assert.equal(pointer.beam.visible, false, "only drawn in VR");
+  assert.equal(pointer.reticle.visible, false);
+  scene.close();
+});
+
+test("pointing at an entity hovers it like the mouse cursor", { skip }, async () => {
+  const { scene, button, hand } = await setup();
+  const events = scene.record(button, "mouseenter", "mouseleave");
+  hand.setAttribute("rotation", "0 0 0");
+  scene.tick();
+  assert.equal(events.length, 0, "already entered during setup");
+  assert.ok(button.is("cursor-hovered"));
+
+  hand.setAttribute("rotation", "0 90 0");
+  scene.tick();
+  assert.equal(events[0].type, "mouseleave");
+  assert.equal(events[0].detail.cursorEl, hand);
+  assert.ok(!button.is("cursor-hovered"));
+
+  hand.setAttribute("rotation", "0 0 0");
+  scene.tick();
+  assert.equal(events[1].type, "mouseenter");
+  assert.ok(Math.abs(events[1].detail.intersection.distance - 2) < 1e-6);
+  scene.close();
+});
+
+test("selecting clicks the entity it points at, with the intersection", { skip }, async () => {
+  const { scene, button, hand } = await setup();
+  const events = scene.record(button, "click");
+
+  hand.emit("select-down");
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].detail.cursorEl, hand);
+  assert.ok(events[0].detail.intersection.uv, "uv for components that care where");
+  scene.close();
+});
+
+test("parts of an entity click the entity, and hidden ones are passed over", { skip }, async () => {
+  const { scene, target, button, hand } = await setup();
+  const banner = scene.entity({ class: "expandable-banner", position: "0 0 -1" });
+  target({ class: "banner-image" }, banner);
+  const clicks = scene.record(banner, "click");
+  const buttonClicks = scene.record(button, "click");
+
+  hand.emit("select-down");
+  assert.equal(clicks.length, 1);
+  assert.equal(clicks[0].target, banner);
+
+  banner.setAttribute("visible", false);
+  hand.emit("select-down");
+  assert.equal(clicks.length, 1);
+  assert.equal(buttonClicks.length, 1, "the ray goes on to the button behind it");
+  scene.close();
+});
+
+test("both hands on one entity leave it only when the last one does", { skip }, async () => {
+  const { scene, button, hand } = await setup();
+  const left = scene.entity({ id: "leftHand", "laser-pointer": "", position: "0.1 0 0" });
+  const events = scene.record(button, "mouseenter", "mouseleave");
+  scene.tick();
+  assert.equal(events.length, 0);
+
+  hand.setAttribute("rotation", "0 90 0");
+  scene.tick();
+  assert.equal(events.length, 0, "the left hand still points at it");
+
+  left.setAttribute("rotation", "0 -90 0");
+  scene.tick();
+  assert.deepEqual(events.map((evt) => evt.type), ["mouseleave"]);
+  scene.close();
+});
+
+test("animation-on-hover reacts to the pointer in VR", { skip }, async () => {
+  const { scene, target, hand } = await setup();
+  hand.setAttribute("rotation", "0 90 0");
+  const figure = target({ "animation-on-hover": "defaultClip: Idle; hoverClip: Wave", position: "-2 0 0", rotation: "0 90 0" });
+  scene.tick(20);
+
+  assert.equal(figure.getAttribute("animation-mixer").clip, "Wave");
+  scene.close();
+});
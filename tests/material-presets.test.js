@@ -0,0 +1,137 @@
+/**
+ * material-presets, shader-preset, material-picker and vr-material-menu:
+ * the preset registry, putting shaders on entities, the uniform sliders and
+ * the wrist menu.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip, approx } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["shaders/shaders.js", "components/i18n.js", "components/material-presets.js"];
+
+// The desktop panel from Index.html
+const PANEL = `
+  <div id="material-panel" style="display: none;">
+    <select id="material-target"></select>
+    <select id="material-preset"></select>
+    <div id="material-uniforms"></div>
+  </div>`;
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS, attributes: { i18n: "defaultLocale: en" } });
+  const { THREE } = scene;
+  const potMaterial = new THREE.MeshStandardMaterial();
+  const pot = scene.entity({ id: "vase", grabbable: "" });
+  pot.setObject3D("mesh", new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.2, 0.1), potMaterial));
+  scene.entity({ id: "jug", grabbable: "" });
+  await scene.settle();
+  return { scene, presets: scene.sceneEl.systems["material-presets"], pot, potMaterial };
+}
+
+test("every library shader is a preset, and the JSON presets are added", { skip }, async () => {
+  const { scene, presets } = await setup();
+  const ids = presets.presets.map((preset) => preset.id);
+  assert.equal(ids[0], "original");
+  assert.ok(ids.includes("matcap-shader"));
+  assert.ok(ids.includes("matcap-porcelain"));
+  assert.equal(ids.includes("standard"), false, "A-Frame's own shaders are left out");
+
+  assert.equal(presets.register({ id: "x", shader: "no-such-shader", uniforms: {} }), null);
+  assert.throws(() => presets.registerAll({ format: "vessel-profile", presets: [] }), /not a material preset file/);
+  scene.close();
+});
+
+test("a preset puts its shader on the entity's meshes and takes it off again", { skip }, async () => {
+  const { scene, presets, pot, potMaterial } = await setup();
+  const events = scene.record(scene.sceneEl, "material-preset-changed");
+
+  presets.applyPreset(pot, "matcap-porcelain");
+  const component = pot.components["shader-preset"];
+  const material = pot.getObject3D("mesh").material;
+  assert.equal(material, component.shader.material);
+  assert.equal(component.shader.uniforms.rimPower.value, 3);
+  assert.equal(events.length, 1);
+
+  presets.setUniform(pot, "rimPower", 5);
+  assert.equal(pot.getObject3D("mesh").material, material, "same material, new value");
+  assert.equal(component.shader.uniforms.rimPower.value, 5);
+  assert.equal(presets.currentValues(pot).matcapColor3, "#ffffff");
+
+  const exported = presets.exportPreset(pot);
+  assert.equal(exported.format, "material-preset");
+  assert.equal(exported.presets[0].shader, "matcap-shader");
+  assert.equal(exported.presets[0].uniforms.rimPower, 5);
+
+  presets.applyPreset(pot, "original");
+  assert.equal(pot.getObject3D("mesh").material, potMaterial);
+  scene.close();
+});
+
+test("slider ranges are guessed from the uniform defaults", { skip }, async () => {
+  const { scene, presets } = await setup();
+  const fields = presets.uniformFields("water");
+  const byKey = (key) => fields.find((field) => field.key === key);
+
+  assert.equal(byKey("time"), undefined, "time is not tunable");
+  assert.equal(byKey("color").max, undefined);
+  assert.equal(byKey("amplitude").min, 0);
+  assert.equal(byKey("amplitude").max, 1);
+  assert.equal(byKey("opacity").max, 4);
+  assert.equal(byKey("transparent"), undefined, "not a uniform");
+  scene.close();
+});
+
+test("the desktop panel opens with the key and lists targets, presets and sliders", { skip }, async () => {
+  const { scene, presets, pot } = await setup();
+  scene.document.body.insertAdjacentHTML("beforeend", PANEL);
+  scene.sceneEl.setAttribute("material-picker", "");
+  const panel = scene.document.getElementById("material-panel");
+  const presetSelect = scene.document.getElementById("material-preset");
+
+  scene.window.dispatchEvent(new scene.window.KeyboardEvent("keydown", { key: "M" }));
+  assert.equal(panel.style.display, "block");
+  assert.equal(presets.target, pot, "the first target is picked");
+  assert.equal(scene.document.getElementById("material-target").options.length, 2);
+  assert.equal(presetSelect.options.length, presets.presets.length);
+
+  presetSelect.value = "water-glass";
+  presetSelect.dispatchEvent(new scene.window.Event("change"));
+  assert.equal(pot.getAttribute("shader-preset").preset, "water-glass");
+  const sliders = scene.document.querySelectorAll("#material-uniforms input");
+  assert.equal(sliders.length, presets.uniformFields("water").length);
+
+  scene.sceneEl.emit("enter-vr");
+  assert.equal(panel.style.display, "none", "closed on entering VR");
+  scene.close();
+});
+
+test("the wrist menu steps presets and sets sliders, pointable only while open", { skip }, async () => {
+  const { scene, presets, pot } = await setup();
+  const hand = scene.entity({ "vr-material-menu": "" });
+  const menu = hand.components["vr-material-menu"];
+  assert.equal(menu.arrows[0].classList.contains("vr-selectable"), false, "hidden arrows take no clicks");
+
+  hand.emit("menu-down");
+  assert.equal(menu.menu.object3D.visible, true);
+  assert.ok(menu.arrows.every((arrow) => arrow.classList.contains("vr-selectable")));
+  assert.equal(menu.targetLabel.getAttribute("text").value, "vase");
+
+  // Preset arrows: the second row, "<" then ">". After "Original" comes the first library shader.
+  menu.arrows[3].emit("click");
+  assert.equal(pot.getAttribute("shader-preset").preset, "water");
+  assert.equal(menu.presetLabel.getAttribute("text").value, "water");
+
+  // water has more tunable uniforms than the menu has sliders
+  const visible = menu.sliders.filter((slider) => slider.field);
+  assert.equal(visible.length, menu.data.maxSliders);
+  const amplitude = visible.find((slider) => slider.field.key === "amplitude");
+  menu.setSlider(amplitude.field, 0.5);
+  approx(presets.currentValues(pot).amplitude, 0.5, "halfway along 0 - 1");
+
+  hand.emit("menu-down");
+  assert.equal(menu.arrows[0].classList.contains("vr-selectable"), false);
+  scene.close();
+});
@@ -0,0 +1,153 @@
+/**
+ * museum-audio: narration on grab and banner expansion, subtitles on the
+ * page and in VR, and the persisted volume and mute settings. jsdom has no
+ * Web Audio, so narration runs in its subtitle-only mode here.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/i18n.js", "components/museum-audio.js"];
+
+const DESCRIPTION = "A jug with a pulled handle.";
+
+async function setup(stored) {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const { document } = scene;
+  const audio = scene.sceneEl.systems["museum-audio"];
+  if (stored) {
+    scene.window.localStorage.setItem("audio", JSON.stringify(stored));
+    audio.restoreSettings();
+  }
+
+  document.body.insertAdjacentHTML("beforeend", `
+    <button id="audio-mute"></button>
+    <input id="audio-volume" type="range" min="0" max="100">
+    <div id="subtitles" style="display: none"></div>
+  `);
+  scene.sceneEl.setAttribute("audio-controls", "");
+  const camera = scene.entity({ camera: "", "vr-audio-panel": "" });
+
+  const jug = scene.entity({
+    id: "jug",
+    "data-description": DESCRIPTION,
+    "data-narration": "audio/narration/{locale}/jug.mp3"
+  });
+  return { scene, audio, camera, jug, subtitles: document.getElementById("subtitles") };
+}
+
+test("grabbing a narrated exhibit shows its description as subtitles", { skip }, async () => {
+  const { scene, jug, subtitles } = await setup();
+  const events = scene.record(scene.sceneEl, "narration-start", "narration-end");
+
+  jug.emit("grab-start");
+
+  assert.equal(events[0].type, "narration-start");
+  assert.equal(events[0].detail.id, "jug");
+  assert.equal(subtitles.style.display, "block");
+  assert.equal(subtitles.textContent, DESCRIPTION);
+  scene.close();
+});
+
+test("without a clip the subtitles stay up for a reading time", { skip }, async () => {
+  const { scene, jug, subtitles } = await setup();
+  const events = scene.record(scene.sceneEl, "narration-end");
+
+  jug.emit("grab-start");
+  scene.tick(60 * 2);
+  assert.equal(events.length, 0, "at least three seconds");
+
+  scene.tick(60 * 2);
+  assert.equal(events.length, 1);
+  assert.equal(subtitles.style.display, "none");
+  scene.close();
+});
+
+test("an empty data-narration narrates the description alone", { skip }, async () => {
+  const { scene } = await setup();
+  const events = scene.record(scene.sceneEl, "narration-start");
+
+  scene.entity({ id: "bowl", "data-description": "A bowl.", "data-narration": "" }).emit("grab-start");
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].detail.subtitle, "A bowl.");
+  scene.close();
+});
+
+test("grabbing again while it plays does not restart the narration", { skip }, async () => {
+  const { scene, jug } = await setup();
+  const events = scene.record(scene.sceneEl, "narration-start");
+
+  jug.emit("grab-start");
+  jug.emit("grab-start");
+
+  assert.equal(events.length, 1);
+  scene.close();
+});
+
+test("exhibits without narration stay quiet", { skip }, async () => {
+  const { scene } = await setup();
+  const events = scene.record(scene.sceneEl, "narration-start");
+
+  scene.entity({ id: "plain", "data-description": "No clip" }).emit("grab-start");
+
+  assert.equal(events.length, 0);
+  scene.close();
+});
+
+test("expanding a banner narrates its exhibit", { skip }, async () => {
+  const { scene } = await setup();
+  const events = scene.record(scene.sceneEl, "narration-start");
+  const banner = scene.entity({ class: "expandable-banner" });
+
+  banner.emit("banner-expanded", { exhibitId: "jug" });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].detail.subtitle, DESCRIPTION);
+  scene.close();
+});
+
+test("in VR the subtitles hang under the view instead of the page", { skip }, async () => {
+  const { scene, camera, jug, subtitles } = await setup();
+  scene.sceneEl.addState("vr-mode");
+  const panel = camera.components["vr-audio-panel"];
+
+  jug.emit("grab-start");
+
+  assert.equal(subtitles.style.display, "none");
+  assert.equal(panel.subtitlePanel.getAttribute("visible"), true);
+  assert.equal(panel.subtitleText.getAttribute("text").value, DESCRIPTION);
+  scene.close();
+});
+
+test("volume and mute are stored and shown on both controls", { skip }, async () => {
+  const { scene, audio, camera } = await setup();
+  const events = scene.record(scene.sceneEl, "audio-settings-changed");
+  const slider = scene.document.getElementById("audio-volume");
+  const panel = camera.components["vr-audio-panel"];
+
+  slider.value = "40";
+  slider.dispatchEvent(new scene.window.Event("input"));
+  assert.equal(audio.volume, 0.4);
+  assert.match(panel.muteButton.getAttribute("text").value, /40%/);
+
+  panel.muteButton.emit("click");
+  assert.equal(audio.muted, true);
+  const unmute = scene.sceneEl.systems.i18n.t("audio.unmute", "Unmute");
+  assert.equal(scene.document.getElementById("audio-mute").textContent, unmute);
+  assert.deepEqual(JSON.parse(scene.window.localStorage.getItem("audio")), { volume: 0.4, muted: true });
+  assert.equal(events.length, 2);
+  scene.close();
+});
+
+test("stored settings are restored", { skip }, async () => {
+  const { scene, audio } = await setup({ volume: 0.25, muted: true });
+
+  assert.equal(audio.volume, 0.25);
+  assert.equal(audio.muted, true);
+  assert.equal(scene.document.getElementById("audio-volume").value, "25");
+  scene.close();
+});
@@ -0,0 +1,141 @@
+/**
+ * photo-gallery: laying out data/gallery.json as framed pictures with
+ * captions, opening a photo in front of the visitor, zooming into it and
+ * closing it again.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createScene, skip, ROOT } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/i18n.js", "components/photo-gallery.js"];
+
+const PHOTOS = JSON.parse(fs.readFileSync(path.join(ROOT, "data/gallery.json"), "utf8")).photos;
+
+async function setup(attributes = "") {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const camera = scene.entity({ camera: "", position: "0 1.6 0" });
+  const el = scene.entity({ "photo-gallery": `src: data/gallery.json; height: 0.5; ${attributes}`, position: "0 1.5 -3" });
+  await scene.settle();
+  return { scene, camera, el, gallery: el.components["photo-gallery"] };
+}
+
+// The harness doesn't load textures, so give a picture its mesh by hand
+function withTexture(scene, picture) {
+  const { THREE } = scene;
+  const map = new THREE.Texture();
+  picture.setObject3D("mesh", new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial({ map })));
+  return map;
+}
+
+test("one framed picture per photo, sized by its aspect ratio", { skip }, async () => {
+  const { scene, gallery } = await setup();
+
+  assert.equal(gallery.frames.length, PHOTOS.length);
+  const frame = gallery.frames[2];
+  assert.equal(frame.picture.getAttribute("material").src, PHOTOS[2].src);
+  assert.ok(Math.abs(frame.width - 0.5 * PHOTOS[2].width / PHOTOS[2].height) < 1e-9);
+  assert.ok(frame.picture.classList.contains("vr-selectable"));
+  scene.close();
+});
+
+test("columns wrap the pictures into centred rows", { skip }, async () => {
+  const { scene, gallery } = await setup("columns: 3");
+
+  const rows = gallery.frames.map((frame) => frame.el.object3D.position.y);
+  assert.deepEqual([...new Set(rows)].length, 2);
+  const first = gallery.frames[0].el.object3D.position.x;
+  const last = gallery.frames[2].el.object3D.position.x;
+  assert.ok(first < 0 && last > 0);
+  scene.close();
+});
+
+test("captions carry the credit and follow the locale", { skip }, async () => {
+  const { scene, gallery } = await setup();
+  const i18n = scene.sceneEl.systems.i18n;
+  const index = PHOTOS.findIndex((photo) => photo.credit);
+  const { id, caption, credit } = PHOTOS[index];
+
+  const label = () => gallery.frames[index].caption.getAttribute("text").value;
+  assert.equal(label(), `${i18n.t(`gallery.${id}.caption`)}\n(${credit})`);
+
+  await i18n.setLocale("en");
+  await scene.settle();
+  assert.equal(label(), `${caption}\n(${credit})`);
+  scene.close();
+});
+
+test("a photo without a known source has no credit line", { skip }, async () => {
+  const { scene, gallery } = await setup();
+  const i18n = scene.sceneEl.systems.i18n;
+  const index = PHOTOS.findIndex((photo) => !photo.credit);
+
+  assert.equal(gallery.frames[index].caption.getAttribute("text").value, i18n.t(`gallery.${PHOTOS[index].id}.caption`));
+  scene.close();
+});
+
+test("clicking a picture opens it in front of the visitor", { skip }, async () => {
+  const { scene, gallery } = await setup();
+  const events = scene.record(scene.sceneEl, "photo-zoom-open");
+  const frame = gallery.frames[1];
+  withTexture(scene, frame.picture);
+
+  frame.picture.emit("click");
+
+  assert.equal(events[0].detail.id, PHOTOS[1].id);
+  assert.equal(gallery.view.object3D.visible, true);
+  assert.ok(gallery.view.classList.contains("clickable"));
+  const position = gallery.view.object3D.position;
+  assert.ok(Math.abs(position.z + 1.2) < 1e-6, "zoomDistance ahead of the camera");
+  assert.ok(Math.abs(position.y - 1.6) < 1e-6, "at eye height");
+  assert.ok(gallery.viewMesh.material.map, "the view shows a copy of the picture");
+  scene.close();
+});
+
+test("clicks on the enlarged photo zoom in around the point and back out", { skip }, async () => {
+  const { scene, gallery } = await setup();
+  const { THREE } = scene;
+  const frame = gallery.frames[0];
+  const wallMap = withTexture(scene, frame.picture);
+  frame.picture.emit("click");
+  const map = gallery.viewMesh.material.map;
+
+  gallery.view.emit("click", { intersection: { object: gallery.viewMesh, uv: new THREE.Vector2(0.75, 0.75) } });
+  assert.equal(map.repeat.x, 0.5);
+  assert.deepEqual([map.offset.x, map.offset.y], [0.5, 0.5]);
+  assert.equal(wallMap.repeat.x, 1, "the wall picture stays whole");
+
+  gallery.view.emit("click", { intersection: { object: gallery.viewMesh, uv: new THREE.Vector2(0, 0) } });
+  assert.equal(map.repeat.x, 0.25);
+  assert.deepEqual([map.offset.x, map.offset.y], [0.375, 0.375]);
+
+  gallery.view.emit("click", { intersection: { object: gallery.viewMesh, uv: new THREE.Vector2(0.5, 0.5) } });
+  assert.equal(map.repeat.x, 1);
+  assert.deepEqual([map.offset.x, map.offset.y], [0, 0]);
+  scene.close();
+});
+
+test("Escape, B/Y and the close button put the photo back", { skip }, async () => {
+  const { scene, gallery } = await setup();
+  const events = scene.record(scene.sceneEl, "photo-zoom-close");
+  const picture = gallery.frames[0].picture;
+
+  picture.emit("click");
+  scene.window.dispatchEvent(new scene.window.KeyboardEvent("keydown", { key: "Escape" }));
+  assert.equal(gallery.view.object3D.visible, false);
+  assert.ok(!gallery.view.classList.contains("clickable"));
+
+  picture.emit("click");
+  scene.entity({ id: "leftHand" }).emit("secondary-down");
+  assert.equal(gallery.zoomed, null);
+
+  picture.emit("click");
+  gallery.viewClose.emit("click");
+  assert.equal(gallery.zoomed, null);
+  assert.equal(events.length, 3);
+  scene.close();
+});
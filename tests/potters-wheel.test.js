@@ -0,0 +1,140 @@
+/**
+ * potters-wheel and clay-lump: spinning the head with the thumbstick and
+ * a hand sweep, coasting down, and shaping the clay on the spinning head.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip, approx } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/simple-grab.js", "components/potters-wheel.js"];
+
+async function setup(wheelAttributes = {}) {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const camera = scene.entity({ camera: "", position: "0 1.6 0" });
+  // Head centre at 0 0.6 -1, 1.4 m from the eyes
+  const wheelEl = scene.entity(Object.assign({ id: "potters-wheel", position: "0 0 -1", "potters-wheel": "" }, wheelAttributes));
+  const clayEl = scene.entity({ position: "0 0.6 0", "clay-lump": "" }, wheelEl);
+  const hand = scene.entity({ id: "rightHand", position: "0.5 1 0", "simple-grab": "" });
+  scene.tick();
+  const stick = (y) => {
+    const detail = { hand: "right", x: 0, y };
+    hand.emit("axis-moved", detail);
+    return detail;
+  };
+  return { scene, camera, wheelEl, wheel: wheelEl.components["potters-wheel"], clay: clayEl.components["clay-lump"], hand, stick };
+}
+
+test("thumbstick up spins the wheel and it coasts to a stop", { skip }, async () => {
+  const { scene, wheel, stick, wheelEl } = await setup();
+  const events = scene.record(wheelEl, "wheel-spin");
+
+  assert.equal(stick(-1).claimed, true, "the stick spins the wheel instead of walking");
+  scene.tick(60);
+  approx(wheel.angularVelocity, 5.6, "6 rad/s² less 0.4 friction for a second", 0.05);
+  assert.ok(wheel.headObject.rotation.y > 2, "the head disc turns");
+  assert.equal(events.length, 1);
+
+  stick(0);
+  scene.tick(60 * 15);
+  assert.equal(wheel.angularVelocity, 0);
+  assert.equal(events.length, 2);
+  assert.equal(events[1].detail.speed, 0);
+  scene.close();
+});
+
+test("the thumbstick does nothing out of reach or while the wheel is carried", { skip }, async () => {
+  const { scene, camera, wheel, wheelEl, stick } = await setup();
+  camera.setAttribute("position", "0 1.6 3");
+
+  assert.equal(stick(-1).claimed, undefined, "left for walking");
+  scene.tick(30);
+  assert.equal(wheel.angularVelocity, 0);
+
+  camera.setAttribute("position", "0 1.6 0");
+  scene.tick(30);
+  assert.ok(wheel.angularVelocity > 0);
+  wheelEl.setAttribute("grabbed", "");
+  scene.tick();
+  assert.equal(wheel.angularVelocity, 0);
+  scene.close();
+});
+
+test("a hand sweeping round the rim spins the head up, a still one brakes it", { skip }, async () => {
+  const { scene, wheel, hand } = await setup();
+  // Counter-clockwise seen from above at 3 rad/s, 0.18 m from the axis
+  const place = (angle) => hand.object3D.position.set(0.18 * Math.cos(angle), 0.62, -1 - 0.18 * Math.sin(angle));
+  for (let frame = 0; frame < 60; frame++) {
+    place((3 * frame) / 60);
+    scene.tick();
+  }
+  assert.ok(wheel.angularVelocity > 2.5, `spun up to ${wheel.angularVelocity} rad/s`);
+
+  scene.tick(60);
+  approx(wheel.angularVelocity, 0, "held still on the rim", 0.05);
+  scene.close();
+});
+
+test("a head node in the model spins instead of the drawn disc", { skip }, async () => {
+  const { scene, wheelEl, wheel, stick } = await setup({ "potters-wheel": "headNode: Head" });
+  const { THREE } = scene;
+  assert.equal(wheel.headDisc, null, "no disc while the model loads");
+
+  const model = new THREE.Group();
+  const head = new THREE.Object3D();
+  head.name = "Head";
+  model.add(head);
+  wheelEl.setObject3D("mesh", model);
+  wheelEl.emit("model-loaded");
+  assert.equal(wheel.headObject, head);
+
+  stick(-1);
+  scene.tick(30);
+  assert.ok(head.rotation.y > 0);
+  scene.close();
+});
+
+test("a hand in the spinning clay squeezes it in and up, keeping its volume", { skip }, async () => {
+  const { scene, wheel, clay, hand } = await setup();
+  const volume = clay.computeVolume();
+  // Halfway up the lump, halfway to the wall
+  hand.object3D.position.set(0.04, 0.66, -1);
+  scene.tick(10);
+  const version = clay.version;
+  scene.tick(10);
+  assert.equal(clay.version, version, "nothing happens on a still wheel");
+
+  for (let frame = 0; frame < 30; frame++) {
+    wheel.angularVelocity = 8;
+    scene.tick();
+  }
+  const middle = Math.round((0.06 / clay.height) * (clay.radii.length - 1));
+  assert.ok(clay.radii[middle] < 0.06, `wall at ${clay.radii[middle]} m`);
+  assert.ok(clay.height > 0.12, `squeezed up to ${clay.height} m`);
+  approx(clay.computeVolume(), volume, "volume", 1e-5);
+
+  scene.sceneEl.emit("reset-exhibits");
+  assert.equal(clay.height, 0.12);
+  approx(clay.radii[0], 0.08, "wall back at the starting radius");
+  scene.close();
+});
+
+test("setProfile resamples a profile onto the rings", { skip }, async () => {
+  const { scene, clay } = await setup();
+
+  clay.setProfile([{ x: 0, y: 0 }, { x: 0.05, y: 0 }, { x: 0.1, y: 0.2 }, { x: 0, y: 0.2 }]);
+  assert.equal(clay.height, 0.2);
+  approx(clay.radii[0], 0.05, "bottom");
+  approx(clay.radii[clay.radii.length - 1], 0.1, "top");
+  const profile = clay.getProfile();
+  const [bottom, top] = [profile[0], profile[profile.length - 1]];
+  assert.equal(`${bottom.x} ${bottom.y}`, "0 0", "closed at the bottom");
+  assert.equal(`${top.x} ${top.y}`, "0 0.2", "closed at the top");
+
+  clay.setProfile([{ x: 0.05, y: 0 }, { x: 0.5, y: 1 }]);
+  assert.equal(clay.height, clay.data.maxHeight);
+  assert.equal(clay.radii[clay.radii.length - 1], clay.data.maxRadius);
+  scene.close();
+});
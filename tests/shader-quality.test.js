@@ -0,0 +1,90 @@
+/**
+ * shader-quality: swapping shaders that fail to compile, or that are too
+ * heavy on the low tier, for their declared fallback or "standard".
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip, approx } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/shader-quality.js"];
+
+// A shader whose fragment program costs the given milliseconds per draw
+function shader(cost, extra = {}) {
+  return Object.assign({
+    schema: { time: { type: "time", is: "uniform" } },
+    fragmentShader: `precision mediump float;\n// cost ${cost}\nvoid main() { gl_FragColor = vec4(1.0); }`
+  }, extra);
+}
+
+// Draws by the cost in the GLSL on a clock of its own, and reports a
+// compile error for "syntax error"
+function fakeRenderer(scene) {
+  const clock = { now: 0 };
+  scene.window.performance.now = () => clock.now;
+  const renderer = scene.sceneEl.renderer;
+  const gl = { getShaderInfoLog: (log) => log, getProgramInfoLog: () => "" };
+  renderer.render = (drawn) => {
+    const source = drawn.children[0].material.fragmentShader || "";
+    if (source.includes("syntax error")) renderer.debug.onShaderError(gl, null, "", "ERROR: 0:3: syntax error");
+    const match = /cost ([\d.]+)/.exec(source);
+    clock.now += match ? parseFloat(match[1]) : 0;
+  };
+}
+
+async function setup(tier) {
+  const scene = await createScene({ scripts: SCRIPTS, attributes: { "shader-quality": `tier: ${tier}` } });
+  const { AFRAME } = scene;
+  AFRAME.registerShader("cheap", shader(0));
+  AFRAME.registerShader("heavy", shader(1));
+  AFRAME.registerShader("broken", shader(0, { fallback: "cheap", fragmentShader: "void main() { syntax error }" }));
+  AFRAME.registerShader("broken-twice", shader(0, { fallback: "broken", fragmentShader: "syntax error" }));
+  fakeRenderer(scene);
+  const quality = scene.sceneEl.systems["shader-quality"];
+  const events = scene.record(scene.sceneEl, "shader-quality-ready");
+  // As on renderstart, now the shaders are registered
+  quality.validateAll();
+  return { scene, AFRAME, quality, report: quality.report, events };
+}
+
+test("a shader that does not compile is replaced by its fallback", { skip }, async () => {
+  const { scene, AFRAME, quality, report, events } = await setup("high");
+  const cheap = AFRAME.shaders.cheap;
+
+  assert.equal(report.broken.status, "failed");
+  assert.match(report.broken.error, /syntax error/);
+  assert.equal(report.broken.fallback, "cheap");
+  // Everything that looks the shader up by name gets the fallback
+  assert.equal(AFRAME.shaders.broken, cheap);
+  assert.notEqual(quality.originals.broken, cheap, "the original is kept");
+  assert.equal(events.length, 1);
+  assert.equal(events[0].detail.tier, "high");
+  assert.equal(events[0].detail.report.broken, report.broken);
+  scene.close();
+});
+
+test("a failed fallback gives way to standard", { skip }, async () => {
+  const { scene, AFRAME, report } = await setup("high");
+  assert.equal(report["broken-twice"].fallback, "standard");
+  assert.equal(AFRAME.shaders["broken-twice"], AFRAME.shaders.standard);
+  assert.equal(report.standard, undefined, "A-Frame's own shaders are not checked");
+  scene.close();
+});
+
+test("the low tier replaces shaders over the budget, the high tier keeps them", { skip }, async () => {
+  const low = await setup("low");
+  // 1 ms a draw on 256 x 256 pixels, about 15 ms per megapixel
+  approx(low.report.heavy.cost, 1e6 / (256 * 256), "cost per megapixel", 1e-6);
+  assert.equal(low.report.heavy.status, "too-heavy");
+  assert.equal(low.AFRAME.shaders.heavy, low.AFRAME.shaders.standard);
+  assert.equal(low.report.cheap.status, "ok");
+  assert.equal(low.report.cheap.precision, "mediump");
+  low.scene.close();
+
+  const high = await setup("high");
+  assert.equal(high.report.heavy.status, "ok");
+  assert.equal(high.AFRAME.shaders.heavy.Shader.prototype.fragmentShader, shader(1).fragmentShader);
+  high.scene.close();
+});
@@ -0,0 +1,167 @@
+/**
+ * SHADER LIBRARY TESTS
+ * ====================
+ * Loads shaders/shaders.js against a stubbed AFRAME.registerShader and checks
+ * every shader's schema against its GLSL: each uniform in the schema must be
+ * declared in the vertex or fragment shader with a matching type, and each
+ * uniform the GLSL declares must be in the schema (three.js' built-ins
+ * aside).
+ *
+ * When glslangValidator is on the PATH the GLSL is also compiled, with the
+ * declarations three.js prepends to a ShaderMaterial; otherwise that test is
+ * skipped.
+ *
+ * Run from the repository root (Node 18+, no dependencies):
+ *   node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const vm = require("node:vm");
+const { spawnSync } = require("node:child_process");
+
+const SHADERS_FILE = path.join(__dirname, "..", "shaders", "shaders.js");
+
+// Provided by three.js for every ShaderMaterial
+const THREE_UNIFORMS = ["modelMatrix", "modelViewMatrix", "projectionMatrix", "viewMatrix", "normalMatrix", "cameraPosition", "isOrthographic"];
+
+const VERTEX_PREFIX = `
+precision highp float;
+uniform mat4 modelMatrix;
+uniform mat4 modelViewMatrix;
+uniform mat4 projectionMatrix;
+uniform mat4 viewMatrix;
+uniform mat3 normalMatrix;
+uniform vec3 cameraPosition;
+uniform bool isOrthographic;
+attribute vec3 position;
+attribute vec3 normal;
+attribute vec2 uv;
+`;
+
+const FRAGMENT_PREFIX = `
+precision highp float;
+uniform mat4 viewMatrix;
+uniform vec3 cameraPosition;
+uniform bool isOrthographic;
+`;
+
+// A-Frame property type -> GLSL type of the uniform
+const GLSL_TYPES = {
+  time: ["float"],
+  number: ["float"],
+  float: ["float"],
+  int: ["int"],
+  boolean: ["bool"],
+  color: ["vec3"],
+  vec2: ["vec2"],
+  vec3: ["vec3"],
+  vec4: ["vec4"],
+  map: ["sampler2D"]
+};
+
+// A-Frame's own shaders, valid as a "fallback"
+const UTILS_FILE = path.join(__dirname, "..", "components", "museum-utils.js");
+const { BUILTIN_SHADERS } = vm.runInNewContext(`${fs.readFileSync(UTILS_FILE, "utf8")}\nMuseumUtils`, {}, { filename: UTILS_FILE });
+
+function loadShaders() {
+  const shaders = {};
+  const AFRAME = {
+    registerShader(name, definition) {
+      if (shaders[name]) throw new Error(`The shader ${name} has already been registered`);
+      shaders[name] = definition;
+    }
+  };
+  vm.runInNewContext(fs.readFileSync(SHADERS_FILE, "utf8"), { AFRAME }, { filename: SHADERS_FILE });
+  return shaders;
+}
+
+// { name: glslType } of the uniforms a GLSL source declares
+function declaredUniforms(source) {
+  const uniforms = {};
+  const code = source.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+  const pattern = /\buniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+([^;]+);/g;
+  let match;
+  while ((match = pattern.exec(code))) {
+    match[2].split(",").forEach((name) => {
+      uniforms[name.trim().replace(/\s*\[.*\]$/, "")] = match[1];
+    });
+  }
+  return uniforms;
+}
+
+function schemaUniforms(definition) {
+  return Object.keys(definition.schema).filter((key) => definition.schema[key].is === "uniform");
+}
+
+const shaders = loadShaders();
+
+test("shaders.js registers shaders", () => {
+  assert.ok(Object.keys(shaders).length > 0);
+});
+
+for (const [name, definition] of Object.entries(shaders)) {
+  test(`${name}: has a schema and both GLSL stages`, () => {
+    assert.equal(typeof definition.schema, "object");
+    assert.equal(typeof definition.vertexShader, "string");
+    assert.equal(typeof definition.fragmentShader, "string");
+    assert.match(definition.vertexShader, /void\s+main\s*\(/);
+    assert.match(definition.fragmentShader, /void\s+main\s*\(/);
+  });
+
+  test(`${name}: every schema uniform is declared in the GLSL`, () => {
+    const declared = Object.assign(declaredUniforms(definition.vertexShader), declaredUniforms(definition.fragmentShader));
+    schemaUniforms(definition).forEach((key) => {
+      assert.ok(key in declared, `"${key}" is in the schema but not declared in the GLSL`);
+      const type = definition.schema[key].type || "string";
+      assert.ok(GLSL_TYPES[type], `"${key}" has type "${type}", which can not be a uniform`);
+      assert.ok(GLSL_TYPES[type].includes(declared[key]),
+        `"${key}" is a ${type} in the schema but a ${declared[key]} in the GLSL`);
+    });
+  });
+
+  test(`${name}: every GLSL uniform is in the schema`, () => {
+    const inSchema = schemaUniforms(definition);
+    [definition.vertexShader, definition.fragmentShader].forEach((source) => {
+      Object.keys(declaredUniforms(source)).forEach((key) => {
+        if (THREE_UNIFORMS.includes(key)) return;
+        assert.ok(inSchema.includes(key), `"${key}" is declared in the GLSL but missing from the schema`);
+      });
+    });
+  });
+
+  test(`${name}: declares both stages with the same uniform types`, () => {
+    const vertex = declaredUniforms(definition.vertexShader);
+    const fragment = declaredUniforms(definition.fragmentShader);
+    Object.keys(vertex).forEach((key) => {
+      if (key in fragment) assert.equal(fragment[key], vertex[key], `"${key}" differs between the stages`);
+    });
+  });
+
+  if (definition.fallback !== undefined) {
+    test(`${name}: falls back to a known shader`, () => {
+      assert.ok(BUILTIN_SHADERS.includes(definition.fallback) || definition.fallback in shaders,
+        `unknown fallback "${definition.fallback}"`);
+      assert.notEqual(definition.fallback, name);
+    });
+  }
+}
+
+const validator = spawnSync("glslangValidator", ["--version"], { encoding: "utf8" });
+
+test("GLSL compiles with glslangValidator", { skip: validator.error ? "glslangValidator not installed" : false }, (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shaders-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const [name, definition] of Object.entries(shaders)) {
+    [["vert", VERTEX_PREFIX, definition.vertexShader], ["frag", FRAGMENT_PREFIX, definition.fragmentShader]].forEach(([stage, prefix, source]) => {
+      const file = path.join(dir, `${name}.${stage}`);
+      fs.writeFileSync(file, `#version 100\n${prefix}\n${source}`);
+      const result = spawnSync("glslangValidator", [file], { encoding: "utf8" });
+      assert.equal(result.status, 0, `${name} (${stage}) failed to compile:\n${result.stdout}${result.stderr}`);
+    });
+  }
+});
@@ -0,0 +1,170 @@
+/**
+ * simple-grab, grabbable and the grab system: picking up, carrying,
+ * two-handed holds, hand-offs, throwing and the heavy wheel.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip, approx } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/pottery-physics.js", "components/simple-grab.js"];
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS });
+  scene.entity({ camera: "", position: "0 1.6 0" });
+  const hand = scene.entity({ position: "0 1 -0.5", "simple-grab": "" });
+  const pot = scene.entity({ position: "0 1 -0.6", grabbable: "radius: 0.3" });
+  return { scene, hand, pot };
+}
+
+test("grip picks up the nearest grabbable and emits grab-start", { skip }, async () => {
+  const { scene, hand, pot } = await setup();
+  const events = scene.record(pot, "grab-start");
+
+  hand.emit("grab-down");
+
+  assert.ok(pot.hasAttribute("grabbed"));
+  assert.equal(events.length, 1);
+  assert.equal(events[0].detail.hand, hand);
+  assert.equal(pot.hasAttribute("data-initial-pos"), true);
+  scene.close();
+});
+
+test("grip out of reach grabs nothing", { skip }, async () => {
+  const { scene, hand, pot } = await setup();
+  hand.setAttribute("position", "2 1 -0.5");
+
+  hand.emit("grab-down");
+
+  assert.equal(pot.hasAttribute("grabbed"), false);
+  scene.close();
+});
+
+test("a held object keeps its offset from the moving hand", { skip }, async () => {
+  const { scene, hand, pot } = await setup();
+  hand.emit("grab-down");
+
+  for (let frame = 0; frame < 10; frame++) {
+    hand.object3D.position.x += 0.02;
+    scene.tick();
+  }
+
+  const position = pot.getAttribute("position");
+  approx(position.x, 0.2, "x follows the hand");
+  approx(position.y, 1, "height is kept");
+  approx(position.z, -0.6, "offset from the hand is kept");
+  scene.close();
+});
+
+test("releasing throws with the hand velocity", { skip }, async () => {
+  const { scene, hand, pot } = await setup();
+  const events = scene.record(pot, "grab-end");
+  hand.emit("grab-down");
+
+  for (let frame = 0; frame < 3; frame++) {
+    hand.object3D.position.z -= 0.01;
+    scene.tick();
+  }
+  hand.emit("grab-up");
+
+  assert.equal(pot.hasAttribute("grabbed"), false);
+  assert.equal(events.length, 1);
+  const velocity = pot.getAttribute("throw-velocity");
+  approx(velocity.z, -0.6, "0.01 m per frame at 60 fps");
+  approx(velocity.x, 0, "no sideways velocity");
+  scene.close();
+});
+
+test("the throw speed does not depend on the headset's frame rate", { skip }, async () => {
+  const { scene, hand, pot } = await setup();
+  hand.emit("grab-down");
+
+  // 0.6 m/s at 90 fps
+  for (let frame = 0; frame < 3; frame++) {
+    hand.object3D.position.z -= 0.6 / 90;
+    scene.tick(1, 1000 / 90);
+  }
+  hand.emit("grab-up");
+
+  approx(pot.getAttribute("throw-velocity").z, -0.6, "0.6 m/s, not 0.4");
+  scene.close();
+});
+
+test("a second hand makes it two-handed, letting go hands it over", { skip }, async () => {
+  const { scene, hand, pot } = await setup();
+  const other = scene.entity({ position: "0.1 1 -0.5", "simple-grab": "" });
+  const events = scene.record(pot, "grab-two-handed", "grab-handoff", "grab-end");
+
+  hand.emit("grab-down");
+  other.emit("grab-down");
+  assert.deepEqual(events.map((event) => event.type), ["grab-two-handed"]);
+  const owners = scene.sceneEl.systems.grab.ownersOf(pot);
+  assert.equal(owners.length, 2);
+  assert.equal(owners[0].el, hand);
+  assert.equal(owners[1].el, other);
+
+  hand.emit("grab-up");
+  assert.deepEqual(events.map((event) => event.type), ["grab-two-handed", "grab-handoff"]);
+  assert.equal(events[1].detail.from, hand);
+  assert.equal(events[1].detail.to, other);
+  assert.ok(pot.hasAttribute("grabbed"), "still held by the other hand");
+
+  other.emit("grab-up");
+  assert.equal(events[2].type, "grab-end");
+  scene.close();
+});
+
+test("two hands scale the object with their distance", { skip }, async () => {
+  const { scene, hand, pot } = await setup();
+  const other = scene.entity({ position: "0.2 1 -0.5", "simple-grab": "" });
+  hand.emit("grab-down");
+  other.emit("grab-down");
+
+  other.object3D.position.x = 0.4;
+  scene.tick();
+
+  approx(pot.object3D.scale.x, 2, "double distance, double size");
+  scene.close();
+});
+
+test("snap grabbing puts the attach point at the snap offset", { skip }, async () => {
+  const { scene, hand } = await setup();
+  const jug = scene.entity({
+    position: "0.1 1 -0.55",
+    grabbable: "radius: 0.2; snap: true; attachPoint: 0 0 0; snapOffset: 0 -0.03 -0.06"
+  });
+
+  hand.setAttribute("position", "0.1 1 -0.5");
+  scene.tick();
+  hand.emit("grab-down");
+  scene.tick();
+
+  const position = jug.getAttribute("position");
+  approx(position.x, 0.1, "x");
+  approx(position.y, 0.97, "y");
+  approx(position.z, -0.56, "z");
+  scene.close();
+});
+
+test("the potter's wheel keeps its height while carried", { skip }, async () => {
+  const { scene, hand } = await setup();
+  const wheel = scene.entity({ id: "potters-wheel", position: "0 0.4 -1", grabbable: "radius: 1" });
+  hand.setAttribute("position", "0 0.8 -0.9");
+  scene.tick();
+  hand.emit("grab-down");
+  assert.ok(wheel.hasAttribute("grabbed"));
+
+  for (let frame = 0; frame < 10; frame++) {
+    hand.object3D.position.y += 0.05;
+    hand.object3D.position.x += 0.02;
+    scene.tick();
+  }
+
+  approx(wheel.getAttribute("position").y, 0.4, "wheel height");
+  assert.ok(Math.abs(wheel.getAttribute("rotation").x) < 1e-6, "wheel does not tilt");
+  hand.emit("grab-up");
+  assert.equal(wheel.hasAttribute("throw-velocity"), false, "the wheel is never thrown");
+  scene.close();
+});
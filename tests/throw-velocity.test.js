@@ -0,0 +1,117 @@
+/**
+ * throw-velocity and the pottery-physics system: falling onto a collider,
+ * coming to rest, and being sent home when leaving the play area.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/pottery-physics.js", "components/simple-grab.js"];
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const { THREE } = scene;
+
+  // A 10 x 10 m floor at y = 0
+  const floor = scene.entity({});
+  const plane = new THREE.Mesh(new THREE.PlaneGeometry(10, 10), new THREE.MeshBasicMaterial());
+  plane.rotation.x = -Math.PI / 2;
+  floor.setObject3D("mesh", plane);
+  scene.sceneEl.object3D.updateMatrixWorld(true);
+  floor.setAttribute("physics-collider", "");
+
+  // A 20 cm tall pot
+  const pot = scene.entity({ position: "0 1 0", grabbable: "" });
+  pot.setObject3D("mesh", new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.2, 0.1), new THREE.MeshBasicMaterial()));
+  scene.sceneEl.object3D.updateMatrixWorld(true);
+  return { scene, pot };
+}
+
+test("a dropped pot falls, lands on the collider and comes to rest", { skip }, async () => {
+  const { scene, pot } = await setup();
+  const events = scene.record(pot, "physics-rest");
+
+  pot.setAttribute("throw-velocity", "");
+  scene.tick(60);
+  assert.ok(pot.getAttribute("position").y < 0.5, "fell within a second");
+
+  scene.tick(120);
+  assert.equal(events.length, 1);
+  assert.equal(pot.hasAttribute("throw-velocity"), false, "the body is removed at rest");
+  assert.ok(Math.abs(pot.getAttribute("position").y - 0.1) < 0.01, "stands on its base");
+  scene.close();
+});
+
+test("a hard impact emits physics-collide with the impact speed", { skip }, async () => {
+  const { scene, pot } = await setup();
+  const events = scene.record(pot, "physics-collide");
+
+  pot.setAttribute("throw-velocity", { y: -4 });
+  scene.tick(30);
+
+  assert.ok(events.length >= 1);
+  assert.ok(events[0].detail.speed > 4);
+  scene.close();
+});
+
+test("a pot thrown out of the play area is sent home", { skip }, async () => {
+  const { scene, pot } = await setup();
+  const events = scene.record(pot, "physics-reset");
+  scene.sceneEl.systems.grab.storeHomePose(pot);
+
+  pot.setAttribute("throw-velocity", { x: 40, y: 2 });
+  scene.tick(60);
+
+  assert.equal(events.length, 1);
+  assert.equal(pot.hasAttribute("throw-velocity"), false);
+  const position = pot.getAttribute("position");
+  assert.deepEqual([position.x, position.y, position.z], [0, 1, 0]);
+  scene.close();
+});
+
+test("reset-exhibits sends a flying pot home", { skip }, async () => {
+  const { scene, pot } = await setup();
+  scene.sceneEl.systems.grab.storeHomePose(pot);
+  pot.setAttribute("throw-velocity", { x: 1 });
+  scene.tick(10);
+
+  scene.sceneEl.emit("reset-exhibits");
+
+  assert.equal(pot.hasAttribute("throw-velocity"), false);
+  assert.equal(pot.getAttribute("position").x, 0);
+  scene.close();
+});
+
+test("the reset key and action announce reset-exhibits to the whole scene", { skip }, async () => {
+  const { scene, pot } = await setup();
+  scene.sceneEl.systems.grab.storeHomePose(pot);
+  const hand = scene.entity({ id: "rightHand" });
+  const resets = scene.record(scene.sceneEl, "reset-exhibits");
+
+  pot.setAttribute("throw-velocity", { x: 1 });
+  scene.tick(10);
+  hand.emit("reset-down", { action: "reset", hand: "right" });
+  assert.equal(resets.length, 1);
+  assert.equal(pot.getAttribute("position").x, 0, "sent home");
+
+  scene.window.dispatchEvent(new scene.window.KeyboardEvent("keydown", { key: "R" }));
+  assert.equal(resets.length, 2);
+  scene.close();
+});
+
+test("a grabbed pot leaves the simulation", { skip }, async () => {
+  const { scene, pot } = await setup();
+  pot.setAttribute("throw-velocity", "");
+  scene.tick(5);
+
+  pot.setAttribute("grabbed", true);
+  const height = pot.getAttribute("position").y;
+  scene.tick(30);
+
+  assert.equal(pot.hasAttribute("throw-velocity"), false);
+  assert.equal(pot.getAttribute("position").y, height);
+  scene.close();
+});
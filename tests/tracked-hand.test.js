@@ -0,0 +1,140 @@
+/**
+ * tracked-hand: bare WebXR hands posing the controller entities and turning
+ * pinches and fists into the controller events, with a faked XR session.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/pottery-physics.js", "components/simple-grab.js", "components/input-actions.js", "components/tracked-hand.js"];
+
+// Joint positions relative to the wrist for a few hand shapes
+const SHAPES = {
+  open: { "thumb-tip": [0.06, 0.02, -0.1], "index-finger-tip": [0.03, 0, -0.18], "middle-finger-tip": [0.01, 0, -0.19], "ring-finger-tip": [-0.01, 0, -0.18], "pinky-finger-tip": [-0.03, 0, -0.16] },
+  pinch: { "thumb-tip": [0.03, 0.01, -0.17], "index-finger-tip": [0.03, 0, -0.17], "middle-finger-tip": [0.01, 0, -0.19], "ring-finger-tip": [-0.01, 0, -0.18], "pinky-finger-tip": [-0.03, 0, -0.16] },
+  fist: { "thumb-tip": [0.03, 0.01, -0.06], "index-finger-tip": [0.03, 0, -0.06], "middle-finger-tip": [0.01, 0, -0.06], "ring-finger-tip": [-0.01, 0, -0.06], "pinky-finger-tip": [-0.03, 0, -0.05] }
+};
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS });
+  const wrist = { x: 0, y: 1, z: -0.3 };
+  const joints = new Map();
+  ["wrist"].concat(Object.keys(SHAPES.open)).forEach((name) => joints.set(name, { name, position: { x: 0, y: 0, z: 0 } }));
+  const source = { handedness: "right", hand: joints, targetRaySpace: { ray: true } };
+
+  const shape = (name) => {
+    joints.get("wrist").position = { ...wrist };
+    Object.entries(SHAPES[name]).forEach(([joint, [x, y, z]]) => {
+      joints.get(joint).position = { x: wrist.x + x, y: wrist.y + y, z: wrist.z + z };
+    });
+  };
+  shape("open");
+
+  const sceneEl = scene.sceneEl;
+  sceneEl.xrSession = { inputSources: [source] };
+  sceneEl.renderer.xr.getReferenceSpace = () => ({ local: true });
+  sceneEl.frame = {
+    getPose: (space) => (space === source.targetRaySpace
+      ? { transform: { position: { x: 0.1, y: 1.1, z: -0.4 }, orientation: { x: 0, y: 0.7071068, z: 0, w: 0.7071068 } } }
+      : null),
+    getJointPose: (joint) => ({ transform: { position: joint.position } })
+  };
+
+  const hand = scene.entity({ id: "rightHand", "input-actions": "hand: right", "tracked-hand": "hand: right", "simple-grab": "" });
+  return { scene, sceneEl, source, shape, hand, component: hand.components["tracked-hand"] };
+}
+
+test("a tracked hand poses the entity along its pointing ray", { skip }, async () => {
+  const { scene, hand } = await setup();
+  const events = scene.record(hand, "hand-tracking-changed");
+  scene.tick();
+
+  assert.ok(hand.is("hand-tracked"));
+  assert.equal(events[0].detail.hand, "right");
+  assert.equal(events[0].detail.tracked, true);
+  const { position, quaternion } = hand.object3D;
+  assert.deepEqual([position.x, position.y, position.z], [0.1, 1.1, -0.4]);
+  assert.ok(Math.abs(quaternion.y - 0.7071068) < 1e-6);
+  scene.close();
+});
+
+test("a pinch is a trigger press, with the point between the fingertips", { skip }, async () => {
+  const { scene, shape, hand } = await setup();
+  const events = scene.record(hand, "pinchstarted", "triggerdown", "pinchended", "triggerup");
+  scene.tick();
+
+  shape("pinch");
+  scene.tick();
+  assert.deepEqual(events.map((evt) => evt.type), ["pinchstarted", "triggerdown"]);
+  const position = events[0].detail.position;
+  assert.ok(Math.abs(position.y - 1.005) < 1e-6);
+  assert.ok(Math.abs(position.z + 0.47) < 1e-6);
+
+  shape("open");
+  scene.tick();
+  assert.deepEqual(events.slice(2).map((evt) => evt.type), ["pinchended", "triggerup"]);
+  scene.close();
+});
+
+test("closing the hand grips and picks up the pot in it", { skip }, async () => {
+  const { scene, shape, hand } = await setup();
+  const pot = scene.entity({ position: "0.1 1.1 -0.4", grabbable: "radius: 0.3" });
+  const events = scene.record(hand, "gripdown", "gripup", "pinchstarted");
+  scene.tick();
+
+  shape("fist");
+  scene.tick();
+  assert.deepEqual(events.map((evt) => evt.type), ["gripdown"], "the thumb meeting the index isn't a pinch");
+  assert.ok(pot.hasAttribute("grabbed"));
+
+  shape("open");
+  scene.tick();
+  assert.deepEqual(events.map((evt) => evt.type), ["gripdown", "gripup"]);
+  assert.ok(!pot.hasAttribute("grabbed"));
+  scene.close();
+});
+
+test("a pinch that closes into a fist becomes a grip", { skip }, async () => {
+  const { scene, shape, hand } = await setup();
+  const events = scene.record(hand, "pinchended", "gripdown");
+  scene.tick();
+  shape("pinch");
+  scene.tick();
+
+  shape("fist");
+  scene.tick();
+  assert.deepEqual(events.map((evt) => evt.type), ["pinchended", "gripdown"]);
+  scene.close();
+});
+
+test("losing the hand ends its gestures and hands back to the controller", { skip }, async () => {
+  const { scene, sceneEl, shape, hand } = await setup();
+  const mesh = new scene.THREE.Object3D();
+  hand.setObject3D("mesh", mesh);
+  scene.tick();
+  assert.equal(mesh.visible, false, "controller model hidden while the hand is shown");
+  shape("pinch");
+  scene.tick();
+  const events = scene.record(hand, "pinchended", "triggerup", "hand-tracking-changed");
+
+  sceneEl.xrSession.inputSources = [{ handedness: "right", gamepad: {} }];
+  scene.tick();
+  assert.deepEqual(events.map((evt) => evt.type), ["pinchended", "triggerup", "hand-tracking-changed"]);
+  assert.equal(events[2].detail.tracked, false);
+  assert.ok(!hand.is("hand-tracked"));
+  assert.equal(mesh.visible, true);
+  scene.close();
+});
+
+test("only the hand on the entity's own side drives it", { skip }, async () => {
+  const { scene, source, hand } = await setup();
+  source.handedness = "left";
+  scene.tick();
+
+  assert.ok(!hand.is("hand-tracked"));
+  assert.equal(hand.object3D.position.x, 0);
+  scene.close();
+});
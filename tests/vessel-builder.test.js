@@ -0,0 +1,109 @@
+/**
+ * vessel-builder: the profile editor mirroring the clay on the wheel,
+ * dragging handles, materials and profile JSON.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScene, skip, approx } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["shaders/shaders.js", "components/i18n.js", "components/potters-wheel.js", "components/vessel-builder.js"];
+
+// A-Frame's mouse cursor raycaster on the scene, hitting the editor wherever the test points
+function registerRaycaster(scene) {
+  const pointer = { uv: null };
+  scene.AFRAME.registerComponent("raycaster", {
+    getIntersection() {
+      return pointer.uv ? { uv: pointer.uv } : null;
+    }
+  });
+  scene.sceneEl.setAttribute("raycaster", "");
+  return pointer;
+}
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS, attributes: { i18n: "defaultLocale: en" } });
+  scene.entity({ camera: "", position: "0 1.6 0" });
+  const wheelEl = scene.entity({ position: "0 0 -1", "vessel-builder": "" });
+  const clayEl = scene.entity({ position: "0 0.6 0", "clay-lump": "" }, wheelEl);
+  await scene.settle();
+  scene.tick();
+  return { scene, builder: wheelEl.components["vessel-builder"], clay: clayEl.components["clay-lump"] };
+}
+
+test("the handles follow the clay, whatever changed it", { skip }, async () => {
+  const { scene, builder, clay } = await setup();
+  assert.equal(builder.handleRadii.length, builder.data.handles);
+  approx(builder.handleRadii[0], clay.radii[0], "bottom handle");
+  approx(builder.profileHeight, clay.height, "height");
+
+  clay.setProfile([{ x: 0.1, y: 0 }, { x: 0.05, y: 0.3 }]);
+  scene.tick();
+  approx(builder.handleRadii[0], 0.1, "bottom handle");
+  approx(builder.handleRadii[builder.data.handles - 1], 0.05, "top handle");
+  approx(builder.profileHeight, 0.3, "height");
+
+  builder.buttons.reset.emit("click");
+  scene.tick();
+  approx(builder.profileHeight, clay.data.height, "reset height");
+  scene.close();
+});
+
+test("dragging the top handle with the mouse widens the rim and lifts it", { skip }, async () => {
+  const { scene, builder, clay } = await setup();
+  const pointer = registerRaycaster(scene);
+
+  // Right half of the editor: 0.1 m out, 0.28 m up
+  pointer.uv = { x: 0.75, y: 0.8 };
+  builder.editorEl.emit("mousedown");
+  assert.equal(builder.drag.index, builder.data.handles - 1, "the top handle is closest");
+  pointer.uv = { x: 0.8, y: 0.9 };
+  scene.tick();
+
+  approx(clay.height, 0.315, "rim height", 1e-3);
+  approx(clay.radii[clay.radii.length - 1], 0.12, "rim radius", 1e-3);
+  approx(builder.handleRadii[builder.data.handles - 1], 0.12, "the dragged handle stays under the mouse");
+
+  scene.window.dispatchEvent(new scene.window.MouseEvent("mouseup"));
+  assert.equal(builder.drag, null);
+  pointer.uv = { x: 0.6, y: 0.5 };
+  scene.tick();
+  approx(clay.height, 0.315, "released", 1e-3);
+  scene.close();
+});
+
+test("the material button steps through the shaders and previews them on the clay", { skip }, async () => {
+  const { scene, builder, clay } = await setup();
+  assert.equal(builder.materials[0], "standard");
+  assert.ok(builder.materials.includes("matcap-shader"));
+
+  builder.buttons.material.emit("click");
+  const material = builder.materials[1];
+  assert.equal(clay.el.getAttribute("material").shader, material);
+  assert.equal(builder.buttons.material.getAttribute("text").value, `Material: ${material}`);
+  scene.close();
+});
+
+test("a saved profile loads back with its material", { skip }, async () => {
+  const { scene, builder, clay } = await setup();
+  clay.setProfile([{ x: 0.06, y: 0 }, { x: 0.11, y: 0.25 }]);
+  builder.setMaterial("matcap-shader");
+  const saved = JSON.parse(JSON.stringify(builder.getProfileData()));
+  assert.equal(saved.format, "vessel-profile");
+  assert.equal(saved.material, "matcap-shader");
+  assert.equal(saved.points.length, clay.data.rings);
+
+  builder.reset();
+  builder.setMaterial("standard");
+  const events = scene.record(builder.el, "vessel-profile-loaded");
+  builder.loadProfileData(saved);
+
+  approx(clay.height, 0.25, "height");
+  approx(clay.radii[clay.radii.length - 1], 0.11, "rim radius");
+  assert.equal(builder.materials[builder.materialIndex], "matcap-shader");
+  assert.equal(events.length, 1);
+  assert.throws(() => builder.loadProfileData({ format: "material-preset", points: [] }), /not a vessel profile/);
+  scene.close();
+});
@@ -0,0 +1,201 @@
+/**
+ * vr-popup-banner: one banner per catalog exhibit under the camera,
+ * expanding and collapsing on click, relabelled on locale changes, and
+ * scrolling through longer lists as a carousel.
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createScene, skip, ROOT } = require("./harness/aframe-harness");
+
+const SCRIPTS = ["components/i18n.js", "components/exhibit-catalog.js", "components/vr-popup-banner.js"];
+
+const readJSON = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), "utf8"));
+
+async function setup() {
+  const scene = await createScene({ scripts: SCRIPTS, attributes: { i18n: "defaultLocale: lv" } });
+  scene.window.localStorage.clear();
+  await scene.sceneEl.systems["exhibit-catalog"].load("data/exhibits.json");
+  const camera = scene.entity({ camera: "", "vr-popup-banner": "" });
+  return { scene, camera, banners: Array.from(camera.querySelectorAll(".expandable-banner")) };
+}
+
+test("one banner per exhibit, centred under the camera", { skip }, async () => {
+  const { scene, banners } = await setup();
+  const exhibits = readJSON("data/exhibits.json").exhibits;
+
+  assert.equal(banners.length, exhibits.length);
+  banners.forEach((banner, i) => assert.equal(banner.id, `banner-${exhibits[i].id}`));
+  const offsets = banners.map((banner) => banner.getAttribute("position").x);
+  assert.ok(Math.abs(offsets.reduce((sum, x) => sum + x, 0)) < 1e-9, "centred horizontally");
+  assert.ok(banners.every((banner) => banner.getAttribute("position").z === -2.5));
+  scene.close();
+});
+
+test("click expands a banner and shows its text", { skip }, async () => {
+  const { scene, banners } = await setup();
+  const [banner] = banners;
+
+  banner.emit("click");
+
+  assert.equal(banner.isExpanded, true);
+  assert.equal(banner.getAttribute("animation").to, "4 4 1");
+  assert.equal(banner.querySelector(".banner-title").getAttribute("visible"), true);
+  assert.equal(banner.querySelector(".banner-description").getAttribute("visible"), true);
+
+  banner.emit("click");
+  assert.equal(banner.isExpanded, false);
+  assert.equal(banner.getAttribute("animation").to, "1 1 1");
+  assert.equal(banner.querySelector(".banner-title").getAttribute("visible"), false);
+  scene.close();
+});
+
+test("expanding a banner collapses the open one", { skip }, async () => {
+  const { scene, banners } = await setup();
+  if (banners.length < 2) return;
+
+  banners[0].emit("click");
+  banners[1].querySelector(".banner-image").emit("click", undefined, false);
+
+  assert.equal(banners[0].isExpanded, false);
+  assert.equal(banners[1].isExpanded, true);
+  scene.close();
+});
+
+test("banner text follows the locale", { skip }, async () => {
+  const { scene, banners } = await setup();
+  const exhibit = readJSON("data/exhibits.json").exhibits[0];
+  const english = readJSON("data/i18n/en.json");
+  const title = () => banners[0].querySelector(".banner-title").getAttribute("text").value;
+
+  scene.sceneEl.systems.i18n.setLocale("en");
+
+  assert.equal(title(), english[`exhibits.${exhibit.id}.title`] || exhibit.title);
+  scene.close();
+});
+
+// --- Carousel ---
+
+const ITEMS = Array.from({ length: 7 }, (_, i) => ({
+  id: `item${i}`,
+  image: `images/item${i}.png`,
+  title: `Item ${i}`,
+  description: `About item ${i}`
+}));
+
+async function setupCarousel() {
+  const { scene, camera } = await setup();
+  const rightHand = scene.entity({ id: "rightHand" });
+  const leftHand = scene.entity({ id: "leftHand" });
+  camera.setAttribute("vr-popup-banner", "visibleCount: 3");
+  const carousel = camera.components["vr-popup-banner"];
+  carousel.setItems(ITEMS);
+  const shown = () => carousel.banners.filter((banner) => banner.getAttribute("visible")).map((banner) => banner.bannerData.itemId);
+  const highlighted = (banner) => banner.querySelector(".banner-background").getAttribute("material").includes("#ffcc66");
+  return { scene, rightHand, leftHand, carousel, shown, highlighted };
+}
+
+test("any number of items, shown a window at a time with arrows and a counter", { skip }, async () => {
+  const { scene, carousel, shown } = await setupCarousel();
+
+  assert.equal(carousel.banners.length, ITEMS.length);
+  assert.deepEqual(shown(), ["item0", "item1", "item2"]);
+  const offsets = carousel.banners.slice(0, 3).map((banner) => banner.getAttribute("position").x);
+  assert.ok(Math.abs(offsets.reduce((sum, x) => sum + x, 0)) < 1e-9, "the window is centred");
+  assert.equal(carousel.controls.next.getAttribute("visible"), true);
+  assert.ok(carousel.controls.next.classList.contains("vr-selectable"));
+  assert.equal(carousel.controls.counter.getAttribute("text").value, "1 / 7");
+  scene.close();
+});
+
+test("items without an exhibit use the banners.* keys", { skip }, async () => {
+  const { scene, carousel } = await setupCarousel();
+
+  assert.equal(carousel.banners[0].querySelector(".banner-title").getAttribute("text").value, "Item 0");
+  assert.equal(carousel.keyPrefix(carousel.banners[0].bannerData), "banners.item0");
+  scene.close();
+});
+
+test("selecting past the window scrolls it and highlights the current banner", { skip }, async () => {
+  const { scene, carousel, shown, highlighted } = await setupCarousel();
+
+  carousel.select(4);
+
+  assert.deepEqual(shown(), ["item2", "item3", "item4"]);
+  assert.ok(highlighted(carousel.banners[4]));
+  assert.ok(!highlighted(carousel.banners[0]));
+  assert.equal(carousel.controls.counter.getAttribute("text").value, "5 / 7");
+
+  carousel.select(0);
+  assert.deepEqual(shown(), ["item0", "item1", "item2"]);
+  scene.close();
+});
+
+test("the thumbstick of the hand pointing at the carousel moves along it", { skip }, async () => {
+  const { scene, rightHand, leftHand, carousel } = await setupCarousel();
+  carousel.setHovered(carousel.banners[2], rightHand);
+
+  leftHand.emit("axis-moved", { x: 1, y: 0 });
+  assert.equal(carousel.current, 2, "the other hand's stick is ignored");
+
+  const push = { x: 1, y: 0, claimed: false };
+  rightHand.emit("axis-moved", push);
+  rightHand.emit("axis-moved", { x: 0.9, y: 0 });
+  assert.equal(carousel.current, 3, "one step per push");
+  assert.equal(push.claimed, true, "the stick scrolls instead of turning the visitor");
+
+  rightHand.emit("axis-moved", { x: 0, y: 0 });
+  rightHand.emit("axis-moved", { x: -1, y: 0 });
+  assert.equal(carousel.current, 2);
+  scene.close();
+});
+
+test("a controller pointing at a banner makes it current until it points away", { skip }, async () => {
+  const { scene, rightHand, carousel, highlighted } = await setupCarousel();
+  const banner = carousel.banners[1];
+
+  banner.emit("mouseenter", { cursorEl: rightHand, intersection: null });
+  assert.equal(carousel.current, 1);
+  assert.equal(carousel.hoverHand, rightHand);
+  assert.ok(highlighted(banner));
+
+  banner.emit("mouseleave", { cursorEl: rightHand, intersection: null });
+  assert.equal(carousel.hoverHand, null);
+  scene.close();
+});
+
+test("moving on from an expanded banner expands the next one", { skip }, async () => {
+  const { scene, carousel } = await setupCarousel();
+  const events = scene.record(scene.sceneEl, "banner-expanded", "banner-collapsed");
+
+  carousel.banners[2].emit("click");
+  carousel.scroll(1);
+
+  assert.equal(carousel.banners[2].isExpanded, false);
+  assert.equal(carousel.banners[3].isExpanded, true);
+  assert.equal(carousel.banners[3].getAttribute("visible"), true);
+  assert.deepEqual(events.map((evt) => [evt.type, evt.detail.id]), [
+    ["banner-expanded", "item2"], ["banner-collapsed", "item2"], ["banner-expanded", "item3"]
+  ]);
+  scene.close();
+});
+
+test("the arrows page a whole window and stop at the ends", { skip }, async () => {
+  const { scene, carousel, shown } = await setupCarousel();
+
+  carousel.controls.next.emit("click");
+  assert.deepEqual(shown(), ["item3", "item4", "item5"]);
+  assert.equal(carousel.current, 3);
+
+  carousel.controls.next.emit("click");
+  assert.deepEqual(shown(), ["item4", "item5", "item6"]);
+
+  carousel.controls.previous.emit("click");
+  carousel.controls.previous.emit("click");
+  assert.deepEqual(shown(), ["item0", "item1", "item2"]);
+  scene.close();
+});